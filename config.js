@@ -24,6 +24,7 @@ export const MODULE_PATTERNS = [
 
 export const SERVICE_PATTERNS = [
   '**/*Service.{js,ts}',
+  '**/*service.{js,ts}',
   '**/services/**/*.{js,ts}',
   '**/*Util.{js,ts}',
   '**/*Helper.{js,ts}',
@@ -36,15 +37,47 @@ export const ROUTE_PATTERNS = [
   '**/routes/**/*.{js,ts}',
   '**/controllers/**/*.{js,ts}',
   '**/api/**/*.{js,ts}',
+  '**/plugins/**/*.{js,ts}',
+  '**/routers/**/*.{js,ts}',
+  '**/trpc/**/*.{js,ts}',
   '**/*router*.{js,ts}',
-  '**/*route*.{js,ts}'
+  '**/*route*.{js,ts}',
+  '**/*Router*.{js,ts}',
+  '**/*Route*.{js,ts}',
+  '**/*Controller.{js,ts}',
+  '**/*controller.{js,ts}'
+];
+
+// File-system routing: Next.js pages/api and app router route handlers, Nuxt/Nitro server
+// routes and Remix route modules. The URL path is derived from the file path.
+export const FILE_ROUTE_PATTERNS = [
+  '**/pages/api/**/*.{js,jsx,ts,tsx}',
+  '**/app/**/route.{js,jsx,ts,tsx}',
+  '**/server/api/**/*.{js,mjs,ts}',
+  '**/server/routes/**/*.{js,mjs,ts}',
+  '**/app/routes/**/*.{js,jsx,ts,tsx}'
+];
+
+// GraphQL SDL documents; schemas embedded in gql`...` templates are found through the sources
+export const GRAPHQL_PATTERNS = [
+  '**/*.{graphql,gql}'
+];
+
+// Standalone OpenAPI/Swagger documents; files in openapi/ and swagger/ directories also serve as $ref targets
+export const API_SPEC_PATTERNS = [
+  '**/{openapi,swagger}.{json,yaml,yml}',
+  '**/*.{openapi,swagger}.{json,yaml,yml}',
+  '**/{openapi,swagger}/**/*.{json,yaml,yml}'
 ];
 
 export const MODEL_PATTERNS = [
   '**/models/**/*.{js,ts}',
+  '**/model/**/*.{js,ts}',
   '**/schemas/**/*.{js,ts}',
+  '**/schema/**/*.{js,ts}',
   '**/entities/**/*.{js,ts}',
   '**/*Model.{js,ts}',
+  '**/*model.{js,ts}',
   '**/*Schema.{js,ts}'
 ];
 
@@ -57,6 +90,21 @@ export const UTIL_PATTERNS = [
 ];
 
 export const SOURCE_PATTERNS = [
-  'src/**/*.{js,ts}',
-  '**/*.{js,ts}'
+  '**/*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}'
+];
+
+// Routes matching any of these (case-insensitive) are reported as internalRoutes
+export const INTERNAL_ROUTE_PATTERNS = [
+  '/admin',
+  '/internal',
+  '/debug',
+  '/metrics',
+  '/analytics',
+  '/cron',
+  '/webhook',
+  '/logs'
 ];
+
+export const BUSINESS_HINTS = ['payment', 'user', 'order', 'farm', 'livestock', 'lead', 'chat', 'assessment'];
+
+export const UTILITY_HINTS = ['util', 'helper', 'common', 'format', 'validate', 'parse', 'convert', 'crypto', 'logger', 'cache'];
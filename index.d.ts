@@ -0,0 +1,552 @@
+// Type declarations for the codebase-summary-bot library entry point (src/index.js)
+
+// ---------------------------------------------------------------------------
+// Summary schema
+// ---------------------------------------------------------------------------
+
+export interface GitInfo {
+  sha: string | null;
+  branch: string | null;
+  remote: string | null;
+}
+
+export interface Frameworks {
+  backend: string;
+  frontend: string;
+  dependencies?: Record<string, string>;
+}
+
+export interface ServiceSummary {
+  businessServices: string[];
+  utilityServices: string[];
+}
+
+export interface RouteParam {
+  name: string;
+  /** Index of the path segment holding the parameter */
+  position: number;
+  /** Regex constraint, e.g. "\d+" for ":id(\d+)" */
+  pattern: string | null;
+  optional: boolean;
+}
+
+export interface RouteInfo {
+  method: string;
+  /** Path including router mount prefixes in :param form (also for Next.js [id] and Hapi {id}), e.g. "/api/orders/:orderId" */
+  fullPath: string;
+  /** Path as written in the route registration or file name, e.g. "/:id", "/api/users/[id]" or "/stores/{storeId}" */
+  rawPath: string;
+  params: RouteParam[];
+  /** Middleware from use() calls on the routers it is mounted through and its own router, then its own, e.g. ["authenticate", "requireRole('admin')"] */
+  middleware: string[];
+  handler: string | null;
+  /** Source file relative to the project root */
+  file: string;
+  line: number | null;
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+export interface ApiRouteSummary {
+  publicRoutes: RouteInfo[];
+  internalRoutes: RouteInfo[];
+}
+
+export interface UtilityFile {
+  name: string;
+  domain: string;
+  functions: string[];
+}
+
+export interface UtilitySummary {
+  byDomain: Record<string, Array<{ file: string; functions: string[] }>>;
+  files: UtilityFile[];
+}
+
+/** A field type such as "String (required, default: 0)", or a nested sub-document */
+export type SchemaField = string | SchemaFields | SchemaField[];
+
+export interface SchemaFields {
+  [field: string]: SchemaField;
+}
+
+/** A request or response field with its validation constraints; nested objects and arrays recurse */
+export interface PayloadField {
+  /** JSON type, "date", "any", "unknown", "union" or an unresolved named type such as a DTO */
+  type: string;
+  required: boolean;
+  nullable?: boolean;
+  enum?: unknown[];
+  default?: unknown;
+  /** e.g. "email", "uuid", "date-time" */
+  format?: string;
+  /** String length, array size or numeric bound, depending on the type */
+  min?: number;
+  max?: number;
+  pattern?: string;
+  description?: string;
+  /** Array item type */
+  items?: PayloadField;
+  /** Object members */
+  properties?: Record<string, PayloadField>;
+  /** Map value type, i.e. Record<string, T> */
+  values?: PayloadField;
+  /** Members of a "union" */
+  variants?: PayloadField[];
+}
+
+export interface ApiPayload {
+  request?: Record<string, PayloadField>;
+  /** Fields of the success (2xx) bodies */
+  response?: Record<string, PayloadField>;
+  /** Status code (or "default") -> body, null when the response has none, e.g. { "201": {...}, "404": null } */
+  responses?: Record<string, PayloadField | null>;
+}
+
+export interface GraphQLOperation {
+  name: string;
+  /** Argument name -> GraphQL type, e.g. { id: "ID!", limit: "Int = 10" } */
+  args: Record<string, string>;
+  returnType: string;
+  /** Resolver map entry or code-first resolver method; name is null for inline functions */
+  resolver: { name: string | null; file: string; line: number | null } | null;
+  /** Directives as written in the SDL, e.g. ["@auth(requires: ADMIN)"] */
+  directives: string[];
+  /** Auth directives, guards and graphql-shield rules joined with " + " */
+  auth: string | null;
+  /** File declaring the operation (SDL or code-first resolver) */
+  file: string;
+  line: number | null;
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+export interface GraphQLSummary {
+  queries: GraphQLOperation[];
+  mutations: GraphQLOperation[];
+  subscriptions: GraphQLOperation[];
+}
+
+export interface RealtimeEvent {
+  event: string;
+  /** inbound: listened for by the server; outbound: emitted to clients */
+  direction: 'inbound' | 'outbound';
+  /** Socket.IO namespace or ws server path; null when it cannot be traced */
+  namespace: string | null;
+  /** Rooms targeted with to()/in() */
+  rooms: string[];
+  handler: string | null;
+  payload: SchemaFields | null;
+  file: string;
+  line: number | null;
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+export interface MessageChannel {
+  /** Topic, queue, exchange or event name; null when it is only known at runtime */
+  channel: string | null;
+  /** Source text of a dynamic channel, e.g. "topic" or "config.kafka.topic"; null when `channel` is known */
+  expression: string | null;
+  transport: 'kafka' | 'rabbitmq' | 'bullmq' | 'event-emitter';
+  /** Enclosing class, or the file name for module-level code */
+  producers: Array<{ service: string; file: string; line: number | null }>;
+  consumers: Array<{ service: string; handler: string | null; file: string; line: number | null }>;
+  /** RabbitMQ exchanges the queue is bound to */
+  bindings: string[];
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+export interface BackgroundJob {
+  name: string | null;
+  type: 'node-cron' | 'cron' | 'node-schedule' | 'nestjs' | 'agenda' | 'bullmq' | 'setInterval';
+  /** Cron expression, interval in milliseconds or schedule as written, e.g. "*\/5 * * * *" */
+  schedule: string | null;
+  /** Human-readable schedule, e.g. "every 5 minutes"; "dynamic" when only known at runtime, null for an invalid cron expression */
+  cadence: string | null;
+  handler: string | null;
+  /** Services and models the handler touches */
+  services: string[];
+  models: string[];
+  file: string;
+  line: number | null;
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+/** A disagreement between an OpenAPI/Swagger spec file and the code */
+export interface SpecDrift {
+  /** "METHOD /path", using the code path when the route exists in code */
+  endpoint: string;
+  kind: 'undocumented' | 'unimplemented' | 'undocumented-field' | 'unimplemented-field' | 'type-mismatch';
+  section: 'request' | 'response' | null;
+  /** Dotted path for nested fields, e.g. "items[].quantity" */
+  field: string | null;
+  /** Field types on each side, e.g. spec "integer (required)" vs code "string" */
+  spec: string | null;
+  code: string | null;
+  /** Spec file, or the route's source file for undocumented routes */
+  file: string;
+  line: number | null;
+  /** Present on summaries merged from several roots */
+  repository?: string;
+}
+
+/** Present on summaries merged from several roots */
+export interface RepositoryInfo {
+  name: string;
+  root: string;
+  git: GitInfo;
+  frameworks: Frameworks;
+}
+
+export interface CodebaseSummary {
+  schemaVersion: string;
+  generatedAt: string;
+  repositories?: RepositoryInfo[];
+  git: GitInfo | Record<string, never>;
+  modules: string[];
+  services: ServiceSummary;
+  apiRoutes: ApiRouteSummary;
+  dbModels: string[];
+  utils: UtilitySummary;
+  frameworks: Frameworks;
+  globalPatterns: string[];
+  /** Service name -> services it depends on */
+  serviceDependencies: Record<string, string[]>;
+  /** Model name -> fields */
+  schemaSnapshots: Record<string, SchemaFields>;
+  /** "METHOD /path" -> request/response fields */
+  apiPayloads: Record<string, ApiPayload>;
+  /** "METHOD /path" -> policy, e.g. "JWT Required + Role: admin" */
+  authPolicies: Record<string, string>;
+  /** Service name -> method name -> steps */
+  businessFlows: Record<string, Record<string, string[]>>;
+  graphql: GraphQLSummary;
+  /** Socket.IO, ws and NestJS gateway events */
+  realtimeEvents: RealtimeEvent[];
+  /** Message queue and event bus topology */
+  messageChannels: MessageChannel[];
+  /** Scheduled and recurring background work */
+  backgroundJobs: BackgroundJob[];
+  /** Spec files compared against the code */
+  apiSpecDrift: SpecDrift[];
+}
+
+// ---------------------------------------------------------------------------
+// Options
+// ---------------------------------------------------------------------------
+
+export interface Logger {
+  info?(...args: unknown[]): void;
+  warn?(...args: unknown[]): void;
+  error?(...args: unknown[]): void;
+}
+
+export interface LoggerOptions {
+  /** Receives progress and warning output instead of the console */
+  logger?: Logger;
+  /** Suppresses all output */
+  silent?: boolean;
+}
+
+export interface ProjectConfig {
+  ignore: string[];
+  patterns: {
+    routes: string[];
+    /** File-system routing (Next.js, Nuxt/Nitro, Remix) */
+    fileRoutes: string[];
+    /** GraphQL SDL documents (.graphql, .gql) */
+    graphql: string[];
+    /** Standalone OpenAPI/Swagger documents and their $ref targets */
+    apiSpecs: string[];
+    models: string[];
+    services: string[];
+    utils: string[];
+    sources: string[];
+  };
+  internalRoutes: string[];
+  businessHints: string[];
+  utilityHints: string[];
+}
+
+/** Contents of .codebase-summary.json / codebase-summary.config.js */
+export interface UserConfig {
+  extendDefaults?: boolean;
+  ignore?: string | string[];
+  patterns?: Partial<Record<keyof ProjectConfig['patterns'], string | string[]>>;
+  internalRoutes?: string | string[];
+  businessHints?: string | string[];
+  utilityHints?: string | string[];
+}
+
+export type ExtractorName =
+  | 'services'
+  | 'routes'
+  | 'models'
+  | 'utils'
+  | 'patterns'
+  | 'interactions'
+  | 'payloads'
+  | 'auth'
+  | 'flows'
+  | 'schemas'
+  | 'graphql'
+  | 'realtime'
+  | 'messaging'
+  | 'jobs'
+  | 'specs';
+
+export interface SummarizerOptions extends LoggerOptions {
+  /** Directory to analyze (default: process.cwd()) */
+  projectRoot?: string;
+  outputFile?: string;
+  /** Max items per category (default: 100) */
+  limit?: number;
+  /** Tool version, part of the cache key */
+  version?: string;
+  /** Set to true to keep the incremental cache in `cacheFile`; off by default for library use (the CLI turns it on) */
+  cache?: boolean;
+  /** Cache location relative to the project root, default .codebase-summary-cache.json; setting it turns the cache on */
+  cacheFile?: string;
+  rebuild?: boolean;
+  /** Config file path; auto-detected in the project root when omitted */
+  configFile?: string | null;
+  /** Extra globs or directory names to ignore */
+  exclude?: string[];
+  deepAnalysis?: boolean;
+  includeFlows?: boolean;
+  only?: ExtractorName[];
+  skip?: ExtractorName[];
+  fileIndex?: FileIndex;
+  parser?: SourceParser;
+}
+
+export interface ExtractorOptions extends LoggerOptions {
+  config?: ProjectConfig;
+  fileIndex?: FileIndex;
+  parser?: SourceParser;
+  cache?: AnalysisCache;
+  /** Shared router mount resolution (route, payload and auth extractors) */
+  routeResolver?: RouteResolver;
+}
+
+// ---------------------------------------------------------------------------
+// Classes
+// ---------------------------------------------------------------------------
+
+export const EXTRACTORS: ExtractorName[];
+export const DEEP_EXTRACTORS: ExtractorName[];
+
+export class Summarizer {
+  constructor(options?: SummarizerOptions);
+  projectRoot: string;
+  limit: number;
+  summary: CodebaseSummary;
+  analyze(): Promise<CodebaseSummary>;
+}
+
+export function summarize(projectRoot: string, options?: Omit<SummarizerOptions, 'projectRoot'>): Promise<CodebaseSummary>;
+
+declare abstract class Extractor<T> {
+  constructor(projectRoot: string, limit?: number, options?: ExtractorOptions);
+  projectRoot: string;
+  limit: number;
+  extract(): Promise<T>;
+}
+
+export class ServiceClassifier extends Extractor<ServiceSummary> {}
+export class ApiRouteExtractor extends Extractor<ApiRouteSummary> {}
+export class DbModelExtractor extends Extractor<{ models: string[]; schemas: Record<string, SchemaFields> }> {}
+export class UtilityAnalyzer extends Extractor<UtilitySummary> {}
+export class ServiceInteractionExtractor extends Extractor<Record<string, string[]>> {}
+export class SchemaSnapshotExtractor extends Extractor<Record<string, SchemaFields>> {}
+export class PayloadExtractor extends Extractor<Record<string, ApiPayload>> {}
+export class AuthPolicyExtractor extends Extractor<Record<string, string>> {}
+export class BusinessLogicFlowExtractor extends Extractor<Record<string, Record<string, string[]>>> {
+  static generateMarkdownFlow(serviceName: string, flows: Record<string, string[]>): string;
+}
+
+export class GraphQLExtractor extends Extractor<GraphQLSummary> {}
+export class RealtimeEventExtractor extends Extractor<RealtimeEvent[]> {}
+export class MessageChannelExtractor extends Extractor<MessageChannel[]> {}
+export class ScheduledJobExtractor extends Extractor<BackgroundJob[]> {}
+
+export class ApiSpecExtractor {
+  constructor(projectRoot: string, limit?: number, options?: ExtractorOptions);
+  projectRoot: string;
+  limit: number;
+  /** Pass the code-derived results, or null for extractors that did not run */
+  extract(code?: { apiRoutes?: ApiRouteSummary | null; apiPayloads?: Record<string, ApiPayload> | null }): Promise<{
+    apiRoutes: ApiRouteSummary;
+    apiPayloads: Record<string, ApiPayload>;
+    drift: SpecDrift[];
+  }>;
+}
+
+export class PatternDetector {
+  constructor(projectRoot: string, dependencies?: Record<string, string>, options?: ExtractorOptions);
+  extract(): Promise<string[]>;
+}
+
+export class FrameworkDetector {
+  constructor(projectRoot: string, options?: LoggerOptions);
+  dependencies: Record<string, string>;
+  detect(): Promise<Frameworks>;
+}
+
+export class GitMetadata {
+  static extract(projectRoot: string): GitInfo;
+  /** Checks a ref out into a temporary git worktree; call remove() when done */
+  static checkout(projectRoot: string, ref: string): { root: string; remove(): void };
+}
+
+export interface FileIndexEntry {
+  path: string;
+  relativePath: string;
+  content: string;
+  hash: string;
+  size: number;
+  language: 'javascript' | 'typescript' | 'graphql' | 'json' | 'yaml' | 'unknown';
+  roles: Array<'route' | 'model' | 'service' | 'util'>;
+}
+
+export class FileIndex {
+  constructor(projectRoot: string, options?: { config?: ProjectConfig; maxFileSize?: number });
+  build(): Promise<FileIndex>;
+  get(file: string): FileIndexEntry | null;
+  match(patterns: string | string[], ignore?: string[]): Promise<string[]>;
+  byRole(role: FileIndexEntry['roles'][number]): Promise<string[]>;
+  stats(): { files: number; bytes: number; languages: Record<string, number>; roles: Record<string, number> };
+}
+
+export class RouteResolver {
+  constructor(projectRoot: string, options?: Omit<ExtractorOptions, 'routeResolver'>);
+  /** Router ("file#variable") -> every prefix it is mounted under */
+  resolve(): Promise<Map<string, string[]>>;
+  prefixesFor(file: string, objectName: string): Promise<string[]>;
+  fullPaths(file: string, objectName: string, routePath: string): Promise<string[]>;
+}
+
+export function joinRoutePath(prefix: string, routePath: string): string;
+
+export class SourceParser {
+  constructor(options?: { fileIndex?: FileIndex });
+  parseFile(filePath: string): Promise<{ file: string; content: string; ast: object | null }>;
+  parseSource(content: string, filePath?: string): object | null;
+  clear(): void;
+}
+
+export const DEFAULT_CACHE_FILE: string;
+
+export class AnalysisCache {
+  constructor(options?: { cacheFile?: string | null; fileIndex?: FileIndex; key?: string; rebuild?: boolean });
+  readonly enabled: boolean;
+  load(): Promise<AnalysisCache>;
+  save(): Promise<void>;
+  analyzeFiles<T>(namespace: string, files: string[], analyze: (file: string) => Promise<T>): Promise<T[]>;
+  stats(): { analyzed: number; reused: number };
+}
+
+export interface Formatter {
+  extension?: string;
+  render(summary: CodebaseSummary): string;
+}
+
+export class OutputFormatter {
+  static register(name: string, formatter: Formatter): void;
+  static get(name?: string): Required<Formatter>;
+  static available(): string[];
+  static format(summary: CodebaseSummary, name?: string): string;
+}
+
+export class SummaryMerger {
+  static merge(results: Array<{ repository: string; root: string; summary: CodebaseSummary }>): CodebaseSummary;
+  static repositoryNames(roots: string[]): string[];
+}
+
+export class SummaryValidator {
+  /** The JSON Schema shipped as schema/codebase-summary.schema.json */
+  static schema(): object;
+  /** A summary with another schemaVersion fails with a single version-mismatch error */
+  static validate(summary: unknown): { valid: boolean; errors: string[] };
+  static assertValid(summary: unknown): CodebaseSummary;
+}
+
+export interface FieldChange {
+  field: string;
+  change: 'added' | 'removed' | 'changed';
+  before?: string;
+  after?: string;
+}
+
+export interface ChangeImpactReport {
+  base: string;
+  head: string;
+  hasChanges: boolean;
+  /** Sections only one summary has entries in (e.g. "payloads" against a run without deep analysis); they are not compared */
+  skipped: string[];
+  routes: {
+    added: Array<{ route: string; visibility: 'public' | 'internal' }>;
+    removed: Array<{ route: string; visibility: 'public' | 'internal' }>;
+  };
+  authPolicies: {
+    added: Array<{ endpoint: string; policy: string }>;
+    removed: Array<{ endpoint: string; policy: string }>;
+    changed: Array<{ endpoint: string; before: string; after: string }>;
+  };
+  serviceDependencies: {
+    added: Array<{ service: string; dependency: string }>;
+    removed: Array<{ service: string; dependency: string }>;
+  };
+  schemaSnapshots: {
+    addedModels: string[];
+    removedModels: string[];
+    changedFields: Array<FieldChange & { model: string }>;
+  };
+  apiPayloads: {
+    added: string[];
+    removed: string[];
+    changed: Array<FieldChange & { endpoint: string; part: 'request' | 'response' | 'responses' }>;
+  };
+}
+
+export class SummaryDiff {
+  static compare(base: CodebaseSummary, head: CodebaseSummary, labels?: { base?: string; head?: string }): ChangeImpactReport;
+  static toMarkdown(report: ChangeImpactReport): string;
+}
+
+export interface OpenApiOptions {
+  /** Defaults to the repository name(s) from the summary */
+  title?: string;
+  /** Defaults to the short git SHA */
+  version?: string;
+}
+
+/** OpenAPI 3.1 document; operations carry x-source, x-auth-policy and x-internal extensions */
+export interface OpenApiDocument {
+  openapi: '3.1.0';
+  info: { title: string; version: string; description?: string };
+  /** Template path, e.g. "/orders/{orderId}" -> lower-case method -> operation */
+  paths: Record<string, Record<string, Record<string, unknown>>>;
+  components?: { securitySchemes: Record<string, Record<string, unknown>> };
+  /** Same path and method from several repositories of a merged summary; the first one is kept */
+  'x-conflicts'?: Array<{ path: string; method: string; kept: string; dropped: string }>;
+  /** Routes whose method has no OpenAPI operation (ALL routes are expanded into GET, PUT, POST, DELETE and PATCH instead) */
+  'x-skipped-routes'?: Array<{ method: string; path: string; source: string }>;
+}
+
+export class OpenApiGenerator {
+  static generate(summary: CodebaseSummary, options?: OpenApiOptions): OpenApiDocument;
+}
+
+export const CONFIG_FILES: string[];
+export function defaultConfig(): ProjectConfig;
+export function resolveConfig(userConfig?: UserConfig): ProjectConfig;
+export function excludeGlobs(excludes?: string | string[]): string[];
+export function loadProjectConfig(projectRoot: string, configFile?: string | null): Promise<{ config: ProjectConfig; source: string | null }>;
+
+export const consoleLogger: Required<Logger>;
+export const silentLogger: Required<Logger>;
+export function createLogger(options?: LoggerOptions): Required<Logger>;
@@ -1,7 +1,13 @@
 #!/usr/bin/env node
 
 import { Summarizer } from './src/summarizer.js';
+import { OutputFormatter } from './src/outputFormatter.js';
+import { SummaryMerger } from './src/summaryMerger.js';
+import { SummaryValidator } from './src/summaryValidator.js';
+import { SummaryDiff } from './src/summaryDiff.js';
+import { GitMetadata } from './src/gitMetadata.js';
 import minimist from 'minimist';
+import YAML from 'yaml';
 import fs from 'fs/promises';
 import path from 'path';
 import packageData from './package.json' assert { type: 'json' };
@@ -11,32 +17,176 @@ const { version } = packageData;
 async function run() {
   console.log(`🚀 Codebase Summary Bot v${version}\n==============================`);
 
-  const args = minimist(process.argv.slice(2));
-  const projectRoot = process.cwd();
-
-  const outputFile = args.output || 'codebase-summary.json';
-  const limit = parseInt(args.limit || '100');
+  // Boolean flags are declared so a following positional root is not taken as their value
+  const args = minimist(process.argv.slice(2), {
+    boolean: ['cache', 'rebuild', 'deep-analysis', 'include-flows', 'merge'],
+    string: ['output', 'format', 'config', 'cache-file', 'base', 'head'],
+    default: { cache: true, 'include-flows': true }
+  });
 
   try {
-    const summarizer = new Summarizer({
-      projectRoot,
-      outputFile,
-      limit
-    });
-
-    const summary = await summarizer.analyze();
-
-    await fs.writeFile(
-      path.join(projectRoot, outputFile),
-      JSON.stringify(summary, null, 2),
-      'utf8'
-    );
+    // Subcommands come first; anything else is a project root
+    const [command] = args._;
+    if (command === 'validate') {
+      return await validate(args._.slice(1));
+    }
+    if (command === 'diff') {
+      return await diff(args, args._.slice(1));
+    }
 
-    console.log(`✅ Summary written to ${outputFile}`);
+    await analyze(args);
   } catch (err) {
     console.error('💥 Summary failed:', err);
     process.exit(1);
   }
 }
 
+async function analyze(args) {
+  const format = args.format || 'json';
+  const formatter = OutputFormatter.get(format);
+  const outputFile = args.output || `codebase-summary.${formatter.extension}`;
+
+  // Target directories: positional arguments and/or --root, defaulting to the current directory
+  const roots = [...args._, ...listArg(args.root)].map(root => path.resolve(String(root)));
+  if (roots.length === 0) roots.push(process.cwd());
+  const repositories = SummaryMerger.repositoryNames(roots);
+
+  const results = [];
+  for (const [i, projectRoot] of roots.entries()) {
+    const stat = await fs.stat(projectRoot).catch(() => null);
+    if (!stat || !stat.isDirectory()) {
+      throw new Error(`Project root not found: ${projectRoot}`);
+    }
+    if (roots.length > 1) {
+      console.log(`\n📂 ${repositories[i]} (${projectRoot})`);
+    }
+
+    const summarizer = new Summarizer({ ...summarizerOptions(args), projectRoot, outputFile });
+
+    results.push({ repository: repositories[i], root: projectRoot, summary: await summarizer.analyze() });
+  }
+
+  if (results.length === 1 || args.merge) {
+    const summary = results.length === 1 ? results[0].summary : SummaryMerger.merge(results);
+    await writeSummary(outputFile, summary, format);
+  } else {
+    // One file per repository: codebase-summary.json -> codebase-summary.<repository>.json
+    const ext = path.extname(outputFile);
+    for (const { repository, summary } of results) {
+      await writeSummary(`${outputFile.slice(0, outputFile.length - ext.length)}.${repository}${ext}`, summary, format);
+    }
+  }
+}
+
+// `diff <base.json> <head.json>` compares two summaries; `diff --base=<ref> [--head=<ref>] [root]`
+// analyzes git refs instead (the head defaults to the working tree)
+async function diff(args, files) {
+  let base;
+  let head;
+  let labels = {};
+
+  if (args.base) {
+    const projectRoot = path.resolve(String(files[0] || '.'));
+    // The change report needs auth, payload and dependency data, so deep analysis is always on
+    const options = { ...summarizerOptions(args), deepAnalysis: true };
+
+    console.log(`\n📂 Analyzing ${args.base}`);
+    base = await summarizeRef(projectRoot, args.base, options);
+    if (args.head) {
+      console.log(`\n📂 Analyzing ${args.head}`);
+      head = await summarizeRef(projectRoot, args.head, options);
+    } else {
+      console.log('\n📂 Analyzing working tree');
+      head = await new Summarizer({ ...options, projectRoot }).analyze();
+    }
+    labels = { base: args.base, head: args.head || 'working tree' };
+  } else {
+    if (files.length !== 2) {
+      throw new Error('Usage: codebase-summary-bot diff <base.json> <head.json> | diff --base=<ref> [--head=<ref>] [root]');
+    }
+    [base, head] = await Promise.all(files.map(readSummary));
+    labels = { base: String(files[0]), head: String(files[1]) };
+  }
+
+  const report = SummaryDiff.compare(base, head, labels);
+  const format = args.format || 'markdown';
+  if (!['markdown', 'md', 'json'].includes(format)) {
+    throw new Error(`Unknown diff format "${format}" (available: markdown, json)`);
+  }
+  const outputFile = args.output || `codebase-summary-diff.${format === 'json' ? 'json' : 'md'}`;
+  const output = format === 'json' ? JSON.stringify(report, null, 2) : SummaryDiff.toMarkdown(report);
+
+  await fs.writeFile(path.resolve(outputFile), `${output}\n`, 'utf8');
+  console.log(`✅ Change impact written to ${outputFile}${report.hasChanges ? '' : ' (no changes)'}`);
+}
+
+async function summarizeRef(projectRoot, ref, options) {
+  const checkout = GitMetadata.checkout(projectRoot, ref);
+  try {
+    // Temporary checkouts are never worth caching
+    return await new Summarizer({ ...options, projectRoot: checkout.root, cache: false }).analyze();
+  } finally {
+    checkout.remove();
+  }
+}
+
+// `validate [file...]`: checks existing summaries (JSON or YAML) against the schema
+async function validate(files) {
+  if (files.length === 0) files = ['codebase-summary.json'];
+
+  let failed = false;
+  for (const file of files) {
+    const summary = await readSummary(file);
+    const { valid, errors } = SummaryValidator.validate(summary);
+
+    if (valid) {
+      console.log(`✅ ${file} matches the summary schema`);
+    } else {
+      failed = true;
+      console.error(`❌ ${file} does not match the summary schema:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+    }
+  }
+
+  if (failed) process.exit(1);
+}
+
+// Summaries can be read back from JSON or YAML output
+async function readSummary(file) {
+  const raw = await fs.readFile(path.resolve(String(file)), 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(raw) : JSON.parse(raw);
+}
+
+function summarizerOptions(args) {
+  return {
+    limit: parseInt(args.limit || '100'),
+    version,
+    cache: args.cache,
+    cacheFile: args['cache-file'],
+    configFile: args.config ? path.resolve(args.config) : null,
+    exclude: listArg(args.exclude),
+    deepAnalysis: args['deep-analysis'],
+    includeFlows: args['include-flows'],
+    only: listArg(args.only),
+    skip: listArg(args.skip),
+    rebuild: args.rebuild
+  };
+}
+
+// Output paths are relative to the directory the command runs in
+async function writeSummary(outputFile, summary, format) {
+  SummaryValidator.assertValid(summary);
+
+  const file = path.resolve(outputFile);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, OutputFormatter.format(summary, format), 'utf8');
+  console.log(`✅ Summary written to ${outputFile}`);
+}
+
+// Comma-separated and repeated flags both work: --skip=utils,patterns --skip=auth
+function listArg(value) {
+  if (value === undefined || value === true || value === false) return [];
+  return [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+}
+
 run();
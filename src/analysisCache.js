@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+// Layout of the cache file itself; changes to what extractors produce are caught by the analyzer hash
+const CACHE_FORMAT_VERSION = 9;
+
+const SOURCE_DIR = path.dirname(fileURLToPath(import.meta.url));
+const ANALYZER_FILES = [path.join(SOURCE_DIR, '..', 'config.js')];
+
+let analyzerHash = null;
+
+// Hash of the analyzer's own sources (src/ and the config defaults), so any code change invalidates
+// cached fragments without a version to bump by hand
+export async function analyzerVersion() {
+  if (!analyzerHash) {
+    analyzerHash = (async () => {
+      const sources = (await fs.readdir(SOURCE_DIR)).filter(name => name.endsWith('.js')).sort().map(name => path.join(SOURCE_DIR, name));
+      const hash = crypto.createHash('sha1');
+      for (const file of [...sources, ...ANALYZER_FILES]) {
+        hash.update(path.basename(file)).update(await fs.readFile(file));
+      }
+      return hash.digest('hex');
+    })();
+  }
+  return analyzerHash;
+}
+
+export const DEFAULT_CACHE_FILE = '.codebase-summary-cache.json';
+
+// Persistent per-file extractor results keyed by content hash. Without a cache file
+// (the default for extractors used standalone) every file is simply analyzed.
+export class AnalysisCache {
+  constructor(options = {}) {
+    this.cacheFile = options.cacheFile || null;
+    this.fileIndex = options.fileIndex || null;
+    this.key = options.key || '';
+    this.rebuild = !!options.rebuild;
+    this.files = {};
+    this.reusedFiles = new Set();
+    this.analyzedFiles = new Set();
+  }
+
+  get enabled() {
+    return !!(this.cacheFile && this.fileIndex);
+  }
+
+  async load() {
+    if (!this.enabled || this.rebuild) return this;
+
+    try {
+      const raw = await fs.readFile(this.cacheFile, 'utf8');
+      const data = JSON.parse(raw);
+
+      // Results produced by other analyzer code or with different options cannot be reused
+      if (data.formatVersion === CACHE_FORMAT_VERSION && data.analyzer === await analyzerVersion() && data.key === this.key) {
+        this.files = data.files || {};
+      }
+    } catch {
+      // Missing or corrupt cache: start from scratch
+      this.files = {};
+    }
+
+    return this;
+  }
+
+  async save() {
+    if (!this.enabled) return;
+
+    // Drop files that no longer exist (or are no longer analyzed)
+    const seen = new Set([...this.reusedFiles, ...this.analyzedFiles]);
+    const files = {};
+    for (const [relativePath, record] of Object.entries(this.files)) {
+      if (seen.has(relativePath)) files[relativePath] = record;
+    }
+
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await fs.writeFile(
+      this.cacheFile,
+      JSON.stringify({ formatVersion: CACHE_FORMAT_VERSION, analyzer: await analyzerVersion(), key: this.key, files }),
+      'utf8'
+    );
+  }
+
+  // Runs `analyze(file)` for every file whose content changed since the cached run,
+  // returning cached fragments for the rest. Fragments must be JSON-serializable.
+  async analyzeFiles(namespace, files, analyze) {
+    if (!this.enabled) {
+      return Promise.all(files.map(file => analyze(file)));
+    }
+
+    return Promise.all(files.map(async file => {
+      const entry = this.fileIndex.get(file);
+      if (!entry) return analyze(file);
+
+      const record = this.files[entry.relativePath];
+      if (record && record.hash === entry.hash && namespace in record.results) {
+        this.reusedFiles.add(entry.relativePath);
+        return record.results[namespace];
+      }
+
+      const fragment = await analyze(file);
+
+      if (!record || record.hash !== entry.hash) {
+        this.files[entry.relativePath] = { hash: entry.hash, results: {} };
+      }
+      this.files[entry.relativePath].results[namespace] = fragment === undefined ? null : fragment;
+      this.analyzedFiles.add(entry.relativePath);
+
+      return fragment;
+    }));
+  }
+
+  stats() {
+    const analyzed = this.analyzedFiles.size;
+    const reused = [...this.reusedFiles].filter(file => !this.analyzedFiles.has(file)).length;
+    return { analyzed, reused };
+  }
+}
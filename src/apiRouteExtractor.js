@@ -1,79 +1,154 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser, findRouteCalls, findControllerRoutes, memberPath, calleeName, describeMiddleware, isFunctionNode, unwrapExpression } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { RouteResolver } from './routeResolver.js';
+import { findFileRoutes } from './fileRoutes.js';
 
 export class ApiRouteExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
-    this.publicRoutes = new Set();
-    this.internalRoutes = new Set();
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.routeResolver = options.routeResolver || new RouteResolver(projectRoot, {
+      config: this.config, fileIndex: this.fileIndex, parser: this.parser, cache: this.cache
+    });
+    this.internalPatterns = this.config.internalRoutes.map(pattern => new RegExp(pattern, 'i'));
+    this.publicRoutes = new Map();
+    this.internalRoutes = new Map();
+    this.fileRouteFiles = new Set();
   }
 
   async extract() {
-    const routePatterns = [
-      '**/routes/**/*.{js,ts}',
-      '**/controllers/**/*.{js,ts}',
-      '**/api/**/*.{js,ts}',
-      '**/*router*.{js,ts}',
-      '**/*route*.{js,ts}'
-    ];
-
-    const files = await fg(routePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match([...this.config.patterns.routes, ...this.config.patterns.fileRoutes]);
+    this.fileRouteFiles = new Set(await this.fileIndex.match(this.config.patterns.fileRoutes));
 
-    await Promise.all(files.map(file => this.processFile(file)));
+    const fragments = await this.cache.analyzeFiles('apiRoutes', files, file => this.processFile(file));
+    for (const [i, fragment] of fragments.entries()) {
+      await this.mergeFragment(files[i], fragment);
+    }
 
     return {
-      publicRoutes: [...this.publicRoutes].sort().slice(0, this.limit),
-      internalRoutes: [...this.internalRoutes].sort().slice(0, this.limit)
+      publicRoutes: sortRoutes(this.publicRoutes).slice(0, this.limit),
+      internalRoutes: sortRoutes(this.internalRoutes).slice(0, this.limit)
     };
   }
 
+  // Per-file result: the routes registered in one file, cacheable by content hash.
+  // Mount prefixes depend on other files, so they are applied when merging.
   async processFile(file) {
+    const fragment = { routes: [] };
+
     try {
-      const content = await fs.readFile(file, 'utf8');
-      const routeRegexes = [
-        /router\.(get|post|put|patch|delete|use)\s*\(\s*['"`]([^'"`]+)['"`]/g,
-        /app\.(get|post|put|patch|delete|use)\s*\(\s*['"`]([^'"`]+)['"`]/g,
-        /\.route\s*\(\s*['"`]([^'"`]+)['"`]/g
-      ];
-
-      for (const regex of routeRegexes) {
-        let match;
-        while ((match = regex.exec(content)) !== null) {
-          let route = match[2] || match[1];
-          if (!route.startsWith('/')) continue;
-          route = this.normalizeRoute(route);
-          if (this.isValid(route)) {
-            if (this.isInternal(route)) {
-              this.internalRoutes.add(route);
-            } else {
-              this.publicRoutes.add(route);
-            }
-          }
+      const { ast, content } = await this.parser.parseFile(file);
+
+      for (const routeCall of findRouteCalls(ast)) {
+        if (routeCall.method === 'USE' || !routeCall.path.startsWith('/')) continue;
+
+        // router.get('/path', ...middleware, handler)
+        const args = routeCall.args.flatMap(arg => arg.type === 'ArrayExpression' ? arg.elements.filter(Boolean) : [arg]);
+        const handler = args[args.length - 1];
+
+        fragment.routes.push({
+          method: routeCall.method,
+          path: routeCall.path,
+          objectName: routeCall.objectName,
+          start: routeCall.node.start,
+          middleware: args.slice(0, -1).map(arg => describeMiddleware(arg, content)),
+          handler: handler ? this.handlerName(handler) : null,
+          line: routeCall.node.loc?.start.line ?? null
+        });
+      }
+
+      // NestJS: guards, interceptors and pipes stand in for middleware
+      for (const route of findControllerRoutes(ast)) {
+        fragment.routes.push({
+          method: route.method,
+          path: route.path,
+          rawPath: route.rawPath,
+          controller: route.className,
+          version: route.version,
+          middleware: route.decorators
+            .filter(decorator => ['UseGuards', 'UseInterceptors', 'UsePipes'].includes(decorator.name))
+            .flatMap(decorator => decorator.args.map(arg => describeMiddleware(arg, content))),
+          handler: [route.className, route.methodName].filter(Boolean).join('.') || null,
+          line: route.node.loc?.start.line ?? null
+        });
+      }
+
+      // Next.js, Nuxt/Nitro and Remix: the path comes from the file's location
+      if (this.fileRouteFiles.has(file)) {
+        for (const route of findFileRoutes(this.routeResolver.relativePath(file), ast)) {
+          fragment.routes.push({ ...route, objectName: null, middleware: [] });
         }
       }
     } catch {
       // Silent fail for unreadable files
     }
+
+    return fragment;
+  }
+
+  async mergeFragment(file, fragment) {
+    if (!fragment) return;
+
+    const relativePath = this.routeResolver.relativePath(file);
+
+    for (const { method, path: routePath, rawPath = routePath, objectName, start, controller, version, middleware, handler, line } of fragment.routes) {
+      // Middleware the routers on the way were mounted with runs before the route's own
+      const chains = controller !== undefined
+        ? (await this.routeResolver.nestPaths(routePath, version)).map(fullPath => ({ fullPath, middleware: [] }))
+        : await this.routeResolver.routeChains(file, objectName, routePath, start);
+
+      for (const chain of chains) {
+        // rawPath keeps [id] and {id} as written
+        const fullPath = colonPath(this.normalizeRoute(chain.fullPath));
+        if (!this.isValid(fullPath)) continue;
+
+        // /users/:userId and /users/:id are the same route; the first registration wins
+        const routes = this.isInternal(fullPath) ? this.internalRoutes : this.publicRoutes;
+        const key = `${method} ${routeKey(fullPath)}`;
+        if (routes.has(key)) continue;
+
+        routes.set(key, {
+          method,
+          fullPath,
+          rawPath,
+          params: routeParams(fullPath),
+          middleware: [...chain.middleware.map(entry => entry.name), ...middleware],
+          handler,
+          file: relativePath,
+          line
+        });
+      }
+    }
   }
 
+  // orderController.create, asyncHandler(createOrder) -> createOrder; null for anonymous inline handlers
+  handlerName(node) {
+    node = unwrapExpression(node);
+
+    if (isFunctionNode(node)) return node.id?.name || null;
+    if (node.type === 'CallExpression') {
+      const wrapped = node.arguments.find(arg => isFunctionNode(arg) || memberPath(arg));
+      return wrapped ? this.handlerName(wrapped) : `${calleeName(node)}()`;
+    }
+    return memberPath(node);
+  }
+
+  // Parameter names are kept as written; routeKey() is what treats them as equivalent
   normalizeRoute(route) {
-    route = route.replace(/:[^\/]+/g, ':id');
-    route = route.replace(/\[.*?\]/g, ':id');
-    route = route.split('?')[0];
-    route = route.replace(/\/+$/, '');
-    return route || '/';
+    return normalizePath(route);
   }
 
   isValid(route) {
     const skip = [
       /^\/+$/,
-      /^\/(:id\/?)+$/,
+      /^(\/(:[^/]+|\[[^\]]+\]|\{[^}]+\}))+$/,
       /^\/middleware/i,
       /^\/test/i,
       /^\/health/i
@@ -82,9 +157,75 @@ export class ApiRouteExtractor {
   }
 
   isInternal(route) {
-    const internal = [
-      /\/admin/i, /\/internal/i, /\/debug/i, /\/metrics/i, /\/analytics/i, /\/cron/i, /\/webhook/i, /\/logs/i
-    ];
-    return internal.some(pattern => pattern.test(route));
+    return this.internalPatterns.some(pattern => pattern.test(route));
   }
 }
+
+// Express `:name`, optionally constrained `:name(\\d+)`, optional `:name?` or repeated `:name*` / `:name+`;
+// Next.js `[name]`, `[...name]`, `[[...name]]`; Hapi `{name}`, `{name?}`, `{name*}`
+const PARAM_PATTERN = /:(?<name>\w+)(?:\((?<pattern>(?:[^()\\]|\\.|\([^()]*\))*)\))?(?<modifier>[?*+])?|\[(?:\[\.\.\.(?<optionalName>\w+)\]|(?:\.\.\.)?(?<bracketName>\w+))\]|\{(?<braceName>\w+)(?<braceOptional>\?)?(?:\*\d*)?\}/g;
+
+// Segment-wise parameter metadata: /users/:userId/files/:fileId(\\d+) ->
+// [{ name: userId, position: 1, pattern: null, optional: false }, { name: fileId, position: 3, pattern: '\\d+', ... }]
+export function routeParams(routePath) {
+  return routePath.split('/').filter(Boolean).flatMap((segment, position) =>
+    [...segment.matchAll(PARAM_PATTERN)].map(({ groups }) => ({
+      name: paramName(groups),
+      position,
+      pattern: groups.pattern ?? null,
+      optional: ['?', '*'].includes(groups.modifier) || !!(groups.optionalName || groups.braceOptional)
+    })));
+}
+
+// OpenAPI path template with constraints and modifiers dropped: /files/:id(\\d+)/[...path] -> /files/{id}/{path}
+export function routeTemplate(routePath) {
+  return routePath.replace(PARAM_PATTERN, (...match) => `{${paramName(match[match.length - 1])}}`);
+}
+
+// The route list's :param form for every parameter syntax, so file, Hapi and spec routes read like
+// Express ones: /users/[id] and /users/{id} -> /users/:id, [...slug] -> :slug+, [[...slug]] and {slug*} -> :slug*
+export function colonPath(routePath) {
+  return routePath.replace(PARAM_PATTERN, (match, ...rest) => {
+    const groups = rest[rest.length - 1];
+    if (groups.name) return match;
+    if (groups.optionalName) return `:${groups.optionalName}*`;
+    if (groups.bracketName) return `:${groups.bracketName}${match.startsWith('[...') ? '+' : ''}`;
+    return `:${groups.braceName}${groups.braceOptional ? '?' : match.includes('*') ? '*' : ''}`;
+  });
+}
+
+function normalizePath(route) {
+  // Query strings, but not optional parameters such as /:lang?
+  route = route.replace(/\?[^/]*=.*$/, '');
+  route = route.replace(/\/+$/, '');
+  return route || '/';
+}
+
+function paramName(groups) {
+  return groups.name || groups.optionalName || groups.bracketName || groups.braceName;
+}
+
+// Dedup key with parameter names and constraints erased: /users/:userId(\\d+) -> /users/:param
+export function routeKey(routePath) {
+  return routePath.replace(PARAM_PATTERN, ':param');
+}
+
+// Re-keys "METHOD /path" entries from other extractors onto the registration the route list kept, so
+// GET /users/:id/orders/:oid lands on GET /users/:userId/orders/:orderId; entries that meet are merged
+export function alignRouteKeys(entries, apiRoutes, merge = existing => existing) {
+  const kept = new Map([...apiRoutes.publicRoutes, ...apiRoutes.internalRoutes]
+    .map(route => [`${route.method} ${routeKey(route.fullPath)}`, `${route.method} ${route.fullPath}`]));
+  const aligned = {};
+
+  for (const [key, value] of Object.entries(entries || {})) {
+    const [method, ...rest] = key.split(' ');
+    const target = kept.get(`${method} ${routeKey(normalizePath(rest.join(' ')))}`) || key;
+    aligned[target] = target in aligned ? merge(aligned[target], value) : value;
+  }
+  return aligned;
+}
+
+export function sortRoutes(routes) {
+  const order = route => `${route.fullPath} ${route.method}`;
+  return [...routes.values()].sort((a, b) => (order(a) < order(b) ? -1 : order(a) > order(b) ? 1 : 0));
+}
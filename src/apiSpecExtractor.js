@@ -0,0 +1,429 @@
+import path from 'path';
+import fs from 'fs/promises';
+import YAML, { LineCounter } from 'yaml';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { colonPath, routeKey, routeParams, sortRoutes } from './apiRouteExtractor.js';
+import { createLogger } from './logger.js';
+import { payloadField, mergeFields, mergeResponses, jsonSchemaFacets, fieldText } from './payloadFields.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Recursive schemas (a User with friends: User[]) stop after this many nested $refs
+const MAX_REF_DEPTH = 8;
+
+// Coarse JSON types used to compare spec and code field types
+const FIELD_KINDS = {
+  string: 'string',
+  date: 'string',
+  objectid: 'string',
+  uuid: 'string',
+  number: 'number',
+  integer: 'number',
+  int: 'number',
+  float: 'number',
+  double: 'number',
+  decimal: 'number',
+  bigint: 'number',
+  boolean: 'boolean',
+  bool: 'boolean',
+  array: 'array',
+  object: 'object',
+  record: 'object'
+};
+
+// Standalone OpenAPI 3 / Swagger 2 documents as a second source of routes and payloads.
+// Code-derived data wins; the spec fills the gaps and every disagreement is reported as drift.
+export class ApiSpecExtractor {
+  constructor(projectRoot, limit = 100, options = {}) {
+    this.projectRoot = projectRoot;
+    this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
+    this.internalPatterns = this.config.internalRoutes.map(pattern => new RegExp(pattern, 'i'));
+    // Parsed documents by absolute path, including $ref targets outside the spec patterns
+    this.documents = new Map();
+  }
+
+  // `apiRoutes` / `apiPayloads` are the code-derived results, or null when their extractor did not run
+  // (route and payload drift are then not reported). Returns the merged routes and payloads plus the drift.
+  async extract({ apiRoutes = null, apiPayloads = null } = {}) {
+    this.logger.info('📜 Importing OpenAPI/Swagger specs...');
+
+    const files = await this.fileIndex.match(this.config.patterns.apiSpecs);
+    const fragments = await this.cache.analyzeFiles('apiSpecs', files, file => this.parseSpecFile(file));
+    fragments.forEach((fragment, i) => this.documents.set(files[i], fragment?.document ?? null));
+
+    const operations = [];
+    for (const [i, fragment] of fragments.entries()) {
+      if (!fragment?.spec) continue;
+      try {
+        operations.push(...await this.specOperations(files[i], fragment));
+      } catch (error) {
+        this.logger.warn(`⚠️ Error analyzing API spec in ${files[i]}:`, error.message);
+      }
+    }
+
+    return this.reconcile(operations, apiRoutes, apiPayloads);
+  }
+
+  // Per-file result: { spec, document, lines: { 'get /orders': 12 } } - any JSON/YAML file may be a $ref target,
+  // only documents with a top-level `openapi` or `swagger` version are specs
+  async parseSpecFile(file) {
+    try {
+      const lineCounter = new LineCounter();
+      const parsed = YAML.parseDocument(this.fileIndex.get(file).content, { lineCounter });
+      if (parsed.errors.length > 0) throw parsed.errors[0];
+
+      const document = parsed.toJS({ maxAliasCount: -1 });
+      const spec = !!document && typeof document === 'object' && (typeof document.openapi === 'string' || typeof document.swagger === 'string');
+      const lines = {};
+
+      for (const pathPair of spec ? parsed.get('paths', true)?.items || [] : []) {
+        for (const methodPair of pathPair.value?.items || []) {
+          const method = String(methodPair.key?.value).toLowerCase();
+          if (!HTTP_METHODS.includes(method)) continue;
+          lines[`${method} ${pathPair.key.value}`] = methodPair.key.range ? lineCounter.linePos(methodPair.key.range[0]).line : null;
+        }
+      }
+
+      return { spec, document, lines };
+    } catch (error) {
+      this.logger.warn(`⚠️ Error analyzing API spec in ${file}:`, error.message);
+      return null;
+    }
+  }
+
+  // One entry per documented operation: { method, path, rawPath, operationId, request, response, responses, file, line }
+  async specOperations(file, { document, lines }) {
+    const basePath = specBasePath(document);
+    const relativePath = this.fileIndex.get(file).relativePath;
+    const operations = [];
+
+    for (const [specPath, pathItemNode] of Object.entries(document.paths || {})) {
+      const { node: pathItem, file: pathFile } = await this.deref(pathItemNode, file);
+      if (!pathItem || typeof pathItem !== 'object') continue;
+
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation || typeof operation !== 'object') continue;
+
+        operations.push({
+          method: method.toUpperCase(),
+          // Spec-only routes read like extracted ones: /orders/{id} -> /orders/:id
+          path: colonPath(joinPath(basePath, specPath)),
+          rawPath: specPath,
+          operationId: typeof operation.operationId === 'string' ? operation.operationId : null,
+          request: await this.requestFields(operation, pathItem, pathFile),
+          response: await this.responseFields(operation, pathFile),
+          responses: await this.responseBodies(operation, pathFile),
+          file: relativePath,
+          line: lines[`${method} ${specPath}`] ?? null
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  // Body properties plus query/form parameters, like the code extractors report them; path
+  // parameters are part of the route and headers are left out
+  async requestFields(operation, pathItem, file) {
+    const fields = {};
+
+    for (const parameterNode of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+      const { node: parameter, file: parameterFile } = await this.deref(parameterNode, file);
+      if (!parameter?.name) continue;
+
+      if (parameter.in === 'body') {
+        Object.assign(fields, await this.objectFields(parameter.schema, parameterFile));
+      } else if (['query', 'formData'].includes(parameter.in)) {
+        fields[parameter.name] = await this.schemaField(parameter.schema || parameter, parameterFile, parameter.required === true);
+      }
+    }
+
+    const { node: body, file: bodyFile } = await this.deref(operation.requestBody, file);
+    const schema = jsonMedia(body?.content)?.schema;
+    if (schema) Object.assign(fields, await this.objectFields(schema, bodyFile));
+
+    return fields;
+  }
+
+  // The first 2xx (or default) response describes the success payload
+  async responseFields(operation, file) {
+    const success = Object.entries(operation.responses || {})
+      .filter(([status]) => /^(2\d\d|2xx|default)$/i.test(status))
+      .sort(([a], [b]) => a.localeCompare(b))[0];
+    if (!success) return {};
+
+    const { node: response, file: responseFile } = await this.deref(success[1], file);
+    const schema = jsonMedia(response?.content)?.schema || response?.schema;
+    return schema ? this.objectFields(schema, responseFile) : {};
+  }
+
+  // Status code -> body for every documented response; 2XX-style ranges are left out
+  async responseBodies(operation, file) {
+    const bodies = {};
+
+    for (const [status, responseNode] of Object.entries(operation.responses || {})) {
+      if (!/^([1-5]\d\d|default)$/.test(status)) continue;
+      const { node: response, file: responseFile } = await this.deref(responseNode, file);
+      const schema = jsonMedia(response?.content)?.schema || response?.schema;
+      bodies[status] = schema ? await this.schemaField(schema, responseFile) : null;
+    }
+    return bodies;
+  }
+
+  async objectFields(schemaNode, file, seen = []) {
+    const schema = await this.flatten(schemaNode, file, seen);
+    return schema?.properties ? this.propertyFields(schema, schema.seen) : {};
+  }
+
+  async propertyFields(schema, seen) {
+    const fields = {};
+    const required = Array.isArray(schema.required) ? schema.required : [];
+
+    for (const [name, property] of Object.entries(schema.properties)) {
+      fields[name] = await this.schemaField(property, schema.file, required.includes(name), seen);
+    }
+    return fields;
+  }
+
+  // JSON Schema -> payload field; a recursive schema ends in a field typed with the name of its $ref
+  async schemaField(schemaNode, file, required = false, seen = []) {
+    const schema = await this.flatten(schemaNode, file, seen);
+    if (!schema) return payloadField(refName(schemaNode) || 'unknown', { required });
+
+    const chain = schema.seen;
+    const types = [].concat(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'unknown'));
+    const type = types.filter(name => name !== 'null');
+    const facets = { required, nullable: schema.nullable === true || types.includes('null') || undefined, ...jsonSchemaFacets(schema) };
+
+    if (schema.properties) return payloadField('object', { ...facets, properties: await this.propertyFields(schema, chain) });
+    if (type.includes('array') || schema.items) {
+      return payloadField('array', { ...facets, items: schema.items ? await this.schemaField(schema.items, schema.file, false, chain) : undefined });
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      return payloadField('object', { ...facets, values: await this.schemaField(schema.additionalProperties, schema.file, false, chain) });
+    }
+    if (type.length > 1) return payloadField('union', { ...facets, variants: type.map(name => payloadField(name)) });
+    return payloadField(type[0] || 'unknown', facets);
+  }
+
+  // Resolves $refs and folds allOf members into one schema; oneOf/anyOf object variants contribute
+  // their properties. The result carries the file it came from and the $ref chain that led to it.
+  async flatten(schemaNode, file, seen) {
+    const { node: schema, file: schemaFile, seen: chain } = await this.deref(schemaNode, file, seen);
+    if (!schema || typeof schema !== 'object') return null;
+
+    const merged = { ...schema, file: schemaFile, seen: chain };
+    const parts = [...(schema.allOf || []), ...(schema.properties ? [] : [...(schema.oneOf || []), ...(schema.anyOf || [])])];
+
+    for (const partNode of parts) {
+      const part = await this.flatten(partNode, schemaFile, chain);
+      if (!part) continue;
+      if (part.properties) {
+        merged.properties = { ...merged.properties, ...Object.fromEntries(Object.entries(part.properties).map(([name, value]) => [name, { $resolved: value, file: part.file }])) };
+      }
+      if (schema.allOf?.includes(partNode)) {
+        merged.required = [...(merged.required || []), ...(part.required || [])];
+        merged.type = merged.type || part.type;
+      } else if (!merged.properties && part.type) {
+        // oneOf: [{ type: string }, { type: integer }] -> "string | integer"
+        merged.variants = [...(merged.variants || []), ...[].concat(part.type)];
+      }
+    }
+    if (!merged.type && !merged.properties && merged.variants) merged.type = [...new Set(merged.variants)];
+
+    return merged;
+  }
+
+  // Follows $ref chains: "#/components/schemas/User", "./schemas/user.yaml", "common.yaml#/Error".
+  // Properties folded in from another file are wrapped as { $resolved, file } so their refs resolve there.
+  async deref(node, file, seen = []) {
+    if (node?.$resolved !== undefined) return this.deref(node.$resolved, node.file, seen);
+    if (!node || typeof node.$ref !== 'string') return { node, file, seen };
+
+    const [target, pointer = ''] = node.$ref.split('#');
+    if (/^[a-z]+:\/\//i.test(target)) return { node: null, file, seen };
+
+    const targetFile = target ? path.resolve(path.dirname(file), target) : file;
+    const id = `${targetFile}#${pointer}`;
+    if (seen.includes(id) || seen.length >= MAX_REF_DEPTH) return { node: null, file, seen };
+
+    const document = await this.loadDocument(targetFile);
+    return this.deref(jsonPointer(document, pointer), targetFile, [...seen, id]);
+  }
+
+  async loadDocument(file) {
+    if (this.documents.has(file)) return this.documents.get(file);
+
+    let document = null;
+    // Only files inside the project are followed
+    if (!path.relative(this.projectRoot, file).startsWith('..')) {
+      try {
+        document = YAML.parse(await fs.readFile(file, 'utf8'), { maxAliasCount: -1 });
+      } catch {
+        // Missing or unparseable $ref targets resolve to nothing
+      }
+    }
+    this.documents.set(file, document);
+    return document;
+  }
+
+  reconcile(operations, apiRoutes, apiPayloads) {
+    const routes = {
+      publicRoutes: [...(apiRoutes?.publicRoutes || [])],
+      internalRoutes: [...(apiRoutes?.internalRoutes || [])]
+    };
+    const payloads = { ...(apiPayloads || {}) };
+    const drift = [];
+    if (operations.length === 0) return { apiRoutes: routes, apiPayloads: payloads, drift };
+
+    // Matched like the route extractor dedupes: parameter names do not matter
+    const codeRoutes = new Map([...routes.publicRoutes, ...routes.internalRoutes].map(route => [`${route.method} ${routeKey(route.fullPath)}`, route]));
+    const documented = new Set();
+
+    for (const operation of operations) {
+      const key = `${operation.method} ${routeKey(operation.path)}`;
+      // The same operation in two specs: the first one wins
+      if (documented.has(key)) continue;
+      documented.add(key);
+
+      const route = codeRoutes.get(key);
+      const endpoint = `${operation.method} ${route ? route.fullPath : operation.path}`;
+      const location = { file: operation.file, line: operation.line };
+
+      if (!route) {
+        if (apiRoutes) drift.push(driftEntry(endpoint, 'unimplemented', location));
+        (this.isInternal(operation.path) ? routes.internalRoutes : routes.publicRoutes).push({
+          method: operation.method,
+          fullPath: operation.path,
+          rawPath: operation.rawPath,
+          params: routeParams(operation.path),
+          middleware: [],
+          handler: operation.operationId,
+          file: operation.file,
+          line: operation.line
+        });
+      }
+
+      const code = payloads[endpoint] || { request: {}, response: {}, responses: {} };
+      if (route && apiPayloads) {
+        const pathParams = new Set(route.params.map(param => param.name));
+        drift.push(
+          ...compareFields(endpoint, 'request', operation.request, code.request, pathParams, location),
+          ...compareFields(endpoint, 'response', operation.response, code.response, pathParams, location)
+        );
+      }
+      if ([operation.request, operation.response, operation.responses].some(part => Object.keys(part).length > 0)) {
+        payloads[endpoint] = {
+          request: mergeFields({ ...operation.request }, code.request),
+          response: mergeFields({ ...operation.response }, code.response),
+          responses: mergeResponses({ ...operation.responses }, code.responses || {})
+        };
+      }
+    }
+
+    if (apiRoutes) {
+      for (const [key, route] of codeRoutes) {
+        if (!documented.has(key)) drift.push(driftEntry(`${route.method} ${route.fullPath}`, 'undocumented', route));
+      }
+    }
+
+    this.logger.info(`📜 Imported ${documented.size} operations from API specs, ${drift.length} drift findings`);
+    return {
+      apiRoutes: { publicRoutes: sortRoutes(routes.publicRoutes), internalRoutes: sortRoutes(routes.internalRoutes) },
+      apiPayloads: payloads,
+      drift
+    };
+  }
+
+  isInternal(route) {
+    return this.internalPatterns.some(pattern => pattern.test(route));
+  }
+}
+
+// Fields only compared when both sides report some: an empty side usually means the extractor saw nothing.
+// Nested objects and arrays of objects are compared member by member: "items[].quantity".
+function compareFields(endpoint, section, specFields, codeFields, ignored, location, prefix = '') {
+  if (Object.keys(specFields).length === 0 || Object.keys(codeFields).length === 0) return [];
+
+  const names = [...new Set([...Object.keys(specFields), ...Object.keys(codeFields)])].filter(name => prefix || !ignored.has(name));
+  return names.flatMap(name => {
+    const spec = specFields[name];
+    const code = codeFields[name];
+    const field = prefix ? `${prefix}.${name}` : name;
+    const details = { section, field, spec: describeField(spec), code: describeField(code) };
+
+    if (spec === undefined) return [driftEntry(endpoint, 'undocumented-field', location, details)];
+    if (code === undefined) return [driftEntry(endpoint, 'unimplemented-field', location, details)];
+    if (!sameKind(spec, code)) return [driftEntry(endpoint, 'type-mismatch', location, details)];
+
+    return spec.items?.properties && code.items?.properties
+      ? compareFields(endpoint, section, spec.items.properties, code.items.properties, ignored, location, `${field}[]`)
+      : compareFields(endpoint, section, spec.properties || {}, code.properties || {}, ignored, location, field);
+  });
+}
+
+function driftEntry(endpoint, kind, { file, line }, details = {}) {
+  return { endpoint, kind, section: null, field: null, spec: null, code: null, ...details, file, line };
+}
+
+function describeField(field) {
+  return field === undefined ? null : fieldText(field);
+}
+
+// Types match when their coarse kinds overlap; unknown and named types (DTOs, enums) match anything
+function sameKind(spec, code) {
+  const specKinds = fieldKinds(spec);
+  const codeKinds = fieldKinds(code);
+  if (!specKinds || !codeKinds) return true;
+  return [...specKinds].some(kind => codeKinds.has(kind));
+}
+
+function fieldKinds(field) {
+  if (field.enum) return new Set(field.enum.map(value => typeof value));
+  if (field.type === 'array') return new Set(['array']);
+  if (field.properties || field.values) return new Set(['object']);
+  if (field.type === 'union') {
+    const kinds = (field.variants || []).map(fieldKinds);
+    return kinds.length === 0 || kinds.includes(null) ? null : new Set(kinds.flatMap(kind => [...kind]));
+  }
+
+  const kind = FIELD_KINDS[field.type.replace(/<.*$/, '').split('.').pop().toLowerCase()];
+  return kind ? new Set([kind]) : null;
+}
+
+// OpenAPI 3 servers[0].url or Swagger 2 basePath, as a path prefix: "https://api.example.com/v1" -> "/v1"
+function specBasePath(document) {
+  const url = document.servers?.[0]?.url ?? document.basePath ?? '';
+  const pathname = String(url).replace(/^[^/]*\/\/[^/]*/, '');
+  return pathname.replace(/\/+$/, '');
+}
+
+function joinPath(basePath, specPath) {
+  return `${basePath}/${specPath.replace(/^\/+/, '')}`.replace(/\/+$/, '') || '/';
+}
+
+function jsonMedia(content) {
+  if (!content || typeof content !== 'object') return null;
+  const type = Object.keys(content).find(name => /json/i.test(name)) || Object.keys(content)[0];
+  return type ? content[type] : null;
+}
+
+// RFC 6901: "/components/schemas/Order~1Line" -> document.components.schemas['Order/Line']
+function jsonPointer(document, pointer) {
+  return pointer.split('/').slice(1)
+    .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, token) => (node && typeof node === 'object' ? node[token] : undefined), document) ?? null;
+}
+
+// "#/components/schemas/User" -> "User", used where a recursive schema stops
+function refName(node) {
+  const ref = node?.$ref || node?.$resolved?.$ref;
+  return typeof ref === 'string' ? ref.split(/[/#]/).filter(Boolean).pop().replace(/\.(json|ya?ml)$/, '') : null;
+}
@@ -1,197 +1,199 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import {
+  SourceParser,
+  findRouteCalls,
+  findControllerRoutes,
+  memberPath,
+  stringValue,
+  nodeText,
+  isFunctionNode,
+  getProperty,
+  literalValue
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { RouteResolver, scopedRouteKey, routeScope } from './routeResolver.js';
+import { createLogger } from './logger.js';
 
 export class AuthPolicyExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.routeResolver = options.routeResolver || new RouteResolver(projectRoot, {
+      config: this.config, fileIndex: this.fileIndex, parser: this.parser, cache: this.cache
+    });
+    this.logger = createLogger(options);
     this.authPolicies = {};
   }
 
   async extract() {
-    console.log('🔐 Extracting authentication policies...');
+    this.logger.info('🔐 Extracting authentication policies...');
     
     // Find route/controller files
-    const routePatterns = [
-      '**/routes/**/*.{js,ts}',
-      '**/controllers/**/*.{js,ts}',
-      '**/api/**/*.{js,ts}',
-      '**/*Controller.{js,ts}',
-      '**/*controller.{js,ts}',
-      '**/*Route.{js,ts}',
-      '**/*route.{js,ts}'
-    ];
-
-    const files = await fg(routePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
-
-    await Promise.all(files.map(file => this.analyzeRouteFile(file)));
+    const files = await this.fileIndex.match(this.config.patterns.routes);
+
+    const fragments = await this.cache.analyzeFiles('authPolicies', files, file => this.analyzeRouteFile(file));
+    for (const [i, fragment] of fragments.entries()) {
+      if (!fragment) continue;
+      // Keys are qualified with mount prefixes only now, since those come from other files
+      Object.assign(this.authPolicies, await this.routeResolver.qualifyKeys(files[i], fragment.policies, fragment.routers));
+      await this.mergeMountPolicies(files[i], fragment);
+    }
 
     return this.authPolicies;
   }
 
+  // Guards applied with use() on the routers a route is mounted through, or on its own router,
+  // come before the route's own: api.use('/users', authenticate, usersRouter), router.use(requireRole('admin'))
+  async mergeMountPolicies(file, { policies, routers }) {
+    for (const [key, route] of Object.entries(routers)) {
+      if (route.router === undefined) continue;
+
+      for (const { fullPath, middleware } of await this.routeResolver.routeChains(file, route.router, route.path, route.start)) {
+        const mounted = this.combinePolicies(middleware.map(entry => this.extractAuthPolicyFromSource(entry.source)));
+        if (mounted) this.authPolicies[`${route.method} ${fullPath}`] = this.combinePolicies([mounted, policies[key]]);
+      }
+    }
+  }
+
+  // Per-file result, keyed by scoped route key ('router METHOD /path'): { policies: { key: policy }, routers: { key: routeScope } }
   async analyzeRouteFile(filePath) {
+    const policies = {};
+    const routers = {};
+
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      
-      this.analyzeExpressMiddleware(content);
-      this.analyzeNestJSGuards(content);
-      this.analyzePassportStrategies(content);
-      this.analyzeCustomAuthMiddleware(content);
-      this.analyzeJWTMiddleware(content);
-      
+      const { content, ast } = await this.parser.parseFile(filePath);
+      if (!ast) return { policies, routers };
+
+      findRouteCalls(ast)
+        .filter(route => route.method !== 'USE')
+        .forEach(route => { routers[this.routeKey(route)] = routeScope(route); });
+      findControllerRoutes(ast)
+        .forEach(route => { routers[this.routeKey(route)] = routeScope(route); });
+
+      this.analyzeExpressMiddleware(policies, ast, content);
+      this.analyzeNestJSGuards(policies, ast, content);
+
     } catch (error) {
-      console.warn(`⚠️ Error analyzing auth policies in ${filePath}:`, error.message);
+      this.logger.warn(`⚠️ Error analyzing auth policies in ${filePath}:`, error.message);
     }
+
+    return { policies, routers };
   }
 
-  analyzeExpressMiddleware(content) {
-    // Route-level middleware: router.get('/path', middleware, handler)
-    const routeMiddlewareMatches = content.matchAll(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"],\s*([^,)]+),\s*([^)]+)\)/g);
-    
-    for (const match of routeMiddlewareMatches) {
-      const method = match[2].toUpperCase();
-      const route = match[3];
-      const middleware = match[4].trim();
-      
-      const fullRoute = `${method} ${route}`;
-      const authPolicy = this.extractAuthPolicyFromMiddleware(middleware);
-      
+  analyzeExpressMiddleware(policies, ast, content) {
+    const routes = findRouteCalls(ast).filter(route => route.method !== 'USE');
+
+    // Route-level middleware: router.get('/path', jwtAuth(), requireRole('admin'), handler)
+    for (const route of routes) {
+      const handlers = route.args;
+      const middleware = isFunctionNode(handlers[handlers.length - 1]) || handlers.length > 1
+        ? handlers.slice(0, -1)
+        : [];
+
+      const authPolicy = this.combinePolicies([
+        ...middleware.map(node => this.extractAuthPolicyFromNode(node, content)),
+        this.extractAuthPolicyFromHapiOptions(route.options)
+      ]);
       if (authPolicy) {
-        this.authPolicies[fullRoute] = authPolicy;
+        policies[this.routeKey(route)] = authPolicy;
       }
     }
+  }
+
+  analyzeNestJSGuards(policies, ast, content) {
+    for (const route of findControllerRoutes(ast)) {
+      // Controller guards run before the method's own, and both apply
+      const authPolicy = this.extractAuthPolicyFromDecorators(route.decorators, content);
 
-    // Router-level middleware: router.use(middleware)
-    const routerMiddlewareMatches = content.matchAll(/(router|app)\.use\s*\(\s*([^)]+)\)/g);
-    
-    for (const match of routerMiddlewareMatches) {
-      const middleware = match[2].trim();
-      const authPolicy = this.extractAuthPolicyFromMiddleware(middleware);
-      
       if (authPolicy) {
-        // Apply to all routes in this router
-        this.applyGlobalAuthPolicy(content, authPolicy);
+        policies[this.routeKey(route)] = authPolicy;
       }
     }
+  }
 
-    // Conditional middleware: router.use('/admin', adminAuth)
-    const conditionalMiddlewareMatches = content.matchAll(/(router|app)\.use\s*\(\s*['"](.*?)['"],\s*([^)]+)\)/g);
-    
-    for (const match of conditionalMiddlewareMatches) {
-      const basePath = match[2];
-      const middleware = match[3].trim();
-      const authPolicy = this.extractAuthPolicyFromMiddleware(middleware);
-      
-      if (authPolicy) {
-        this.applyPathBasedAuthPolicy(content, basePath, authPolicy);
+  extractAuthPolicyFromDecorators(decorators, content) {
+    const policies = [];
+
+    for (const decorator of decorators) {
+      if (decorator.name === 'UseGuards') {
+        policies.push(this.extractAuthPolicyFromNestJSGuards(decorator.args.map(arg => nodeText(arg, content)).join(', ')));
+      } else if (decorator.name === 'Roles') {
+        const roles = decorator.args.map(arg => stringValue(arg) ?? nodeText(arg, content));
+        policies.push(`Role: ${roles.join(', ')}`);
       }
     }
+
+    return this.combinePolicies(policies);
   }
 
-  analyzeNestJSGuards(content) {
-    // @UseGuards() decorator
-    const guardMatches = content.matchAll(/@UseGuards\s*\(\s*([^)]+)\s*\)[\s\S]*?@(Get|Post|Put|Patch|Delete)\s*\(\s*['"](.*?)['"]?\s*\)/g);
-    
-    for (const match of guardMatches) {
-      const guards = match[1];
-      const method = match[2].toUpperCase();
-      const route = match[3] || '';
-      
-      const fullRoute = `${method} ${route}`;
-      const authPolicy = this.extractAuthPolicyFromNestJSGuards(guards);
-      
-      if (authPolicy) {
-        this.authPolicies[fullRoute] = authPolicy;
-      }
+  // Middleware the RouteResolver kept as source text
+  extractAuthPolicyFromSource(source) {
+    const content = `(${source})`;
+    const node = this.parser.parseSource(content)?.program.body[0]?.expression;
+    return node ? this.extractAuthPolicyFromNode(node, content) : null;
+  }
+
+  extractAuthPolicyFromNode(node, content) {
+    if (node.type === 'ArrayExpression') {
+      return this.combinePolicies(node.elements.map(element => this.extractAuthPolicyFromNode(element, content)));
     }
 
-    // Controller-level guards
-    const controllerGuardMatches = content.matchAll(/@UseGuards\s*\(\s*([^)]+)\s*\)[\s\S]*?@Controller/g);
-    
-    for (const match of controllerGuardMatches) {
-      const guards = match[1];
-      const authPolicy = this.extractAuthPolicyFromNestJSGuards(guards);
-      
-      if (authPolicy) {
-        this.applyControllerAuthPolicy(content, authPolicy);
+    if (node.type === 'CallExpression') {
+      const name = memberPath(node.callee) || '';
+      const functionName = name.split('.').pop();
+      const args = node.arguments.map(arg => stringValue(arg)).filter(arg => arg !== null);
+
+      // passport.authenticate('jwt', { session: false })
+      if (name === 'passport.authenticate') {
+        return this.extractAuthPolicyFromPassport(args[0] || 'unknown', nodeText(node.arguments[1], content));
       }
-    }
-  }
 
-  analyzePassportStrategies(content) {
-    // passport.authenticate() calls
-    const passportMatches = content.matchAll(/passport\.authenticate\s*\(\s*['"](.*?)['"](?:,\s*\{([^}]*)\})?\s*\)/g);
-    
-    for (const match of passportMatches) {
-      const strategy = match[1];
-      const options = match[2];
-      
-      const authPolicy = this.extractAuthPolicyFromPassport(strategy, options);
-      const routeContext = this.findRouteContext(content, match.index);
-      
-      if (authPolicy && routeContext) {
-        this.authPolicies[routeContext] = authPolicy;
+      // Role-based auth middleware
+      if (['requireRole', 'hasRole', 'checkRole', 'role', 'requireRoles', 'hasAnyRole'].includes(functionName) && args.length > 0) {
+        return `Role: ${args.join(', ')}`;
       }
-    }
-  }
 
-  analyzeCustomAuthMiddleware(content) {
-    // Custom auth function calls
-    const customAuthMatches = content.matchAll(/(requireAuth|requireLogin|authenticate|authorize|checkAuth|verifyToken|isAuthenticated|isAuthorized)\s*\([^)]*\)/g);
-    
-    for (const match of customAuthMatches) {
-      const authFunction = match[1];
-      const authPolicy = this.normalizeCustomAuthFunction(authFunction);
-      const routeContext = this.findRouteContext(content, match.index);
-      
-      if (authPolicy && routeContext) {
-        this.authPolicies[routeContext] = authPolicy;
+      if (['requirePermission', 'permission', 'hasPermission', 'checkPermission'].includes(functionName) && args.length > 0) {
+        return `Permission: ${args.join(', ')}`;
       }
-    }
 
-    // Role-based auth middleware
-    const roleAuthMatches = content.matchAll(/(requireRole|hasRole|checkRole|requirePermission)\s*\(\s*['"](.*?)['"]?\s*\)/g);
-    
-    for (const match of roleAuthMatches) {
-      const role = match[2];
-      const authPolicy = `Role: ${role}`;
-      const routeContext = this.findRouteContext(content, match.index);
-      
-      if (routeContext) {
-        this.authPolicies[routeContext] = authPolicy;
+      // JWT middleware patterns
+      if (['jwt', 'jwtAuth', 'verifyJWT', 'checkJWT', 'requireJWT', 'authenticateJWT'].includes(functionName)) {
+        return 'JWT Required';
       }
-    }
-  }
 
-  analyzeJWTMiddleware(content) {
-    // JWT middleware patterns
-    const jwtMatches = content.matchAll(/(jwt|jwtAuth|verifyJWT|checkJWT|requireJWT|authenticateJWT)\s*\([^)]*\)/g);
-    
-    for (const match of jwtMatches) {
-      const jwtFunction = match[1];
-      const authPolicy = 'JWT Required';
-      const routeContext = this.findRouteContext(content, match.index);
-      
-      if (routeContext) {
-        this.authPolicies[routeContext] = authPolicy;
+      // Express-jwt usage
+      if (['expressJwt', 'expressjwt'].includes(functionName)) {
+        return this.parseExpressJwtOptions(nodeText(node.arguments[0], content));
       }
-    }
 
-    // Express-jwt usage
-    const expressJwtMatches = content.matchAll(/expressJwt\s*\(\s*\{([^}]+)\}/g);
-    
-    for (const match of expressJwtMatches) {
-      const options = match[1];
-      const authPolicy = this.parseExpressJwtOptions(options);
-      
-      // Apply to routes that use this middleware
-      this.findRoutesUsingExpressJwt(content, authPolicy);
+      // Custom auth function calls
+      if (['requireAuth', 'requireLogin', 'authenticate', 'authorize', 'checkAuth', 'verifyToken', 'isAuthenticated', 'isAuthorized'].includes(functionName)) {
+        return this.normalizeCustomAuthFunction(functionName);
+      }
+
+      // Only the callee is meaningful; arguments such as validation schemas are not auth hints
+      return name ? this.extractAuthPolicyFromMiddleware(name) : null;
     }
+
+    if (isFunctionNode(node)) return null;
+
+    return this.extractAuthPolicyFromMiddleware(nodeText(node, content));
+  }
+
+  combinePolicies(policies) {
+    const distinct = [...new Set(policies.filter(Boolean))];
+    return distinct.length > 0 ? distinct.join(' + ') : null;
+  }
+
+  routeKey(route) {
+    return scopedRouteKey(route);
   }
 
   extractAuthPolicyFromMiddleware(middleware) {
@@ -242,6 +244,21 @@ export class AuthPolicyExtractor {
     return null;
   }
 
+  // Hapi route options: auth: 'jwt' or auth: { strategy: 'jwt', scope: ['admin'] }
+  extractAuthPolicyFromHapiOptions(options) {
+    const auth = literalValue(getProperty(options, 'auth'));
+    if (!auth) return null;
+
+    const { strategy, strategies, scope } = typeof auth === 'string' ? { strategy: auth } : auth;
+    const names = [strategy, ...(Array.isArray(strategies) ? strategies : [])].filter(name => typeof name === 'string');
+    const scopes = (Array.isArray(scope) ? scope : [scope]).filter(name => typeof name === 'string');
+
+    return this.combinePolicies([
+      ...names.map(name => (name === 'jwt' ? 'JWT Required' : `Auth Strategy: ${name}`)),
+      scopes.length > 0 ? `Role: ${scopes.join(', ')}` : null
+    ]) || 'Authenticated';
+  }
+
   extractAuthPolicyFromNestJSGuards(guards) {
     const guardTypes = {
       'AuthGuard': 'Authenticated',
@@ -314,77 +331,4 @@ export class AuthPolicyExtractor {
     
     return policy;
   }
-
-  findRouteContext(content, matchIndex) {
-    // Find the nearest route definition before this middleware
-    const beforeContent = content.substring(0, matchIndex);
-    const routeMatch = beforeContent.match(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"](?:.*?)$/);
-    
-    if (routeMatch) {
-      const method = routeMatch[2].toUpperCase();
-      const route = routeMatch[3];
-      return `${method} ${route}`;
-    }
-
-    // Check for NestJS route decorators
-    const nestRouteMatch = beforeContent.match(/@(Get|Post|Put|Patch|Delete)\s*\(\s*['"](.*?)['"]?\s*\)(?:.*?)$/);
-    if (nestRouteMatch) {
-      const method = nestRouteMatch[1].toUpperCase();
-      const route = nestRouteMatch[2] || '';
-      return `${method} ${route}`;
-    }
-    
-    return null;
-  }
-
-  applyGlobalAuthPolicy(content, authPolicy) {
-    // Find all routes in this file and apply the policy
-    const routeMatches = content.matchAll(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"],?/g);
-    
-    for (const match of routeMatches) {
-      const method = match[2].toUpperCase();
-      const route = match[3];
-      const fullRoute = `${method} ${route}`;
-      
-      if (!this.authPolicies[fullRoute]) {
-        this.authPolicies[fullRoute] = authPolicy;
-      }
-    }
-  }
-
-  applyPathBasedAuthPolicy(content, basePath, authPolicy) {
-    // Find routes that match the base path
-    const routeMatches = content.matchAll(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"],?/g);
-    
-    for (const match of routeMatches) {
-      const method = match[2].toUpperCase();
-      const route = match[3];
-      const fullRoute = `${method} ${route}`;
-      
-      if (route.startsWith(basePath) && !this.authPolicies[fullRoute]) {
-        this.authPolicies[fullRoute] = authPolicy;
-      }
-    }
-  }
-
-  applyControllerAuthPolicy(content, authPolicy) {
-    // Find all NestJS routes in this controller
-    const nestRouteMatches = content.matchAll(/@(Get|Post|Put|Patch|Delete)\s*\(\s*['"](.*?)['"]?\s*\)/g);
-    
-    for (const match of nestRouteMatches) {
-      const method = match[1].toUpperCase();
-      const route = match[2] || '';
-      const fullRoute = `${method} ${route}`;
-      
-      if (!this.authPolicies[fullRoute]) {
-        this.authPolicies[fullRoute] = authPolicy;
-      }
-    }
-  }
-
-  findRoutesUsingExpressJwt(content, authPolicy) {
-    // This would require more sophisticated analysis to track middleware usage
-    // For now, we'll apply it as a global policy if express-jwt is configured globally
-    this.applyGlobalAuthPolicy(content, authPolicy);
-  }
 }
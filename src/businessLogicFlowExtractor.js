@@ -1,66 +1,74 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser, walk, propertyName, isFunctionNode } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
 
 export class BusinessLogicFlowExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
     this.businessFlows = {};
   }
 
   async extract() {
-    console.log('🔄 Extracting business logic flows...');
+    this.logger.info('🔄 Extracting business logic flows...');
     
     // Find service files
-    const servicePatterns = [
-      '**/services/**/*.{js,ts}',
-      '**/*Service.{js,ts}',
-      '**/*service.{js,ts}'
-    ];
-
-    const files = await fg(servicePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match(this.config.patterns.services);
 
-    await Promise.all(files.map(file => this.analyzeServiceFile(file)));
+    const fragments = await this.cache.analyzeFiles('businessFlows', files, file => this.analyzeServiceFile(file));
+    fragments.forEach(fragment => Object.assign(this.businessFlows, fragment));
 
     return this.businessFlows;
   }
 
+  // Per-file result: { serviceName: { method: [steps] } }
   async analyzeServiceFile(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf8');
+      const { content, ast } = await this.parser.parseFile(filePath);
+      if (!ast) return null;
       const filename = path.basename(filePath, path.extname(filePath));
-      
-      const serviceName = this.extractServiceName(filename, content);
-      if (!serviceName) return;
 
-      const methods = this.extractServiceMethods(content);
+      const serviceName = this.extractServiceName(filename, ast);
+      if (!serviceName) return null;
+
+      const methods = this.extractServiceMethods(ast);
       const flows = {};
 
-      for (const method of methods) {
-        const flow = this.analyzeMethodFlow(content, method);
+      for (const [method, bodyNode] of methods) {
+        const flow = this.analyzeMethodFlow(content.slice(bodyNode.start, bodyNode.end));
         if (flow.length > 0) {
           flows[method] = flow;
         }
       }
 
       if (Object.keys(flows).length > 0) {
-        this.businessFlows[serviceName] = flows;
+        return { [serviceName]: flows };
       }
     } catch (error) {
-      console.warn(`⚠️ Error analyzing business flow in ${filePath}:`, error.message);
+      this.logger.warn(`⚠️ Error analyzing business flow in ${filePath}:`, error.message);
     }
+
+    return null;
   }
 
-  extractServiceName(filename, content) {
+  extractServiceName(filename, ast) {
     // Try to extract from class definition first
-    const classMatch = content.match(/(?:export\s+)?class\s+([A-Za-z0-9_]+(?:Service|Controller))/);
-    if (classMatch) {
-      return classMatch[1];
+    let className = null;
+    walk(ast, node => {
+      if (!className && node.type === 'ClassDeclaration' && /(Service|Controller)$/.test(node.id?.name || '')) {
+        className = node.id.name;
+      }
+    });
+    if (className) {
+      return className;
     }
 
     // Fall back to filename
@@ -71,35 +79,31 @@ export class BusinessLogicFlowExtractor {
     return null;
   }
 
-  extractServiceMethods(content) {
-    const methods = [];
+  // Returns [methodName, bodyNode] pairs for class methods, functions and arrow-function members
+  extractServiceMethods(ast) {
+    const methods = new Map();
 
-    // Extract method definitions (both function and arrow function styles)
-    const methodMatches = content.matchAll(/(?:async\s+)?([a-zA-Z_][a-zA-Z0-9_]*)\s*\([^)]*\)\s*(?::\s*[^{]+)?\s*\{/g);
-    
-    for (const match of methodMatches) {
-      const methodName = match[1];
-      
+    const addMethod = (methodName, fn) => {
       // Filter out constructor and common non-business methods
-      if (!this.isBusinessMethod(methodName)) {
-        continue;
-      }
-      
-      methods.push(methodName);
-    }
-
-    // Extract arrow function methods
-    const arrowMethodMatches = content.matchAll(/([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(?:async\s*)?\([^)]*\)\s*=>\s*\{/g);
-    
-    for (const match of arrowMethodMatches) {
-      const methodName = match[1];
-      
-      if (this.isBusinessMethod(methodName)) {
-        methods.push(methodName);
+      if (!methodName || methods.has(methodName) || !this.isBusinessMethod(methodName)) return;
+      if (fn.body.type !== 'BlockStatement') return;
+      methods.set(methodName, fn.body);
+    };
+
+    walk(ast, node => {
+      if (['ClassMethod', 'ObjectMethod'].includes(node.type) && node.kind === 'method') {
+        addMethod(propertyName(node), node);
+      } else if (node.type === 'FunctionDeclaration' && node.id) {
+        addMethod(node.id.name, node);
+      } else if (['ClassProperty', 'ObjectProperty'].includes(node.type) && isFunctionNode(node.value)) {
+        // Extract arrow function methods
+        addMethod(propertyName(node), node.value);
+      } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunctionNode(node.init)) {
+        addMethod(node.id.name, node.init);
       }
-    }
+    });
 
-    return [...new Set(methods)]; // Remove duplicates
+    return [...methods];
   }
 
   isBusinessMethod(methodName) {
@@ -122,20 +126,9 @@ export class BusinessLogicFlowExtractor {
            methodName.length > 2;
   }
 
-  analyzeMethodFlow(content, methodName) {
+  analyzeMethodFlow(methodBody) {
     const flow = [];
-    
-    // Find the method body
-    const methodRegex = new RegExp(
-      `(?:async\\s+)?${methodName}\\s*\\([^)]*\\)\\s*(?::\\s*[^{]+)?\\s*\\{([\\s\\S]*?)\\n\\s*\\}`,
-      'g'
-    );
-    
-    const methodMatch = methodRegex.exec(content);
-    if (!methodMatch) return flow;
-    
-    const methodBody = methodMatch[1];
-    
+
     // Extract flow steps
     this.extractValidationSteps(methodBody, flow);
     this.extractServiceCalls(methodBody, flow);
@@ -368,7 +361,8 @@ export class BusinessLogicFlowExtractor {
     return null;
   }
 
-  generateMarkdownFlow(serviceName, flows) {
+  // Also used by the Markdown output formatter
+  static generateMarkdownFlow(serviceName, flows) {
     let markdown = `### ${serviceName} Flow:\n\n`;
     
     for (const [methodName, steps] of Object.entries(flows)) {
@@ -0,0 +1,177 @@
+// Human-readable cadences for cron expressions, NestJS CronExpression names and intervals:
+//   '*/5 * * * *'              -> every 5 minutes
+//   '0 9 * * 1-5'              -> at 09:00 on Monday–Friday
+//   '15,45 * * * *'            -> every hour at minutes 15 and 45
+//   CronExpression.EVERY_HOUR  -> every hour
+//   300000 (ms)                -> every 5 minutes
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const MACROS = {
+  '@yearly': 'yearly on January 1 at 00:00',
+  '@annually': 'yearly on January 1 at 00:00',
+  '@monthly': 'monthly on day 1 at 00:00',
+  '@weekly': 'weekly on Sunday at 00:00',
+  '@daily': 'daily at 00:00',
+  '@midnight': 'daily at 00:00',
+  '@hourly': 'every hour',
+  '@reboot': 'once at startup'
+};
+
+const UNITS = [
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+  ['second', 1000],
+  ['millisecond', 1]
+];
+
+// Allowed values per field; names are matched on their first three letters (MON, JAN)
+const FIELDS = {
+  second: { min: 0, max: 59 },
+  minute: { min: 0, max: 59 },
+  hour: { min: 0, max: 23 },
+  dayOfMonth: { min: 1, max: 31, special: /^(\?|L|LW|L-\d+|([1-9]|[12]\d|3[01])W)$/ },
+  month: { min: 1, max: 12, names: MONTHS },
+  dayOfWeek: { min: 0, max: 7, names: DAYS, special: /^(\?|L|[0-7]L|[0-7]#[1-5])$/ }
+};
+
+export function isCronExpression(value) {
+  if (typeof value !== 'string') return false;
+  const expression = value.trim();
+  if (MACROS[expression]) return true;
+
+  const fields = cronFields(expression);
+  return fields !== null && Object.entries(fields).every(([field, text]) => isValidField(text, FIELDS[field]));
+}
+
+// Returns null for anything that is not a valid cron expression, e.g. '61 25 * * *'
+export function describeCron(expression) {
+  if (!isCronExpression(expression)) return null;
+  const trimmed = expression.trim();
+  if (MACROS[trimmed]) return MACROS[trimmed];
+
+  const { second, minute, hour, dayOfMonth, month, dayOfWeek } = cronFields(trimmed);
+
+  const parts = [timeOfDay(second, minute, hour)];
+  if (dayOfMonth !== '*' && dayOfMonth !== '?') parts.push(`on ${listOf(dayOfMonth, day => `day ${day}`)} of the month`);
+  if (dayOfWeek !== '*' && dayOfWeek !== '?') parts.push(`on ${listOf(dayOfWeek, day => nameOf(day, DAYS, Number(day) % 7))}`);
+  if (month !== '*') parts.push(`in ${listOf(month, value => nameOf(value, MONTHS, Number(value) - 1))}`);
+
+  // '0 9 * * *' reads better as "daily at 09:00"
+  if (parts.length === 1 && parts[0].startsWith('at ')) return `daily ${parts[0]}`;
+  return parts.join(' ');
+}
+
+// CronExpression.EVERY_DAY_AT_1AM -> every day at 1am
+export function describeCronConstant(name) {
+  return name.split('.').pop().toLowerCase().replace(/_/g, ' ');
+}
+
+export function describeInterval(milliseconds) {
+  if (!Number.isFinite(milliseconds) || milliseconds <= 0) return null;
+
+  const [unit, size] = UNITS.find(([, unitSize]) => milliseconds % unitSize === 0);
+  const count = milliseconds / size;
+  return count === 1 ? `every ${unit}` : `every ${count} ${unit}s`;
+}
+
+// Five fields, or six with seconds first
+function cronFields(expression) {
+  const fields = expression.split(/\s+/);
+  if (fields.length < 5 || fields.length > 6) return null;
+  const [second, minute, hour, dayOfMonth, month, dayOfWeek] = fields.length === 6 ? fields : ['0', ...fields];
+  return { second, minute, hour, dayOfMonth, month, dayOfWeek };
+}
+
+// Comma-separated '*', values and ranges, each with an optional '/step' of at least 1
+function isValidField(field, { min, max, names, special }) {
+  return field.split(',').every(part => {
+    if (special?.test(part)) return true;
+
+    const [range, step, ...rest] = part.split('/');
+    if (rest.length > 0 || (step !== undefined && !(isNumber(step) && Number(step) >= 1))) return false;
+    if (range === '*') return true;
+
+    const bounds = range.split('-');
+    return bounds.length <= 2 && bounds.every(bound => {
+      const value = valueOf(bound, min, names);
+      return value !== null && value >= min && value <= max;
+    });
+  });
+}
+
+function valueOf(bound, min, names) {
+  if (isNumber(bound)) return Number(bound);
+  const index = (names || []).findIndex(name => name.slice(0, 3).toUpperCase() === bound.toUpperCase());
+  return index === -1 ? null : index + min;
+}
+
+function timeOfDay(second, minute, hour) {
+  const seconds = stepOf(second);
+  if (second === '*') return 'every second';
+  if (seconds) return `every ${seconds} seconds`;
+
+  const minutes = stepOf(minute);
+  const hours = stepOf(hour);
+  const within = hour === '*' ? '' : ` ${hourWindow(hour)}`;
+
+  if (minute === '*') return `every minute${within}`;
+  if (minutes) return `every ${minutes} minutes${within}`;
+
+  if (isNumber(minute) && hour === '*') return Number(minute) === 0 ? 'every hour' : `every hour at minute ${minute}`;
+  if (isNumber(minute) && hours) return `every ${hours} hours${Number(minute) === 0 ? '' : ` at minute ${minute}`}`;
+  if (/^[\d,]+$/.test(minute) && /^[\d,]+$/.test(hour)) {
+    const times = hour.split(',').flatMap(hourValue => minute.split(',').map(minuteValue => clock(hourValue, minuteValue)));
+    return `at ${andList(times)}`;
+  }
+
+  // '15,45 * * * *' and '1-5 * * * *' run every hour, not once a day
+  const at = isNumber(minute) ? `at minute ${minute}` : `at minutes ${andList(listParts(minute, value => value))}`;
+  return hour === '*' ? `every hour ${at}` : `${at} ${hourWindow(hour)}`;
+}
+
+function hourWindow(hour) {
+  const range = hour.match(/^(\d+)-(\d+)$/);
+  if (range) return `between ${clock(range[1], 0)} and ${clock(range[2], 59)}`;
+  if (stepOf(hour)) return `every ${stepOf(hour)} hours`;
+  return `during hour ${hour}`;
+}
+
+function listOf(field, name) {
+  return listParts(field, name).join(', ');
+}
+
+// '1-5,10' -> ['1–5', '10'], each value named
+function listParts(field, name) {
+  return field.split(',').map(part => {
+    const range = part.match(/^(\w+)-(\w+)$/);
+    return range ? `${name(range[1])}–${name(range[2])}` : name(part);
+  });
+}
+
+// 1 or MON -> Monday, 3 or MAR -> March
+function nameOf(value, names, index) {
+  if (isNumber(value)) return names[index] || value;
+  return names.find(name => name.slice(0, 3).toUpperCase() === value.toUpperCase()) || value;
+}
+
+// ['15', '45'] -> "15 and 45", ['1', '2', '3'] -> "1, 2 and 3"
+function andList(items) {
+  return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+}
+
+// '*/15' and '0/15' -> 15
+function stepOf(field) {
+  const match = field.match(/^(?:\*|0)\/(\d+)$/);
+  return match ? Number(match[1]) : null;
+}
+
+function isNumber(field) {
+  return /^\d+$/.test(field);
+}
+
+function clock(hour, minute) {
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
@@ -1,31 +1,40 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  stringValue,
+  literalValue,
+  objectEntries,
+  getProperty,
+  propertyName,
+  nodeText,
+  decoratorsOf,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+
+const TYPEORM_COLUMN_DECORATORS = ['Column', 'PrimaryColumn', 'PrimaryGeneratedColumn', 'CreateDateColumn', 'UpdateDateColumn', 'DeleteDateColumn', 'VersionColumn'];
 
 export class DbModelExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
     this.models = new Set();
     this.modelSchemas = {}; // Enhanced: Store detailed field information
   }
 
   async extract() {
-    const modelPatterns = [
-      '**/models/**/*.{js,ts}',
-      '**/schemas/**/*.{js,ts}',
-      '**/entities/**/*.{js,ts}',
-      '**/*Model.{js,ts}',
-      '**/*Schema.{js,ts}'
-    ];
-
-    const files = await fg(modelPatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
-
-    await Promise.all(files.map(file => this.processFile(file)));
+    const files = await this.fileIndex.match(this.config.patterns.models);
+
+    const fragments = await this.cache.analyzeFiles('dbModels', files, file => this.processFile(file));
+    fragments.forEach(fragment => this.mergeFragment(fragment));
 
     // Return both model names and detailed schemas
     return {
@@ -34,228 +43,280 @@ export class DbModelExtractor {
     };
   }
 
+  // Per-file result: model names and field schemas declared in one file
   async processFile(file) {
+    const fragment = { models: new Set(), schemas: {} };
+
     try {
-      const content = await fs.readFile(file, 'utf8');
-      const filename = path.basename(file, path.extname(file));
-
-      // 1️⃣ Extract ES6 class models
-      const classMatches = [...content.matchAll(/class\s+([A-Za-z0-9_]+)/g)];
-      classMatches.forEach(match => {
-        const name = match[1];
-        if (name && !['Model', 'Entity', 'Schema'].includes(name)) {
-          this.models.add(name);
-          // Extract detailed schema for the class
-          this.extractClassSchema(content, name);
+      const { content, ast } = await this.parser.parseFile(file);
+
+      if (ast) {
+        const declarations = collectDeclarations(ast);
+
+        walk(ast, node => {
+          // 1️⃣ Extract ES6 class models (TypeORM entities included)
+          if (node.type === 'ClassDeclaration' && node.id) {
+            const name = node.id.name;
+            if (!['Model', 'Entity', 'Schema'].includes(name)) {
+              fragment.models.add(name);
+              // Extract detailed schema for the class
+              this.extractClassSchema(fragment, node, content);
+            }
+          }
+
+          if (node.type !== 'CallExpression') return;
+          const callee = memberPath(node.callee) || '';
+
+          // 2️⃣ Extract Mongoose models
+          if (callee === 'mongoose.model' || callee.endsWith('connection.model')) {
+            const name = stringValue(node.arguments[0]);
+            if (name) {
+              fragment.models.add(name);
+              this.extractMongooseSchema(fragment, ast, declarations, name, node.arguments[1], content);
+            }
+          }
+
+          // 3️⃣ Extract Sequelize models
+          if (callee === 'sequelize.define') {
+            const rawName = stringValue(node.arguments[0]);
+            if (rawName) {
+              const name = this.capitalize(rawName);
+              fragment.models.add(name);
+              this.extractSequelizeSchema(fragment, name, node.arguments[1], content);
+            }
+          }
+
+          // Model.init({...}) for class-based Sequelize models
+          if (/^[A-Z]\w*\.init$/.test(callee) && node.arguments[0]?.type === 'ObjectExpression') {
+            const name = callee.split('.')[0];
+            if (fragment.models.has(name)) {
+              this.extractSequelizeSchema(fragment, name, node.arguments[0], content);
+            }
+          }
+        });
+
+        // 4️⃣ Extract Schema constants
+        for (const [constName, init] of declarations) {
+          if (!/Schema$/.test(constName) || constName === 'Schema') continue;
+          const name = constName.replace(/Schema$/, '');
+          fragment.models.add(name);
+          this.extractSchemaConstant(fragment, name, init, content);
         }
-      });
-
-      // 2️⃣ Extract Mongoose models
-      const mongooseMatches = [...content.matchAll(/mongoose\.model\s*\(\s*['"`]([^'"`]+)['"`]/g)];
-      mongooseMatches.forEach(match => {
-        const name = match[1];
-        this.models.add(name);
-        this.extractMongooseSchema(content, name);
-      });
-
-      // 3️⃣ Extract Sequelize models
-      const sequelizeMatches = [...content.matchAll(/sequelize\.define\s*\(\s*['"`]([^'"`]+)['"`]/g)];
-      sequelizeMatches.forEach(match => {
-        const name = this.capitalize(match[1]);
-        this.models.add(name);
-        this.extractSequelizeSchema(content, name);
-      });
-
-      // 4️⃣ Extract Schema constants
-      const schemaMatches = [...content.matchAll(/const\s+([A-Za-z0-9_]+Schema)\s*=/g)];
-      schemaMatches.forEach(match => {
-        const name = match[1].replace(/Schema$/, '');
-        this.models.add(name);
-        this.extractSchemaConstant(content, name, match[1]);
-      });
-
-      // 5️⃣ Extract TypeORM entities
-      this.extractTypeORMEntities(content);
+      }
 
-      // 6️⃣ Extract Prisma models
-      this.extractPrismaModels(content);
+      // 5️⃣ Extract Prisma models
+      this.extractPrismaModels(fragment, content);
 
     } catch {
       // Silent fail for unreadable files
     }
+
+    return { models: [...fragment.models], schemas: fragment.schemas };
+  }
+
+  mergeFragment(fragment) {
+    if (!fragment) return;
+    fragment.models.forEach(name => this.models.add(name));
+    Object.assign(this.modelSchemas, fragment.schemas);
   }
 
-  extractClassSchema(content, className) {
+  extractClassSchema(fragment, classNode, content) {
+    const className = classNode.id.name;
+    const isEntity = decoratorsOf(classNode).some(d => d.name === 'Entity') ||
+      classNode.body.body.some(member => decoratorsOf(member).some(d => TYPEORM_COLUMN_DECORATORS.includes(d.name)));
+
     // Extract TypeORM entity fields
-    if (content.includes('@Entity') || content.includes('@Column')) {
-      this.modelSchemas[className] = this.parseTypeORMSchema(content, className);
+    if (isEntity) {
+      fragment.schemas[className] = this.parseTypeORMSchema(classNode, content);
     }
     // Extract generic class properties
     else {
-      this.modelSchemas[className] = this.parseGenericClassFields(content, className);
+      fragment.schemas[className] = this.parseGenericClassFields(classNode, content);
     }
   }
 
-  extractMongooseSchema(content, modelName) {
-    // Find mongoose.Schema() definition
-    const schemaRegex = /new\s+(?:mongoose\.)?Schema\s*\(\s*\{([^}]+)\}/g;
-    const match = schemaRegex.exec(content);
-    
-    if (match) {
-      this.modelSchemas[modelName] = this.parseMongooseFields(match[1]);
+  extractMongooseSchema(fragment, ast, declarations, modelName, schemaArg, content) {
+    // Resolve the schema passed to mongoose.model(), falling back to the first Schema in the file
+    let schemaNode = schemaArg?.type === 'Identifier' ? declarations.get(schemaArg.name) : schemaArg;
+
+    if (!this.isMongooseSchema(schemaNode)) {
+      schemaNode = null;
+      walk(ast, node => {
+        if (!schemaNode && this.isMongooseSchema(node)) schemaNode = node;
+      });
     }
-  }
 
-  extractSequelizeSchema(content, modelName) {
-    // Find sequelize.define() definition
-    const defineRegex = new RegExp(`sequelize\\.define\\s*\\(\\s*['"\`]${modelName}['"\`],\\s*\\{([^}]+)\\}`, 'i');
-    const match = defineRegex.exec(content);
-    
-    if (match) {
-      this.modelSchemas[modelName] = this.parseSequelizeFields(match[1]);
+    if (schemaNode) {
+      fragment.schemas[modelName] = this.parseMongooseFields(schemaNode.arguments[0], content);
     }
   }
 
-  extractSchemaConstant(content, modelName, schemaName) {
-    const schemaRegex = new RegExp(`const\\s+${schemaName}\\s*=\\s*new\\s+(?:mongoose\\.)?Schema\\s*\\(\\s*\\{([^}]+)\\}`, 'g');
-    const match = schemaRegex.exec(content);
-    
-    if (match) {
-      this.modelSchemas[modelName] = this.parseMongooseFields(match[1]);
+  extractSequelizeSchema(fragment, modelName, attributesNode, content) {
+    if (attributesNode?.type === 'ObjectExpression') {
+      fragment.schemas[modelName] = this.parseSequelizeFields(attributesNode, content);
     }
   }
 
-  extractTypeORMEntities(content) {
-    const entityMatches = content.matchAll(/@Entity\s*\(\s*['"`]?([^'"`\)]*?)['"`]?\s*\)[\s\S]*?class\s+([A-Za-z0-9_]+)/g);
-    
-    for (const match of entityMatches) {
-      const tableName = match[1] || match[2];
-      const className = match[2];
-      
-      this.models.add(className);
-      this.modelSchemas[className] = this.parseTypeORMSchema(content, className);
+  extractSchemaConstant(fragment, modelName, init, content) {
+    if (this.isMongooseSchema(init)) {
+      fragment.schemas[modelName] = this.parseMongooseFields(init.arguments[0], content);
     }
   }
 
-  extractPrismaModels(content) {
+  extractPrismaModels(fragment, content) {
+    // Prisma schema DSL is not JavaScript, so it is still matched textually
     const modelMatches = content.matchAll(/model\s+([A-Za-z0-9_]+)\s*\{([^}]+)\}/g);
-    
+
     for (const match of modelMatches) {
       const modelName = match[1];
       const fieldsDefinition = match[2];
-      
-      this.models.add(modelName);
-      this.modelSchemas[modelName] = this.parsePrismaFields(fieldsDefinition);
+
+      fragment.models.add(modelName);
+      fragment.schemas[modelName] = this.parsePrismaFields(fieldsDefinition);
     }
   }
 
-  parseMongooseFields(fieldsDefinition) {
+  isMongooseSchema(node) {
+    return !!node && node.type === 'NewExpression' &&
+      ['Schema', 'mongoose.Schema'].includes(memberPath(node.callee)) &&
+      node.arguments[0]?.type === 'ObjectExpression';
+  }
+
+  parseMongooseFields(fieldsNode, content) {
     const fields = {};
-    
-    // Parse field definitions like: fieldName: { type: String, required: true }
-    const fieldMatches = fieldsDefinition.matchAll(/([a-zA-Z0-9_]+):\s*\{([^}]+)\}/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1].trim();
-      const fieldDefinition = match[2];
-      fields[fieldName] = this.parseMongooseFieldDefinition(fieldDefinition);
+
+    for (const [fieldName, fieldNode] of objectEntries(fieldsNode)) {
+      fields[fieldName] = this.parseMongooseFieldNode(fieldNode, content);
     }
 
-    // Parse simple field definitions like: fieldName: String
-    const simpleMatches = fieldsDefinition.matchAll(/([a-zA-Z0-9_]+):\s*([A-Za-z.]+)(?=,|$)/g);
-    for (const match of simpleMatches) {
-      const fieldName = match[1].trim();
-      const fieldType = match[2].trim();
-      if (!fields[fieldName]) {
-        fields[fieldName] = this.normalizeMongooseType(fieldType);
+    return fields;
+  }
+
+  // Returns a type string for leaf fields, a nested field map for sub-documents
+  // and a single-element array for arrays of sub-documents
+  parseMongooseFieldNode(fieldNode, content) {
+    if (fieldNode.type === 'ObjectExpression') {
+      // Parse field definitions like: fieldName: { type: String, required: true }
+      if (getProperty(fieldNode, 'type')) {
+        return this.parseMongooseFieldDefinition(fieldNode, content);
       }
+      // Sub-document: fieldName: { street: String, city: String }
+      return this.parseMongooseFields(fieldNode, content);
     }
 
-    return fields;
+    if (fieldNode.type === 'ArrayExpression') {
+      if (fieldNode.elements.length === 0) return 'Array';
+      const itemType = this.parseMongooseFieldNode(fieldNode.elements[0], content);
+      return typeof itemType === 'string' ? `${itemType}[]` : [itemType];
+    }
+
+    if (this.isMongooseSchema(fieldNode)) {
+      return this.parseMongooseFields(fieldNode.arguments[0], content);
+    }
+
+    // Parse simple field definitions like: fieldName: String
+    return this.normalizeMongooseType(this.typeName(fieldNode, content));
   }
 
-  parseMongooseFieldDefinition(definition) {
-    const typeMatch = definition.match(/type:\s*([A-Za-z.]+)/);
-    const requiredMatch = definition.match(/required:\s*(true|false)/);
-    const defaultMatch = definition.match(/default:\s*([^,}]+)/);
-    const enumMatch = definition.match(/enum:\s*\[([^\]]+)\]/);
+  parseMongooseFieldDefinition(definition, content) {
+    const typeNode = getProperty(definition, 'type');
+    const requiredNode = getProperty(definition, 'required');
+    const defaultNode = getProperty(definition, 'default');
+    const enumNode = getProperty(definition, 'enum');
+
+    let type = 'Unknown';
+    if (typeNode?.type === 'ArrayExpression') {
+      type = `${this.normalizeMongooseType(this.typeName(typeNode.elements[0], content))}[]`;
+    } else if (typeNode) {
+      type = this.normalizeMongooseType(this.typeName(typeNode, content));
+    }
 
-    let type = typeMatch ? this.normalizeMongooseType(typeMatch[1]) : 'Unknown';
-    
-    if (enumMatch) {
-      const enumValues = enumMatch[1].split(',').map(v => v.trim().replace(/['"]/g, ''));
+    const enumValues = this.enumValues(enumNode);
+    if (enumValues) {
       type = `Enum(${enumValues.join(', ')})`;
     }
-    
+
     const modifiers = [];
-    if (requiredMatch && requiredMatch[1] === 'true') {
+    const required = literalValue(requiredNode);
+    if (required === true || (Array.isArray(required) && required[0] === true)) {
       modifiers.push('required');
     }
-    if (defaultMatch) {
-      modifiers.push(`default: ${defaultMatch[1].trim()}`);
+    if (defaultNode) {
+      modifiers.push(`default: ${nodeText(defaultNode, content)}`);
     }
-    
+
     return modifiers.length > 0 ? `${type} (${modifiers.join(', ')})` : type;
   }
 
-  parseSequelizeFields(fieldsDefinition) {
+  enumValues(enumNode) {
+    const values = literalValue(enumNode);
+    if (Array.isArray(values)) return values.map(String);
+    // enum: { values: [...], message: '...' }
+    if (values && Array.isArray(values.values)) return values.values.map(String);
+    return null;
+  }
+
+  // String, mongoose.Schema.Types.ObjectId -> ObjectId, DataTypes.STRING(50) -> DataTypes.STRING(50)
+  typeName(node, content) {
+    if (!node) return 'Unknown';
+    const name = memberPath(node);
+    if (name) {
+      return name.includes('Types.') ? name.split('.').pop() : name;
+    }
+    return nodeText(node, content);
+  }
+
+  parseSequelizeFields(fieldsNode, content) {
     const fields = {};
-    
-    const fieldMatches = fieldsDefinition.matchAll(/([a-zA-Z0-9_]+):\s*\{([^}]+)\}/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1].trim();
-      const fieldDefinition = match[2];
-      fields[fieldName] = this.parseSequelizeFieldDefinition(fieldDefinition);
+
+    for (const [fieldName, fieldNode] of objectEntries(fieldsNode)) {
+      if (fieldNode.type === 'ObjectExpression') {
+        fields[fieldName] = this.parseSequelizeFieldDefinition(fieldNode, content);
+      } else {
+        fields[fieldName] = this.normalizeSequelizeType(nodeText(fieldNode, content));
+      }
     }
 
     return fields;
   }
 
-  parseSequelizeFieldDefinition(definition) {
-    const typeMatch = definition.match(/type:\s*([A-Za-z.()]+)/);
-    const allowNullMatch = definition.match(/allowNull:\s*(true|false)/);
-    const defaultValueMatch = definition.match(/defaultValue:\s*([^,}]+)/);
+  parseSequelizeFieldDefinition(definition, content) {
+    const typeNode = getProperty(definition, 'type');
+    const allowNull = literalValue(getProperty(definition, 'allowNull'));
+    const defaultValueNode = getProperty(definition, 'defaultValue');
+
+    let type = typeNode ? this.normalizeSequelizeType(nodeText(typeNode, content)) : 'Unknown';
 
-    let type = typeMatch ? this.normalizeSequelizeType(typeMatch[1]) : 'Unknown';
-    
     const modifiers = [];
-    if (allowNullMatch && allowNullMatch[1] === 'false') {
+    if (allowNull === false) {
       modifiers.push('required');
     }
-    if (defaultValueMatch) {
-      modifiers.push(`default: ${defaultValueMatch[1].trim()}`);
+    if (defaultValueNode) {
+      modifiers.push(`default: ${nodeText(defaultValueNode, content)}`);
     }
 
     return modifiers.length > 0 ? `${type} (${modifiers.join(', ')})` : type;
   }
 
-  parseTypeORMSchema(content, className) {
+  parseTypeORMSchema(classNode, content) {
     const fields = {};
-    
-    // Find the class definition
-    const classRegex = new RegExp(`class\\s+${className}[^{]*\\{([\\s\\S]*?)\\n\\s*\\}`, 'g');
-    const classMatch = classRegex.exec(content);
-    
-    if (!classMatch) return fields;
-    
-    const classBody = classMatch[1];
-    
-    // Parse @Column decorators
-    const columnMatches = classBody.matchAll(/@Column\s*\(([^)]*)\)\s*([a-zA-Z0-9_]+):\s*([^;]+)/g);
-    for (const match of columnMatches) {
-      const columnOptions = match[1];
-      const fieldName = match[2];
-      const fieldType = match[3];
-      
-      fields[fieldName] = this.parseTypeORMField(fieldType, columnOptions);
-    }
 
-    // Parse simple property declarations
-    const propertyMatches = classBody.matchAll(/([a-zA-Z0-9_]+):\s*([A-Za-z0-9_<>|\s]+);/g);
-    for (const match of propertyMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      
-      if (!fields[fieldName] && !fieldType.includes('()')) {
+    for (const member of classNode.body.body) {
+      if (member.type !== 'ClassProperty') continue;
+
+      const fieldName = propertyName(member);
+      if (!fieldName) continue;
+
+      const fieldType = member.typeAnnotation ? nodeText(member.typeAnnotation.typeAnnotation, content) : 'Unknown';
+      const column = decoratorsOf(member).find(d => TYPEORM_COLUMN_DECORATORS.includes(d.name));
+
+      // Parse @Column decorators
+      if (column) {
+        const columnOptions = column.args.map(arg => nodeText(arg, content)).join(', ');
+        fields[fieldName] = this.parseTypeORMField(fieldType, columnOptions);
+      }
+      // Parse simple property declarations
+      else if (member.typeAnnotation && !fieldType.includes('()')) {
         fields[fieldName] = this.normalizeTypeScriptType(fieldType);
       }
     }
@@ -265,7 +326,7 @@ export class DbModelExtractor {
 
   parseTypeORMField(fieldType, columnOptions) {
     let type = this.normalizeTypeScriptType(fieldType);
-    
+
     const modifiers = [];
     if (columnOptions.includes('nullable: false')) {
       modifiers.push('required');
@@ -276,21 +337,21 @@ export class DbModelExtractor {
         modifiers.push(`default: ${defaultMatch[1].trim()}`);
       }
     }
-    
+
     return modifiers.length > 0 ? `${type} (${modifiers.join(', ')})` : type;
   }
 
   parsePrismaFields(fieldsDefinition) {
     const fields = {};
-    
+
     const fieldMatches = fieldsDefinition.matchAll(/([a-zA-Z0-9_]+)\s+([A-Za-z0-9_\[\]?]+)(?:\s+([^@\n]+))?/g);
     for (const match of fieldMatches) {
       const fieldName = match[1];
       const fieldType = match[2];
       const modifiers = match[3] || '';
-      
+
       let type = this.normalizePrismaType(fieldType);
-      
+
       const modifierList = [];
       if (modifiers.includes('@default')) {
         const defaultMatch = modifiers.match(/@default\(([^)]+)\)/);
@@ -298,29 +359,24 @@ export class DbModelExtractor {
           modifierList.push(`default: ${defaultMatch[1]}`);
         }
       }
-      
+
       fields[fieldName] = modifierList.length > 0 ? `${type} (${modifierList.join(', ')})` : type;
     }
 
     return fields;
   }
 
-  parseGenericClassFields(content, className) {
+  parseGenericClassFields(classNode, content) {
     const fields = {};
-    
-    const classRegex = new RegExp(`class\\s+${className}[^{]*\\{([\\s\\S]*?)\\n\\s*\\}`, 'g');
-    const classMatch = classRegex.exec(content);
-    
-    if (!classMatch) return fields;
-    
-    const classBody = classMatch[1];
-    
+
     // Parse property declarations
-    const propertyMatches = classBody.matchAll(/(?:public|private|protected)?\s*([a-zA-Z0-9_]+):\s*([A-Za-z0-9_<>|\s]+);/g);
-    for (const match of propertyMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      fields[fieldName] = this.normalizeTypeScriptType(fieldType);
+    for (const member of classNode.body.body) {
+      if (member.type !== 'ClassProperty' || !member.typeAnnotation) continue;
+
+      const fieldName = propertyName(member);
+      if (fieldName) {
+        fields[fieldName] = this.normalizeTypeScriptType(nodeText(member.typeAnnotation.typeAnnotation, content));
+      }
     }
 
     return fields;
@@ -0,0 +1,139 @@
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import fg from 'fast-glob';
+import micromatch from 'micromatch';
+import { resolveConfig } from './projectConfig.js';
+
+const LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.mts': 'typescript',
+  '.cts': 'typescript',
+  '.graphql': 'graphql',
+  '.gql': 'graphql',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml'
+};
+
+const READ_BATCH_SIZE = 64;
+const MAX_FILE_SIZE = 1024 * 1024; // Minified bundles and generated files are not worth analyzing
+
+export class FileIndex {
+  constructor(projectRoot, options = {}) {
+    const config = options.config || resolveConfig();
+    this.projectRoot = projectRoot;
+    // GraphQL documents and API specs are indexed alongside the sources but never parsed as JavaScript
+    this.patterns = [...config.patterns.sources, ...config.patterns.graphql, ...config.patterns.apiSpecs];
+    this.ignore = config.ignore;
+    this.rolePatterns = {
+      route: config.patterns.routes,
+      model: config.patterns.models,
+      service: config.patterns.services,
+      util: config.patterns.utils
+    };
+    this.maxFileSize = options.maxFileSize || MAX_FILE_SIZE;
+    this.entries = new Map();
+    this.building = null;
+  }
+
+  // Globs and reads the project once; every later call reuses the same scan
+  build() {
+    if (!this.building) {
+      this.building = this.scan();
+    }
+    return this.building;
+  }
+
+  async scan() {
+    const files = await fg(this.patterns, {
+      cwd: this.projectRoot,
+      ignore: this.ignore,
+      absolute: true,
+      dot: false
+    });
+
+    // Read in batches so very large repositories do not exhaust file descriptors
+    for (let i = 0; i < files.length; i += READ_BATCH_SIZE) {
+      const batch = files.slice(i, i + READ_BATCH_SIZE);
+      const entries = await Promise.all(batch.map(file => this.readEntry(file)));
+      for (const entry of entries) {
+        if (entry) this.entries.set(entry.path, entry);
+      }
+    }
+
+    return this;
+  }
+
+  async readEntry(file) {
+    try {
+      const stat = await fs.stat(file);
+      if (stat.size > this.maxFileSize) return null;
+
+      const content = await fs.readFile(file, 'utf8');
+      const relativePath = path.relative(this.projectRoot, file).split(path.sep).join('/');
+
+      return {
+        path: file,
+        relativePath,
+        content,
+        hash: crypto.createHash('sha1').update(content).digest('hex'),
+        size: stat.size,
+        language: LANGUAGES[path.extname(file).toLowerCase()] || 'unknown',
+        roles: this.classify(relativePath)
+      };
+    } catch {
+      // Unreadable files are left out of the index
+      return null;
+    }
+  }
+
+  classify(relativePath) {
+    return Object.entries(this.rolePatterns)
+      .filter(([, patterns]) => micromatch.isMatch(relativePath, patterns))
+      .map(([role]) => role);
+  }
+
+  get(file) {
+    return this.entries.get(file) || null;
+  }
+
+  // Absolute paths of indexed files matching the given globs (relative to the project root)
+  async match(patterns, ignore = []) {
+    await this.build();
+
+    return [...this.entries.values()]
+      .filter(entry => micromatch.isMatch(entry.relativePath, patterns) &&
+        !(ignore.length > 0 && micromatch.isMatch(entry.relativePath, ignore)))
+      .map(entry => entry.path)
+      .sort();
+  }
+
+  async byRole(role) {
+    await this.build();
+
+    return [...this.entries.values()]
+      .filter(entry => entry.roles.includes(role))
+      .map(entry => entry.path)
+      .sort();
+  }
+
+  stats() {
+    const stats = { files: this.entries.size, bytes: 0, languages: {}, roles: {} };
+
+    for (const entry of this.entries.values()) {
+      stats.bytes += entry.size;
+      stats.languages[entry.language] = (stats.languages[entry.language] || 0) + 1;
+      for (const role of entry.roles) {
+        stats.roles[role] = (stats.roles[role] || 0) + 1;
+      }
+    }
+
+    return stats;
+  }
+}
@@ -0,0 +1,202 @@
+import { walk, memberPath, stringValue, unwrapExpression, isFunctionNode } from './sourceParser.js';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+// Remix route modules: loaders answer GET, actions every mutating method
+const REMIX_EXPORTS = { loader: 'GET', action: 'POST' };
+
+// Routes defined by file-system conventions rather than registration calls:
+//   pages/api/users/[id].ts           -> ALL /api/users/[id] (methods read from req.method checks)
+//   app/users/[id]/route.ts           -> GET/POST/... /users/[id] for each exported method handler
+//   server/api/users/[id].get.ts      -> GET /api/users/[id] (Nuxt/Nitro; server/routes has no /api)
+//   app/routes/users.$id.tsx          -> GET (loader) / POST (action) /users/:id (Remix)
+export function findFileRoutes(relativePath, ast) {
+  if (!ast) return [];
+
+  const exports = exportedFunctions(ast);
+  const base = relativePath.replace(/\.[^./]+$/, '');
+
+  // App router route handlers export GET/POST/...; Remix folder routes may also be named route.tsx
+  const appRoute = base.match(/(?:^|\/)app\/(?:(.*)\/)?route$/);
+  if (appRoute && HTTP_METHODS.some(method => exports.has(method))) {
+    const segments = (appRoute[1] || '').split('/').filter(Boolean);
+    // _private folders are not routable; route groups (admin) and slots @modal do not appear in the URL
+    if (segments.some(segment => segment.startsWith('_'))) return [];
+    const routePath = `/${segments.filter(segment => !/^\(.*\)$/.test(segment) && !segment.startsWith('@')).join('/')}`;
+
+    return HTTP_METHODS
+      .filter(method => exports.has(method))
+      .map(method => ({ method, path: routePath, handler: method, line: exports.get(method).loc?.start.line ?? null }));
+  }
+
+  const remixRoute = base.match(/(?:^|\/)app\/routes\/(.+)$/);
+  if (remixRoute) {
+    const routePath = remixPath(remixRoute[1].replace(/\/route$/, ''));
+    return Object.entries(REMIX_EXPORTS)
+      .filter(([name]) => exports.has(name))
+      .map(([name, method]) => ({ method, path: routePath, handler: name, line: exports.get(name).loc?.start.line ?? null }));
+  }
+
+  const pagesRoute = base.match(/(?:^|\/)pages\/(api(?:\/.*)?)$/);
+  if (pagesRoute && exports.has('default') && !pagesRoute[1].split('/').pop().startsWith('_')) {
+    return defaultExportRoutes(`/${pagesRoute[1]}`, exports.get('default'));
+  }
+
+  const nitroRoute = base.match(/(?:^|\/)server\/(api|routes)\/(.+)$/);
+  if (nitroRoute && exports.has('default')) {
+    // users/[id].get -> GET /users/[id]
+    const [name, suffix] = nitroRoute[2].split(/\.(?=[a-z]+$)/);
+    const method = suffix && HTTP_METHODS.includes(suffix.toUpperCase()) ? suffix.toUpperCase() : null;
+    const routePath = `${nitroRoute[1] === 'api' ? '/api' : ''}/${method ? name : nitroRoute[2]}`;
+    return defaultExportRoutes(routePath, exports.get('default'), method);
+  }
+
+  return [];
+}
+
+// Single-handler modules (Next.js pages/api, Nitro event handlers) answer every method unless
+// the handler branches on req.method / event.method; code past those branches answers the rest (ALL)
+function defaultExportRoutes(routePath, node, method = null) {
+  const path = routePath.replace(/\/index$/, '') || '/';
+  const compared = method ? [method] : comparedMethods(node);
+  const methods = compared.length === 0 || (!method && reachesOtherMethods(node)) ? [...compared, 'ALL'] : compared;
+  const handler = node.id?.name || (node.type === 'Identifier' ? node.name : 'default');
+
+  return methods.map(routeMethod => ({ method: routeMethod, path, handler, line: node.loc?.start.line ?? null }));
+}
+
+// `if (req.method === 'POST') return ...; res.json(...)` still answers GET: a request no check matched reaches
+// the statements after the checks, a final else or a switch default, unless those only answer 405.
+// `if (req.method !== 'POST') return ...` leaves the rest to POST alone.
+function reachesOtherMethods(node) {
+  let checked = false;
+
+  for (const statement of handlerStatements(node)) {
+    const check = methodCheck(statement);
+    if (check === 'unequal') return false;
+    if (check === null) {
+      if (checked && !answers405(statement)) return true;
+      continue;
+    }
+
+    checked = true;
+    if (statement.type === 'SwitchStatement') {
+      const fallback = statement.cases.find(switchCase => !switchCase.test);
+      if (fallback) return !answers405(fallback);
+      continue;
+    }
+
+    // if (GET) ... else if (POST) ... else ...
+    let branch = statement;
+    while (branch.alternate?.type === 'IfStatement' && methodCheck(branch.alternate) === 'equal') branch = branch.alternate;
+    if (branch.alternate) return !answers405(branch.alternate);
+  }
+  return false;
+}
+
+// Top-level statements of the handler, looking through wrappers such as withAuth(handler) and try blocks
+function handlerStatements(node) {
+  let current = unwrapExpression(node?.type === 'VariableDeclarator' ? node.init : node);
+  if (current?.type === 'CallExpression') current = current.arguments.find(isFunctionNode);
+  if (!isFunctionNode(current) || current.body?.type !== 'BlockStatement') return [];
+
+  return current.body.body.flatMap(statement => (statement.type === 'TryStatement' ? statement.block.body : [statement]));
+}
+
+// 'equal' for if (req.method === 'GET') and switch (req.method), 'unequal' for if (req.method !== 'GET')
+function methodCheck(statement) {
+  if (statement.type === 'SwitchStatement') return memberPath(statement.discriminant)?.endsWith('.method') ? 'equal' : null;
+  if (statement.type !== 'IfStatement') return null;
+
+  let check = null;
+  walk(statement.test, current => {
+    if (check || current.type !== 'BinaryExpression' || ![current.left, current.right].some(side => memberPath(side)?.endsWith('.method'))) return;
+    if (['===', '=='].includes(current.operator)) check = 'equal';
+    else if (['!==', '!='].includes(current.operator)) check = 'unequal';
+  });
+  return check;
+}
+
+function answers405(node) {
+  let found = false;
+  walk(node, current => {
+    if (current.type === 'NumericLiteral' && current.value === 405) found = true;
+  });
+  return found;
+}
+
+// req.method === 'POST', req.method !== 'GET' guards and switch (req.method) { case 'PUT': ... }
+function comparedMethods(node) {
+  const methods = new Set();
+  const isMethod = candidate => memberPath(candidate)?.endsWith('.method');
+  const add = candidate => {
+    const value = stringValue(candidate)?.toUpperCase();
+    if (HTTP_METHODS.includes(value)) methods.add(value);
+  };
+
+  walk(node, current => {
+    if (current.type === 'BinaryExpression' && ['===', '==', '!==', '!='].includes(current.operator)) {
+      if (isMethod(current.left)) add(current.right);
+      if (isMethod(current.right)) add(current.left);
+    } else if (current.type === 'SwitchStatement' && isMethod(current.discriminant)) {
+      current.cases.forEach(switchCase => add(switchCase.test));
+    }
+  });
+
+  return HTTP_METHODS.filter(method => methods.has(method));
+}
+
+// Exported name -> declaration node, for ESM exports and `module.exports = handler`
+function exportedFunctions(ast) {
+  const exports = new Map();
+
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      exports.set('default', statement.declaration);
+    } else if (statement.type === 'ExportNamedDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration?.type === 'FunctionDeclaration' && declaration.id) {
+        exports.set(declaration.id.name, declaration);
+      } else if (declaration?.type === 'VariableDeclaration') {
+        for (const declarator of declaration.declarations) {
+          if (declarator.id.type === 'Identifier') exports.set(declarator.id.name, declarator);
+        }
+      }
+      for (const specifier of statement.specifiers || []) {
+        exports.set(specifier.exported.name || specifier.exported.value, specifier);
+      }
+    } else if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' &&
+      memberPath(statement.expression.left) === 'module.exports') {
+      exports.set('default', unwrapExpression(statement.expression.right));
+    }
+  }
+
+  // export default handler, declared separately
+  const target = exports.get('default');
+  if (target?.type === 'Identifier') {
+    const declaration = ast.program.body
+      .flatMap(statement => (statement.type === 'VariableDeclaration' ? statement.declarations : [statement]))
+      .find(node => ['FunctionDeclaration', 'VariableDeclarator'].includes(node.type) && node.id?.name === target.name);
+    if (declaration) exports.set('default', declaration);
+  }
+
+  return exports;
+}
+
+// Remix flat routes: dots separate segments, $param is dynamic, $ alone is a splat, ($lang) is
+// optional, _index is the index route, _layout segments are pathless and [.] escapes characters
+function remixPath(routeName) {
+  const segments = routeName
+    .split('/')
+    .flatMap(part => part.match(/(\[[^\]]*\]|[^.])+/g) || [])
+    .filter(segment => segment !== 'index' && !segment.startsWith('_'))
+    .map(segment => {
+      const optional = /^\(.*\)$/.test(segment);
+      const name = segment.replace(/^\((.*)\)$/, '$1').replace(/_$/, '').replace(/\[([^\]]*)\]/g, '$1');
+      if (name === '$') return '*';
+      if (name.startsWith('$')) return `:${name.slice(1)}${optional ? '?' : ''}`;
+      return name;
+    });
+
+  return `/${segments.join('/')}`;
+}
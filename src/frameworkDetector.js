@@ -1,9 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { createLogger } from './logger.js';
 
 export class FrameworkDetector {
-  constructor(projectRoot) {
+  constructor(projectRoot, options = {}) {
     this.projectRoot = projectRoot;
+    this.logger = createLogger(options);
     this.dependencies = {};
   }
 
@@ -25,7 +27,7 @@ export class FrameworkDetector {
       backend = this.detectBackend(dependencies);
       frontend = this.detectFrontend(dependencies);
     } catch (err) {
-      console.warn('⚠️ Could not parse package.json:', err.message);
+      this.logger.warn('⚠️ Could not parse package.json:', err.message);
     }
 
     return {
@@ -1,4 +1,6 @@
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 
 export class GitMetadata {
@@ -6,9 +8,9 @@ export class GitMetadata {
     try {
       const gitRoot = path.resolve(projectRoot);
 
-      const sha = execSync('git rev-parse HEAD', { cwd: gitRoot }).toString().trim();
-      const branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: gitRoot }).toString().trim();
-      const remote = execSync('git config --get remote.origin.url', { cwd: gitRoot }).toString().trim();
+      const sha = execSync('git rev-parse HEAD', { cwd: gitRoot, stdio: 'pipe' }).toString().trim();
+      const branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: gitRoot, stdio: 'pipe' }).toString().trim();
+      const remote = execSync('git config --get remote.origin.url', { cwd: gitRoot, stdio: 'pipe' }).toString().trim();
 
       return {
         sha,
@@ -23,4 +25,30 @@ export class GitMetadata {
       };
     }
   }
+
+  // Checks `ref` out into a temporary worktree so it can be analyzed without touching
+  // the working copy. Returns the matching directory inside the worktree and a cleanup.
+  static checkout(projectRoot, ref) {
+    const gitRoot = path.resolve(projectRoot);
+    const topLevel = execFileSync('git', ['rev-parse', '--show-toplevel'], { cwd: gitRoot }).toString().trim();
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'codebase-summary-'));
+
+    try {
+      execFileSync('git', ['worktree', 'add', '--detach', worktree, ref], { cwd: gitRoot, stdio: 'pipe' });
+    } catch (err) {
+      fs.rmSync(worktree, { recursive: true, force: true });
+      throw new Error(`Could not check out "${ref}": ${err.stderr?.toString().trim() || err.message}`);
+    }
+
+    return {
+      root: path.join(worktree, path.relative(topLevel, gitRoot)),
+      remove: () => {
+        try {
+          execFileSync('git', ['worktree', 'remove', '--force', worktree], { cwd: gitRoot, stdio: 'pipe' });
+        } finally {
+          fs.rmSync(worktree, { recursive: true, force: true });
+        }
+      }
+    };
+  }
 }
@@ -0,0 +1,304 @@
+import { parse as parseGraphQL, print } from 'graphql';
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  calleeName,
+  stringValue,
+  nodeText,
+  objectEntries,
+  propertyName,
+  decoratorsOf,
+  isFunctionNode,
+  unwrapExpression,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
+
+const OPERATIONS = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+const SECTIONS = { query: 'queries', mutation: 'mutations', subscription: 'subscriptions' };
+
+// Root types may be renamed (schema { query: RootQuery }); fields are kept for anything that looks like one
+const ROOT_TYPE_PATTERN = /(Query|Mutation|Subscription)$/;
+
+// Directives and resolver wrappers treated as access control: @auth, @hasRole, @aws_iam, isAuthenticated(...)
+const AUTH_PATTERN = /auth|role|permission|scope|guard|admin|owner|private|cognito|iam/i;
+
+// GraphQL operations from SDL (.graphql/.gql files, gql`...` and buildSchema(`...`) templates) and
+// NestJS code-first resolvers, joined with the resolver maps ({ Query: { user: ... } }) and
+// graphql-shield rules that implement and guard them.
+export class GraphQLExtractor {
+  constructor(projectRoot, limit = 100, options = {}) {
+    this.projectRoot = projectRoot;
+    this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
+  }
+
+  async extract() {
+    this.logger.info('🕸️ Extracting GraphQL operations...');
+
+    const files = await this.fileIndex.match([...this.config.patterns.graphql, ...this.config.patterns.sources]);
+    const fragments = await this.cache.analyzeFiles('graphql', files, file => this.analyzeFile(file));
+
+    const roots = { ...OPERATIONS };
+    const fields = [];
+    const resolvers = {};
+    const rules = {};
+    for (const [i, fragment] of fragments.entries()) {
+      if (!fragment) continue;
+      const file = this.fileIndex.get(files[i])?.relativePath || files[i];
+
+      Object.assign(roots, fragment.roots);
+      fields.push(...fragment.fields.map(field => ({ ...field, file })));
+      for (const [key, resolver] of Object.entries(fragment.resolvers)) {
+        if (!resolvers[key]) resolvers[key] = { ...resolver, file };
+      }
+      Object.assign(rules, fragment.rules);
+    }
+
+    const summary = { queries: [], mutations: [], subscriptions: [] };
+    const seen = new Set();
+    for (const field of fields) {
+      const operation = field.operation || Object.keys(roots).find(key => roots[key] === field.type);
+      const key = `${field.type}.${field.name}`;
+      if (!operation || seen.has(key)) continue;
+      seen.add(key);
+
+      const resolver = resolvers[key] || null;
+      const auth = [
+        ...field.directives.filter(directive => AUTH_PATTERN.test(directive.split('(')[0])),
+        ...(field.guards || []),
+        ...(resolver?.guards || []),
+        ...(rules[key] ? [rules[key]] : [])
+      ];
+
+      summary[SECTIONS[operation]].push({
+        name: field.name,
+        args: field.args,
+        returnType: field.returnType,
+        resolver: resolver ? { name: resolver.name, file: resolver.file, line: resolver.line } : null,
+        directives: field.directives,
+        auth: auth.length > 0 ? [...new Set(auth)].join(' + ') : null,
+        file: field.file,
+        line: field.line
+      });
+    }
+
+    for (const section of Object.values(SECTIONS)) {
+      summary[section] = summary[section].sort((a, b) => a.name.localeCompare(b.name)).slice(0, this.limit);
+    }
+
+    const total = Object.values(summary).reduce((count, list) => count + list.length, 0);
+    if (total > 0) this.logger.info(`🕸️ Found ${total} GraphQL operations`);
+
+    return summary;
+  }
+
+  // Per-file result: { roots, fields: [{ type, name, args, returnType, directives, line, operation?, guards? }],
+  // resolvers: { 'Query.user': { name, line, guards } }, rules: { 'Query.user': rule } }
+  async analyzeFile(file) {
+    const fragment = { roots: {}, fields: [], resolvers: {}, rules: {} };
+
+    try {
+      const entry = this.fileIndex.get(file);
+      if (entry?.language === 'graphql') {
+        this.collectSDL(fragment, entry.content, 0);
+        return fragment;
+      }
+
+      const { content, ast } = await this.parser.parseFile(file);
+      if (!ast) return fragment;
+      const declarations = collectDeclarations(ast);
+
+      walk(ast, (node, ancestors) => {
+        const sdl = this.embeddedSDL(node);
+        if (sdl !== null) {
+          this.collectSDL(fragment, sdl, node.loc.start.line - 1);
+        } else if (node.type === 'CallExpression' && calleeName(node) === 'shield') {
+          this.collectShieldRules(fragment, node.arguments[0], content);
+        } else if (node.type === 'ObjectExpression' && !ancestors.some(ancestor => calleeName(ancestor) === 'shield')) {
+          this.collectResolverMap(fragment, node, declarations, content);
+        } else if (['ClassDeclaration', 'ClassExpression'].includes(node.type)) {
+          this.collectCodeFirstResolvers(fragment, node, content);
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Error analyzing GraphQL in ${file}:`, error.message);
+    }
+
+    return fragment;
+  }
+
+  // gql`type Query { ... }`, graphql`...` and buildSchema(`...`)
+  embeddedSDL(node) {
+    let template = null;
+    if (node.type === 'TaggedTemplateExpression' && /^(gql|graphql)$/.test((memberPath(node.tag) || '').split('.').pop())) {
+      template = node.quasi;
+    } else if (node.type === 'CallExpression' && (calleeName(node) || '').split('.').pop() === 'buildSchema') {
+      template = node.arguments[0];
+    }
+    if (!template) return null;
+
+    if (template.type === 'TemplateLiteral') {
+      // Interpolated fragments and shared snippets are unknown here; the rest still parses
+      return template.quasis.map(quasi => quasi.value.cooked ?? quasi.value.raw).join('');
+    }
+    return stringValue(template);
+  }
+
+  collectSDL(fragment, source, lineOffset) {
+    let document;
+    try {
+      document = parseGraphQL(source);
+    } catch {
+      // Client documents with interpolations and other partial SDL are skipped
+      return;
+    }
+
+    const roots = {};
+    for (const definition of document.definitions) {
+      if (['SchemaDefinition', 'SchemaExtension'].includes(definition.kind)) {
+        for (const operationType of definition.operationTypes || []) {
+          roots[operationType.operation] = operationType.type.name.value;
+        }
+      }
+    }
+    Object.assign(fragment.roots, roots);
+
+    const rootNames = new Set(Object.values(roots));
+    for (const definition of document.definitions) {
+      if (!['ObjectTypeDefinition', 'ObjectTypeExtension'].includes(definition.kind)) continue;
+
+      const type = definition.name.value;
+      if (!ROOT_TYPE_PATTERN.test(type) && !rootNames.has(type)) continue;
+
+      const typeDirectives = (definition.directives || []).map(directive => print(directive));
+      for (const field of definition.fields || []) {
+        fragment.fields.push({
+          type,
+          name: field.name.value,
+          args: Object.fromEntries((field.arguments || []).map(arg => [
+            arg.name.value,
+            arg.defaultValue ? `${print(arg.type)} = ${print(arg.defaultValue)}` : print(arg.type)
+          ])),
+          returnType: print(field.type),
+          directives: [...typeDirectives, ...(field.directives || []).map(directive => print(directive))],
+          line: field.loc ? field.loc.startToken.line + lineOffset : null
+        });
+      }
+    }
+  }
+
+  // { Query: { user: userResolver, users: (parent, args) => ... }, Mutation: { ... } }
+  collectResolverMap(fragment, node, declarations, content) {
+    for (const [type, value] of objectEntries(node)) {
+      if (!ROOT_TYPE_PATTERN.test(type)) continue;
+
+      const fields = unwrapExpression(value)?.type === 'Identifier' ? declarations.get(value.name) : unwrapExpression(value);
+      for (const [name, resolverNode] of objectEntries(fields)) {
+        const key = `${type}.${name}`;
+        if (fragment.resolvers[key]) continue;
+
+        // Subscriptions resolve through { subscribe, resolve }
+        const target = resolverNode.type === 'ObjectExpression'
+          ? objectEntries(resolverNode).find(([property]) => ['resolve', 'subscribe'].includes(property))?.[1] || resolverNode
+          : resolverNode;
+        fragment.resolvers[key] = {
+          name: this.resolverName(target),
+          line: resolverNode.loc?.start.line ?? null,
+          guards: this.resolverGuards(target, content)
+        };
+      }
+    }
+  }
+
+  // userResolvers.list, combineResolvers(isAuthenticated, listUsers) -> listUsers; null for inline functions
+  resolverName(node) {
+    node = unwrapExpression(node);
+    if (!node) return null;
+
+    if (isFunctionNode(node)) return node.id?.name || null;
+    if (node.type === 'CallExpression') {
+      const wrapped = [...node.arguments].reverse().find(arg => isFunctionNode(arg) || memberPath(arg));
+      return wrapped ? this.resolverName(wrapped) : null;
+    }
+    return memberPath(node);
+  }
+
+  // Wrappers and combined resolvers that gate access: authenticated(fn), combineResolvers(isAdmin, fn)
+  resolverGuards(node, content) {
+    const guards = [];
+    let current = unwrapExpression(node);
+
+    while (current?.type === 'CallExpression') {
+      const name = calleeName(current);
+      if (name && AUTH_PATTERN.test(name)) guards.push(nodeText(current.callee, content));
+      current.arguments.slice(0, -1)
+        .filter(arg => !isFunctionNode(arg) && AUTH_PATTERN.test(nodeText(arg, content)))
+        .forEach(arg => guards.push(nodeText(arg, content)));
+      current = unwrapExpression(current.arguments[current.arguments.length - 1]);
+    }
+
+    return guards;
+  }
+
+  // shield({ Query: { users: isAdmin }, Mutation: { '*': isAuthenticated } })
+  collectShieldRules(fragment, node, content) {
+    for (const [type, fields] of objectEntries(node)) {
+      for (const [name, rule] of objectEntries(fields)) {
+        if (name !== '*') fragment.rules[`${type}.${name}`] = nodeText(rule, content);
+      }
+    }
+  }
+
+  // NestJS code-first: @Resolver() class with @Query(() => [User]) users(@Args('id') id: string)
+  collectCodeFirstResolvers(fragment, node, content) {
+    const classDecorators = decoratorsOf(node);
+    if (!classDecorators.some(decorator => decorator.name === 'Resolver')) return;
+    const classGuards = guardNames(classDecorators, content);
+
+    for (const member of node.body.body) {
+      const decorators = decoratorsOf(member);
+      const operation = decorators.find(decorator => Object.values(OPERATIONS).includes(decorator.name));
+      if (!operation) continue;
+
+      const [typeFn, options] = operation.args[0]?.type === 'ObjectExpression' ? [null, operation.args[0]] : operation.args;
+      const nameOption = objectEntries(options).find(([key]) => key === 'name')?.[1];
+      const methodName = propertyName(member);
+      const name = stringValue(nameOption) || methodName;
+      const returnType = isFunctionNode(typeFn) ? nodeText(typeFn.body, content) : 'unknown';
+
+      const args = {};
+      for (const param of member.params || []) {
+        const argsDecorator = decoratorsOf(param).find(decorator => decorator.name === 'Args');
+        if (!argsDecorator) continue;
+        const argName = stringValue(argsDecorator.args[0]) || param.name || 'args';
+        args[argName] = param.typeAnnotation ? nodeText(param.typeAnnotation.typeAnnotation, content) : 'unknown';
+      }
+
+      const line = operation.node.loc?.start.line ?? null;
+      const guards = [...classGuards, ...guardNames(decorators, content)];
+      // Code-first operations belong to the decorator's root type even when the SDL renames it
+      const kind = Object.keys(OPERATIONS).find(key => OPERATIONS[key] === operation.name);
+      fragment.fields.push({ type: operation.name, operation: kind, name, args, returnType, directives: [], guards, line });
+      fragment.resolvers[`${operation.name}.${name}`] = {
+        name: [node.id?.name, methodName].filter(Boolean).join('.'),
+        line,
+        guards: []
+      };
+    }
+  }
+}
+
+function guardNames(decorators, content) {
+  return decorators
+    .filter(decorator => decorator.name === 'UseGuards')
+    .flatMap(decorator => decorator.args.map(arg => nodeText(arg, content)));
+}
@@ -0,0 +1,37 @@
+// Library entry point: importing this module has no side effects (the CLI lives in ../index.js)
+import { Summarizer } from './summarizer.js';
+
+export { Summarizer, EXTRACTORS, DEEP_EXTRACTORS } from './summarizer.js';
+export { FrameworkDetector } from './frameworkDetector.js';
+export { ServiceClassifier } from './serviceClassifier.js';
+export { ApiRouteExtractor } from './apiRouteExtractor.js';
+export { DbModelExtractor } from './dbModelExtractor.js';
+export { UtilityAnalyzer } from './utilityAnalyzer.js';
+export { PatternDetector } from './patternDetector.js';
+export { GitMetadata } from './gitMetadata.js';
+export { ServiceInteractionExtractor } from './serviceInteractionExtractor.js';
+export { SchemaSnapshotExtractor } from './schemaSnapshotExtractor.js';
+export { PayloadExtractor } from './payloadExtractor.js';
+export { AuthPolicyExtractor } from './authPolicyExtractor.js';
+export { BusinessLogicFlowExtractor } from './businessLogicFlowExtractor.js';
+export { GraphQLExtractor } from './graphqlExtractor.js';
+export { RealtimeEventExtractor } from './realtimeEventExtractor.js';
+export { MessageChannelExtractor } from './messageChannelExtractor.js';
+export { ScheduledJobExtractor } from './scheduledJobExtractor.js';
+export { ApiSpecExtractor } from './apiSpecExtractor.js';
+export { FileIndex } from './fileIndex.js';
+export { RouteResolver, joinRoutePath } from './routeResolver.js';
+export { SourceParser } from './sourceParser.js';
+export { AnalysisCache, DEFAULT_CACHE_FILE } from './analysisCache.js';
+export { OutputFormatter } from './outputFormatter.js';
+export { SummaryMerger } from './summaryMerger.js';
+export { SummaryValidator } from './summaryValidator.js';
+export { SummaryDiff } from './summaryDiff.js';
+export { OpenApiGenerator } from './openApiGenerator.js';
+export { loadProjectConfig, resolveConfig, defaultConfig, excludeGlobs, CONFIG_FILES } from './projectConfig.js';
+export { createLogger, consoleLogger, silentLogger } from './logger.js';
+
+// Shorthand for `new Summarizer({ projectRoot, ...options }).analyze()`
+export async function summarize(projectRoot, options = {}) {
+  return new Summarizer({ ...options, projectRoot }).analyze();
+}
@@ -0,0 +1,28 @@
+// Progress and warning output. Any object with info/warn/error methods (including
+// `console`) can be passed as `logger`; `silent: true` suppresses everything.
+const noop = () => {};
+
+export const consoleLogger = {
+  info: (...args) => console.log(...args),
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+export const silentLogger = {
+  info: noop,
+  warn: noop,
+  error: noop
+};
+
+export function createLogger(options = {}) {
+  if (options.silent) return silentLogger;
+  if (!options.logger) return consoleLogger;
+
+  // Fill in missing levels so partial loggers ({ warn }) are enough
+  const { logger } = options;
+  return {
+    info: logger.info ? logger.info.bind(logger) : noop,
+    warn: logger.warn ? logger.warn.bind(logger) : noop,
+    error: logger.error ? logger.error.bind(logger) : noop
+  };
+}
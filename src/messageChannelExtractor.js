@@ -0,0 +1,328 @@
+import path from 'path';
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  callChain,
+  stringValue,
+  constantString,
+  nodeText,
+  getProperty,
+  propertyName,
+  decoratorsOf,
+  isFunctionNode,
+  unwrapExpression,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
+
+const QUEUE_LIBRARIES = ['bull', 'bullmq', 'bee-queue'];
+
+// Receivers treated as in-process event buses: emitter.emit(), this.eventBus.on(), events.emit()
+const EMITTER_NAME = /(emitter|eventBus|^bus|events)$/i;
+
+// Kafka, RabbitMQ, Bull/BullMQ and EventEmitter channels, each with the services that
+// publish to it and the services (and handlers) that consume it. A "service" is the
+// enclosing class, or the file name for module-level code.
+export class MessageChannelExtractor {
+  constructor(projectRoot, limit = 100, options = {}) {
+    this.projectRoot = projectRoot;
+    this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
+  }
+
+  async extract() {
+    this.logger.info('📨 Extracting message channels...');
+
+    const files = await this.fileIndex.match(this.config.patterns.sources);
+    const fragments = await this.cache.analyzeFiles('messageChannels', files, file => this.analyzeFile(file));
+
+    const channels = new Map();
+    for (const [i, fragment] of fragments.entries()) {
+      const file = this.fileIndex.get(files[i])?.relativePath || files[i];
+
+      for (const { channel: name, expression, transport, role, service, handler, exchange, line } of fragment || []) {
+        // A dynamic channel never matches a named one, even when its expression reads the same
+        const key = JSON.stringify([transport, name, expression]);
+        if (!channels.has(key)) {
+          channels.set(key, { channel: name, expression, transport, producers: [], consumers: [], bindings: [] });
+        }
+        const channel = channels.get(key);
+
+        if (role === 'producer') channel.producers.push({ service, file, line });
+        else if (role === 'consumer') channel.consumers.push({ service, handler, file, line });
+        else if (!channel.bindings.includes(exchange)) channel.bindings.push(exchange);
+      }
+    }
+
+    const graph = [...channels.values()]
+      .sort((a, b) => `${a.transport} ${a.channel ?? a.expression}`.localeCompare(`${b.transport} ${b.channel ?? b.expression}`))
+      .slice(0, this.limit);
+
+    if (graph.length > 0) this.logger.info(`📨 Found ${graph.length} message channels`);
+
+    return graph;
+  }
+
+  // Per-file result: [{ channel, expression, transport, role: 'producer' | 'consumer' | 'binding', service, handler, exchange, line }]
+  async analyzeFile(file) {
+    const endpoints = [];
+
+    try {
+      const { content, ast } = await this.parser.parseFile(file);
+      if (!ast) return endpoints;
+
+      const context = {
+        content,
+        declarations: collectDeclarations(ast),
+        queueImports: queueImports(ast),
+        emitters: new Set(),
+        queues: new Map(),
+        kafkaHandlers: new Map(),
+        fileService: fileService(file)
+      };
+      this.collectInstances(ast, context);
+
+      walk(ast, (node, ancestors) => {
+        const service = enclosingClass(ancestors, node) || context.fileService;
+        const add = (endpoint, at = node) => endpoints.push({
+          handler: null, exchange: null, ...endpoint, service, line: at.loc?.start.line ?? null
+        });
+
+        if (node.type === 'NewExpression') this.analyzeQueueConstructor(node, context, add);
+        else if (node.type === 'CallExpression') this.analyzeCall(node, context, add, ancestors);
+        else if (['ClassDeclaration', 'ClassExpression'].includes(node.type)) this.analyzeNestClass(node, context, add);
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Error analyzing message channels in ${file}:`, error.message);
+    }
+
+    return endpoints;
+  }
+
+  // Variables holding emitters and queues, and Kafka consumer.run() handlers
+  collectInstances(ast, context) {
+    walk(ast, node => {
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+        const init = unwrapExpression(node.init);
+        const className = init.type === 'NewExpression' ? memberPath(init.callee) : null;
+        if (className && /(^|\.)(EventEmitter|EventEmitter2)$/.test(className)) context.emitters.add(node.id.name);
+        if (this.isQueueConstructor(init, context) && !/Worker$/.test(className)) {
+          const queue = channelName(init.arguments[0], context);
+          if (queue) context.queues.set(node.id.name, queue);
+        }
+      }
+
+      // consumer.run({ eachMessage: handleMessage })
+      if (node.type === 'CallExpression') {
+        const { root, calls } = callChain(node);
+        const last = calls[calls.length - 1];
+        const options = unwrapExpression(last?.args[0]);
+        if (root && last?.name === 'run' && options?.type === 'ObjectExpression') {
+          const handler = getProperty(options, 'eachMessage') || getProperty(options, 'eachBatch');
+          if (handler) context.kafkaHandlers.set(root, handlerName(handler));
+        }
+      }
+    });
+  }
+
+  isQueueConstructor(node, context) {
+    if (node?.type !== 'NewExpression') return false;
+    const className = memberPath(node.callee) || '';
+    return context.queueImports.has(className.split('.')[0]) && /(Queue|Worker|Bull)$/.test(className);
+  }
+
+  // new Queue('emails') publishes to the queue, new Worker('emails', processor) consumes it
+  analyzeQueueConstructor(node, context, add) {
+    if (!this.isQueueConstructor(node, context)) return;
+
+    const channel = channelName(node.arguments[0], context);
+    if (!channel) return;
+
+    if (/Worker$/.test(memberPath(node.callee))) {
+      add({ ...channel, transport: 'bullmq', role: 'consumer', handler: handlerName(node.arguments[1]) });
+    } else {
+      add({ ...channel, transport: 'bullmq', role: 'producer' });
+    }
+  }
+
+  analyzeCall(node, context, add, ancestors) {
+    const { root, calls } = callChain(node);
+    const last = calls[calls.length - 1];
+    if (!root || !last) return;
+    const args = last.args;
+    const options = unwrapExpression(args[0]);
+
+    // Kafka: producer.send({ topic, messages }), consumer.subscribe({ topic | topics })
+    if (last.name === 'send' && options?.type === 'ObjectExpression' && getProperty(options, 'topic') && getProperty(options, 'messages')) {
+      const channel = channelName(getProperty(options, 'topic'), context);
+      if (channel) add({ ...channel, transport: 'kafka', role: 'producer' });
+      return;
+    }
+    if (last.name === 'sendBatch' && options?.type === 'ObjectExpression') {
+      for (const entry of getProperty(options, 'topicMessages')?.elements || []) {
+        const channel = channelName(getProperty(entry, 'topic'), context);
+        if (channel) add({ ...channel, transport: 'kafka', role: 'producer' });
+      }
+      return;
+    }
+    if (last.name === 'subscribe' && options?.type === 'ObjectExpression' && (getProperty(options, 'topic') || getProperty(options, 'topics'))) {
+      const topics = getProperty(options, 'topics')?.elements || [getProperty(options, 'topic')];
+      for (const topic of topics) {
+        const channel = channelName(topic, context);
+        if (channel) add({ ...channel, transport: 'kafka', role: 'consumer', handler: context.kafkaHandlers.get(root) || null });
+      }
+      return;
+    }
+
+    // RabbitMQ (amqplib): sendToQueue(queue), publish(exchange, routingKey, content), consume(queue, handler),
+    // bindQueue(queue, exchange, routingKey)
+    if (last.name === 'sendToQueue' && args.length >= 2) {
+      const channel = channelName(args[0], context);
+      if (channel) add({ ...channel, transport: 'rabbitmq', role: 'producer' });
+      return;
+    }
+    if (last.name === 'publish' && args.length >= 3) {
+      // The default exchange ('') routes straight to the queue named by the routing key
+      const exchange = channelName(args[0], context);
+      const channel = exchange?.channel === '' ? channelName(args[1], context) : exchange;
+      if (channel) add({ ...channel, transport: 'rabbitmq', role: 'producer' });
+      return;
+    }
+    if (last.name === 'consume' && args.length >= 2 && /channel|ch$|amqp|rabbit|mq/i.test(root)) {
+      const channel = channelName(args[0], context);
+      if (channel) add({ ...channel, transport: 'rabbitmq', role: 'consumer', handler: handlerName(args[1]) });
+      return;
+    }
+    if (last.name === 'bindQueue' && args.length >= 2) {
+      const channel = channelName(args[0], context);
+      const exchange = channelName(args[1], context);
+      if (channel && exchange) add({ ...channel, transport: 'rabbitmq', role: 'binding', exchange: exchange.channel ?? exchange.expression });
+      return;
+    }
+
+    // Bull: queue.process(handler) on a queue created in this file
+    if (last.name === 'process' && calls.length === 1 && context.queues.has(root)) {
+      add({ ...context.queues.get(root), transport: 'bullmq', role: 'consumer', handler: handlerName(args[args.length - 1]) });
+      return;
+    }
+
+    // EventEmitter: emitter.emit(event), emitter.on(event, handler), this.emit() inside an EventEmitter subclass
+    if (['emit', 'on', 'once', 'addListener'].includes(last.name) && calls.length === 1 && this.isEmitter(root, context, ancestors)) {
+      const channel = channelName(args[0], context);
+      if (!channel) return;
+      if (last.name === 'emit') add({ ...channel, transport: 'event-emitter', role: 'producer' });
+      else add({ ...channel, transport: 'event-emitter', role: 'consumer', handler: handlerName(args[1]) });
+    }
+  }
+
+  isEmitter(root, context, ancestors) {
+    if (context.emitters.has(root) || EMITTER_NAME.test(root.split('.').pop())) return true;
+    if (root !== 'this') return false;
+
+    const owner = [...ancestors].reverse().find(ancestor => ['ClassDeclaration', 'ClassExpression'].includes(ancestor.type));
+    return /(^|\.)EventEmitter2?$/.test(memberPath(owner?.superClass) || '');
+  }
+
+  // NestJS: @Processor('emails') classes consume a queue (handlers marked @Process()),
+  // @InjectQueue('emails') injections publish to it and @OnEvent('order.created') methods listen to the event bus
+  analyzeNestClass(node, context, add) {
+    const className = node.id?.name || context.fileService;
+    const processor = decoratorsOf(node).find(decorator => decorator.name === 'Processor');
+    const queue = processor && channelName(processor.args[0], context);
+
+    for (const member of node.body.body) {
+      const memberName = propertyName(member);
+      for (const decorator of decoratorsOf(member)) {
+        if (queue && decorator.name === 'Process') {
+          add({ ...queue, transport: 'bullmq', role: 'consumer', handler: `${className}.${memberName}` }, decorator.node);
+        } else if (decorator.name === 'OnEvent') {
+          const channel = channelName(decorator.args[0], context);
+          if (channel) add({ ...channel, transport: 'event-emitter', role: 'consumer', handler: `${className}.${memberName}` }, decorator.node);
+        }
+      }
+
+      const params = member.type === 'ClassMethod' && member.kind === 'constructor' ? member.params : [member];
+      for (const param of params) {
+        const target = param.type === 'TSParameterProperty' ? param.parameter : param;
+        const inject = decoratorsOf(param).concat(decoratorsOf(target)).find(decorator => decorator.name === 'InjectQueue');
+        const channel = inject && channelName(inject.args[0], context);
+        if (channel) add({ ...channel, transport: 'bullmq', role: 'producer' }, inject.node);
+      }
+    }
+
+    // BullMQ processors extend WorkerHost and implement process() without @Process()
+    const decorated = node.body.body.some(member => decoratorsOf(member).some(decorator => decorator.name === 'Process'));
+    if (queue && !decorated) {
+      const process = node.body.body.find(member => member.type === 'ClassMethod' && propertyName(member) === 'process');
+      add({ ...queue, transport: 'bullmq', role: 'consumer', handler: process ? `${className}.process` : className }, process || processor.node);
+    }
+  }
+}
+
+// Local names bound to a queue library: import { Queue, Worker } from 'bullmq', const Queue = require('bull')
+function queueImports(ast) {
+  const names = new Set();
+
+  walk(ast, node => {
+    if (node.type === 'ImportDeclaration' && QUEUE_LIBRARIES.includes(node.source.value)) {
+      node.specifiers.forEach(specifier => names.add(specifier.local.name));
+    } else if (node.type === 'VariableDeclarator' && memberPath(node.init?.callee) === 'require' &&
+      QUEUE_LIBRARIES.includes(stringValue(node.init.arguments[0]))) {
+      if (node.id.type === 'Identifier') names.add(node.id.name);
+      for (const property of node.id.properties || []) {
+        if (property.value?.type === 'Identifier') names.add(property.value.name);
+      }
+    }
+  });
+
+  return names;
+}
+
+// 'orders', ORDERS_TOPIC and TOPICS.ORDERS resolve through same-file constants to { channel, expression: null }.
+// Anything else (parameters, config lookups, imports) is dynamic: { channel: null, expression: 'topic' }
+function channelName(node, context) {
+  node = unwrapExpression(node);
+  if (!node || node.type === 'SpreadElement') return null;
+
+  const value = constantString(node, context.declarations) ?? constantMember(node, context);
+  if (value !== null) return { channel: value, expression: null };
+
+  const expression = nodeText(node, context.content);
+  return expression ? { channel: null, expression } : null;
+}
+
+function constantMember(node, context) {
+  if (node.type !== 'MemberExpression' || node.object.type !== 'Identifier') return null;
+
+  const constants = unwrapExpression(context.declarations.get(node.object.name));
+  const member = constants?.type === 'ObjectExpression' &&
+    getProperty(constants, node.computed ? stringValue(node.property) : node.property.name);
+  return member ? constantString(member, context.declarations) : null;
+}
+
+function handlerName(node) {
+  node = unwrapExpression(node);
+  if (!node) return null;
+  if (isFunctionNode(node)) return node.id?.name || null;
+  if (node.type === 'CallExpression') return memberPath(node.callee);
+  return memberPath(node);
+}
+
+function enclosingClass(ancestors, node) {
+  const owner = [...ancestors, node].reverse().find(ancestor => ['ClassDeclaration', 'ClassExpression'].includes(ancestor.type));
+  return owner?.id?.name || null;
+}
+
+// orders/index.js -> orders, emailWorker.js -> emailWorker
+function fileService(file) {
+  const stem = path.basename(file, path.extname(file));
+  return stem === 'index' ? path.basename(path.dirname(file)) : stem;
+}
@@ -0,0 +1,364 @@
+import { STATUS_CODES } from 'http';
+import { routeTemplate } from './apiRouteExtractor.js';
+
+// OpenAPI 3.1 document built from a summary: apiRoutes supply the paths, operations and path
+// parameters, apiPayloads the request schemas and the responses by status code and authPolicies the
+// security requirements.
+// Payloads and policies are joined to routes by their "METHOD /path" key. When repositories of a
+// merged summary define the same path and method, the first one is kept and the others are listed
+// under x-conflicts, since a path item holds one operation per method. Routes whose method has no
+// OpenAPI operation are listed under x-skipped-routes.
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// router.all() / @All() routes answer every method; they become these operations unless the path
+// registers one of them on its own
+const ALL_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// Request fields of these methods travel in the query string rather than a body
+const QUERY_METHODS = ['get', 'head', 'delete'];
+
+// Field type names (lower-cased, last dotted segment) -> JSON Schema
+const PRIMITIVES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  double: { type: 'number' },
+  decimal: { type: 'number' },
+  decimal128: { type: 'number' },
+  integer: { type: 'integer' },
+  int: { type: 'integer' },
+  bigint: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  bool: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  objectid: { type: 'string' },
+  uuid: { type: 'string', format: 'uuid' },
+  buffer: { type: 'string', format: 'binary' },
+  binary: { type: 'string', format: 'binary' },
+  file: { type: 'string', format: 'binary' },
+  array: { type: 'array' },
+  object: { type: 'object' },
+  null: { type: 'null' },
+  any: {},
+  unknown: {},
+  mixed: {},
+  alternatives: {},
+  undefined: {},
+  void: {}
+};
+
+// Passport OAuth strategies reported by the auth extractor -> [authorizationUrl, tokenUrl]
+const OAUTH_PROVIDERS = {
+  Google: ['https://accounts.google.com/o/oauth2/v2/auth', 'https://oauth2.googleapis.com/token'],
+  GitHub: ['https://github.com/login/oauth/authorize', 'https://github.com/login/oauth/access_token'],
+  Facebook: ['https://www.facebook.com/dialog/oauth', 'https://graph.facebook.com/oauth/access_token'],
+  Twitter: ['https://twitter.com/i/oauth2/authorize', 'https://api.twitter.com/2/oauth2/token'],
+  LinkedIn: ['https://www.linkedin.com/oauth/v2/authorization', 'https://www.linkedin.com/oauth/v2/accessToken']
+};
+
+export class OpenApiGenerator {
+  // `options.title` / `options.version` override the info block derived from the summary
+  static generate(summary, options = {}) {
+    const document = {
+      openapi: '3.1.0',
+      info: this.info(summary, options),
+      paths: {},
+      components: { securitySchemes: {} }
+    };
+    const operationIds = new Set();
+    const owners = new Map();
+    const conflicts = [];
+    const skipped = [];
+    // ALL routes go last so the methods a path registers itself keep their own operations
+    const routes = [
+      ...(summary.apiRoutes?.publicRoutes || []).map(route => [route, false]),
+      ...(summary.apiRoutes?.internalRoutes || []).map(route => [route, true])
+    ].sort(([a], [b]) => (a.method === 'ALL') - (b.method === 'ALL'));
+
+    for (const [route, internal] of routes) {
+      const methods = route.method === 'ALL' ? ALL_METHODS : [route.method.toLowerCase()];
+      if (!HTTP_METHODS.includes(methods[0])) {
+        skipped.push({ method: route.method, path: route.fullPath, source: routeSource(route) });
+        continue;
+      }
+
+      const key = `${route.repository ? `${route.repository}:` : ''}${route.method} ${route.fullPath}`;
+      const payload = summary.apiPayloads?.[key] || {};
+      const policy = summary.authPolicies?.[key] || null;
+
+      for (const method of methods) {
+        for (const variant of pathVariants(route)) {
+          const pathItem = document.paths[variant.path] || (document.paths[variant.path] = {});
+          if (pathItem[method]) {
+            // Within one repository only optional-parameter variants overlap, and those are the same endpoint
+            const owner = owners.get(`${method} ${variant.path}`);
+            if (owner.repository !== route.repository && route.method !== 'ALL') {
+              conflicts.push({ path: variant.path, method: route.method, kept: routeSource(owner), dropped: routeSource(route) });
+            }
+            continue;
+          }
+          owners.set(`${method} ${variant.path}`, route);
+
+          const operation = {
+            operationId: operationId(route, method, variant.path, operationIds),
+            summary: route.handler || `${route.method} ${route.fullPath}`,
+            tags: [route.repository || resourceTag(variant.path)],
+            ...this.requestParts(method, variant.params, payload.request || {}),
+            responses: operationResponses(payload)
+          };
+          if (policy) this.applySecurity(operation, policy, document.components.securitySchemes);
+
+          operation['x-source'] = sourceOf(route);
+          if (internal) operation['x-internal'] = true;
+          pathItem[method] = operation;
+        }
+      }
+    }
+
+    document.paths = Object.fromEntries(Object.entries(document.paths).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    if (Object.keys(document.components.securitySchemes).length === 0) delete document.components;
+    if (conflicts.length > 0) document['x-conflicts'] = conflicts;
+    if (skipped.length > 0) document['x-skipped-routes'] = skipped;
+    return document;
+  }
+
+  static info(summary, options) {
+    const repositories = (summary.repositories || []).map(repository => repository.name);
+    const remote = summary.git?.remote ? summary.git.remote.split(/[/:]/).pop().replace(/\.git$/, '') : null;
+
+    return {
+      title: options.title || repositories.join(', ') || remote || 'API',
+      version: options.version || summary.git?.sha?.slice(0, 7) || '0.0.0',
+      description: `Generated from ${summary.frameworks?.backend || 'Unknown'} sources on ${summary.generatedAt}.`
+    };
+  }
+
+  // Path parameters, then request fields as query parameters (GET, HEAD, DELETE) or a JSON body.
+  // A request field named like a path parameter (NestJS @Param('id')) types that parameter instead.
+  static requestParts(method, params, fields) {
+    const pathNames = new Set(params.map(param => param.name));
+    const parameters = params.map(param => ({
+      name: param.name,
+      in: 'path',
+      required: true,
+      schema: fields[param.name] !== undefined
+        ? fieldSchema(fields[param.name]).schema
+        : { type: 'string', ...(param.pattern ? { pattern: `^(?:${param.pattern})$` } : {}) }
+    }));
+    const rest = Object.fromEntries(Object.entries(fields).filter(([name]) => !pathNames.has(name)));
+
+    if (QUERY_METHODS.includes(method)) {
+      for (const [name, field] of Object.entries(rest)) {
+        const { schema, required } = fieldSchema(field);
+        parameters.push({ name, in: 'query', required, schema });
+      }
+      return parameters.length > 0 ? { parameters } : {};
+    }
+
+    return {
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(Object.keys(rest).length > 0 ? { requestBody: { required: true, ...jsonContent(rest) } } : {})
+    };
+  }
+
+  // "JWT Required + Role: admin" -> security: [{ bearerAuth: ['admin'] }]; OpenAPI 3.1 allows role
+  // names in the requirement of any scheme type. The policy text itself is kept as x-auth-policy.
+  static applySecurity(operation, policy, securitySchemes) {
+    const { schemes, scopes, optional } = parsePolicy(policy);
+    const requirement = {};
+
+    for (const [name, scheme] of Object.entries(schemes)) {
+      const declared = securitySchemes[name] || (securitySchemes[name] = scheme);
+      if (declared.type === 'oauth2') {
+        scopes.forEach(scope => { declared.flows.authorizationCode.scopes[scope] = `Role or permission "${scope}"`; });
+      }
+      requirement[name] = scopes;
+    }
+
+    operation.security = optional ? [requirement, {}] : [requirement];
+    if (!optional) operation.responses[401] = { description: 'Missing or invalid credentials' };
+    if (scopes.length > 0) operation.responses[403] = { description: 'Insufficient role or permission' };
+    operation['x-auth-policy'] = policy;
+  }
+}
+
+// "JWT Required + Role: admin, editor" -> { schemes: { bearerAuth: {...} }, scopes: ['admin', 'editor'], optional: false }
+function parsePolicy(policy) {
+  const schemes = {};
+  const scopes = [];
+  let optional = false;
+
+  for (const part of policy.split(' + ')) {
+    const [, label, note] = part.trim().match(/^(.*?)(?:\s*\((\w+)\))?$/);
+    if (note === 'Optional') optional = true;
+
+    const grant = label.match(/^(?:Role|Permission): (.+)$/);
+    if (grant) {
+      scopes.push(...grant[1].split(/,\s*/));
+      continue;
+    }
+    if (label === 'AdminOnly') scopes.push('admin');
+    if (label === 'OwnerOnly') scopes.push('owner');
+
+    const [name, scheme] = securityScheme(label);
+    schemes[name] = scheme;
+  }
+
+  // Roles on their own still imply an authenticated caller
+  if (Object.keys(schemes).length === 0) {
+    const [name, scheme] = securityScheme('Authenticated');
+    schemes[name] = scheme;
+  }
+  return { schemes, scopes: [...new Set(scopes)], optional };
+}
+
+function securityScheme(label) {
+  if (label === 'JWT Required') return ['bearerAuth', { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }];
+  if (label === 'Token Required') return ['tokenAuth', { type: 'http', scheme: 'bearer' }];
+
+  const oauth = label.match(/^(\w+) OAuth$/);
+  if (oauth && OAUTH_PROVIDERS[oauth[1]]) {
+    const [authorizationUrl, tokenUrl] = OAUTH_PROVIDERS[oauth[1]];
+    return [`${oauth[1].toLowerCase()}OAuth`, { type: 'oauth2', flows: { authorizationCode: { authorizationUrl, tokenUrl, scopes: {} } } }];
+  }
+
+  const strategy = label.match(/^(?:Auth Strategy|Passport): (.+)$/);
+  if (strategy && /api[-_]?key/i.test(strategy[1])) {
+    return ['apiKeyAuth', { type: 'apiKey', in: 'header', name: 'X-API-Key' }];
+  }
+  if (strategy) {
+    return [`${camelCase(strategy[1])}Auth`, { type: 'http', scheme: 'bearer', description: `Credentials checked by the "${strategy[1]}" strategy` }];
+  }
+
+  return ['auth', { type: 'http', scheme: 'bearer', description: 'Authentication enforced by middleware or guards; the credential type is not inferred' }];
+}
+
+// OpenAPI path parameters are always required, so /docs/:lang? yields both /docs and /docs/{lang}
+function pathVariants(route) {
+  const params = route.params || [];
+  const variants = [{ path: routeTemplate(route.fullPath), params }];
+  const optional = new Set(params.filter(param => param.optional).map(param => param.position));
+
+  if (optional.size > 0) {
+    const segments = route.fullPath.split('/').filter(Boolean).filter((segment, position) => !optional.has(position));
+    variants.push({ path: routeTemplate(`/${segments.join('/')}`), params: params.filter(param => !optional.has(param.position)) });
+  }
+  return variants;
+}
+
+function sourceOf(route) {
+  return route.line ? `${route.file}:${route.line}` : route.file;
+}
+
+// "orders:routes/orders.js:12" for routes of a merged summary
+function routeSource(route) {
+  return route.repository ? `${route.repository}:${sourceOf(route)}` : sourceOf(route);
+}
+
+// Named handlers become operation ids (orderController.create); inline ones are named after the route
+function operationId(route, method, templatePath, used) {
+  const base = /^[\w$.]+$/.test(route.handler || '')
+    ? route.handler
+    : method + templatePath.split('/').filter(Boolean)
+      .map(segment => (segment.startsWith('{') ? `By${pascalCase(segment)}` : pascalCase(segment)))
+      .join('');
+
+  let id = base;
+  for (let n = 2; used.has(id); n++) id = `${base}${n}`;
+  used.add(id);
+  return id;
+}
+
+// First meaningful path segment: /api/v1/orders/{id} -> orders
+function resourceTag(templatePath) {
+  return templatePath.split('/').find(segment => segment && !segment.startsWith('{') && !/^(api|v\d+)$/i.test(segment)) || 'default';
+}
+
+function jsonContent(fields) {
+  if (!fields || Object.keys(fields).length === 0) return {};
+  return { content: { 'application/json': { schema: objectSchema(fields) } } };
+}
+
+// One response per status code the route answers with; success bodies use `response`, which joins
+// the fields every source found. Without a status code matrix there is a single 200 response.
+function operationResponses(payload) {
+  const responses = Object.entries(payload.responses || {}).map(([status, body]) => {
+    const success = /^2\d\d$/.test(status) && body?.properties && Object.keys(payload.response || {}).length > 0;
+    const content = success ? jsonContent(payload.response)
+      : body ? { content: { 'application/json': { schema: fieldSchema(body).schema } } } : {};
+    return [status, { description: STATUS_CODES[status] || 'Default response', ...content }];
+  });
+  if (!responses.some(([status]) => /^2\d\d$/.test(status))) {
+    responses.unshift(['200', { description: 'Successful response', ...jsonContent(payload.response) }]);
+  }
+  return Object.fromEntries(responses);
+}
+
+function objectSchema(fields) {
+  const properties = {};
+  const required = [];
+
+  for (const [name, field] of Object.entries(fields)) {
+    const property = fieldSchema(field);
+    properties[name] = property.schema;
+    if (property.required) required.push(name);
+  }
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+// Payload field -> JSON Schema. min/max become length, size or value bounds depending on the type.
+function fieldSchema(field) {
+  let schema = typeSchema(field);
+
+  if (field.enum) schema.enum = field.nullable ? [...field.enum, null] : field.enum;
+  if (field.nullable) schema = withNull(schema);
+  if (field.format) schema.format = field.format;
+
+  const [minimum, maximum] = field.type === 'string' ? ['minLength', 'maxLength']
+    : field.type === 'array' ? ['minItems', 'maxItems'] : ['minimum', 'maximum'];
+  if (field.min !== undefined) schema[minimum] = field.min;
+  if (field.max !== undefined) schema[maximum] = field.max;
+  if (field.pattern) schema.pattern = field.pattern;
+  if (field.default !== undefined) schema.default = field.default;
+  if (field.description) schema.description = field.description;
+
+  return { schema, required: !!field.required };
+}
+
+function typeSchema(field) {
+  if (field.type === 'array') return { type: 'array', ...(field.items ? { items: fieldSchema(field.items).schema } : {}) };
+  if (field.properties) return objectSchema(field.properties);
+  if (field.values) return { type: 'object', additionalProperties: fieldSchema(field.values).schema };
+  if (field.type === 'union') return unionSchema((field.variants || []).map(variant => fieldSchema(variant).schema));
+
+  const primitive = PRIMITIVES[field.type.split('.').pop().toLowerCase()];
+  if (primitive) return { ...primitive };
+
+  // Named types (DTOs, interfaces, enums) that were not resolved keep the name as the title
+  return /^[A-Za-z_$][\w.$]*(<.*>)?$/.test(field.type) ? { title: field.type } : {};
+}
+
+// string -> ['string', 'null']; anything without a single type -> anyOf with null
+function withNull(schema) {
+  if (typeof schema.type === 'string') return { ...schema, type: [schema.type, 'null'] };
+  if (schema.anyOf) return { ...schema, anyOf: [...schema.anyOf, { type: 'null' }] };
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+// string | number -> type: ['string', 'number']; anything else -> anyOf
+function unionSchema(schemas) {
+  if (schemas.length > 0 && schemas.every(schema => typeof schema.type === 'string' && Object.keys(schema).length === 1)) {
+    return { type: [...new Set(schemas.map(schema => schema.type))] };
+  }
+  return { anyOf: schemas };
+}
+
+function pascalCase(text) {
+  return text.split(/[^A-Za-z0-9]+/).filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+function camelCase(text) {
+  const pascal = pascalCase(text);
+  return pascal[0].toLowerCase() + pascal.slice(1);
+}
@@ -0,0 +1,428 @@
+import YAML from 'yaml';
+import { BusinessLogicFlowExtractor } from './businessLogicFlowExtractor.js';
+import { OpenApiGenerator } from './openApiGenerator.js';
+import { isPayloadField, fieldPaths, bodyText } from './payloadFields.js';
+
+// Each formatter turns the summary object into the text written to the output file
+const jsonFormatter = {
+  extension: 'json',
+  render: summary => JSON.stringify(summary, null, 2)
+};
+
+const yamlFormatter = {
+  extension: 'yaml',
+  render: summary => YAML.stringify(summary, { lineWidth: 0, aliasDuplicateObjects: false })
+};
+
+const markdownFormatter = {
+  extension: 'md',
+  render: summary => renderMarkdown(summary)
+};
+
+const llmFormatter = {
+  extension: 'txt',
+  render: summary => renderPrompt(summary)
+};
+
+// An OpenAPI 3.1 document of the HTTP API rather than the summary itself
+const openApiFormatter = {
+  extension: 'openapi.json',
+  render: summary => JSON.stringify(OpenApiGenerator.generate(summary), null, 2)
+};
+
+export class OutputFormatter {
+  static formatters = new Map([
+    ['json', jsonFormatter],
+    ['yaml', yamlFormatter],
+    ['yml', yamlFormatter],
+    ['markdown', markdownFormatter],
+    ['md', markdownFormatter],
+    ['llm', llmFormatter],
+    ['openapi', openApiFormatter]
+  ]);
+
+  // Plugs in a custom format: `formatter` is `{ extension, render(summary) }`
+  static register(name, formatter) {
+    if (!formatter || typeof formatter.render !== 'function') {
+      throw new Error(`Formatter "${name}" must provide a render(summary) function`);
+    }
+    this.formatters.set(name.toLowerCase(), { extension: name.toLowerCase(), ...formatter });
+  }
+
+  static get(name = 'json') {
+    const formatter = this.formatters.get(String(name).toLowerCase());
+    if (!formatter) {
+      throw new Error(`Unknown output format "${name}" (available: ${this.available().join(', ')})`);
+    }
+    return formatter;
+  }
+
+  static available() {
+    return [...this.formatters.keys()];
+  }
+
+  static format(summary, name = 'json') {
+    const output = this.get(name).render(summary);
+    return output.endsWith('\n') ? output : `${output}\n`;
+  }
+}
+
+function renderMarkdown(summary) {
+  const lines = ['# Codebase Summary', ''];
+
+  const { git = {}, frameworks = {} } = summary;
+  lines.push(`- **Generated:** ${summary.generatedAt}`);
+  if (git.branch || git.sha) lines.push(`- **Revision:** ${[git.branch, git.sha].filter(Boolean).join(' @ ')}`);
+  if (git.remote) lines.push(`- **Repository:** ${git.remote}`);
+  lines.push(`- **Backend:** ${frameworks.backend || 'Unknown'}`);
+  lines.push(`- **Frontend:** ${frameworks.frontend || 'Unknown'}`);
+  if (summary.globalPatterns?.length) lines.push(`- **Patterns:** ${summary.globalPatterns.join(', ')}`);
+  lines.push('');
+
+  // 1️⃣ Services and how they depend on each other
+  const services = summary.services || {};
+  lines.push('## Services', '');
+  lines.push(`**Business:** ${listOrNone(services.businessServices)}`, '');
+  lines.push(`**Utility:** ${listOrNone(services.utilityServices)}`, '');
+  const dependencies = Object.entries(summary.serviceDependencies || {});
+  if (dependencies.length > 0) {
+    lines.push('### Dependencies', '');
+    for (const [service, deps] of dependencies) {
+      lines.push(`- **${service}** → ${deps.join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  // 2️⃣ API surface: route lists plus per-endpoint auth and payloads
+  const routes = summary.apiRoutes || {};
+  lines.push('## API Routes', '');
+  for (const [title, list] of [['Public', routes.publicRoutes], ['Internal', routes.internalRoutes]]) {
+    if (!list?.length) {
+      lines.push(`**${title}:** _None detected_`, '');
+      continue;
+    }
+    lines.push(`**${title}:**`, '');
+    lines.push('| Route | Handler | Middleware | Source |');
+    lines.push('| ----- | ------- | ---------- | ------ |');
+    for (const route of list) {
+      lines.push(`| \`${routeLabel(route)}\` | ${cell(route.handler || '-')} | ${cell(route.middleware.join(', ') || '-')} | ${cell(routeSource(route))} |`);
+    }
+    lines.push('');
+  }
+
+  const endpoints = endpointKeys(summary);
+  if (endpoints.length > 0) {
+    lines.push('### Endpoints', '');
+    lines.push('| Endpoint | Auth | Request | Response |');
+    lines.push('| -------- | ---- | ------- | -------- |');
+    for (const endpoint of endpoints) {
+      const payload = summary.apiPayloads?.[endpoint] || {};
+      lines.push(`| \`${endpoint}\` | ${cell(summary.authPolicies?.[endpoint] || '-')} | ${cell(fieldList(payload.request))} | ${cell(fieldList(payload.response))} |`);
+    }
+    lines.push('');
+  }
+
+  const statusRows = endpoints.flatMap(endpoint => Object.entries(summary.apiPayloads?.[endpoint]?.responses || {})
+    .map(([status, body]) => `| \`${endpoint}\` | ${status} | ${cell(bodyText(body))} |`));
+  if (statusRows.length > 0) {
+    lines.push('### Response Codes', '');
+    lines.push('| Endpoint | Status | Body |');
+    lines.push('| -------- | ------ | ---- |');
+    lines.push(...statusRows, '');
+  }
+
+  const drift = summary.apiSpecDrift || [];
+  if (drift.length > 0) {
+    lines.push('### Spec Drift', '');
+    lines.push('| Endpoint | Issue | Field | Spec | Code | Source |');
+    lines.push('| -------- | ----- | ----- | ---- | ---- | ------ |');
+    for (const finding of drift) {
+      const field = finding.field ? `${finding.section}.${finding.field}` : '-';
+      lines.push(`| \`${driftLabel(finding)}\` | ${finding.kind} | ${cell(field)} | ${cell(finding.spec || '-')} | ${cell(finding.code || '-')} | ${cell(routeSource(finding))} |`);
+    }
+    lines.push('');
+  }
+
+  const operations = graphqlOperations(summary);
+  if (operations.length > 0) {
+    lines.push('### GraphQL', '');
+    lines.push('| Operation | Arguments | Returns | Resolver | Auth | Source |');
+    lines.push('| --------- | --------- | ------- | -------- | ---- | ------ |');
+    for (const [kind, operation] of operations) {
+      const resolver = operation.resolver ? operation.resolver.name || routeSource(operation.resolver) : '-';
+      lines.push(`| \`${kind} ${operationLabel(operation)}\` | ${cell(argList(operation.args) || '-')} | \`${cell(operation.returnType)}\` | ${cell(resolver)} | ${cell(operation.auth || '-')} | ${cell(routeSource(operation))} |`);
+    }
+    lines.push('');
+  }
+
+  const events = summary.realtimeEvents || [];
+  if (events.length > 0) {
+    lines.push('### Realtime Events', '');
+    lines.push('| Event | Direction | Namespace | Rooms | Handler | Payload | Source |');
+    lines.push('| ----- | --------- | --------- | ----- | ------- | ------- | ------ |');
+    for (const event of events) {
+      lines.push(`| \`${eventLabel(event)}\` | ${event.direction} | ${cell(event.namespace || '-')} | ${cell(event.rooms.join(', ') || '-')} | ${cell(event.handler || '-')} | ${cell(fieldList(event.payload))} | ${cell(routeSource(event))} |`);
+    }
+    lines.push('');
+  }
+
+  const channels = summary.messageChannels || [];
+  if (channels.length > 0) {
+    lines.push('### Message Channels', '');
+    lines.push('| Channel | Transport | Producers | Consumers |');
+    lines.push('| ------- | --------- | --------- | --------- |');
+    for (const channel of channels) {
+      const bindings = channel.bindings.length ? ` (bound to ${channel.bindings.join(', ')})` : '';
+      lines.push(`| \`${channelLabel(channel)}\`${cell(bindings)} | ${channel.transport} | ${cell(channelEnds(channel.producers))} | ${cell(channelEnds(channel.consumers))} |`);
+    }
+    lines.push('');
+  }
+
+  const jobs = summary.backgroundJobs || [];
+  if (jobs.length > 0) {
+    lines.push('## Background Jobs', '');
+    lines.push('| Job | Type | Schedule | Handler | Touches | Source |');
+    lines.push('| --- | ---- | -------- | ------- | ------- | ------ |');
+    for (const job of jobs) {
+      const schedule = job.cadence ? `${job.cadence} (\`${job.schedule}\`)` : job.schedule || '-';
+      const touches = [...job.services, ...job.models].join(', ') || '-';
+      lines.push(`| ${cell(jobLabel(job))} | ${job.type} | ${cell(schedule)} | ${cell(job.handler || '-')} | ${cell(touches)} | ${cell(routeSource(job))} |`);
+    }
+    lines.push('');
+  }
+
+  // 3️⃣ Data models
+  const schemas = Object.entries(summary.schemaSnapshots || {});
+  lines.push('## Data Models', '');
+  if (schemas.length === 0) {
+    lines.push(`${listOrNone(summary.dbModels)}`, '');
+  }
+  for (const [model, fields] of schemas) {
+    lines.push(`### ${model}`, '');
+    lines.push('| Field | Type |');
+    lines.push('| ----- | ---- |');
+    for (const [field, type] of flattenFields(fields)) {
+      lines.push(`| \`${field}\` | ${cell(type)} |`);
+    }
+    lines.push('');
+  }
+
+  // 4️⃣ Business logic flows
+  const flows = Object.entries(summary.businessFlows || {});
+  if (flows.length > 0) {
+    lines.push('## Business Flows', '');
+    for (const [service, methods] of flows) {
+      lines.push(BusinessLogicFlowExtractor.generateMarkdownFlow(service, methods).trimEnd(), '');
+    }
+  }
+
+  // 5️⃣ Utilities grouped by domain
+  const domains = Object.entries(summary.utils?.byDomain || {});
+  if (domains.length > 0) {
+    lines.push('## Utilities', '');
+    for (const [domain, files] of domains) {
+      const entries = files.map(util => util.functions?.length ? `${util.file} (${util.functions.join(', ')})` : util.file);
+      lines.push(`- **${domain}:** ${entries.join('; ')}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// Token-compact plain text meant to be pasted into an LLM context window
+function renderPrompt(summary) {
+  const lines = [];
+  const { git = {}, frameworks = {} } = summary;
+
+  lines.push(`PROJECT backend=${frameworks.backend || '?'} frontend=${frameworks.frontend || '?'}${git.sha ? ` rev=${git.sha.slice(0, 7)}` : ''}`);
+  if (summary.globalPatterns?.length) lines.push(`PATTERNS ${summary.globalPatterns.join(', ')}`);
+
+  const services = summary.services || {};
+  if (services.businessServices?.length) lines.push(`SERVICES ${services.businessServices.join(', ')}`);
+  if (services.utilityServices?.length) lines.push(`UTILITY_SERVICES ${services.utilityServices.join(', ')}`);
+  for (const [service, deps] of Object.entries(summary.serviceDependencies || {})) {
+    lines.push(`DEP ${service} -> ${deps.join(', ')}`);
+  }
+
+  const routes = summary.apiRoutes || {};
+  for (const [label, list] of [['ROUTE', routes.publicRoutes], ['INTERNAL_ROUTE', routes.internalRoutes]]) {
+    for (const route of list || []) {
+      const parts = [`${label} ${routeLabel(route)}`];
+      if (route.handler) parts.push(`handler=${route.handler}`);
+      if (route.middleware.length) parts.push(`mw=${route.middleware.join(',')}`);
+      parts.push(`src=${routeSource(route)}`);
+      lines.push(parts.join(' '));
+    }
+  }
+
+  for (const endpoint of endpointKeys(summary)) {
+    const payload = summary.apiPayloads?.[endpoint] || {};
+    const parts = [`API ${endpoint}`];
+    if (summary.authPolicies?.[endpoint]) parts.push(`auth=${summary.authPolicies[endpoint]}`);
+    if (payload.request && Object.keys(payload.request).length) parts.push(`req{${compactFields(payload.request)}}`);
+    if (payload.response && Object.keys(payload.response).length) parts.push(`res{${compactFields(payload.response)}}`);
+    if (payload.responses && Object.keys(payload.responses).length) parts.push(`codes=${Object.keys(payload.responses).join(',')}`);
+    lines.push(parts.join(' '));
+  }
+
+  for (const finding of summary.apiSpecDrift || []) {
+    const parts = [`DRIFT ${finding.kind} ${driftLabel(finding)}`];
+    if (finding.field) parts.push(`${finding.section}.${finding.field}`);
+    if (finding.spec) parts.push(`spec=${finding.spec}`);
+    if (finding.code) parts.push(`code=${finding.code}`);
+    parts.push(`src=${routeSource(finding)}`);
+    lines.push(parts.join(' '));
+  }
+
+  for (const [kind, operation] of graphqlOperations(summary)) {
+    const parts = [`GQL ${kind} ${operationLabel(operation)}(${argList(operation.args, ':', ',')}): ${operation.returnType}`];
+    if (operation.resolver?.name) parts.push(`resolver=${operation.resolver.name}`);
+    if (operation.auth) parts.push(`auth=${operation.auth}`);
+    parts.push(`src=${routeSource(operation)}`);
+    lines.push(parts.join(' '));
+  }
+
+  for (const event of summary.realtimeEvents || []) {
+    const parts = [`${event.direction === 'inbound' ? 'WS_IN' : 'WS_OUT'} ${event.namespace || '?'} ${eventLabel(event)}`];
+    if (event.rooms.length) parts.push(`rooms=${event.rooms.join(',')}`);
+    if (event.handler) parts.push(`handler=${event.handler}`);
+    if (event.payload && Object.keys(event.payload).length) parts.push(`payload{${compactFields(event.payload)}}`);
+    parts.push(`src=${routeSource(event)}`);
+    lines.push(parts.join(' '));
+  }
+
+  for (const channel of summary.messageChannels || []) {
+    const parts = [`CHANNEL ${channel.transport} ${channelLabel(channel)}`];
+    if (channel.bindings.length) parts.push(`bound=${channel.bindings.join(',')}`);
+    if (channel.producers.length) parts.push(`pub=${[...new Set(channel.producers.map(end => end.service))].join(',')}`);
+    if (channel.consumers.length) {
+      parts.push(`sub=${[...new Set(channel.consumers.map(end => consumerLabel(end, handler => `(${handler})`)))].join(',')}`);
+    }
+    lines.push(parts.join(' '));
+  }
+
+  for (const job of summary.backgroundJobs || []) {
+    const parts = [`JOB ${jobLabel(job)} ${job.type}`];
+    if (job.schedule) parts.push(`schedule="${job.schedule}"${job.cadence ? ` (${job.cadence})` : ''}`);
+    if (job.handler) parts.push(`handler=${job.handler}`);
+    if (job.services.length) parts.push(`services=${job.services.join(',')}`);
+    if (job.models.length) parts.push(`models=${job.models.join(',')}`);
+    parts.push(`src=${routeSource(job)}`);
+    lines.push(parts.join(' '));
+  }
+
+  const schemas = summary.schemaSnapshots || {};
+  for (const [model, fields] of Object.entries(schemas)) {
+    lines.push(`MODEL ${model}{${compactFields(fields)}}`);
+  }
+  for (const model of summary.dbModels || []) {
+    if (!schemas[model]) lines.push(`MODEL ${model}`);
+  }
+
+  for (const [service, methods] of Object.entries(summary.businessFlows || {})) {
+    for (const [method, steps] of Object.entries(methods)) {
+      lines.push(`FLOW ${service}.${method}: ${steps.join('; ')}`);
+    }
+  }
+
+  for (const [domain, files] of Object.entries(summary.utils?.byDomain || {})) {
+    const entries = files.map(util => util.functions?.length ? `${util.file}(${util.functions.join(',')})` : util.file);
+    lines.push(`UTILS ${domain}: ${entries.join(' ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Endpoints known from payloads or auth policies, e.g. "POST /orders"
+function endpointKeys(summary) {
+  return [...new Set([
+    ...Object.keys(summary.apiPayloads || {}),
+    ...Object.keys(summary.authPolicies || {})
+  ])].sort();
+}
+
+// [kind, operation] pairs, e.g. ['query', { name: 'user', ... }]
+function graphqlOperations(summary) {
+  const graphql = summary.graphql || {};
+  return [['query', graphql.queries], ['mutation', graphql.mutations], ['subscription', graphql.subscriptions]]
+    .flatMap(([kind, list]) => (list || []).map(operation => [kind, operation]));
+}
+
+function operationLabel(operation) {
+  return `${operation.repository ? `${operation.repository}:` : ''}${operation.name}`;
+}
+
+function driftLabel(finding) {
+  return `${finding.repository ? `${finding.repository}:` : ''}${finding.endpoint}`;
+}
+
+function eventLabel(event) {
+  return `${event.repository ? `${event.repository}:` : ''}${event.event}`;
+}
+
+function channelLabel(channel) {
+  return `${channel.repository ? `${channel.repository}:` : ''}${channel.channel ?? `(dynamic: ${channel.expression})`}`;
+}
+
+// Producers or consumers as "OrderService (src/orders.js:12)"
+function channelEnds(ends) {
+  if (ends.length === 0) return '-';
+  return ends.map(end => `${consumerLabel(end, handler => ` → ${handler}`)} (${routeSource(end)})`).join(', ');
+}
+
+// Class methods already name their service: "ReportProcessor.process" rather than "ReportProcessor → ReportProcessor.process"
+function consumerLabel(end, describeHandler) {
+  if (!end.handler) return end.service;
+  return end.handler.startsWith(`${end.service}.`) ? end.handler : `${end.service}${describeHandler(end.handler)}`;
+}
+
+function jobLabel(job) {
+  return `${job.repository ? `${job.repository}:` : ''}${job.name || '(anonymous)'}`;
+}
+
+function argList(args = {}, separator = ': ', joiner = ', ') {
+  return Object.entries(args).map(([name, type]) => `${name}${separator}${type}`).join(joiner);
+}
+
+// Nested schema fields as dotted paths: { address: { city: 'String' } } -> ['address.city', 'String'];
+// typed payload fields read the same way: ['items[].quantity', 'number (required, min: 1)']
+export function flattenFields(fields, prefix = '') {
+  if (typeof fields !== 'object' || fields === null) return [[prefix || '-', String(fields)]];
+  if (Array.isArray(fields)) {
+    if (fields.length === 1 && typeof fields[0] === 'object') return flattenFields(fields[0], `${prefix}[]`);
+    return [[prefix || '-', `[${fields.join(', ')}]`]];
+  }
+
+  return Object.entries(fields).flatMap(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (isPayloadField(value)) return fieldPaths(value, name);
+    return typeof value === 'object' && value !== null ? flattenFields(value, name) : [[name, String(value)]];
+  });
+}
+
+function compactFields(fields) {
+  return flattenFields(fields).map(([name, type]) => `${name}:${type}`).join(',');
+}
+
+function fieldList(fields) {
+  if (!fields || Object.keys(fields).length === 0) return '-';
+  return flattenFields(fields).map(([name, type]) => `${name}: ${type}`).join(', ');
+}
+
+function routeLabel(route) {
+  return `${route.repository ? `${route.repository}:` : ''}${route.method} ${route.fullPath}`;
+}
+
+function routeSource(route) {
+  return route.line ? `${route.file}:${route.line}` : route.file;
+}
+
+function listOrNone(items = [], mapItem = item => item) {
+  return items.length > 0 ? items.map(mapItem).join(', ') : '_None detected_';
+}
+
+// Keeps table cells on one line and stops pipes from breaking the row
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
@@ -1,11 +1,20 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+
+// Source markers looked up per file; the detection rules below combine them across files
+const CODE_MARKERS = ['useEffect', 'useState', 'async', 'await', 'middleware', 'Middleware', 'dependency injection', 'inject', 'interface ', 'implements '];
 
 export class PatternDetector {
-  constructor(projectRoot, dependencies = {}) {
+  constructor(projectRoot, dependencies = {}, options = {}) {
     this.projectRoot = projectRoot;
     this.dependencies = dependencies;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
   }
 
   async extract() {
@@ -65,32 +74,20 @@ export class PatternDetector {
     const detected = [];
 
     try {
-      const files = await fg(['src/**/*.{js,ts}'], {
-        cwd: this.projectRoot,
-        ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-        absolute: true
-      });
+      const files = await this.fileIndex.match(this.config.patterns.sources);
 
       const sampleFiles = files.slice(0, 50); // Limit to 50 for performance
 
-      const fileContents = await Promise.all(
-        sampleFiles.map(async (file) => {
-          try {
-            return await fs.readFile(file, 'utf8');
-          } catch {
-            return '';
-          }
-        })
-      );
-
-      const combined = fileContents.join('\n');
+      const fragments = await this.cache.analyzeFiles('patterns', sampleFiles, file => this.scanFile(file));
+      const markers = new Set(fragments.flat().filter(Boolean));
+      const has = marker => markers.has(marker);
 
       // Light semantic code-based pattern detection
-      if (combined.includes('useEffect') || combined.includes('useState')) detected.push('React Hooks');
-      if (combined.includes('async') && combined.includes('await')) detected.push('Async/Await Pattern');
-      if (combined.includes('middleware') || combined.includes('Middleware')) detected.push('Middleware Pattern');
-      if (combined.includes('dependency injection') || combined.includes('inject')) detected.push('Dependency Injection');
-      if (combined.includes('interface ') && combined.includes('implements ')) detected.push('TypeScript Interfaces');
+      if (has('useEffect') || has('useState')) detected.push('React Hooks');
+      if (has('async') && has('await')) detected.push('Async/Await Pattern');
+      if (has('middleware') || has('Middleware')) detected.push('Middleware Pattern');
+      if (has('dependency injection') || has('inject')) detected.push('Dependency Injection');
+      if (has('interface ') && has('implements ')) detected.push('TypeScript Interfaces');
 
     } catch {
       // Fail silently
@@ -98,4 +95,13 @@ export class PatternDetector {
 
     return detected;
   }
+
+  async scanFile(file) {
+    try {
+      const { content } = await this.parser.parseFile(file);
+      return CODE_MARKERS.filter(marker => content.includes(marker));
+    } catch {
+      return [];
+    }
+  }
 }
@@ -1,359 +1,1227 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import YAML from 'yaml';
+import {
+  SourceParser,
+  walk,
+  findAll,
+  findRouteCalls,
+  findControllerRoutes,
+  decoratorsOf,
+  callChain,
+  memberPath,
+  objectEntries,
+  propertyName,
+  getProperty,
+  stringValue,
+  nodeText,
+  isFunctionNode,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { RouteResolver, scopedRouteKey, routeScope } from './routeResolver.js';
+import { createLogger } from './logger.js';
+import { payloadField, mergeFields, mergeResponses, mergePayload, jsonSchemaField } from './payloadFields.js';
+
+// Schema builders by the identifier they are called on; Zod fields are required unless marked optional,
+// Joi and Yup fields the other way round
+const VALIDATOR_ROOTS = { Joi: 'joi', joi: 'joi', yup: 'yup', Yup: 'yup', z: 'zod', zod: 'zod' };
+
+// Joi.string(), yup.mixed(), z.union() ... -> field type
+const VALIDATOR_TYPES = {
+  string: 'string', number: 'number', boolean: 'boolean', bool: 'boolean', date: 'date', bigint: 'integer',
+  array: 'array', set: 'array', tuple: 'array', object: 'object', strictObject: 'object', looseObject: 'object',
+  record: 'object', map: 'object', any: 'any', mixed: 'any', unknown: 'unknown', null: 'null', binary: 'string',
+  alternatives: 'union', union: 'union', discriminatedUnion: 'union'
+};
+
+// Joi.string().email(), yup.string().url(), z.string().uuid() -> format, named as in JSON Schema
+const VALIDATOR_FORMATS = {
+  email: 'email', url: 'uri', uri: 'uri', uuid: 'uuid', guid: 'uuid', cuid: 'cuid', cuid2: 'cuid2', ulid: 'ulid',
+  datetime: 'date-time', isoDate: 'date-time', date: 'date', time: 'time', ip: 'ip', hostname: 'hostname', emoji: 'emoji'
+};
+
+// class-validator decorators on DTO properties
+const CLASS_VALIDATOR_FORMATS = {
+  IsEmail: 'email', IsUrl: 'uri', IsUUID: 'uuid', IsDateString: 'date-time', IsISO8601: 'date-time', IsIP: 'ip', IsFQDN: 'hostname'
+};
+
+const TS_KEYWORDS = {
+  TSStringKeyword: 'string', TSNumberKeyword: 'number', TSBooleanKeyword: 'boolean', TSBigIntKeyword: 'integer',
+  TSObjectKeyword: 'object', TSAnyKeyword: 'any', TSUnknownKeyword: 'unknown', TSNullKeyword: 'null'
+};
+
+const ZOD_PARSE_METHODS = ['parse', 'safeParse', 'parseAsync', 'safeParseAsync'];
+
+// Schema methods a handler validates the request with: Zod parse(), Joi validate()/validateAsync(), Yup validateSync()
+const SCHEMA_CHECK_METHODS = [...ZOD_PARSE_METHODS, 'validate', 'validateAsync', 'validateSync'];
+
+const REQUEST_SEGMENTS = ['body', 'query', 'params'];
+
+// tRPC serves procedures at <endpoint>/<path>: queries over GET, mutations over POST
+const TRPC_ENDPOINT = '/trpc';
+const TRPC_METHODS = { query: 'GET', mutation: 'POST' };
+const MAX_SCHEMA_DEPTH = 8;
+
+// Objects whose calls send the response: Express res, Fastify reply, Hapi h.response()
+const RESPONSE_OBJECTS = ['res', 'reply', 'h'];
+
+// Status constants (HttpStatus.NOT_FOUND, StatusCodes.CREATED) and, converted to the same naming,
+// error classes and factories (NotFoundException, createError.NotFound, Boom.notFound)
+const HTTP_STATUSES = {
+  OK: 200, CREATED: 201, ACCEPTED: 202, NO_CONTENT: 204, MOVED_PERMANENTLY: 301, FOUND: 302, SEE_OTHER: 303, NOT_MODIFIED: 304,
+  BAD_REQUEST: 400, UNAUTHORIZED: 401, PAYMENT_REQUIRED: 402, FORBIDDEN: 403, NOT_FOUND: 404, METHOD_NOT_ALLOWED: 405,
+  NOT_ACCEPTABLE: 406, REQUEST_TIMEOUT: 408, CLIENT_TIMEOUT: 408, CONFLICT: 409, GONE: 410, PRECONDITION_FAILED: 412,
+  PAYLOAD_TOO_LARGE: 413, ENTITY_TOO_LARGE: 413, UNSUPPORTED_MEDIA_TYPE: 415, I_AM_A_TEAPOT: 418,
+  UNPROCESSABLE_ENTITY: 422, BAD_DATA: 422, TOO_MANY_REQUESTS: 429, INTERNAL_SERVER_ERROR: 500, BAD_IMPLEMENTATION: 500,
+  NOT_IMPLEMENTED: 501, BAD_GATEWAY: 502, SERVICE_UNAVAILABLE: 503, SERVER_UNAVAILABLE: 503, GATEWAY_TIMEOUT: 504
+};
+
+// Model calls that resolve to documents: User.findById(), prisma.user.findMany(), this.userRepository.findOne()
+const MODEL_LIST_QUERIES = ['find', 'findAll', 'findMany', 'findBy'];
+const MODEL_DOCUMENT_QUERIES = [
+  'findOne', 'findById', 'findByPk', 'findUnique', 'findFirst', 'findOneBy', 'findOneAndUpdate', 'findByIdAndUpdate',
+  'findOneAndDelete', 'findByIdAndDelete', 'create', 'upsert', 'save'
+];
+const BUILTIN_OBJECTS = ['Object', 'Array', 'Promise', 'JSON', 'Math', 'Date', 'Reflect', 'Number', 'String'];
 
 export class PayloadExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.routeResolver = options.routeResolver || new RouteResolver(projectRoot, {
+      config: this.config, fileIndex: this.fileIndex, parser: this.parser, cache: this.cache
+    });
+    this.logger = createLogger(options);
     this.payloads = {};
+    this.typeIndex = null;
   }
 
   async extract() {
-    console.log('📦 Extracting API payloads...');
+    this.logger.info('📦 Extracting API payloads...');
     
     // Find route/controller files
-    const routePatterns = [
-      '**/routes/**/*.{js,ts}',
-      '**/controllers/**/*.{js,ts}',
-      '**/api/**/*.{js,ts}',
-      '**/*Controller.{js,ts}',
-      '**/*controller.{js,ts}',
-      '**/*Route.{js,ts}',
-      '**/*route.{js,ts}'
-    ];
-
-    const files = await fg(routePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match(this.config.patterns.routes);
 
-    await Promise.all(files.map(file => this.analyzeRouteFile(file)));
+    const fragments = await this.cache.analyzeFiles('apiPayloads', files, file => this.analyzeRouteFile(file));
+    for (const [i, fragment] of fragments.entries()) {
+      if (!fragment) continue;
+      // Keys are qualified with mount prefixes only now, since those come from other files
+      this.mergeFragment(await this.routeResolver.qualifyKeys(files[i], fragment.payloads, fragment.routers));
+      await this.mergeDtoReferences(await this.routeResolver.qualifyKeys(files[i], fragment.dtos, fragment.routers));
+      await this.mergeSchemaReferences(files[i], await this.routeResolver.qualifyKeys(files[i], fragment.schemas || {}, fragment.routers));
+      await this.mergeHandlerReferences(files[i], await this.routeResolver.qualifyKeys(files[i], fragment.handlers || {}, fragment.routers));
+    }
+    await this.resolveResponses();
 
     return this.payloads;
   }
 
+  // Per-file result, keyed by scoped route key ('router METHOD /path'): { payloads: { key: { request, response } },
+  // routers: { key: routeScope }, dtos: { key: ['CreateUserDto'] }, schemas: { key: ['createOrderSchema'] },
+  // handlers: { key: { name: 'orderController', member: 'getOrder' } } } - DTO classes, imported
+  // validation schemas and controller functions live in other files, so they are resolved when merging
   async analyzeRouteFile(filePath) {
+    const payloads = {};
+    const routers = {};
+    const dtos = {};
+    const schemas = {};
+    const handlers = {};
+
     try {
-      const content = await fs.readFile(filePath, 'utf8');
-      
+      const { content, ast } = await this.parser.parseFile(filePath);
+      if (!ast) return { payloads, routers, dtos, schemas, handlers };
+
+      const routes = findRouteCalls(ast).filter(route => route.method !== 'USE');
+      routes.forEach(route => { routers[this.routeKey(route)] = routeScope(route); });
+      const controllerRoutes = findControllerRoutes(ast);
+      controllerRoutes.forEach(route => { routers[this.routeKey(route)] = routeScope(route); });
+      // function getOrder(req, res) {} is as much a handler as const getOrder = (req, res) => {}
+      const declarations = new Map([...functionDeclarations(ast), ...collectDeclarations(ast)]);
+
       // Analyze different route patterns
-      this.analyzeExpressRoutes(content);
-      this.analyzeJoiValidation(content);
-      this.analyzeCelebrateValidation(content);
-      this.analyzeYupValidation(content);
-      this.analyzeTypeScriptDTOs(content);
-      this.analyzeSwaggerDocs(content);
-      
+      this.analyzeExpressRoutes(payloads, routes, declarations);
+      this.analyzeJoiValidation(payloads, routes, declarations);
+      this.analyzeCelebrateValidation(payloads, routes, declarations);
+      this.analyzeYupValidation(payloads, routes, declarations);
+      this.analyzeZodValidation(payloads, routes, declarations);
+      this.collectSchemaReferences(schemas, routes, declarations);
+      this.collectHandlerReferences(handlers, routes, declarations);
+      this.analyzeTrpcProcedures(payloads, ast, declarations);
+      this.analyzeRouteSchemas(payloads, routes, declarations);
+      this.analyzeNestJSParameters(payloads, dtos, controllerRoutes, content);
+      this.analyzeNestJSResponses(payloads, controllerRoutes, content);
+      this.analyzeTypeScriptDTOs(payloads, ast, content, routes);
+      this.analyzeSwaggerDocs(payloads, ast, content, routes);
+
     } catch (error) {
-      console.warn(`⚠️ Error analyzing route file ${filePath}:`, error.message);
+      this.logger.warn(`⚠️ Error analyzing route file ${filePath}:`, error.message);
     }
+
+    return { payloads, routers, dtos, schemas, handlers };
   }
 
-  analyzeExpressRoutes(content) {
+  mergeFragment(fragment) {
+    for (const [routeKey, payload] of Object.entries(fragment || {})) {
+      mergePayload(this.ensurePayload(this.payloads, routeKey), payload);
+    }
+  }
+
+  analyzeExpressRoutes(payloads, routes, declarations) {
     // Express route patterns: router.get('/path', handler)
-    const routeMatches = content.matchAll(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"],?\s*([^)]+)\)/g);
-    
-    for (const match of routeMatches) {
-      const method = match[2].toUpperCase();
-      const route = match[3];
-      const handlerCode = match[4];
-      
-      const fullRoute = `${method} ${route}`;
-      
-      if (!this.payloads[fullRoute]) {
-        this.payloads[fullRoute] = {
-          request: {},
-          response: {}
-        };
-      }
-      
+    for (const route of routes) {
+      const payload = this.ensurePayload(payloads, this.routeKey(route));
+      const handler = handlerFunction(route.args[route.args.length - 1], declarations);
+
       // Try to extract payload info from handler
-      this.analyzeHandlerCode(handlerCode, this.payloads[fullRoute]);
+      if (handler) {
+        this.analyzeHandlerCode(handler, payload);
+      }
     }
   }
 
-  analyzeJoiValidation(content) {
-    // Joi validation patterns
-    const joiSchemas = content.matchAll(/const\s+(\w+Schema)\s*=\s*Joi\.object\s*\(\s*\{([^}]+)\}/g);
-    
-    for (const match of joiSchemas) {
-      const schemaName = match[1];
-      const schemaDefinition = match[2];
-      const parsedSchema = this.parseJoiSchema(schemaDefinition);
-      
-      // Try to find routes that use this schema
-      this.linkSchemaToRoutes(content, schemaName, parsedSchema);
+  // Handlers the file cannot resolve itself, usually imported from a controller module:
+  // router.get('/:id', getOrder), router.get('/:id', orderController.getOrder), asyncHandler(getOrder)
+  collectHandlerReferences(handlers, routes, declarations) {
+    for (const route of routes) {
+      let node = route.args[route.args.length - 1];
+      if (handlerFunction(node, declarations)) continue;
+      while (node?.type === 'CallExpression') node = node.arguments[node.arguments.length - 1];
+
+      if (node?.type === 'Identifier') {
+        handlers[this.routeKey(route)] = { name: node.name, member: null };
+      } else if (node?.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier') {
+        handlers[this.routeKey(route)] = { name: node.object.name, member: node.property.name };
+      }
     }
   }
 
-  analyzeCelebrateValidation(content) {
-    // Celebrate validation patterns
-    const celebrateMatches = content.matchAll(/celebrate\s*\(\s*\{([^}]+)\}/g);
-    
-    for (const match of celebrateMatches) {
-      const validationDefinition = match[1];
-      const payload = this.parseCelebrateValidation(validationDefinition);
-      
-      // Find associated route
-      const routeContext = this.findRouteContext(content, match.index);
-      if (routeContext && payload) {
-        if (!this.payloads[routeContext]) {
-          this.payloads[routeContext] = { request: {}, response: {} };
+  analyzeJoiValidation(payloads, routes, declarations) {
+    // Joi schemas referenced by name anywhere in the route's middleware chain or handler
+    this.linkSchemaToRoutes(payloads, routes, declarations, node => this.isJoiObject(node), node => this.parseJoiSchema(node, declarations));
+  }
+
+  analyzeCelebrateValidation(payloads, routes, declarations) {
+    // Celebrate validation patterns: celebrate({ body: Joi.object({...}), query: ..., params: ... })
+    for (const route of routes) {
+      for (const arg of route.args) {
+        const celebrateCalls = findAll(arg, node => node.type === 'CallExpression' && memberPath(node.callee) === 'celebrate');
+
+        for (const call of celebrateCalls) {
+          const payload = this.parseCelebrateValidation(call.arguments[0], declarations);
+          mergeFields(this.ensurePayload(payloads, this.routeKey(route)).request, payload.request);
         }
-        Object.assign(this.payloads[routeContext], payload);
       }
     }
   }
 
-  analyzeYupValidation(content) {
-    // Yup validation patterns
-    const yupSchemas = content.matchAll(/yup\.object\s*\(\s*\{([^}]+)\}/g);
-    
-    for (const match of yupSchemas) {
-      const schemaDefinition = match[1];
-      const parsedSchema = this.parseYupSchema(schemaDefinition);
-      
-      // Context-based linking would be implemented here
+  analyzeYupValidation(payloads, routes, declarations) {
+    // Yup schemas: yup.object({...}) or yup.object().shape({...})
+    this.linkSchemaToRoutes(payloads, routes, declarations, node => this.isYupObject(node), node => this.parseYupSchema(node, declarations));
+  }
+
+  analyzeZodValidation(payloads, routes, declarations) {
+    // Zod schemas in the middleware chain (validate(schema), zod-express validateRequest({ body: schema }))
+    // or parsed from the request inside the handler: schema.parse(req.body)
+    for (const route of routes) {
+      const request = () => this.ensurePayload(payloads, this.routeKey(route)).request;
+
+      for (const arg of route.args.filter(arg => !isFunctionNode(arg))) {
+        walk(arg, (node, ancestors) => {
+          const parent = ancestors[ancestors.length - 1];
+          if (ancestors.some(ancestor => this.isZodCall(ancestor, declarations))) return;
+          if (node.type === 'Identifier' ? parent?.type === 'ObjectProperty' && parent.key === node : !this.isZodCall(node, declarations)) return;
+
+          const schema = this.zodObject(node, declarations);
+          if (schema) mergeFields(request(), this.zodRequestFields(schema));
+        });
+      }
+
+      for (const handler of route.args.filter(isFunctionNode)) {
+        for (const call of findAll(handler.body, node => this.isZodParseCall(node))) {
+          const input = call.arguments[0];
+          const schema = this.zodObject(call.callee.object, declarations);
+          if (!schema) continue;
+
+          const inputPath = memberPath(input);
+          if (/^(req|request|ctx\.request)$/.test(inputPath) || input.type === 'ObjectExpression') {
+            mergeFields(request(), this.zodRequestFields(schema));
+          } else if (/^(req|request|ctx\.request)\.(body|query|params)$/.test(inputPath)) {
+            mergeFields(request(), schema.properties);
+          }
+        }
+      }
     }
   }
 
-  analyzeTypeScriptDTOs(content) {
-    // TypeScript interface/type definitions
-    const interfaceMatches = content.matchAll(/interface\s+(\w+(?:Request|Response|DTO))\s*\{([^}]+)\}/g);
-    
-    for (const match of interfaceMatches) {
-      const interfaceName = match[1];
-      const interfaceDefinition = match[2];
-      const parsedInterface = this.parseTypeScriptInterface(interfaceDefinition);
-      
-      // Try to link to routes based on naming conventions
-      this.linkTypeScriptDTOToRoutes(content, interfaceName, parsedInterface);
+  // Names a route validates with that the file does not declare, usually imported schemas:
+  // validate(createOrderSchema), celebrate({ body: createOrderSchema }), createOrderSchema.parse(req.body)
+  collectSchemaReferences(schemas, routes, declarations) {
+    for (const route of routes) {
+      const names = new Set();
+      for (const arg of route.args) {
+        walk(arg, (node, ancestors) => {
+          if (node.type !== 'Identifier' || declarations.has(node.name)) return;
+          const parent = ancestors[ancestors.length - 1];
+          const grandparent = ancestors[ancestors.length - 2];
+          const isArgument = parent?.type === 'CallExpression' && parent.arguments.includes(node);
+          const isValue = parent?.type === 'ObjectProperty' && parent.value === node;
+          const isChecked = parent?.type === 'MemberExpression' && parent.object === node && grandparent?.type === 'CallExpression'
+            && grandparent.callee === parent && SCHEMA_CHECK_METHODS.includes(parent.property.name);
+          if (isArgument || isValue || isChecked) names.add(node.name);
+        });
+      }
+      if (names.size > 0) schemas[this.routeKey(route)] = [...names];
     }
+  }
 
-    // Type aliases
-    const typeMatches = content.matchAll(/type\s+(\w+(?:Request|Response|DTO))\s*=\s*\{([^}]+)\}/g);
-    
-    for (const match of typeMatches) {
-      const typeName = match[1];
-      const typeDefinition = match[2];
-      const parsedType = this.parseTypeScriptInterface(typeDefinition);
-      
-      this.linkTypeScriptDTOToRoutes(content, typeName, parsedType);
+  analyzeTrpcProcedures(payloads, ast, declarations) {
+    // publicProcedure.input(z.object({...})).output(...).mutation(...) inside router({ user: router({ create: ... }) })
+    const prefixes = this.trpcRouterPrefixes(ast);
+
+    walk(ast, (node, ancestors) => {
+      const chain = callChain(node);
+      const method = TRPC_METHODS[chain.calls[chain.calls.length - 1]?.name];
+      if (!method || !chain.calls.some(call => ['input', 'output'].includes(call.name))) return;
+
+      const procedurePath = this.trpcProcedurePath(ancestors, prefixes);
+      if (!procedurePath) return;
+
+      const payload = this.ensurePayload(payloads, `${method} ${TRPC_ENDPOINT}/${procedurePath}`);
+      for (const call of chain.calls) {
+        const target = call.name === 'input' ? payload.request : call.name === 'output' ? payload.response : null;
+        if (!target || !call.args[0]) continue;
+
+        const schema = this.validatorField(call.args[0], declarations);
+        mergeFields(target, schema.properties || { [call.name]: schema });
+      }
+    });
+  }
+
+  // Nesting of router({...}) object keys above a procedure, plus the key a locally declared router is mounted under
+  trpcProcedurePath(ancestors, prefixes) {
+    const names = [];
+    let declaredName = null;
+
+    for (const [index, ancestor] of ancestors.entries()) {
+      if (ancestor.type === 'ObjectProperty' && this.isTrpcRouterCall(ancestors[index - 2])) names.push(propertyName(ancestor));
+      if (ancestor.type === 'VariableDeclarator' && ancestor.id.type === 'Identifier') declaredName = ancestor.id.name;
     }
+
+    // Procedures declared on their own (const getUser = publicProcedure...) are named by the key they are mounted under
+    const procedurePath = [...(prefixes.get(declaredName) || []), ...names];
+    return procedurePath.length > 0 && procedurePath.every(Boolean) ? procedurePath.join('.') : null;
   }
 
-  analyzeSwaggerDocs(content) {
-    // Swagger/OpenAPI documentation comments
-    const swaggerMatches = content.matchAll(/\/\*\*[^*]*@swagger[^*]*\*\/\s*(?:router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"]]/g);
-    
-    for (const match of swaggerMatches) {
-      const method = match[1].toUpperCase();
-      const route = match[2];
-      const swaggerComment = match[0];
-      
-      const fullRoute = `${method} ${route}`;
-      const payload = this.parseSwaggerComment(swaggerComment);
-      
-      if (payload) {
-        this.payloads[fullRoute] = payload;
+  // const appRouter = router({ user: userRouter }) -> userRouter is served under "user"; routers from other files keep their own keys
+  trpcRouterPrefixes(ast) {
+    const mounts = new Map();
+    walk(ast, (node, ancestors) => {
+      if (node.type !== 'ObjectProperty' || node.value.type !== 'Identifier' || !this.isTrpcRouterCall(ancestors[ancestors.length - 2])) return;
+      const parent = [...ancestors].reverse().find(ancestor => ancestor.type === 'VariableDeclarator' && ancestor.id.type === 'Identifier');
+      mounts.set(node.value.name, { name: propertyName(node), parent: parent?.id.name });
+    });
+
+    const prefixes = new Map();
+    for (const routerName of mounts.keys()) {
+      const keys = [];
+      const visited = new Set();
+      for (let current = routerName; mounts.has(current) && !visited.has(current); current = mounts.get(current).parent) {
+        visited.add(current);
+        keys.unshift(mounts.get(current).name);
       }
+      prefixes.set(routerName, keys);
     }
+    return prefixes;
   }
 
-  parseJoiSchema(schemaDefinition) {
-    const fields = {};
-    
-    const fieldMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*Joi\.(\w+)\(\)/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const fieldType = this.normalizeJoiType(match[2]);
-      fields[fieldName] = fieldType;
+  isTrpcRouterCall(node) {
+    if (node?.type !== 'CallExpression') return false;
+    const name = (memberPath(node.callee) || '').split('.').pop();
+    return ['router', 'createTRPCRouter', 'createRouter'].includes(name) && node.arguments[0]?.type === 'ObjectExpression';
+  }
+
+  analyzeRouteSchemas(payloads, routes, declarations) {
+    // Fastify: { schema: { body, response: { 200: ... } } } JSON schemas; Hapi: { validate: { payload: Joi } }
+    for (const route of routes) {
+      const schema = this.resolveIdentifier(getProperty(route.options, 'schema'), declarations);
+      const body = this.resolveIdentifier(getProperty(schema, 'body'), declarations);
+      const responses = this.resolveIdentifier(getProperty(schema, 'response'), declarations);
+      const validate = this.resolveIdentifier(getProperty(route.options, 'validate'), declarations);
+      const hapiPayload = this.resolveIdentifier(getProperty(validate, 'payload'), declarations);
+
+      if (!body && !responses && !hapiPayload) continue;
+      const payload = this.ensurePayload(payloads, this.routeKey(route));
+
+      if (body) mergeFields(payload.request, this.parseJsonSchema(body, declarations));
+      if (hapiPayload && this.isJoiObject(hapiPayload)) mergeFields(payload.request, this.parseJoiSchema(hapiPayload, declarations));
+
+      // The first 2xx response schema describes the success payload
+      const success = objectEntries(responses)
+        .filter(([status]) => /^(2\d\d|2xx|default)$/i.test(status))
+        .sort(([a], [b]) => a.localeCompare(b))[0];
+      if (success) mergeFields(payload.response, this.parseJsonSchema(success[1], declarations));
     }
-    
-    return fields;
   }
 
-  parseCelebrateValidation(validationDefinition) {
-    const payload = { request: {}, response: {} };
-    
-    // Parse body validation
-    const bodyMatch = validationDefinition.match(/body:\s*Joi\.object\s*\(\s*\{([^}]+)\}/);
-    if (bodyMatch) {
-      payload.request = this.parseJoiSchema(bodyMatch[1]);
+  // { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } -> { name: { type: 'string', required: true } }
+  parseJsonSchema(schemaNode, declarations) {
+    return jsonSchemaField(this.literalValue(schemaNode, declarations)).properties || {};
+  }
+
+  analyzeNestJSParameters(payloads, dtos, routes, content) {
+    // @Body() dto: CreateUserDto, @Query() query: ListUsersQuery, @Param('id') id: string
+    for (const route of routes) {
+      const key = this.routeKey(route);
+
+      for (const param of route.member.params || []) {
+        const target = param.type === 'TSParameterProperty' ? param.parameter : param;
+        const decorator = decoratorsOf(param).find(d => ['Body', 'Query', 'Param'].includes(d.name));
+        if (!decorator) continue;
+
+        const annotation = (target.typeAnnotation || target.left?.typeAnnotation)?.typeAnnotation;
+        const field = stringValue(decorator.args[0]);
+
+        if (field) {
+          const type = annotation ? this.tsTypeField(annotation, content) : payloadField('unknown');
+          this.ensurePayload(payloads, key).request[field] = payloadField(type.type, { ...type, required: !target.optional });
+        } else if (annotation?.type === 'TSTypeReference' && annotation.typeName.type === 'Identifier') {
+          this.ensurePayload(payloads, key);
+          dtos[key] = [...(dtos[key] || []), annotation.typeName.name];
+        }
+      }
     }
-    
-    // Parse query validation
-    const queryMatch = validationDefinition.match(/query:\s*Joi\.object\s*\(\s*\{([^}]+)\}/);
-    if (queryMatch) {
-      payload.request = { ...payload.request, ...this.parseJoiSchema(queryMatch[1]) };
+  }
+
+  // Controller methods answer with their return value (the declared return type, else the returned
+  // expressions) under @HttpCode or Nest's default of 201 for POST and 200 otherwise. With @Res() the
+  // method sends the response itself like an Express handler, unless it passes through.
+  analyzeNestJSResponses(payloads, routes, content) {
+    for (const route of routes) {
+      const payload = this.ensurePayload(payloads, this.routeKey(route));
+      const member = route.member;
+      if (!isFunctionNode(member)) continue;
+
+      const resParam = (member.params || []).find(param => decoratorsOf(param).some(d => ['Res', 'Response'].includes(d.name)));
+      const resOptions = resParam && decoratorsOf(resParam).find(d => ['Res', 'Response'].includes(d.name)).args[0];
+      const resName = (resParam?.type === 'TSParameterProperty' ? resParam.parameter : resParam)?.name;
+      this.analyzeHandlerCode(member, payload, resName ? [...RESPONSE_OBJECTS, resName] : RESPONSE_OBJECTS);
+      if (resParam && !(resOptions?.type === 'ObjectExpression' && getProperty(resOptions, 'passthrough')?.value === true)) continue;
+
+      const httpCode = decoratorsOf(member).find(d => d.name === 'HttpCode');
+      const status = (httpCode && statusCode(httpCode.args[0])) || (route.method === 'POST' ? 201 : 200);
+      for (const body of this.returnedBodies(member, content)) {
+        mergeResponses(payload.responses, { [status]: body });
+      }
     }
-    
-    // Parse params validation
-    const paramsMatch = validationDefinition.match(/params:\s*Joi\.object\s*\(\s*\{([^}]+)\}/);
-    if (paramsMatch) {
-      payload.request = { ...payload.request, ...this.parseJoiSchema(paramsMatch[1]) };
+  }
+
+  // [null] for methods that return nothing
+  returnedBodies(member, content) {
+    const annotation = member.returnType?.typeAnnotation;
+    if (annotation) {
+      const field = this.tsTypeField(annotation, content);
+      return [['void', 'undefined', 'never'].includes(field.type) ? null : field];
     }
-    
+
+    const locals = handlerLocals(member);
+    const returned = [];
+    walk(member.body, (node, ancestors) => {
+      if (node.type === 'ReturnStatement' && node.argument && !ancestors.some(isFunctionNode)) returned.push(node.argument);
+    });
+    return returned.length > 0 ? returned.map(node => this.inferValueType(node, locals)) : [null];
+  }
+
+  async mergeDtoReferences(dtos) {
+    if (Object.keys(dtos).length === 0) return;
+
+    const types = await this.loadTypeIndex();
+    for (const [routeKey, names] of Object.entries(dtos)) {
+      const target = this.ensurePayload(this.payloads, routeKey);
+      for (const name of names) {
+        if (types[name]) mergeFields(target.request, this.resolveTypeFields(types[name], types, [name]));
+      }
+    }
+  }
+
+  async mergeSchemaReferences(file, schemas) {
+    for (const [routeKey, names] of Object.entries(schemas)) {
+      for (const name of names) {
+        const imported = await this.importedDeclaration(file, name);
+        const fields = imported && this.schemaFields(imported.node, imported.declarations);
+        if (fields) mergeFields(this.ensurePayload(this.payloads, routeKey).request, fields);
+      }
+    }
+  }
+
+  // Imported handlers are read like inline ones, along with the schemas they check the request with
+  async mergeHandlerReferences(file, handlers) {
+    for (const [routeKey, { name, member }] of Object.entries(handlers)) {
+      const imported = await this.importedDeclaration(file, name, member);
+      const handler = imported && handlerFunction(imported.node, imported.declarations);
+      if (!handler) continue;
+
+      const payload = this.ensurePayload(this.payloads, routeKey);
+      this.analyzeHandlerCode(handler, payload);
+
+      const checked = findAll(handler.body, node => node.type === 'CallExpression' && node.callee.type === 'MemberExpression'
+        && node.callee.object.type === 'Identifier' && SCHEMA_CHECK_METHODS.includes(node.callee.property.name));
+      for (const schemaName of new Set(checked.map(call => call.callee.object.name))) {
+        const schema = imported.declarations.has(schemaName)
+          ? { node: imported.declarations.get(schemaName), declarations: imported.declarations }
+          : await this.importedDeclaration(imported.file, schemaName);
+        const fields = schema && this.schemaFields(schema.node, schema.declarations);
+        if (fields) mergeFields(payload.request, fields);
+      }
+    }
+  }
+
+  // The declaration an imported name points at, with the declarations of its own file so it reads as if it were local
+  async importedDeclaration(file, name, member = null) {
+    const target = await this.routeResolver.resolveImport(file, name, member);
+    if (!target) return null;
+
+    const { ast } = await this.parser.parseFile(target.file);
+    const declarations = moduleDeclarations(ast);
+    return declarations.has(target.name) ? { file: target.file, node: declarations.get(target.name), declarations } : null;
+  }
+
+  // Request fields of a Joi, Yup or Zod object schema; Zod { body, query, params } shapes are flattened
+  schemaFields(node, declarations) {
+    if (this.isJoiObject(node)) return this.parseJoiSchema(node, declarations);
+    if (this.isYupObject(node)) return this.parseYupSchema(node, declarations);
+    const schema = this.zodObject(node, declarations);
+    return schema ? this.zodRequestFields(schema) : null;
+  }
+
+  // Nested DTOs (address: AddressDto, items: OrderItemDto[]) expand into their own fields
+  resolveTypeFields(fields, types, seen) {
+    return Object.fromEntries(Object.entries(fields).map(([name, field]) => [name, this.resolveTypeField(field, types, seen)]));
+  }
+
+  resolveTypeField(field, types, seen) {
+    if (field.type === 'array' && field.items) return payloadField('array', { ...field, items: this.resolveTypeField(field.items, types, seen) });
+    if (!types[field.type] || seen.includes(field.type) || seen.length > MAX_SCHEMA_DEPTH) return field;
+
+    return payloadField('object', { ...field, properties: this.resolveTypeFields(types[field.type], types, [...seen, field.type]) });
+  }
+
+  // Returned entities and DTOs expand like request DTOs; the fields of 2xx bodies make up `response`
+  async resolveResponses() {
+    const payloads = Object.values(this.payloads).filter(payload => Object.values(payload.responses).some(Boolean));
+    if (payloads.length === 0) return;
+
+    const types = await this.loadTypeIndex();
+    for (const payload of payloads) {
+      for (const [status, body] of Object.entries(payload.responses)) {
+        if (!body) continue;
+        const resolved = this.resolveTypeField(body, types, []);
+        payload.responses[status] = resolved;
+        if (/^2\d\d$/.test(status) && resolved.properties) mergeFields(payload.response, resolved.properties);
+      }
+    }
+  }
+
+  // Interfaces, type literals and classes with typed members across the project's TypeScript sources
+  loadTypeIndex() {
+    if (!this.typeIndex) {
+      this.typeIndex = (async () => {
+        const files = (await this.fileIndex.match(this.config.patterns.sources))
+          .filter(file => this.fileIndex.get(file)?.language === 'typescript');
+        const fragments = await this.cache.analyzeFiles('typeDeclarations', files, file => this.collectTypeDeclarations(file));
+        return Object.assign({}, ...fragments.filter(Boolean));
+      })();
+    }
+    return this.typeIndex;
+  }
+
+  async collectTypeDeclarations(file) {
+    const types = {};
+
+    try {
+      const { content, ast } = await this.parser.parseFile(file);
+
+      walk(ast, node => {
+        const members = node.type === 'TSInterfaceDeclaration' ? node.body.body
+          : node.type === 'TSTypeAliasDeclaration' && node.typeAnnotation.type === 'TSTypeLiteral' ? node.typeAnnotation.members
+            : node.type === 'ClassDeclaration' ? node.body.body : null;
+        if (!members || !node.id) return;
+
+        const fields = this.parseTypeScriptInterface(members, content);
+        if (Object.keys(fields).length > 0) types[node.id.name] = fields;
+      });
+    } catch {
+      // Unparseable files contribute no types
+    }
+
+    return types;
+  }
+
+  analyzeTypeScriptDTOs(payloads, ast, content, routes) {
+    // TypeScript interface/type definitions and DTO classes
+    walk(ast, node => {
+      let name = null;
+      let members = [];
+
+      if (node.type === 'TSInterfaceDeclaration') {
+        name = node.id.name;
+        members = node.body.body;
+      } else if (node.type === 'TSTypeAliasDeclaration' && node.typeAnnotation.type === 'TSTypeLiteral') {
+        name = node.id.name;
+        members = node.typeAnnotation.members;
+      } else if (node.type === 'ClassDeclaration' && node.id) {
+        name = node.id.name;
+        members = node.body.body;
+      }
+
+      if (!name || !/(Request|Response|DTO|Dto)$/.test(name)) return;
+
+      const parsedInterface = this.parseTypeScriptInterface(members, content);
+
+      // Try to link to routes based on naming conventions
+      this.linkTypeScriptDTOToRoutes(payloads, routes, name, parsedInterface);
+    });
+  }
+
+  analyzeSwaggerDocs(payloads, ast, content, routes) {
+    // Swagger/OpenAPI documentation comments directly preceding a route definition
+    const swaggerComments = (ast.comments || []).filter(comment => comment.type === 'CommentBlock' && comment.value.includes('@swagger'));
+
+    for (const route of routes) {
+      const comment = swaggerComments.find(c => c.end <= route.node.start && !content.slice(c.end, route.node.start).trim());
+      if (!comment) continue;
+
+      const payload = this.parseSwaggerComment(comment.value);
+      const target = this.ensurePayload(payloads, this.routeKey(route));
+      mergeFields(target.request, payload.request);
+      mergeFields(target.response, payload.response);
+      mergeResponses(target.responses, payload.responses);
+    }
+  }
+
+  parseJoiSchema(schemaNode, declarations) {
+    return this.validatorField(schemaNode, declarations).properties || {};
+  }
+
+  parseCelebrateValidation(validationNode, declarations) {
+    const payload = { request: {}, response: {} };
+    if (!validationNode || validationNode.type !== 'ObjectExpression') return payload;
+
+    // body, query and params segments, either as plain keys or [Segments.BODY]
+    for (const property of validationNode.properties) {
+      if (property.type !== 'ObjectProperty') continue;
+
+      const segment = (propertyName(property) || memberPath(property.key) || '').split('.').pop().toLowerCase();
+      if (!['body', 'query', 'params'].includes(segment)) continue;
+
+      const schemaNode = this.resolveIdentifier(property.value, declarations);
+      if (this.isJoiObject(schemaNode)) {
+        mergeFields(payload.request, this.parseJoiSchema(schemaNode, declarations));
+      }
+    }
+
     return payload;
   }
 
-  parseYupSchema(schemaDefinition) {
-    const fields = {};
-    
-    const fieldMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*yup\.(\w+)\(\)/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const fieldType = this.normalizeYupType(match[2]);
-      fields[fieldName] = fieldType;
+  parseYupSchema(schemaNode, declarations) {
+    return this.validatorField(schemaNode, declarations).properties || {};
+  }
+
+  // A Joi, Yup or Zod schema -> field. Chains start from the library (Joi.string().email()) or from
+  // another declared schema (AddressSchema.optional(), BaseSchema.extend({...})).
+  validatorField(node, declarations, depth = 0) {
+    if (!node || depth > MAX_SCHEMA_DEPTH) return payloadField('unknown');
+    if (node.type === 'Identifier') {
+      return declarations.has(node.name) ? this.validatorField(declarations.get(node.name), declarations, depth + 1) : payloadField(node.name);
     }
-    
-    return fields;
+
+    const chain = callChain(node);
+    const library = VALIDATOR_ROOTS[(chain.root || '').split('.')[0]];
+    if (chain.calls.length === 0 || (!library && !declarations.has(chain.root))) return payloadField('unknown');
+
+    const field = library
+      ? this.validatorBase(chain.calls[0], library, declarations, depth)
+      : { ...this.validatorField(declarations.get(chain.root), declarations, depth + 1) };
+    for (const call of chain.calls.slice(library ? 1 : 0)) {
+      this.applyValidatorCall(field, call, declarations, depth);
+    }
+
+    return payloadField(field.type, field);
   }
 
-  parseTypeScriptInterface(interfaceDefinition) {
+  validatorBase(call, library, declarations, depth) {
+    const field = { type: VALIDATOR_TYPES[call.name] || 'unknown', required: library === 'zod' };
+    const [first, second] = call.args;
+    // Array items, map values and union variants are never "required" themselves
+    const nested = arg => ({ ...this.validatorField(arg, declarations, depth + 1), required: false });
+    const elements = call.args.flatMap(arg => (arg.type === 'ArrayExpression' ? arg.elements : [arg]));
+
+    if (['record', 'map'].includes(call.name) && first) {
+      field.values = nested(second || first);
+    } else if (field.type === 'object' && first?.type === 'ObjectExpression') {
+      field.properties = this.validatorProperties(first, declarations, depth);
+    } else if (['array', 'set'].includes(call.name) && first) {
+      field.items = nested(first);
+    } else if (call.name === 'tuple') {
+      field.items = this.unionField((first?.elements || []).map(nested));
+    } else if (call.name === 'discriminatedUnion') {
+      field.variants = (second?.elements || []).map(nested);
+    } else if (field.type === 'union' && elements.length > 0) {
+      field.variants = elements.map(nested);
+    } else if (call.name === 'enum') {
+      field.type = 'string';
+      field.enum = elements.map(element => this.literalValue(element, declarations)).filter(value => value !== undefined);
+    } else if (call.name === 'literal') {
+      const value = this.literalValue(first, declarations);
+      field.type = value === null ? 'null' : typeof value === 'undefined' ? 'unknown' : typeof value;
+      if (value !== undefined && value !== null) field.enum = [value];
+    } else if (['nativeEnum', 'instanceof'].includes(call.name)) {
+      field.type = memberPath(first) || 'unknown';
+    }
+
+    return field;
+  }
+
+  validatorProperties(objectNode, declarations, depth) {
+    return Object.fromEntries(objectEntries(objectNode).map(([name, value]) => [name, this.validatorField(value, declarations, depth + 1)]));
+  }
+
+  // Presence, nullability, allowed values, defaults, bounds, formats, patterns and structure, under the
+  // method names Joi, Yup and Zod use for them
+  applyValidatorCall(field, call, declarations, depth) {
+    const [first, second] = call.args;
+    const nested = arg => ({ ...this.validatorField(arg, declarations, depth + 1), required: false });
+    const literal = arg => this.literalValue(arg, declarations);
+    const elements = call.args.flatMap(arg => (arg.type === 'ArrayExpression' ? arg.elements : [arg]));
+    const values = elements.map(literal);
+
+    switch (call.name) {
+      case 'required':
+      case 'defined':
+      case 'exist':
+        field.required = true;
+        break;
+      case 'optional':
+      case 'notRequired':
+        field.required = false;
+        break;
+      case 'nullable':
+        field.nullable = true;
+        break;
+      case 'nullish':
+        field.required = false;
+        field.nullable = true;
+        break;
+      case 'allow':
+        if (values.includes(null)) field.nullable = true;
+        break;
+      case 'valid':
+      case 'only':
+      case 'equal':
+      case 'oneOf': {
+        if (values.includes(null)) field.nullable = true;
+        const allowed = values.filter(value => value !== null && value !== undefined && typeof value !== 'object');
+        if (allowed.length > 0) field.enum = allowed;
+        break;
+      }
+      case 'default':
+        field.required = false;
+        if (literal(first) !== undefined) field.default = literal(first);
+        break;
+      case 'min':
+      case 'max':
+      case 'gte':
+      case 'lte':
+        if (typeof literal(first) === 'number') field[{ gte: 'min', lte: 'max' }[call.name] || call.name] = literal(first);
+        break;
+      case 'length':
+        if (typeof literal(first) === 'number') field.min = field.max = literal(first);
+        break;
+      case 'nonempty':
+        field.min = 1;
+        break;
+      case 'nonnegative':
+        field.min = 0;
+        break;
+      case 'integer':
+      case 'int':
+        field.type = 'integer';
+        break;
+      case 'pattern':
+      case 'regex':
+      case 'matches':
+        // Joi.object().pattern(/key/, schema) types the values of a map
+        if (field.type === 'object' && second) field.values = nested(second);
+        else if (typeof literal(first) === 'string') field.pattern = literal(first);
+        break;
+      case 'items':
+      case 'of':
+        field.type = 'array';
+        field.items = this.unionField(call.args.map(nested));
+        break;
+      case 'keys':
+      case 'append':
+      case 'shape':
+      case 'extend':
+        field.type = 'object';
+        field.properties = { ...field.properties, ...this.validatorProperties(first, declarations, depth) };
+        break;
+      case 'merge':
+        field.properties = { ...field.properties, ...nested(first).properties };
+        break;
+      case 'partial':
+        field.properties = Object.fromEntries(Object.entries(field.properties || {}).map(([name, property]) => [name, { ...property, required: false }]));
+        break;
+      case 'pick':
+      case 'omit': {
+        const keys = objectEntries(first).map(([name]) => name);
+        field.properties = Object.fromEntries(Object.entries(field.properties || {}).filter(([name]) => keys.includes(name) === (call.name === 'pick')));
+        break;
+      }
+      case 'try':
+        field.type = 'union';
+        field.variants = [...(field.variants || []), ...elements.map(nested)];
+        break;
+      case 'or': {
+        const current = payloadField(field.type, { ...field, required: false });
+        Object.keys(field).forEach(key => key !== 'required' && delete field[key]);
+        Object.assign(field, { type: 'union', variants: [current, nested(first)] });
+        break;
+      }
+      case 'array': {
+        // z.string().array()
+        const items = payloadField(field.type, { ...field, required: false });
+        Object.keys(field).forEach(key => key !== 'required' && delete field[key]);
+        Object.assign(field, { type: 'array', items });
+        break;
+      }
+      case 'description':
+      case 'describe':
+        if (typeof literal(first) === 'string') field.description = literal(first);
+        break;
+      default:
+        if (VALIDATOR_FORMATS[call.name] && field.type === 'string') field.format = VALIDATOR_FORMATS[call.name];
+    }
+  }
+
+  unionField(variants) {
+    return variants.length === 1 ? variants[0] : payloadField('union', { variants });
+  }
+
+  // z.object({ body, query, params }) validates the whole request; its segments are merged
+  zodRequestFields(schema) {
+    const segments = Object.entries(schema.properties);
+    const isRequestShape = segments.length > 0 && segments.every(([name, field]) => REQUEST_SEGMENTS.includes(name) && field.properties);
+    if (!isRequestShape) return schema.properties;
+
+    return segments.reduce((fields, [, field]) => mergeFields(fields, field.properties), {});
+  }
+
+  zodObject(node, declarations) {
+    const schema = this.isZodCall(node, declarations) || node?.type === 'Identifier' ? this.validatorField(node, declarations) : null;
+    return schema?.properties && this.validatorLibrary(node, declarations) === 'zod' ? schema : null;
+  }
+
+  // z.object(...)... or a method called on a declared Zod schema: BaseSchema.extend(...)
+  isZodCall(node, declarations) {
+    return node?.type === 'CallExpression' && this.validatorLibrary(node, declarations) === 'zod';
+  }
+
+  // The library a schema expression is built with, following declared identifiers
+  validatorLibrary(node, declarations, depth = 0) {
+    if (!node || depth > MAX_SCHEMA_DEPTH) return null;
+    const root = node.type === 'Identifier' ? node.name : callChain(node).root || '';
+    if (node.type !== 'Identifier' && VALIDATOR_ROOTS[root.split('.')[0]]) return VALIDATOR_ROOTS[root.split('.')[0]];
+    return declarations.has(root) ? this.validatorLibrary(declarations.get(root), declarations, depth + 1) : null;
+  }
+
+  isZodParseCall(node) {
+    return node.type === 'CallExpression' && node.callee.type === 'MemberExpression'
+      && ZOD_PARSE_METHODS.includes(node.callee.property.name) && !!node.arguments[0];
+  }
+
+  // Plain values written in code: literals, arrays, object literals and top-level constants
+  literalValue(node, declarations, depth = 0) {
+    if (!node || depth > MAX_SCHEMA_DEPTH) return undefined;
+
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'TemplateLiteral':
+        return stringValue(node) ?? undefined;
+      case 'RegExpLiteral':
+        return node.pattern;
+      case 'UnaryExpression':
+        return node.operator === '-' && node.argument.type === 'NumericLiteral' ? -node.argument.value : undefined;
+      case 'ArrayExpression':
+        return node.elements.map(element => this.literalValue(element, declarations, depth + 1)).filter(value => value !== undefined);
+      case 'ObjectExpression':
+        return Object.fromEntries(objectEntries(node)
+          .map(([name, value]) => [name, this.literalValue(value, declarations, depth + 1)])
+          .filter(([, value]) => value !== undefined));
+      case 'Identifier':
+        return declarations.has(node.name) ? this.literalValue(declarations.get(node.name), declarations, depth + 1) : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  parseTypeScriptInterface(members, content) {
     const fields = {};
-    
-    const fieldMatches = interfaceDefinition.matchAll(/([a-zA-Z0-9_]+)(\?)?:\s*([^;,\n]+)/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const isOptional = match[2] === '?';
-      const fieldType = match[3].trim();
-      
-      fields[fieldName] = isOptional ? `${fieldType} (optional)` : fieldType;
+
+    for (const member of members) {
+      if (!['TSPropertySignature', 'ClassProperty'].includes(member.type)) continue;
+
+      const fieldName = propertyName(member);
+      if (!fieldName) continue;
+
+      const annotation = member.typeAnnotation?.typeAnnotation;
+      const optional = member.optional || !!annotation?.types?.some(type => type.type === 'TSUndefinedKeyword');
+      const field = { ...(annotation ? this.tsTypeField(annotation, content) : payloadField('unknown')), required: !optional };
+      this.applyDecoratorFacets(field, decoratorsOf(member));
+
+      fields[fieldName] = payloadField(field.type, field);
     }
-    
+
     return fields;
   }
 
+  // TypeScript type annotation -> field; referenced interfaces and classes keep their name
+  tsTypeField(node, content, depth = 0) {
+    if (depth > MAX_SCHEMA_DEPTH) return payloadField('unknown');
+    const nested = child => this.tsTypeField(child, content, depth + 1);
+    const typeArgs = (node.typeParameters || node.typeArguments)?.params || [];
+    const typeName = node.type === 'TSTypeReference' ? nodeText(node.typeName, content) : null;
+
+    if (TS_KEYWORDS[node.type]) return payloadField(TS_KEYWORDS[node.type]);
+    if (node.type === 'TSParenthesizedType' || node.type === 'TSOptionalType') return nested(node.typeAnnotation);
+    if (node.type === 'TSArrayType') return payloadField('array', { items: nested(node.elementType) });
+    if (node.type === 'TSTypeLiteral') return payloadField('object', { properties: this.parseTypeScriptInterface(node.members, content) });
+    if (node.type === 'TSLiteralType' && node.literal.type !== 'TemplateLiteral') {
+      const value = node.literal.type === 'UnaryExpression' ? -node.literal.argument.value : node.literal.value;
+      return payloadField(typeof value, { enum: [value] });
+    }
+    if (node.type === 'TSUnionType') return this.tsUnionField(node.types.map(nested));
+    if (['Array', 'ReadonlyArray'].includes(typeName) && typeArgs[0]) return payloadField('array', { items: nested(typeArgs[0]) });
+    if (typeName === 'Record' && typeArgs[1]) return payloadField('object', { values: nested(typeArgs[1]) });
+    if (['Promise', 'Observable'].includes(typeName) && typeArgs[0]) return nested(typeArgs[0]);
+    if (typeName === 'Date') return payloadField('date');
+
+    return payloadField(nodeText(node, content) || 'unknown');
+  }
+
+  // 'a' | 'b' -> enum; T | null -> nullable T; undefined members are dropped
+  tsUnionField(members) {
+    const nullable = members.some(member => member.type === 'null') || undefined;
+    const rest = members.filter(member => !['null', 'undefined', 'void'].includes(member.type));
+
+    if (rest.length > 0 && rest.every(member => member.enum)) {
+      const types = [...new Set(rest.map(member => member.type))];
+      return payloadField(types.length === 1 ? types[0] : 'any', { nullable, enum: rest.flatMap(member => member.enum) });
+    }
+    if (rest.length === 1) return payloadField(rest[0].type, { ...rest[0], nullable });
+    return payloadField('union', { nullable, variants: rest });
+  }
+
+  // class-validator and @nestjs/swagger decorators on DTO properties
+  applyDecoratorFacets(field, decorators) {
+    for (const { name, args } of decorators) {
+      const [first, second] = args.map(arg => this.literalValue(arg, new Map()));
+
+      if (name === 'IsOptional' || name === 'ApiPropertyOptional') field.required = false;
+      else if (name === 'IsDefined' || name === 'IsNotEmpty') field.required = true;
+      else if (name === 'IsInt') field.type = 'integer';
+      else if (CLASS_VALIDATOR_FORMATS[name]) field.format = CLASS_VALIDATOR_FORMATS[name];
+      else if (['Min', 'MinLength', 'ArrayMinSize'].includes(name) && typeof first === 'number') field.min = first;
+      else if (['Max', 'MaxLength', 'ArrayMaxSize'].includes(name) && typeof first === 'number') field.max = first;
+      else if (name === 'Length') Object.assign(field, typeof first === 'number' ? { min: first } : {}, typeof second === 'number' ? { max: second } : {});
+      else if (name === 'Matches' && typeof first === 'string') field.pattern = first;
+      else if (name === 'IsIn' && Array.isArray(first)) field.enum = first;
+
+      if ((name === 'ApiProperty' || name === 'ApiPropertyOptional') && first && typeof first === 'object') {
+        if (typeof first.description === 'string') field.description = first.description;
+        if (first.default !== undefined) field.default = first.default;
+        if (first.required === false) field.required = false;
+      }
+    }
+  }
+
+  // swagger-jsdoc comments are YAML: "/orders: post: requestBody: ..." below the @swagger tag
   parseSwaggerComment(swaggerComment) {
-    const payload = { request: {}, response: {} };
-    
-    // Parse request body schema from swagger
-    const requestBodyMatch = swaggerComment.match(/requestBody:[\s\S]*?schema:[\s\S]*?properties:\s*\{([^}]+)\}/);
-    if (requestBodyMatch) {
-      payload.request = this.parseSwaggerProperties(requestBodyMatch[1]);
+    const payload = { request: {}, response: {}, responses: {} };
+    const text = swaggerComment.split('\n').map(line => line.replace(/^\s*\*\s?/, '')).join('\n');
+
+    let document;
+    try {
+      document = YAML.parse(text.slice(text.indexOf('@swagger') + '@swagger'.length));
+    } catch {
+      return payload;
     }
-    
+
+    const operation = this.swaggerOperation(document);
+    if (!operation) return payload;
+
+    // Parse request body schema (OpenAPI 3 requestBody or a Swagger 2 body parameter) and query parameters
+    const parameters = Array.isArray(operation.parameters) ? operation.parameters : [];
+    const body = jsonContentSchema(operation.requestBody?.content) || parameters.find(parameter => parameter?.in === 'body')?.schema;
+    if (body) payload.request = jsonSchemaField(body).properties || {};
+    for (const parameter of parameters.filter(parameter => ['query', 'formData'].includes(parameter?.in) && parameter.name)) {
+      payload.request[parameter.name] = jsonSchemaField(parameter.schema || parameter, parameter.required === true);
+    }
+
     // Parse response schema
-    const responseMatch = swaggerComment.match(/responses:[\s\S]*?200:[\s\S]*?schema:[\s\S]*?properties:\s*\{([^}]+)\}/);
-    if (responseMatch) {
-      payload.response = this.parseSwaggerProperties(responseMatch[1]);
+    const success = Object.entries(operation.responses || {}).find(([status]) => /^20[01]$/.test(status))?.[1];
+    const response = jsonContentSchema(success?.content) || success?.schema;
+    if (response) payload.response = jsonSchemaField(response).properties || {};
+
+    // Every documented status code, with its body schema
+    for (const [status, documented] of Object.entries(operation.responses || {})) {
+      if (!/^([1-5]\d\d|default)$/.test(status)) continue;
+      const schema = jsonContentSchema(documented?.content) || documented?.schema;
+      payload.responses[status] = schema ? jsonSchemaField(schema) : null;
     }
-    
+
     return payload;
   }
 
-  parseSwaggerProperties(propertiesDefinition) {
+  // The operation object: the document itself or nested under its path and method keys
+  swaggerOperation(node, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 2) return null;
+    if (node.requestBody || node.responses || node.parameters) return node;
+
+    for (const value of Object.values(node)) {
+      const operation = this.swaggerOperation(value, depth + 1);
+      if (operation) return operation;
+    }
+    return null;
+  }
+
+  // Request fields the handler reads and every response it can send: res.status(201).json({...}),
+  // res.sendStatus(204), ctx.status = 201 + ctx.body = ..., and thrown or next()-ed HTTP errors
+  analyzeHandlerCode(handlerNode, payload, responders = RESPONSE_OBJECTS) {
+    const locals = handlerLocals(handlerNode);
+    // res.status(201) / ctx.status = 201 on its own line applies to the next body sent
+    let pendingStatus = null;
+    const respond = (status, bodyNode) => {
+      const body = bodyNode ? this.inferValueType(bodyNode, locals) : null;
+      mergeResponses(payload.responses, { [status ?? pendingStatus ?? 200]: body });
+      pendingStatus = null;
+    };
+
+    walk(handlerNode.body, (node, ancestors) => {
+      // Look for req.body destructuring (request.body in Fastify, ctx.request.body in Koa)
+      if (node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' && ['req.body', 'request.body', 'ctx.request.body'].includes(memberPath(node.init))) {
+        for (const property of node.id.properties) {
+          const field = property.type === 'RestElement' ? null : propertyName(property);
+          if (field && !payload.request[field]) {
+            payload.request[field] = payloadField('unknown');
+          }
+        }
+      }
+
+      // res.json() / res.status(n).json() / res.send() (reply.code(n).send() in Fastify), visited once per chain
+      const parent = ancestors[ancestors.length - 1];
+      if (node.type === 'CallExpression' && !(parent?.type === 'MemberExpression' && parent.object === node)) {
+        const chain = callChain(node);
+        const last = chain.calls[chain.calls.length - 1];
+        const status = chain.calls.find(call => ['status', 'code'].includes(call.name));
+        const code = status ? statusCode(status.args[0]) ?? 'default' : null;
+
+        if (responders.includes(chain.root) && last) {
+          // fetch() results are often named res too, but their .json() takes no argument
+          if (['json', 'jsonp'].includes(last.name) && last.args[0]) respond(code, last.args[0]);
+          else if (last.name === 'send') respond(code, last.args[0]);
+          else if (last.name === 'end') respond(code, null);
+          else if (last.name === 'sendStatus') respond(statusCode(last.args[0]) ?? 'default', null);
+          else if (last.name === 'redirect') respond(last.args.length > 1 ? statusCode(last.args[0]) ?? 'default' : 302, null);
+          else if (chain.root === 'h' && chain.calls[0].name === 'response') respond(code, chain.calls[0].args[0]);
+          else if (status && chain.calls.length === 1) pendingStatus = code;
+        } else if (chain.root === 'ctx' && last?.name === 'throw') {
+          respond(statusCode(last.args[0]) ?? 500, last.args[1]);
+        } else if (memberPath(node.callee) === 'next' && node.arguments[0]) {
+          this.recordError(payload, node.arguments[0]);
+        }
+      }
+
+      if (node.type === 'ThrowStatement') this.recordError(payload, node.argument);
+
+      // Koa: ctx.status = 201; ctx.body = { ... }
+      if (node.type === 'AssignmentExpression' && ['ctx.status', 'ctx.response.status'].includes(memberPath(node.left))) {
+        pendingStatus = statusCode(node.right) ?? 'default';
+      }
+      if (node.type === 'AssignmentExpression' && ['ctx.body', 'ctx.response.body'].includes(memberPath(node.left))) {
+        respond(null, node.right);
+      }
+    });
+  }
+
+  // new NotFoundException(), createError(404, ...), createError.NotFound(), Boom.notFound(), new HttpException(body, status);
+  // plain Errors are left out since their status depends on the app's error handler
+  recordError(payload, errorNode) {
+    if (!['NewExpression', 'CallExpression'].includes(errorNode?.type)) return;
+
+    const name = memberPath(errorNode.callee)?.split('.').pop() || '';
+    const args = errorNode.arguments;
+    const named = errorStatus(name);
+    const status = named ?? (name === 'HttpException' ? statusCode(args[1]) : /Error$|^create/.test(name) ? statusCode(args[0]) : null);
+    if (!status) return;
+
+    // Nest exceptions answer with { statusCode, message, error } unless given a body object
+    const body = args.find(arg => arg.type === 'ObjectExpression');
+    const description = named ? name : undefined;
+    mergeResponses(payload.responses, {
+      [status]: body ? this.inferValueType(body) : /Exception$/.test(name) ? payloadField('object', {
+        description,
+        properties: { statusCode: payloadField('number'), message: payloadField('string'), error: payloadField('string') }
+      }) : payloadField('object', { description })
+    });
+  }
+
+  parseObjectLiteral(objectNode, locals = new Map(), depth = 0) {
     const fields = {};
-    
-    const propertyMatches = propertiesDefinition.matchAll(/([a-zA-Z0-9_]+):\s*\{\s*type:\s*['"](.*?)['"](?:\s*,\s*description:\s*['"](.*?)['"])?\s*\}/g);
-    for (const match of propertyMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      const description = match[3];
-      
-      fields[fieldName] = description ? `${fieldType} (${description})` : fieldType;
+
+    for (const property of objectNode.properties) {
+      if (property.type !== 'ObjectProperty') continue;
+
+      const fieldName = propertyName(property);
+      if (fieldName) {
+        fields[fieldName] = this.inferValueType(property.value, locals, depth + 1);
+      }
     }
-    
+
     return fields;
   }
 
-  analyzeHandlerCode(handlerCode, payload) {
-    // Look for req.body destructuring
-    const bodyDestructureMatch = handlerCode.match(/\{\s*([^}]+)\s*\}\s*=\s*req\.body/);
-    if (bodyDestructureMatch) {
-      const fields = bodyDestructureMatch[1].split(',').map(f => f.trim());
-      for (const field of fields) {
-        payload.request[field] = 'unknown';
+  // Try to infer type from value; handler variables are followed to what they were assigned, so
+  // `const user = await User.findById(id); res.json({ user })` gives a User document
+  inferValueType(valueNode, locals = new Map(), depth = 0) {
+    if (depth > MAX_SCHEMA_DEPTH) return payloadField('unknown');
+    const nested = node => this.inferValueType(node, locals, depth + 1);
+
+    switch (valueNode.type) {
+      case 'StringLiteral':
+      case 'TemplateLiteral':
+        return payloadField('string');
+      case 'NumericLiteral':
+        return payloadField('number');
+      case 'BooleanLiteral':
+        return payloadField('boolean');
+      case 'NullLiteral':
+        return payloadField('null');
+      case 'ArrayExpression':
+        return payloadField('array', valueNode.elements[0] ? { items: nested(valueNode.elements[0]) } : {});
+      case 'ObjectExpression':
+        return payloadField('object', { properties: this.parseObjectLiteral(valueNode, locals, depth) });
+      case 'AwaitExpression':
+        return nested(valueNode.argument);
+      case 'TSAsExpression':
+      case 'TSNonNullExpression':
+        return nested(valueNode.expression);
+      case 'Identifier':
+        return locals.has(valueNode.name) ? nested(locals.get(valueNode.name)) : payloadField('unknown');
+      case 'NewExpression': {
+        // new Order(req.body) is an Order document
+        const name = valueNode.callee.type === 'Identifier' ? valueNode.callee.name : '';
+        if (name === 'Date') return payloadField('date');
+        return /^[A-Z]/.test(name) && !/Error$/.test(name) ? payloadField(name) : payloadField('unknown');
       }
+      case 'CallExpression':
+        return this.inferCallType(valueNode, locals, depth);
+      default:
+        return payloadField('unknown');
     }
-    
-    // Look for res.json() calls
-    const responseMatches = handlerCode.matchAll(/res\.json\s*\(\s*\{([^}]+)\}/g);
-    for (const match of responseMatches) {
-      const responseFields = this.parseObjectLiteral(match[1]);
-      Object.assign(payload.response, responseFields);
+  }
+
+  // Model queries give documents (User.find() -> User[]); user.toJSON() is the document itself
+  inferCallType(callNode, locals, depth) {
+    const chain = callChain(callNode);
+    const first = chain.calls[0];
+    const model = modelName(chain.root);
+
+    if (model && MODEL_LIST_QUERIES.includes(first?.name)) return payloadField('array', { items: payloadField(model) });
+    if (model && MODEL_DOCUMENT_QUERIES.includes(first?.name)) return payloadField(model);
+    if (chain.root && locals.has(chain.root) && ['toJSON', 'toObject', 'save', 'populate', 'reload'].includes(first?.name)) {
+      return this.inferValueType(locals.get(chain.root), locals, depth + 1);
     }
+    if (memberPath(callNode.callee) === 'JSON.stringify') return payloadField('string');
+    return payloadField('unknown');
   }
 
-  parseObjectLiteral(objectContent) {
-    const fields = {};
-    
-    const fieldMatches = objectContent.matchAll(/([a-zA-Z0-9_]+):\s*([^,}]+)/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const fieldValue = match[2].trim();
-      
-      // Try to infer type from value
-      let type = 'unknown';
-      if (fieldValue.startsWith('"') || fieldValue.startsWith("'")) {
-        type = 'string';
-      } else if (!isNaN(fieldValue)) {
-        type = 'number';
-      } else if (fieldValue === 'true' || fieldValue === 'false') {
-        type = 'boolean';
-      }
-      
-      fields[fieldName] = type;
+  ensurePayload(payloads, routeKey) {
+    if (!payloads[routeKey]) {
+      payloads[routeKey] = { request: {}, response: {}, responses: {} };
     }
-    
-    return fields;
+    return payloads[routeKey];
   }
 
-  findRouteContext(content, matchIndex) {
-    // Find the nearest route definition before this validation
-    const beforeContent = content.substring(0, matchIndex);
-    const routeMatch = beforeContent.match(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"](?:.*?)$/);
-    
-    if (routeMatch) {
-      const method = routeMatch[2].toUpperCase();
-      const route = routeMatch[3];
-      return `${method} ${route}`;
+  routeKey(route) {
+    return scopedRouteKey(route);
+  }
+
+  resolveIdentifier(node, declarations) {
+    if (node?.type === 'Identifier' && declarations.has(node.name)) {
+      return declarations.get(node.name);
     }
-    
-    return null;
+    return node;
   }
 
-  linkSchemaToRoutes(content, schemaName, schema) {
-    // Find routes that reference this schema
-    const usageMatches = content.matchAll(new RegExp(`${schemaName}|validate\\s*\\(\\s*${schemaName}\\s*\\)`, 'g'));
-    
-    for (const match of usageMatches) {
-      const routeContext = this.findRouteContext(content, match.index);
-      if (routeContext) {
-        if (!this.payloads[routeContext]) {
-          this.payloads[routeContext] = { request: {}, response: {} };
-        }
-        Object.assign(this.payloads[routeContext].request, schema);
+  isJoiObject(node) {
+    const chain = callChain(node);
+    return ['Joi', 'joi'].includes(chain.root) && chain.calls[0]?.name === 'object';
+  }
+
+  isYupObject(node) {
+    const chain = callChain(node);
+    return ['yup', 'Yup'].includes(chain.root) && chain.calls[0]?.name === 'object';
+  }
+
+  linkSchemaToRoutes(payloads, routes, declarations, isSchema, parseSchema) {
+    // Find routes that reference a schema, by identifier (validate(createOrderSchema)) or inline
+    for (const route of routes) {
+      for (const arg of route.args) {
+        walk(arg, (node, ancestors) => {
+          const insideCelebrate = ancestors.some(a => a.type === 'CallExpression' && memberPath(a.callee) === 'celebrate');
+          if (insideCelebrate) return;
+
+          let schemaNode = null;
+          if (node.type === 'Identifier' && declarations.has(node.name)) {
+            schemaNode = declarations.get(node.name);
+          } else if (node.type === 'CallExpression' && !ancestors.some(a => a.type === 'CallExpression' && isSchema(a))) {
+            schemaNode = node;
+          }
+
+          if (schemaNode && isSchema(schemaNode)) {
+            mergeFields(this.ensurePayload(payloads, this.routeKey(route)).request, parseSchema(schemaNode));
+          }
+        });
       }
     }
   }
 
-  linkTypeScriptDTOToRoutes(content, interfaceName, interfaceSchema) {
+  linkTypeScriptDTOToRoutes(payloads, routes, interfaceName, interfaceSchema) {
     // Link based on naming conventions
     const routeHint = this.extractRouteFromInterfaceName(interfaceName);
-    
-    if (routeHint) {
-      // Try to find matching routes
-      const routeMatches = content.matchAll(/(router|app)\.(get|post|put|patch|delete)\s*\(\s*['"](.*?)['"],?/g);
-      
-      for (const match of routeMatches) {
-        const method = match[2].toUpperCase();
-        const route = match[3];
-        const fullRoute = `${method} ${route}`;
-        
-        if (route.includes(routeHint) || routeHint.includes(route.replace(/[^\w]/g, ''))) {
-          if (!this.payloads[fullRoute]) {
-            this.payloads[fullRoute] = { request: {}, response: {} };
-          }
-          
-          if (interfaceName.includes('Request')) {
-            Object.assign(this.payloads[fullRoute].request, interfaceSchema);
-          } else if (interfaceName.includes('Response')) {
-            Object.assign(this.payloads[fullRoute].response, interfaceSchema);
-          }
+    if (!routeHint) return;
+
+    for (const route of routes) {
+      const fullRoute = this.routeKey(route);
+
+      if (route.path.includes(routeHint) || routeHint.includes(route.path.replace(/[^\w]/g, ''))) {
+        const payload = this.ensurePayload(payloads, fullRoute);
+
+        if (interfaceName.includes('Request') || /(DTO|Dto)$/.test(interfaceName)) {
+          mergeFields(payload.request, interfaceSchema);
+        } else if (interfaceName.includes('Response')) {
+          mergeFields(payload.response, interfaceSchema);
         }
       }
     }
@@ -362,36 +1230,87 @@ export class PayloadExtractor {
   extractRouteFromInterfaceName(interfaceName) {
     // Extract route hints from interface names like CreateOrderRequest -> order
     const cleaned = interfaceName
-      .replace(/Request|Response|DTO/g, '')
+      .replace(/Request|Response|DTO|Dto/g, '')
       .replace(/^(Create|Update|Delete|Get)/, '')
       .toLowerCase();
-    
+
     return cleaned;
   }
+}
 
-  normalizeJoiType(joiType) {
-    const typeMap = {
-      'string': 'string',
-      'number': 'number',
-      'boolean': 'boolean',
-      'date': 'date',
-      'array': 'array',
-      'object': 'object'
-    };
-    
-    return typeMap[joiType.toLowerCase()] || joiType;
-  }
+function jsonContentSchema(content) {
+  if (!content || typeof content !== 'object') return null;
+  return (content['application/json'] || Object.values(content)[0])?.schema || null;
+}
 
-  normalizeYupType(yupType) {
-    const typeMap = {
-      'string': 'string',
-      'number': 'number',
-      'boolean': 'boolean',
-      'date': 'date',
-      'array': 'array',
-      'object': 'object'
-    };
-    
-    return typeMap[yupType.toLowerCase()] || yupType;
+// Express handlers may be referenced by name or wrapped: asyncHandler(async (req, res) => ...)
+function handlerFunction(node, declarations, depth = 0) {
+  if (isFunctionNode(node)) return node;
+  if (!node || depth > 2) return null;
+  if (node.type === 'Identifier' && declarations.has(node.name)) return handlerFunction(declarations.get(node.name), declarations, depth + 1);
+  if (node.type === 'CallExpression') return handlerFunction(node.arguments[node.arguments.length - 1], declarations, depth + 1);
+  return null;
+}
+
+function functionDeclarations(ast) {
+  const functions = new Map();
+  walk(ast, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) functions.set(node.id.name, node);
+  });
+  return functions;
+}
+
+// A module's declarations as other files import them: top-level constants and functions, plus values exported inline
+// (exports.createOrderSchema = Joi.object(...)) under the `$name` RouteResolver reports for them
+function moduleDeclarations(ast) {
+  const declarations = new Map([...functionDeclarations(ast), ...collectDeclarations(ast)]);
+
+  for (const statement of ast?.program.body || []) {
+    const assignment = statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression' ? statement.expression : null;
+    const target = assignment && memberPath(assignment.left);
+    if (target && /^(module\.)?exports\.\w+$/.test(target)) {
+      declarations.set(`$${target.split('.').pop()}`, assignment.right);
+    } else if (target === 'module.exports' && assignment.right.type === 'ObjectExpression') {
+      for (const property of assignment.right.properties) {
+        if (property.type === 'ObjectProperty' && !property.computed) declarations.set(`$${propertyName(property)}`, property.value);
+      }
+    }
   }
+  return declarations;
+}
+
+// Variables declared in a handler, for following res.json(user) back to the query that loaded it
+function handlerLocals(handlerNode) {
+  const locals = new Map();
+  walk(handlerNode.body, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init && !locals.has(node.id.name)) {
+      locals.set(node.id.name, node.init);
+    }
+  });
+  return locals;
+}
+
+// 201, HttpStatus.CREATED, StatusCodes.NOT_FOUND, err.status || 500
+function statusCode(node) {
+  if (node?.type === 'NumericLiteral' && node.value >= 100 && node.value < 600) return node.value;
+  if (node?.type === 'MemberExpression' && !node.computed) return HTTP_STATUSES[node.property.name] ?? null;
+  if (node?.type === 'LogicalExpression') return statusCode(node.right);
+  return null;
+}
+
+// NotFoundException, NotFoundError, NotFound, notFound -> 404; only error statuses count
+function errorStatus(name) {
+  const status = [name, name.replace(/(Exception|Error)$/, '')]
+    .map(candidate => HTTP_STATUSES[candidate.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()])
+    .find(Boolean);
+  return status >= 400 ? status : null;
+}
+
+// User -> User, prisma.user -> User, this.userModel / this.userRepository -> User
+function modelName(root) {
+  if (!root) return null;
+  if (/^[A-Z][A-Za-z0-9]*$/.test(root)) return BUILTIN_OBJECTS.includes(root) || /(Service|Controller)$/.test(root) ? null : root;
+
+  const name = /(?:^|\.)prisma\.(\w+)$/.exec(root)?.[1] || /^(\w+?)(Model|Repository|Repo)$/.exec(root.split('.').pop())?.[1];
+  return name ? name[0].toUpperCase() + name.slice(1) : null;
 }
@@ -0,0 +1,156 @@
+// Request/response payload fields as a typed tree. Every field is a node:
+//   { type, required, nullable?, enum?, default?, format?, min?, max?, pattern?, description?, items?, properties?, values?, variants? }
+// `type` is a JSON type (string, number, integer, boolean, object, array, null), date, any, unknown,
+// union (see `variants`) or a named type that could not be resolved, such as a DTO class or an enum.
+// min/max bound the string length, the array size or the number itself; `items` is the array item
+// type, `properties` the object members and `values` the value type of a map (Record<string, T>).
+// Response bodies use the same nodes, keyed by status code in a payload's `responses`.
+
+const FIELD_KEYS = ['type', 'required', 'nullable', 'enum', 'default', 'format', 'min', 'max', 'pattern', 'description', 'items', 'properties', 'values', 'variants'];
+
+// JSON Schema keywords that bound a field, by the type they apply to
+const JSON_SCHEMA_BOUNDS = [
+  ['minLength', 'min'], ['maxLength', 'max'],
+  ['minItems', 'min'], ['maxItems', 'max'],
+  ['minimum', 'min'], ['maximum', 'max']
+];
+
+// Builds a node with its keys in a stable order, dropping the ones left undefined
+export function payloadField(type, facets = {}) {
+  const field = { required: false, ...facets, type: type || 'unknown' };
+  return Object.fromEntries(FIELD_KEYS.filter(key => field[key] !== undefined).map(key => [key, field[key]]));
+}
+
+export function isPayloadField(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.type === 'string' && typeof value.required === 'boolean';
+}
+
+// Several sources may describe the same field (a Joi schema and a Swagger comment): later sources
+// win on facets they state, but an "unknown" type or a missing structure never replaces a known one
+export function mergeFields(target, source) {
+  for (const [name, field] of Object.entries(source || {})) {
+    target[name] = name in target ? mergeField(target[name], field) : field;
+  }
+  return target;
+}
+
+// Status code -> body node, or null for a response without a body; a body always wins over null
+export function mergeResponses(target, source) {
+  for (const [status, body] of Object.entries(source || {})) {
+    target[status] = !target[status] ? body : body ? mergeField(target[status], body) : target[status];
+  }
+  return target;
+}
+
+// Two payloads of one route (say, from two registrations of it) combined into the first
+export function mergePayload(target, source) {
+  mergeFields(target.request, source.request);
+  mergeFields(target.response, source.response);
+  mergeResponses(target.responses, source.responses);
+  return target;
+}
+
+function mergeField(existing, incoming) {
+  if (!isPayloadField(existing) || !isPayloadField(incoming)) return incoming;
+
+  const merged = { ...existing, ...incoming, required: existing.required || incoming.required };
+  if (incoming.type === 'unknown' || (incoming.type === 'object' && existing.properties && !incoming.properties)
+    || (incoming.type === 'array' && existing.type === 'array' && !incoming.items)) {
+    merged.type = existing.type;
+  }
+  if (existing.properties && incoming.properties) merged.properties = mergeFields({ ...existing.properties }, incoming.properties);
+  if (existing.items && incoming.items) merged.items = mergeField(existing.items, incoming.items);
+  return payloadField(merged.type, merged);
+}
+
+// JSON Schema (Fastify route schemas, Swagger comments) -> node; $refs are not followed and keep their name
+export function jsonSchemaField(schema, required = false, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > 8) return payloadField('unknown', { required });
+  if (typeof schema.$ref === 'string') return payloadField(schema.$ref.split('/').pop(), { required });
+
+  const variants = schema.oneOf || schema.anyOf;
+  const types = [].concat(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'unknown'));
+  const nullable = schema.nullable === true || types.includes('null') || undefined;
+  const type = types.filter(name => name !== 'null');
+  const field = { required, nullable, ...jsonSchemaFacets(schema) };
+
+  if (schema.properties && typeof schema.properties === 'object') {
+    const requiredNames = Array.isArray(schema.required) ? schema.required : [];
+    field.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([name, property]) => [name, jsonSchemaField(property, requiredNames.includes(name), depth + 1)]));
+  }
+  if (schema.items && typeof schema.items === 'object') field.items = jsonSchemaField(schema.items, false, depth + 1);
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    field.values = jsonSchemaField(schema.additionalProperties, false, depth + 1);
+  }
+  if (Array.isArray(variants) && !schema.type) {
+    field.variants = variants.map(variant => jsonSchemaField(variant, false, depth + 1));
+    return payloadField('union', field);
+  }
+
+  return payloadField(type.length > 1 ? 'union' : type[0] || 'unknown', {
+    ...field,
+    ...(type.length > 1 ? { variants: type.map(name => payloadField(name)) } : {})
+  });
+}
+
+// The facets shared by every JSON Schema type: enum, default, format, bounds, pattern, description
+export function jsonSchemaFacets(schema) {
+  const facets = {};
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) facets.enum = schema.enum;
+  if (schema.default !== undefined) facets.default = schema.default;
+  if (typeof schema.format === 'string') facets.format = schema.format;
+  for (const [keyword, facet] of JSON_SCHEMA_BOUNDS) {
+    if (typeof schema[keyword] === 'number') facets[facet] = schema[keyword];
+  }
+  if (typeof schema.pattern === 'string') facets.pattern = schema.pattern;
+  if (typeof schema.description === 'string') facets.description = schema.description;
+  return facets;
+}
+
+// Compact type text: "'USD' | 'EUR'", "{ street, city }[]", "string | null"
+export function fieldType(field) {
+  let text = field.type;
+  if (field.enum) text = field.enum.map(value => (typeof value === 'string' ? `'${value}'` : String(value))).join(' | ');
+  else if (field.type === 'array' && field.items) text = `${wrapUnion(fieldType(field.items))}[]`;
+  else if (field.type === 'union' && field.variants) text = field.variants.map(fieldType).join(' | ');
+  else if (field.values) text = `Record<string, ${fieldType(field.values)}>`;
+  return field.nullable ? `${text} | null` : text;
+}
+
+// Type text plus notes: "string (required, format: email, max: 200)"
+export function fieldText(field) {
+  const notes = [
+    field.required ? 'required' : null,
+    field.format ? `format: ${field.format}` : null,
+    field.min !== undefined ? `min: ${field.min}` : null,
+    field.max !== undefined ? `max: ${field.max}` : null,
+    field.pattern ? `pattern: /${field.pattern}/` : null,
+    field.default !== undefined ? `default: ${JSON.stringify(field.default)}` : null,
+    field.description || null
+  ].filter(Boolean);
+  return notes.length > 0 ? `${fieldType(field)} (${notes.join(', ')})` : fieldType(field);
+}
+
+// A response body in one line: its fields for object bodies, its type otherwise
+export function bodyText(body) {
+  if (!body) return 'no body';
+  if (body.properties && Object.keys(body.properties).length > 0) {
+    return Object.entries(body.properties).flatMap(([name, field]) => fieldPaths(field, name)).map(([name, text]) => `${name}: ${text}`).join(', ');
+  }
+  return fieldText(body);
+}
+
+// Leaf fields as dotted paths: items[].productId, shippingAddress.city
+export function fieldPaths(field, name) {
+  const nested = field.type === 'array' && field.items?.properties ? [field.items.properties, `${name}[]`]
+    : field.properties && Object.keys(field.properties).length > 0 ? [field.properties, name] : null;
+  if (!nested) return [[name, fieldText(field)]];
+
+  const [properties, prefix] = nested;
+  return Object.entries(properties).flatMap(([key, value]) => fieldPaths(value, `${prefix}.${key}`));
+}
+
+function wrapUnion(text) {
+  return text.includes('|') ? `(${text})` : text;
+}
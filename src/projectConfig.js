@@ -0,0 +1,139 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  IGNORED_PATHS,
+  ROUTE_PATTERNS,
+  FILE_ROUTE_PATTERNS,
+  GRAPHQL_PATTERNS,
+  API_SPEC_PATTERNS,
+  MODEL_PATTERNS,
+  SERVICE_PATTERNS,
+  UTIL_PATTERNS,
+  SOURCE_PATTERNS,
+  INTERNAL_ROUTE_PATTERNS,
+  BUSINESS_HINTS,
+  UTILITY_HINTS
+} from '../config.js';
+
+export const CONFIG_FILES = [
+  '.codebase-summary.json',
+  'codebase-summary.config.js',
+  'codebase-summary.config.mjs',
+  'codebase-summary.config.cjs'
+];
+
+const PATTERN_KEYS = ['routes', 'fileRoutes', 'graphql', 'apiSpecs', 'models', 'services', 'utils', 'sources'];
+
+export function defaultConfig() {
+  return {
+    ignore: [...IGNORED_PATHS],
+    patterns: {
+      routes: [...ROUTE_PATTERNS],
+      fileRoutes: [...FILE_ROUTE_PATTERNS],
+      graphql: [...GRAPHQL_PATTERNS],
+      apiSpecs: [...API_SPEC_PATTERNS],
+      models: [...MODEL_PATTERNS],
+      services: [...SERVICE_PATTERNS],
+      utils: [...UTIL_PATTERNS],
+      sources: [...SOURCE_PATTERNS]
+    },
+    internalRoutes: [...INTERNAL_ROUTE_PATTERNS],
+    businessHints: [...BUSINESS_HINTS],
+    utilityHints: [...UTILITY_HINTS]
+  };
+}
+
+// Merges user settings over the defaults. Lists extend the defaults unless
+// `extendDefaults: false` is set, in which case they replace them.
+export function resolveConfig(userConfig = {}) {
+  const config = defaultConfig();
+  const extend = userConfig.extendDefaults !== false;
+  const merge = (defaults, custom) => {
+    if (custom === undefined) return defaults;
+    const list = toList(custom);
+    return extend ? [...new Set([...defaults, ...list])] : list;
+  };
+
+  config.ignore = merge(config.ignore, userConfig.ignore);
+  for (const key of PATTERN_KEYS) {
+    config.patterns[key] = merge(config.patterns[key], userConfig.patterns?.[key]);
+  }
+  config.internalRoutes = merge(config.internalRoutes, userConfig.internalRoutes);
+  config.businessHints = merge(config.businessHints, userConfig.businessHints).map(hint => hint.toLowerCase());
+  config.utilityHints = merge(config.utilityHints, userConfig.utilityHints).map(hint => hint.toLowerCase());
+
+  return config;
+}
+
+// `--exclude` accepts globs as well as plain names and paths:
+// "docs" -> any docs/ directory, "src/legacy" -> that path (file or directory) relative to the root
+export function excludeGlobs(excludes = []) {
+  return toList(excludes)
+    .map(exclude => exclude.trim().replace(/^\.\//, '').replace(/\/+$/, ''))
+    .filter(Boolean)
+    .flatMap(exclude => {
+      if (/[*?{}[\]!]/.test(exclude)) return [exclude];
+      const base = exclude.includes('/') ? exclude : `**/${exclude}`;
+      return [base, `${base}/**`];
+    });
+}
+
+export async function loadProjectConfig(projectRoot, configFile = null) {
+  const candidates = configFile ? [configFile] : CONFIG_FILES;
+
+  for (const candidate of candidates) {
+    const file = path.resolve(projectRoot, candidate);
+    try {
+      await fs.access(file);
+    } catch {
+      if (configFile) throw new Error(`Config file not found: ${file}`);
+      continue;
+    }
+
+    const userConfig = await readConfigFile(file);
+    return { config: resolveConfig(userConfig), source: file };
+  }
+
+  return { config: resolveConfig(), source: null };
+}
+
+async function readConfigFile(file) {
+  try {
+    if (file.endsWith('.json')) {
+      return validateUserConfig(JSON.parse(await fs.readFile(file, 'utf8')));
+    }
+
+    const module = await import(pathToFileURL(file).href);
+    return validateUserConfig(module.default || module);
+  } catch (err) {
+    throw new Error(`Invalid config file ${file}: ${err.message}`);
+  }
+}
+
+function validateUserConfig(userConfig) {
+  if (!userConfig || typeof userConfig !== 'object' || Array.isArray(userConfig)) {
+    throw new Error('config must export an object');
+  }
+
+  const lists = ['ignore', 'internalRoutes', 'businessHints', 'utilityHints'];
+  for (const key of lists) {
+    if (userConfig[key] !== undefined) assertStringList(userConfig[key], key);
+  }
+  for (const key of PATTERN_KEYS) {
+    if (userConfig.patterns?.[key] !== undefined) assertStringList(userConfig.patterns[key], `patterns.${key}`);
+  }
+
+  return userConfig;
+}
+
+function assertStringList(value, key) {
+  const list = toList(value);
+  if (!list.every(item => typeof item === 'string')) {
+    throw new Error(`"${key}" must be a string or an array of strings`);
+  }
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,528 @@
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  callChain,
+  stringValue,
+  constantString,
+  nodeText,
+  objectEntries,
+  getProperty,
+  propertyName,
+  decoratorsOf,
+  isFunctionNode,
+  unwrapExpression,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
+
+// Files that never mention sockets are skipped before parsing
+const SOCKET_HINT = /socket|websocket|\bwss?\b/i;
+
+// Server-side libraries; files importing a client library (socket.io-client) are left out
+const SERVER_LIBRARIES = ['socket.io', 'ws'];
+const CLIENT_LIBRARIES = ['socket.io-client'];
+
+// Variables conventionally holding a server, namespace or connected socket
+const SOCKET_NAME = /^(io|ws|wss|nsp|socket)$|(Socket|Namespace)$/;
+const SOCKET_TYPES = /^(Socket|WebSocket)$/;
+
+// Lifecycle events fired by the library itself rather than sent by a peer
+const RESERVED_EVENTS = new Set([
+  'connection', 'connect', 'disconnect', 'disconnecting', 'connect_error', 'error',
+  'close', 'open', 'listening', 'headers', 'upgrade', 'ping', 'pong', 'newListener', 'removeListener'
+]);
+
+// Realtime API surface: events a server listens for (inbound) and emits (outbound) over
+// Socket.IO, ws and NestJS gateways, with the namespace (ws: server path), target rooms,
+// handler and payload fields when they can be read from the code.
+export class RealtimeEventExtractor {
+  constructor(projectRoot, limit = 100, options = {}) {
+    this.projectRoot = projectRoot;
+    this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
+  }
+
+  async extract() {
+    this.logger.info('📡 Extracting realtime events...');
+
+    const files = await this.fileIndex.match(this.config.patterns.sources);
+    const fragments = await this.cache.analyzeFiles('realtimeEvents', files, file => this.analyzeFile(file));
+
+    const events = new Map();
+    for (const [i, fragment] of fragments.entries()) {
+      const file = this.fileIndex.get(files[i])?.relativePath || files[i];
+
+      for (const event of fragment || []) {
+        // The same event emitted from several places is listed once, with every room it targets
+        const key = `${event.direction} ${event.namespace} ${event.event}`;
+        const existing = events.get(key);
+        if (existing) {
+          existing.rooms = [...new Set([...existing.rooms, ...event.rooms])];
+          existing.payload = existing.payload || event.payload;
+        } else {
+          events.set(key, { ...event, file });
+        }
+      }
+    }
+
+    const catalogue = [...events.values()]
+      .sort((a, b) => `${a.namespace || ''} ${a.event} ${a.direction}`.localeCompare(`${b.namespace || ''} ${b.event} ${b.direction}`))
+      .slice(0, this.limit);
+
+    if (catalogue.length > 0) this.logger.info(`📡 Found ${catalogue.length} realtime events`);
+
+    return catalogue;
+  }
+
+  // Per-file result: [{ event, direction, namespace, rooms, handler, payload, line }]
+  async analyzeFile(file) {
+    const events = [];
+
+    try {
+      const { content, ast } = await this.parser.parseFile(file);
+      if (!ast || !SOCKET_HINT.test(content)) return events;
+
+      const imports = libraryImports(ast);
+      if (CLIENT_LIBRARIES.some(library => imports.has(library))) return events;
+
+      const context = {
+        content,
+        declarations: collectDeclarations(ast),
+        types: typeDeclarations(ast),
+        functions: functionDeclarations(ast),
+        servers: this.findServers(ast, imports),
+        connections: new Map()
+      };
+
+      // Connection handlers first, so events on their socket parameter know their namespace
+      walk(ast, node => {
+        const listener = this.listenerCall(node, context);
+        if (listener && ['connection', 'connect'].includes(listener.event) && isFunctionNode(listener.handler)) {
+          const socket = listener.handler.params[0];
+          if (socket?.type === 'Identifier') {
+            context.connections.set(listener.handler, { socket: socket.name, namespace: listener.namespace ?? '/' });
+          }
+        }
+      });
+
+      walk(ast, (node, ancestors) => {
+        if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+          events.push(...this.gatewayEvents(node, context));
+          return;
+        }
+
+        // Gateway classes are handled as a whole above
+        if (ancestors.some(ancestor => gatewayOptions(ancestor) !== null)) return;
+
+        const listener = this.listenerCall(node, context, ancestors);
+        if (listener && !RESERVED_EVENTS.has(listener.event)) {
+          events.push({
+            event: listener.event,
+            direction: 'inbound',
+            namespace: listener.namespace,
+            rooms: [],
+            handler: handlerName(listener.handler),
+            payload: this.handlerPayload(listener.handler, context),
+            line: node.loc?.start.line ?? null
+          });
+        }
+
+        const emit = this.emitCall(node, context, ancestors);
+        if (emit) events.push({ ...emit, line: node.loc?.start.line ?? null });
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Error analyzing realtime events in ${file}:`, error.message);
+    }
+
+    return events;
+  }
+
+  // Local variables holding a server or namespace -> namespace: io = new Server(...),
+  // io = require('socket.io')(server), chat = io.of('/chat'), wss = new WebSocketServer({ path })
+  // (ws servers use their path as the namespace)
+  findServers(ast, imports) {
+    const servers = new Map();
+
+    walk(ast, node => {
+      if (node.type !== 'VariableDeclarator' || node.id.type !== 'Identifier' || !node.init) return;
+
+      const init = unwrapExpression(node.init);
+      if (!['NewExpression', 'CallExpression'].includes(init.type)) return;
+
+      const callee = unwrapExpression(init.callee);
+      const library = callee.type === 'CallExpression' && memberPath(callee.callee) === 'require'
+        ? stringValue(callee.arguments[0])
+        : imports.get((memberPath(callee) || '').split('.')[0]);
+      const name = memberPath(callee) || '';
+      // new WebSocket(url) from ws is a client connection, not a server
+      if ((library === 'ws' && /Server$/.test(name)) || /^(WebSocketServer|WebSocket\.Server)$/.test(name)) {
+        const options = init.arguments.find(arg => arg.type === 'ObjectExpression');
+        servers.set(node.id.name, stringValue(getProperty(options, 'path')) || '/');
+      } else if (library === 'socket.io') {
+        servers.set(node.id.name, '/');
+      } else {
+        // chat = io.of('/chat')
+        const { root, calls } = callChain(init);
+        const of = calls.find(call => call.name === 'of');
+        if (of && root && (servers.has(root) || SOCKET_NAME.test(root))) servers.set(node.id.name, namespacePath(of.args[0]));
+      }
+    });
+
+    return servers;
+  }
+
+  // X.on(event, handler) where X is a server, namespace or connected socket
+  listenerCall(node, context, ancestors = []) {
+    if (node.type !== 'CallExpression') return null;
+
+    const { root, calls } = callChain(node);
+    const last = calls[calls.length - 1];
+    if (!root || calls.length === 0 || !['on', 'once'].includes(last.name)) return null;
+    if (!this.isSocket(root, context, ancestors)) return null;
+
+    const event = eventName(last.args[0], context);
+    if (!event) return null;
+
+    return {
+      event,
+      handler: unwrapExpression(last.args[last.args.length - 1]),
+      namespace: this.namespaceOf(root, calls, context, ancestors)
+    };
+  }
+
+  // socket.emit(event, payload), io.to(room).emit(...), socket.broadcast.emit(...) and ws.send(JSON.stringify({ type, ... }))
+  emitCall(node, context, ancestors) {
+    if (node.type !== 'CallExpression') return null;
+
+    const { root, calls } = callChain(node);
+    const last = calls[calls.length - 1];
+    if (!root || calls.length === 0 || !['emit', 'send'].includes(last.name)) return null;
+    if (!this.isSocket(root, context, ancestors)) return null;
+
+    const rooms = calls
+      .filter(call => ['to', 'in'].includes(call.name))
+      .flatMap(call => call.args)
+      .map(arg => stringValue(arg) ?? nodeText(arg, context.content));
+
+    let event;
+    let payloadNode;
+    if (last.name === 'emit') {
+      event = eventName(last.args[0], context);
+      payloadNode = last.args[1];
+    } else {
+      // send() carries an unnamed message; a JSON envelope names it through `type` or `event`
+      const message = unwrapExpression(last.args[0]);
+      payloadNode = memberPath(message?.callee) === 'JSON.stringify' ? message.arguments[0] : message;
+      const envelope = resolveObject(payloadNode, context);
+      event = stringValue(getProperty(envelope, 'type')) || stringValue(getProperty(envelope, 'event')) || 'message';
+    }
+    if (!event || RESERVED_EVENTS.has(event)) return null;
+
+    const payload = resolveObject(payloadNode, context);
+    return {
+      event,
+      direction: 'outbound',
+      namespace: this.namespaceOf(root, calls, context, ancestors),
+      rooms,
+      handler: null,
+      payload: payload ? objectFields(payload) : null
+    };
+  }
+
+  isSocket(root, context, ancestors) {
+    const [name, property] = root.split('.');
+    if (context.servers.has(name) || root.split('.').some(part => SOCKET_NAME.test(part))) return true;
+    if (connectionFor(name, ancestors, context)) return true;
+
+    // this.server in a gateway, when declared with @WebSocketServer()
+    if (name === 'this' && ancestors.some(ancestor => gatewayOptions(ancestor) !== null && ancestor.body.body.some(member =>
+      propertyName(member) === property && decoratorsOf(member).some(decorator => decorator.name === 'WebSocketServer')))) {
+      return true;
+    }
+
+    // Parameters typed as a socket: handleConnection(client: Socket)
+    return ancestors.some(ancestor => isFunctionNode(ancestor) && ancestor.params.some(param =>
+      param.type === 'Identifier' && param.name === name && SOCKET_TYPES.test(typeName(param))));
+  }
+
+  // io.of('/chat'), a variable holding io.of('/chat'), the socket of an enclosing
+  // connection handler, or a known server; null when the socket comes from elsewhere
+  namespaceOf(root, calls, context, ancestors) {
+    const [name] = root.split('.');
+    const of = calls.find(call => call.name === 'of');
+    if (of) return namespacePath(of.args[0]);
+
+    const declared = unwrapExpression(context.declarations.get(name));
+    if (declared?.type === 'CallExpression') {
+      const declaredOf = callChain(declared).calls.find(call => call.name === 'of');
+      if (declaredOf) return namespacePath(declaredOf.args[0]);
+    }
+
+    const connection = connectionFor(name, ancestors, context);
+    if (connection) return connection.namespace;
+
+    return context.servers.get(name) ?? (/^io$/.test(name) ? '/' : null);
+  }
+
+  // NestJS: @WebSocketGateway({ namespace: 'chat' }) class with @SubscribeMessage('event') handlers.
+  // Handlers answer with `return { event, data }`; server.emit / client.emit inside the class are outbound.
+  gatewayEvents(node, context) {
+    const options = gatewayOptions(node);
+    if (options === null) return [];
+
+    const namespace = namespacePath(getProperty(options, 'namespace')) || '/';
+    const className = node.id?.name;
+    const events = [];
+
+    for (const member of node.body.body) {
+      const subscribe = decoratorsOf(member).find(decorator => decorator.name === 'SubscribeMessage');
+      if (subscribe) {
+        events.push({
+          event: eventName(subscribe.args[0], context) || propertyName(member),
+          direction: 'inbound',
+          namespace,
+          rooms: [],
+          handler: [className, propertyName(member)].filter(Boolean).join('.'),
+          payload: this.messageBodyPayload(member, context),
+          line: subscribe.node.loc?.start.line ?? null
+        });
+      }
+
+      walk(member, (current, ancestors) => {
+        if (subscribe && current.type === 'ReturnStatement') {
+          const response = unwrapExpression(current.argument);
+          const event = eventName(getProperty(response, 'event'), context);
+          if (event) {
+            const data = resolveObject(getProperty(response, 'data'), context);
+            events.push({
+              event, direction: 'outbound', namespace, rooms: [], handler: null,
+              payload: data ? objectFields(data) : null, line: current.loc?.start.line ?? null
+            });
+          }
+        }
+
+        const emit = this.emitCall(current, context, [node, ...ancestors]);
+        if (emit) events.push({ ...emit, namespace, line: current.loc?.start.line ?? null });
+      });
+    }
+
+    return events;
+  }
+
+  // @MessageBody() data: CreateMessageDto, or @MessageBody('text') text: string
+  messageBodyPayload(member, context) {
+    const fields = {};
+
+    for (const param of member.params || []) {
+      const body = decoratorsOf(param).find(decorator => decorator.name === 'MessageBody');
+      if (!body) continue;
+
+      const field = stringValue(body.args[0]);
+      if (field) {
+        fields[field] = typeName(param, context.content) || 'unknown';
+      } else {
+        Object.assign(fields, this.parameterFields(param, member, context) || {});
+      }
+    }
+
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+
+  // Fields of the first handler parameter: destructured names, a typed DTO or data.x accesses
+  handlerPayload(handler, context) {
+    const fn = handler?.type === 'Identifier'
+      ? context.functions.get(handler.name) || unwrapExpression(context.declarations.get(handler.name))
+      : handler;
+    if (!isFunctionNode(fn) || fn.params.length === 0) return null;
+
+    return this.parameterFields(fn.params[0], fn, context);
+  }
+
+  parameterFields(param, fn, context) {
+    const target = param.type === 'AssignmentPattern' ? param.left : param;
+
+    if (target.type === 'ObjectPattern') {
+      const fields = {};
+      for (const property of target.properties) {
+        const field = property.type === 'RestElement' ? null : propertyName(property);
+        if (field) fields[field] = 'unknown';
+      }
+      return Object.keys(fields).length > 0 ? fields : null;
+    }
+
+    if (target.type !== 'Identifier') return null;
+
+    const annotation = target.typeAnnotation?.typeAnnotation;
+    if (annotation?.type === 'TSTypeLiteral') return typeFields(annotation.members, context.content);
+    if (annotation?.type === 'TSTypeReference' && context.types.has(nodeText(annotation.typeName, context.content))) {
+      return typeFields(context.types.get(nodeText(annotation.typeName, context.content)), context.content);
+    }
+
+    const fields = {};
+    walk(fn.body, node => {
+      if (node.type === 'MemberExpression' && !node.computed && node.object.type === 'Identifier' && node.object.name === target.name) {
+        fields[node.property.name] = 'unknown';
+      }
+    });
+    return Object.keys(fields).length > 0 ? fields : null;
+  }
+}
+
+// Import specifier or require() binding -> library, for the server libraries
+function libraryImports(ast) {
+  const imports = new Map();
+  const libraries = [...SERVER_LIBRARIES, ...CLIENT_LIBRARIES];
+
+  walk(ast, node => {
+    if (node.type === 'ImportDeclaration' && libraries.includes(node.source.value)) {
+      imports.set(node.source.value, node.source.value);
+      node.specifiers.forEach(specifier => imports.set(specifier.local.name, node.source.value));
+    } else if (node.type === 'VariableDeclarator' && memberPath(node.init?.callee) === 'require') {
+      const library = stringValue(node.init.arguments[0]);
+      if (!libraries.includes(library)) return;
+
+      imports.set(library, library);
+      if (node.id.type === 'Identifier') imports.set(node.id.name, library);
+      for (const property of node.id.properties || []) {
+        if (property.value?.type === 'Identifier') imports.set(property.value.name, library);
+      }
+    }
+  });
+
+  return imports;
+}
+
+// Interfaces, classes and object type aliases declared in the file -> members
+function typeDeclarations(ast) {
+  const types = new Map();
+
+  walk(ast, node => {
+    if (node.type === 'TSInterfaceDeclaration') types.set(node.id.name, node.body.body);
+    else if (node.type === 'ClassDeclaration' && node.id) types.set(node.id.name, node.body.body);
+    else if (node.type === 'TSTypeAliasDeclaration' && node.typeAnnotation.type === 'TSTypeLiteral') {
+      types.set(node.id.name, node.typeAnnotation.members);
+    }
+  });
+
+  return types;
+}
+
+function functionDeclarations(ast) {
+  const functions = new Map();
+  walk(ast, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) functions.set(node.id.name, node);
+  });
+  return functions;
+}
+
+// Options object of @WebSocketGateway(port?, options?), {} without one; null for other classes
+function gatewayOptions(node) {
+  if (!['ClassDeclaration', 'ClassExpression'].includes(node?.type)) return null;
+
+  const gateway = decoratorsOf(node).find(decorator => decorator.name === 'WebSocketGateway');
+  if (!gateway) return null;
+  return gateway.args.find(arg => arg.type === 'ObjectExpression') || {};
+}
+
+// The socket parameter of the innermost enclosing connection handler named `name`
+function connectionFor(name, ancestors, context) {
+  for (const ancestor of [...ancestors].reverse()) {
+    const connection = context.connections.get(ancestor);
+    if (connection?.socket === name) return connection;
+  }
+  return null;
+}
+
+// 'chat', CHAT_EVENT and EVENTS.CHAT resolve through same-file constants; other expressions keep their text
+function eventName(node, context) {
+  if (!node) return null;
+
+  const value = constantString(node, context.declarations);
+  if (value !== null) return value;
+
+  if (node.type === 'MemberExpression' && node.object.type === 'Identifier') {
+    const constants = resolveObject(node.object, context);
+    const member = constants && getProperty(constants, node.computed ? stringValue(node.property) : node.property.name);
+    if (member) return constantString(member, context.declarations) ?? memberPath(node);
+  }
+  return memberPath(node) || null;
+}
+
+function namespacePath(node) {
+  const value = stringValue(node);
+  if (!value) return null;
+  return value.startsWith('/') ? value : `/${value}`;
+}
+
+function handlerName(node) {
+  if (!node) return null;
+  if (isFunctionNode(node)) return node.id?.name || null;
+  return memberPath(node);
+}
+
+function typeName(param, content = '') {
+  const annotation = param.typeAnnotation?.typeAnnotation;
+  if (!annotation) return '';
+  return annotation.type === 'TSTypeReference' ? memberPath(annotation.typeName) || '' : nodeText(annotation, content);
+}
+
+// Object literal, or a variable initialised with one
+function resolveObject(node, context) {
+  const value = unwrapExpression(node);
+  if (value?.type === 'ObjectExpression') return value;
+  if (value?.type === 'Identifier') {
+    const declared = unwrapExpression(context.declarations.get(value.name));
+    if (declared?.type === 'ObjectExpression') return declared;
+  }
+  return null;
+}
+
+function objectFields(objectNode) {
+  const fields = {};
+  for (const [name, value] of objectEntries(objectNode)) {
+    fields[name] = valueType(value);
+  }
+  return fields;
+}
+
+function valueType(node) {
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return 'string';
+    case 'NumericLiteral':
+      return 'number';
+    case 'BooleanLiteral':
+      return 'boolean';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return 'object';
+    default:
+      return 'unknown';
+  }
+}
+
+function typeFields(members, content) {
+  const fields = {};
+
+  for (const member of members) {
+    if (!['TSPropertySignature', 'ClassProperty'].includes(member.type)) continue;
+
+    const field = propertyName(member);
+    if (!field) continue;
+
+    const type = member.typeAnnotation ? nodeText(member.typeAnnotation.typeAnnotation, content) : 'unknown';
+    fields[field] = member.optional ? `${type} (optional)` : type;
+  }
+
+  return Object.keys(fields).length > 0 ? fields : null;
+}
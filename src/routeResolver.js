@@ -0,0 +1,573 @@
+import path from 'path';
+import { SourceParser, walk, memberPath, stringValue, constantString, nodeText, describeMiddleware, calleeName, collectDeclarations, unwrapExpression, isRouterObject, findRouteCalls, getProperty, isFunctionNode } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+
+const RESOLVE_EXTENSIONS = ['.js', '.ts', '.mjs', '.cjs', '.jsx', '.tsx', '.mts', '.cts'];
+const MAX_MOUNT_DEPTH = 20;
+
+// Resolves where routers are mounted across files (app.use('/api/v1', orderRoutes),
+// fastify.register(routes, { prefix }), Koa `new Router({ prefix })`) so route paths can
+// be reported fully qualified. Routers are identified by the file they live in plus their
+// local variable name; Fastify/Hapi plugins by the parameter their routes are registered on.
+export class RouteResolver {
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.resolving = null;
+    this.modules = new Map();
+    // Router -> [{ prefix, middleware }], one per way it is mounted, and its own use() middleware
+    this.chains = new Map();
+    this.routerMiddleware = new Map();
+    this.nestApp = { globalPrefix: '', versioning: null };
+  }
+
+  // Builds the mount graph once; later calls reuse it
+  resolve() {
+    if (!this.resolving) {
+      this.resolving = this.buildPrefixes();
+    }
+    return this.resolving;
+  }
+
+  // All prefixes a router is reachable under ('' when it is never mounted)
+  async prefixesFor(file, objectName) {
+    const prefixes = await this.resolve();
+    return prefixes.get(routerKey(this.relativePath(file), objectName)) || [''];
+  }
+
+  async fullPaths(file, objectName, routePath) {
+    const prefixes = await this.prefixesFor(file, objectName);
+    return [...new Set(prefixes.map(prefix => joinRoutePath(prefix, routePath)))];
+  }
+
+  // Every full path a route is reachable under with the middleware that runs before its own:
+  // use() middleware of the routers it is mounted through (api.use('/users', authenticate, usersRouter))
+  // and of its own router (router.use(requireRole('admin'))) registered before it. Middleware is
+  // { name, source }, the source text being what auth analysis reads
+  async routeChains(file, objectName, routePath, start = Infinity) {
+    await this.resolve();
+    const router = routerKey(this.relativePath(file), objectName);
+    const own = this.useMiddleware(router, routePath, start);
+
+    const chains = new Map();
+    for (const { prefix, middleware } of this.chains.get(router) || [{ prefix: '', middleware: [] }]) {
+      const fullPath = joinRoutePath(prefix, routePath);
+      chains.set(fullPath, uniqueMiddleware([...(chains.get(fullPath) || []), ...middleware, ...own]));
+    }
+    return [...chains].map(([fullPath, middleware]) => ({ fullPath, middleware }));
+  }
+
+  // A router's own use() middleware that guards `routePath` when registered before `start`
+  useMiddleware(router, routePath, start) {
+    return (this.routerMiddleware.get(router) || [])
+      .filter(use => use.start < start && coversPath(use.prefix, routePath))
+      .flatMap(use => use.middleware);
+  }
+
+  // NestJS controller paths under app.setGlobalPrefix() and URI versioning (app.enableVersioning)
+  async nestPaths(routePath, version = null) {
+    await this.resolve();
+    const { globalPrefix, versioning } = this.nestApp;
+
+    const versions = version !== null ? [version] : versioning?.defaultVersions || [''];
+    const segments = versions.map(value => (versioning?.type === 'URI' && value ? `${versioning.prefix}${value}` : ''));
+    return [...new Set(segments.map(segment => [globalPrefix, segment, routePath].reduce(joinRoutePath, '')))];
+  }
+
+  // Re-keys a per-file { key: value } map to 'METHOD /full/path' keys. `routers` maps each scoped
+  // key (see scopedRouteKey) to the router it was registered on, { method, path, router }, or for
+  // NestJS routes to its controller, { method, path, controller, version }; other keys are kept as they are
+  async qualifyKeys(file, entries, routers = {}, merge = (existing, value) => value) {
+    const qualified = {};
+
+    for (const [key, value] of Object.entries(entries)) {
+      const route = routers[key];
+      const paths = !route
+        ? null
+        : route.controller !== undefined ? await this.nestPaths(route.path, route.version) : await this.fullPaths(file, route.router, route.path);
+      const keys = paths ? paths.map(fullPath => `${route.method} ${fullPath}`) : [key];
+
+      for (const fullKey of keys) {
+        qualified[fullKey] = fullKey in qualified ? merge(qualified[fullKey], value) : value;
+      }
+    }
+
+    return qualified;
+  }
+
+  // Where an imported name is declared, as { file, name }: `import { createOrderSchema } from '../schemas/order'`,
+  // require() destructuring, or `orders.getOrder` on a namespace or CommonJS default import (member)
+  async resolveImport(file, localName, member = null) {
+    await this.resolve();
+    return this.resolveDeclaration(this.relativePath(file), localName, member, 0);
+  }
+
+  resolveDeclaration(file, local, member, depth) {
+    const imported = this.modules.get(file)?.imports[local];
+    if (!imported || depth > MAX_MOUNT_DEPTH) return null;
+
+    const targetFile = this.resolveModule(this.modules, file, imported.source);
+    const name = imported.name === '*' || (imported.name === 'default' && member) ? (member || 'default') : imported.name;
+    const exported = targetFile ? this.modules.get(targetFile).exports[name] : null;
+    if (!exported) return null;
+    // Re-exported imports: export { createOrderSchema } from './order'
+    if (this.modules.get(targetFile).imports[exported]) return this.resolveDeclaration(targetFile, exported, null, depth + 1);
+    return { file: path.join(this.projectRoot, targetFile), name: exported };
+  }
+
+  relativePath(file) {
+    const entry = this.fileIndex.get(file);
+    return entry ? entry.relativePath : path.relative(this.projectRoot, file).split(path.sep).join('/');
+  }
+
+  async buildPrefixes() {
+    const files = await this.fileIndex.match(this.config.patterns.sources);
+    const fragments = await this.cache.analyzeFiles('routeMounts', files, file => this.analyzeFile(file));
+
+    const modules = this.modules;
+    files.forEach((file, i) => {
+      if (fragments[i]) modules.set(this.relativePath(file), fragments[i]);
+    });
+
+    // NestJS bootstrap settings, usually in main.ts
+    for (const module of modules.values()) {
+      if (module.nest?.globalPrefix) this.nestApp.globalPrefix = module.nest.globalPrefix;
+      if (module.nest?.versioning) this.nestApp.versioning = module.nest.versioning;
+    }
+
+    // Edges: parent router -> [{ child router, prefix }]
+    const edges = new Map();
+    const mounted = new Set();
+    const ownPrefixes = new Map();
+    for (const [file, module] of modules) {
+      for (const [objectName, prefix] of Object.entries(module.prefixes)) {
+        ownPrefixes.set(routerKey(file, objectName), prefix);
+      }
+
+      for (const mount of module.mounts) {
+        // Arguments that are not routers are middleware for the routers after them; a use() call
+        // that mounts no router at all is middleware for the routes registered after it
+        const parent = routerKey(file, mount.objectName);
+        const middleware = [];
+        let children = 0;
+        for (const { target, middleware: handler } of mount.handlers) {
+          const child = target && this.resolveTarget(modules, file, target);
+          if (!child) {
+            if (handler) middleware.push(handler);
+            continue;
+          }
+
+          if (!edges.has(parent)) edges.set(parent, []);
+          edges.get(parent).push({ child, prefix: mount.prefix, start: mount.start, middleware: [...middleware] });
+          mounted.add(child);
+          children++;
+        }
+
+        if (children === 0 && middleware.length > 0) {
+          if (!this.routerMiddleware.has(parent)) this.routerMiddleware.set(parent, []);
+          this.routerMiddleware.get(parent).push({ prefix: mount.prefix, start: mount.start, middleware });
+        }
+      }
+    }
+
+    // Walk down from every router that is not itself mounted somewhere
+    const prefixes = new Map();
+    const chains = this.chains;
+    const visit = (router, mountPrefix, middleware, depth, trail) => {
+      if (depth > MAX_MOUNT_DEPTH || trail.has(router)) return;
+      const prefix = ownPrefixes.has(router) ? joinRoutePath(mountPrefix, ownPrefixes.get(router)) : mountPrefix;
+      if (!prefixes.has(router)) prefixes.set(router, new Set());
+      prefixes.get(router).add(prefix);
+      if (!chains.has(router)) chains.set(router, []);
+      chains.get(router).push({ prefix, middleware });
+
+      for (const { child, prefix: childPrefix, start, middleware: mountMiddleware } of edges.get(router) || []) {
+        const inherited = [...middleware, ...this.useMiddleware(router, joinRoutePath(childPrefix, '/'), start), ...mountMiddleware];
+        visit(child, joinRoutePath(prefix, childPrefix), inherited, depth + 1, new Set([...trail, router]));
+      }
+    };
+    for (const parent of edges.keys()) {
+      if (!mounted.has(parent)) visit(parent, '', [], 0, new Set());
+    }
+    // Routers that are never mounted still carry their own prefix
+    for (const [router, prefix] of ownPrefixes) {
+      if (!prefixes.has(router)) {
+        prefixes.set(router, new Set([prefix]));
+        chains.set(router, [{ prefix, middleware: [] }]);
+      }
+    }
+
+    return new Map([...prefixes].map(([router, set]) => [router, [...set].sort()]));
+  }
+
+  // Follows a mount target (local router, import, or require) to the router it names
+  resolveTarget(modules, file, target, depth = 0) {
+    const module = modules.get(file);
+    if (!module || depth > MAX_MOUNT_DEPTH) return null;
+
+    if (target.source) {
+      const targetFile = this.resolveModule(modules, file, target.source);
+      return targetFile ? this.resolveExport(modules, targetFile, target.name, depth + 1) : null;
+    }
+
+    const imported = module.imports[target.local];
+    if (imported) {
+      const name = imported.name === '*' || (imported.name === 'default' && target.member)
+        ? (target.member || 'default')
+        : imported.name;
+      return this.resolveTarget(modules, file, { source: imported.source, name }, depth + 1);
+    }
+
+    return localRouter(module, file, target.local);
+  }
+
+  resolveExport(modules, file, name, depth) {
+    const module = modules.get(file);
+    // Hapi: register(require('./orders')) picks up the module's `exports.plugin`
+    const local = module?.exports[name] || (name === 'default' ? module?.exports.plugin : null);
+    if (!local) return null;
+    // Re-exported imports: export { default as orders } from './orders'
+    if (module.imports[local]) return this.resolveTarget(modules, file, { local }, depth);
+    return localRouter(module, file, local);
+  }
+
+  // Relative specifiers only; package imports never point at project routers
+  resolveModule(modules, fromFile, specifier) {
+    if (!specifier.startsWith('.')) return null;
+
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+    const withoutExt = base.replace(/\.(js|mjs|cjs|jsx)$/, '');
+    const candidates = [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => `${withoutExt}${ext}`),
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+    return candidates.find(candidate => modules.has(candidate)) || null;
+  }
+
+  // Per-file result: imports, exported names, router variables, their own prefixes,
+  // plugin functions (name -> router parameter) and use()/register() calls
+  async analyzeFile(file) {
+    const fragment = { imports: {}, exports: {}, routers: [], prefixes: {}, plugins: {}, mounts: [], nest: {} };
+
+    try {
+      const { content, ast } = await this.parser.parseFile(file);
+      if (!ast) return fragment;
+
+      const declarations = collectDeclarations(ast);
+      const routers = new Set(findRouteCalls(ast).map(route => route.objectName));
+      const useCalls = [];
+      const registerCalls = [];
+
+      walk(ast, node => {
+        if (node.type === 'ImportDeclaration') {
+          for (const specifier of node.specifiers) {
+            const name = specifier.type === 'ImportDefaultSpecifier'
+              ? 'default'
+              : specifier.type === 'ImportNamespaceSpecifier' ? '*' : specifier.imported.name || specifier.imported.value;
+            fragment.imports[specifier.local.name] = { source: node.source.value, name };
+          }
+        } else if (node.type === 'VariableDeclarator' && node.init) {
+          this.collectRequire(fragment, node);
+          const init = unwrapExpression(node.init);
+          if (this.isRouterFactory(init) && node.id.type === 'Identifier') {
+            routers.add(node.id.name);
+            // Koa: new Router({ prefix: '/api' })
+            const prefix = constantString(getProperty(init.arguments[0], 'prefix'), declarations);
+            if (prefix) fragment.prefixes[node.id.name] = prefix;
+          }
+          if (node.id.type === 'Identifier' && pluginParam(init)) fragment.plugins[node.id.name] = pluginParam(init);
+        } else if (node.type === 'FunctionDeclaration' && node.id && pluginParam(node)) {
+          fragment.plugins[node.id.name] = pluginParam(node);
+        } else if (node.type === 'ExportDefaultDeclaration') {
+          this.collectDefaultExport(fragment, node.declaration);
+        } else if (node.type === 'ExportNamedDeclaration') {
+          this.collectNamedExport(fragment, node);
+        } else if (node.type === 'AssignmentExpression') {
+          this.collectCommonJSExport(fragment, node);
+        } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+          const method = node.callee.property.name;
+          if (method === 'use') useCalls.push(node);
+          if (method === 'register') registerCalls.push(node);
+          // Koa: router.prefix('/v1')
+          const prefix = method === 'prefix' ? constantString(node.arguments[0], declarations) : null;
+          if (prefix) fragment.prefixes[memberPath(node.callee.object)] = prefix;
+          if (method === 'setGlobalPrefix' || method === 'enableVersioning') this.collectNestSettings(fragment.nest, node, declarations);
+        }
+      });
+
+      // Which arguments are routers is only known once other files are read, so each keeps its
+      // mount target (if it could be one) and its middleware description
+      for (const call of useCalls) {
+        const objectName = memberPath(call.callee.object);
+        if (!objectName || !(isRouterObject(objectName) || routers.has(objectName))) continue;
+
+        const prefix = this.mountPrefix(call.arguments[0], declarations, content);
+        const args = prefix === null ? call.arguments : call.arguments.slice(1);
+        const handlers = args
+          .flatMap(arg => arg.type === 'ArrayExpression' ? arg.elements.filter(Boolean) : [arg])
+          .map(arg => ({
+            target: this.mountTarget(arg),
+            middleware: { name: describeMiddleware(arg, content), source: nodeText(arg, content) }
+          }));
+
+        if (handlers.some(handler => handler.target)) routers.add(objectName);
+        if (handlers.length > 0) fragment.mounts.push({ objectName, prefix: prefix || '', start: call.start, handlers });
+      }
+
+      // Fastify: fastify.register(plugin, { prefix }); Hapi: server.register({ plugin, routes: { prefix } })
+      for (const call of registerCalls) {
+        const objectName = memberPath(call.callee.object);
+        if (!objectName || !(isRouterObject(objectName) || routers.has(objectName))) continue;
+
+        const [plugins, options] = call.arguments;
+        for (const entry of plugins?.type === 'ArrayExpression' ? plugins.elements : [plugins]) {
+          const wrapped = entry?.type === 'ObjectExpression' && getProperty(entry, 'plugin');
+          const target = this.mountTarget(wrapped || entry);
+          if (!target) continue;
+
+          const prefixNode = (wrapped && registerPrefix(entry)) || registerPrefix(options);
+          routers.add(objectName);
+          fragment.mounts.push({
+            objectName,
+            prefix: (prefixNode && this.mountPrefix(prefixNode, declarations, content)) || '',
+            start: call.start,
+            handlers: [{ target, middleware: null }]
+          });
+        }
+      }
+
+      fragment.routers = [...routers].filter(Boolean).sort();
+      fragment.prefixes = Object.fromEntries(Object.entries(fragment.prefixes).filter(([objectName]) => routers.has(objectName)));
+      fragment.plugins = Object.fromEntries(Object.entries(fragment.plugins).filter(([, param]) => routers.has(param)));
+    } catch {
+      // Unparseable files contribute no mounts
+    }
+
+    return fragment;
+  }
+
+  // The path argument of a use() call: null when the first argument is already a router or
+  // middleware, and a `{expression}` placeholder for prefixes only known at runtime
+  mountPrefix(node, declarations, content) {
+    if (!node) return null;
+
+    const value = constantString(node, declarations);
+    if (value !== null) return value;
+
+    const name = memberPath(node) || '';
+    if (['BinaryExpression', 'TemplateLiteral'].includes(node.type) || /(path|prefix|url|base)$/i.test(name)) {
+      return `/{${nodeText(node, content)}}`;
+    }
+    return null;
+  }
+
+  // app.setGlobalPrefix('api') and app.enableVersioning({ type: VersioningType.URI, defaultVersion: '1' })
+  collectNestSettings(nest, call, declarations) {
+    const [arg] = call.arguments;
+
+    if (call.callee.property.name === 'setGlobalPrefix') {
+      const prefix = constantString(arg, declarations);
+      if (prefix) nest.globalPrefix = prefix;
+      return;
+    }
+
+    const type = (memberPath(getProperty(arg, 'type')) || 'VersioningType.URI').split('.').pop();
+    const defaultVersion = getProperty(arg, 'defaultVersion');
+    const defaultVersions = (defaultVersion?.type === 'ArrayExpression' ? defaultVersion.elements : [defaultVersion])
+      .map(element => constantString(element, declarations))
+      .filter(value => value !== null);
+    const prefix = getProperty(arg, 'prefix');
+    nest.versioning = {
+      type,
+      // prefix: false drops the 'v'
+      prefix: prefix?.type === 'BooleanLiteral' ? '' : constantString(prefix, declarations) ?? 'v',
+      defaultVersions: defaultVersions.length > 0 ? defaultVersions : ['']
+    };
+  }
+
+  isRouterFactory(node) {
+    if (!node || !['CallExpression', 'NewExpression'].includes(node.type)) return false;
+    const name = calleeName(node);
+    return !!name && /Router$/.test(name);
+  }
+
+  collectRequire(fragment, declarator) {
+    const init = unwrapExpression(declarator.init);
+    let source = requireSource(init);
+    let member = null;
+    if (!source && init.type === 'MemberExpression' && !init.computed) {
+      source = requireSource(init.object);
+      member = init.property.name;
+    }
+    if (!source) return;
+
+    if (declarator.id.type === 'Identifier') {
+      fragment.imports[declarator.id.name] = { source, name: member || 'default' };
+    } else if (declarator.id.type === 'ObjectPattern' && !member) {
+      for (const property of declarator.id.properties) {
+        if (property.type === 'ObjectProperty' && property.value.type === 'Identifier') {
+          fragment.imports[property.value.name] = { source, name: property.key.name || property.key.value };
+        }
+      }
+    }
+  }
+
+  collectNamedExport(fragment, node) {
+    if (node.declaration?.type === 'VariableDeclaration') {
+      for (const declarator of node.declaration.declarations) {
+        if (declarator.id.type === 'Identifier') fragment.exports[declarator.id.name] = declarator.id.name;
+      }
+    } else if (node.declaration?.id) {
+      // export function getOrder(req, res) {}
+      fragment.exports[node.declaration.id.name] = node.declaration.id.name;
+    }
+
+    for (const specifier of node.specifiers || []) {
+      const exported = specifier.exported.name || specifier.exported.value;
+      if (node.source) {
+        // export { default as orders } from './orders'
+        const local = `${exported}$reexport`;
+        fragment.imports[local] = { source: node.source.value, name: specifier.local?.name || 'default' };
+        fragment.exports[exported] = local;
+      } else {
+        fragment.exports[exported] = specifier.local.name;
+      }
+    }
+  }
+
+  collectDefaultExport(fragment, declaration) {
+    if (declaration.type === 'Identifier') {
+      fragment.exports.default = declaration.name;
+    } else if (declaration.id) {
+      fragment.exports.default = declaration.id.name;
+    } else if (pluginParam(declaration)) {
+      // export default async function (fastify) { ... }
+      fragment.exports.default = '$default';
+      fragment.plugins.$default = pluginParam(declaration);
+    }
+  }
+
+  collectCommonJSExport(fragment, node) {
+    const target = memberPath(node.left);
+    const value = unwrapExpression(node.right);
+
+    // module.exports = async function (fastify) {...}, fp(...), or a Hapi { name, register } plugin
+    if (target && /^(module\.)?exports(\.\w+)?$/.test(target) && target !== 'exports' && pluginParam(value)) {
+      const name = target === 'module.exports' ? 'default' : target.split('.').pop();
+      fragment.exports[name] = `$${name}`;
+      fragment.plugins[`$${name}`] = pluginParam(value);
+      return;
+    }
+
+    // Values written inline (exports.createOrderSchema = Joi.object(...)) are exported as `$name`
+    if (target === 'module.exports') {
+      if (value.type === 'Identifier') {
+        fragment.exports.default = value.name;
+      } else if (value.type === 'ObjectExpression') {
+        for (const property of value.properties) {
+          if (property.type !== 'ObjectProperty' || property.computed) continue;
+          const name = property.key.name || property.key.value;
+          fragment.exports[name] = property.value.type === 'Identifier' ? property.value.name : `$${name}`;
+        }
+      }
+    } else if (target && /^(module\.)?exports\.\w+$/.test(target)) {
+      const name = target.split('.').pop();
+      fragment.exports[name] = value.type === 'Identifier' ? value.name : `$${name}`;
+    }
+  }
+
+  mountTarget(node) {
+    const arg = unwrapExpression(node);
+    if (!arg) return null;
+
+    if (arg.type === 'Identifier') return { local: arg.name };
+    if (arg.type === 'MemberExpression' && !arg.computed) {
+      const source = requireSource(arg.object);
+      if (source) return { source, name: arg.property.name };
+      if (arg.object.type === 'Identifier') return { local: arg.object.name, member: arg.property.name };
+    }
+
+    const source = requireSource(arg);
+    if (source) return { source, name: 'default' };
+
+    // Koa: app.use(router.routes())
+    if (arg.type === 'CallExpression' && ['routes', 'middleware'].includes(arg.callee.property?.name)) {
+      return this.mountTarget(arg.callee.object);
+    }
+
+    // Inline plugins: fastify.register(async (instance) => { instance.get(...) })
+    const param = pluginParam(arg);
+    return param ? { local: param } : null;
+  }
+}
+
+// Per-file fragment key of a route, scoped by the router (or controller class and version) it is
+// registered on: publicRouter.get('/') and adminRouter.get('/') in one file stay two entries
+export function scopedRouteKey(route) {
+  const scope = route.className !== undefined ? `${route.className}@${route.version}` : route.objectName;
+  return `${scope} ${route.method} ${route.path}`;
+}
+
+// The `routers` entry qualifyKeys() places a scoped key with
+export function routeScope(route) {
+  return route.className !== undefined
+    ? { method: route.method, path: route.path, controller: route.className, version: route.version }
+    : { method: route.method, path: route.path, router: route.objectName, start: route.node.start };
+}
+
+// '/api/v1' + '/orders/:id' -> '/api/v1/orders/:id'
+export function joinRoutePath(prefix, routePath) {
+  const joined = `${prefix || ''}/${routePath || ''}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : '/';
+}
+
+function routerKey(file, objectName) {
+  return `${file}#${objectName}`;
+}
+
+// use('/admin', ...) guards /admin and everything below it; use(...) without a path guards every route
+function coversPath(prefix, routePath) {
+  const base = prefix.replace(/\/+$/, '');
+  return !base || routePath === base || routePath.startsWith(`${base}/`);
+}
+
+function uniqueMiddleware(middleware) {
+  return [...new Map(middleware.map(entry => [entry.source, entry])).values()];
+}
+
+function localRouter(module, file, local) {
+  if (module.routers.includes(local)) return routerKey(file, local);
+  return module.plugins[local] ? routerKey(file, module.plugins[local]) : null;
+}
+
+// The parameter a plugin registers its routes on: async function (fastify, opts) {...},
+// fp(async (fastify) => {...}) or Hapi's { name, register: async (server) => {...} }
+function pluginParam(node) {
+  node = unwrapExpression(node);
+  if (!node) return null;
+
+  if (isFunctionNode(node)) return node.params[0]?.type === 'Identifier' ? node.params[0].name : null;
+  if (node.type === 'CallExpression') {
+    const fn = node.arguments.find(arg => isFunctionNode(arg));
+    return fn ? pluginParam(fn) : null;
+  }
+  if (node.type === 'ObjectExpression') return pluginParam(getProperty(node, 'register'));
+  return null;
+}
+
+function registerPrefix(options) {
+  return getProperty(options, 'prefix') || getProperty(getProperty(options, 'routes'), 'prefix');
+}
+
+function requireSource(node) {
+  if (node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require') {
+    return stringValue(node.arguments[0]);
+  }
+  return null;
+}
@@ -0,0 +1,349 @@
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  callChain,
+  stringValue,
+  constantString,
+  nodeText,
+  getProperty,
+  propertyName,
+  decoratorsOf,
+  isFunctionNode,
+  unwrapExpression,
+  collectDeclarations
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
+import { isCronExpression, describeCron, describeCronConstant, describeInterval } from './cronSchedule.js';
+
+// ORM calls that mark their receiver as a model: User.findOne(), prisma.order.create(), this.userRepository.save()
+const MODEL_METHODS = /^(find\w*|create\w*|update\w*|delete\w*|destroy|upsert|insert\w*|save|remove|count\w*|aggregate|bulkWrite|exists|distinct)$/;
+
+// Background work that runs on a schedule rather than per request: node-cron, cron (CronJob),
+// node-schedule, NestJS @Cron/@Interval, agenda, Bull/BullMQ repeatable jobs and setInterval
+// loops. Each job lists the services and models its handler touches.
+export class ScheduledJobExtractor {
+  constructor(projectRoot, limit = 100, options = {}) {
+    this.projectRoot = projectRoot;
+    this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
+  }
+
+  async extract() {
+    this.logger.info('⏰ Extracting scheduled jobs...');
+
+    const files = await this.fileIndex.match(this.config.patterns.sources);
+    const fragments = await this.cache.analyzeFiles('backgroundJobs', files, file => this.analyzeFile(file));
+
+    // agenda.define() and agenda.every() often live in different files
+    const definitions = {};
+    for (const fragment of fragments) {
+      for (const [name, definition] of Object.entries(fragment?.definitions || {})) {
+        definitions[name] ||= definition;
+      }
+    }
+
+    const jobs = [];
+    for (const [i, fragment] of fragments.entries()) {
+      const file = this.fileIndex.get(files[i])?.relativePath || files[i];
+
+      for (const job of fragment?.jobs || []) {
+        const definition = job.type === 'agenda' && !job.handler ? definitions[job.name] : null;
+        jobs.push({ ...job, ...(definition || {}), file });
+      }
+    }
+
+    const inventory = jobs
+      .sort((a, b) => a.file.localeCompare(b.file) || (a.line ?? 0) - (b.line ?? 0))
+      .slice(0, this.limit);
+
+    if (inventory.length > 0) this.logger.info(`⏰ Found ${inventory.length} scheduled jobs`);
+
+    return inventory;
+  }
+
+  // Per-file result: { jobs: [{ name, type, schedule, cadence, handler, services, models, line }],
+  // definitions: { agendaJobName: { handler, services, models } } }
+  async analyzeFile(file) {
+    const fragment = { jobs: [], definitions: {} };
+
+    try {
+      const { content, ast } = await this.parser.parseFile(file);
+      if (!ast) return fragment;
+
+      const context = {
+        content,
+        declarations: collectDeclarations(ast),
+        functions: functionDeclarations(ast),
+        queues: new Map()
+      };
+
+      walk(ast, node => {
+        if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init?.type === 'NewExpression' &&
+          /(^|\.)(Queue|Bull)$/.test(memberPath(node.init.callee) || '')) {
+          const name = stringValue(node.init.arguments[0]);
+          if (name) context.queues.set(node.id.name, name);
+        }
+      });
+
+      walk(ast, (node, ancestors) => {
+        if (node.type === 'CallExpression') {
+          this.analyzeCall(node, context, fragment);
+        } else if (node.type === 'NewExpression' && /(^|\.)CronJob$/.test(memberPath(node.callee) || '')) {
+          // new CronJob('0 0 * * *', onTick)
+          this.addJob(fragment, context, {
+            type: 'cron', scheduleNode: node.arguments[0], handlerNode: node.arguments[1], line: node
+          });
+        } else if (node.type === 'ClassMethod') {
+          this.analyzeNestMethod(node, ancestors, context, fragment);
+        }
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Error analyzing scheduled jobs in ${file}:`, error.message);
+    }
+
+    return fragment;
+  }
+
+  analyzeCall(node, context, fragment) {
+    const { root, calls } = callChain(node);
+    const last = calls[calls.length - 1];
+    if (!last) return;
+    const args = last.args;
+    const receiver = root || '';
+
+    // agenda.define('send digest', handler) / agenda.every('1 hour', 'send digest')
+    if (/agenda/i.test(receiver) && calls.length === 1) {
+      if (last.name === 'define') {
+        const name = constantString(args[0], context.declarations);
+        if (name) fragment.definitions[name] = this.describeHandler(args[args.length - 1], context);
+      } else if (['every', 'schedule'].includes(last.name)) {
+        const target = unwrapExpression(args[1]);
+        const names = target?.type === 'ArrayExpression' ? target.elements : [target];
+        for (const nameNode of names) {
+          const name = constantString(nameNode, context.declarations);
+          if (!name) continue;
+          const definition = fragment.definitions[name];
+          this.addJob(fragment, context, {
+            name, type: 'agenda', scheduleNode: args[0], line: node,
+            recurring: last.name === 'every', ...(definition ? { described: definition } : {})
+          });
+        }
+      }
+      return;
+    }
+
+    // cron.schedule('*/5 * * * *', task) (node-cron), schedule.scheduleJob([name,] rule, task) (node-schedule).
+    // On a cron receiver the expression may come from config: cron.schedule(config.reportCron, task)
+    if (last.name === 'schedule' && args.length >= 2 &&
+      (/cron/i.test(receiver) || isCronExpression(constantString(args[0], context.declarations)))) {
+      const name = stringValue(getProperty(unwrapExpression(args[2]), 'name'));
+      this.addJob(fragment, context, { name, type: 'node-cron', scheduleNode: args[0], handlerNode: args[1], line: node });
+      return;
+    }
+    if (last.name === 'scheduleJob' && args.length >= 2) {
+      const named = args.length >= 3 && stringValue(args[0]) !== null;
+      const [nameNode, ruleNode, handlerNode] = named ? args : [null, ...args];
+      this.addJob(fragment, context, {
+        name: stringValue(nameNode), type: 'node-schedule', scheduleNode: ruleNode, handlerNode, line: node
+      });
+      return;
+    }
+
+    // CronJob.from({ cronTime, onTick })
+    if (receiver.endsWith('CronJob') && last.name === 'from') {
+      const options = unwrapExpression(args[0]);
+      this.addJob(fragment, context, {
+        name: stringValue(getProperty(options, 'name')), type: 'cron',
+        scheduleNode: getProperty(options, 'cronTime'), handlerNode: getProperty(options, 'onTick'), line: node
+      });
+      return;
+    }
+
+    // queue.add('report', data, { repeat: { pattern | cron | every } }) and
+    // queue.upsertJobScheduler('report', { pattern | every }, { name })
+    if (last.name === 'add' && args.length >= 3) {
+      const repeat = getProperty(unwrapExpression(args[2]), 'repeat');
+      if (repeat?.type === 'ObjectExpression') {
+        this.addRepeatableJob(fragment, context, receiver, stringValue(args[0]), repeat, node);
+      }
+      return;
+    }
+    if (last.name === 'upsertJobScheduler' && args.length >= 2) {
+      const name = stringValue(getProperty(unwrapExpression(args[2]), 'name')) || stringValue(args[0]);
+      this.addRepeatableJob(fragment, context, receiver, name, unwrapExpression(args[1]), node);
+      return;
+    }
+
+    // setInterval(poll, 60 * 1000)
+    if (!root && last.name === 'setInterval' && args.length >= 2) {
+      this.addJob(fragment, context, { type: 'setInterval', scheduleNode: args[1], handlerNode: args[0], line: node });
+    }
+  }
+
+  addRepeatableJob(fragment, context, receiver, jobName, repeat, node) {
+    const queue = context.queues.get(receiver) || null;
+    this.addJob(fragment, context, {
+      name: [queue, jobName].filter(Boolean).join(':') || null,
+      type: 'bullmq',
+      scheduleNode: getProperty(repeat, 'pattern') || getProperty(repeat, 'cron') || getProperty(repeat, 'every'),
+      line: node
+    });
+  }
+
+  // NestJS @nestjs/schedule: @Cron('0 * * * *', { name }), @Cron(CronExpression.EVERY_HOUR), @Interval([name,] ms)
+  analyzeNestMethod(member, ancestors, context, fragment) {
+    const owner = [...ancestors].reverse().find(ancestor => ['ClassDeclaration', 'ClassExpression'].includes(ancestor.type));
+    const handler = [owner?.id?.name, propertyName(member)].filter(Boolean).join('.');
+
+    for (const decorator of decoratorsOf(member)) {
+      if (decorator.name === 'Cron') {
+        this.addJob(fragment, context, {
+          name: stringValue(getProperty(decorator.args[1], 'name')) || handler,
+          type: 'nestjs', scheduleNode: decorator.args[0], handlerNode: member, handler, line: decorator.node
+        });
+      } else if (decorator.name === 'Interval') {
+        const named = decorator.args.length >= 2;
+        this.addJob(fragment, context, {
+          name: (named && stringValue(decorator.args[0])) || handler,
+          type: 'nestjs', scheduleNode: decorator.args[named ? 1 : 0], handlerNode: member, handler, line: decorator.node
+        });
+      }
+    }
+  }
+
+  addJob(fragment, context, { name = null, type, scheduleNode, handlerNode, handler, described, recurring = true, line }) {
+    const { schedule, cadence } = this.describeSchedule(scheduleNode, context, type, recurring);
+    const touched = described || this.describeHandler(handlerNode, context);
+
+    fragment.jobs.push({
+      name: name || touched.handler || handler || null,
+      type,
+      schedule,
+      cadence,
+      handler: handler || touched.handler,
+      services: touched.services,
+      models: touched.models,
+      line: line.loc?.start.line ?? null
+    });
+  }
+
+  // Expression as written plus its cadence: cron strings, CronExpression constants, millisecond
+  // intervals (60 * 1000 is folded) and agenda's human intervals ('5 minutes'). Invalid cron
+  // strings get no cadence; schedules only known at runtime (config, imports) are 'dynamic'.
+  describeSchedule(node, context, type, recurring) {
+    node = unwrapExpression(node);
+    if (!node) return { schedule: null, cadence: null };
+
+    const text = constantString(node, context.declarations);
+    if (text !== null) {
+      if (isCronExpression(text)) return { schedule: text, cadence: describeCron(text) };
+      if (type !== 'agenda') return { schedule: text, cadence: null };
+      // agenda: '1 hour' -> every hour, 'in 20 minutes' -> once in 20 minutes
+      return { schedule: text, cadence: recurring ? `every ${text.replace(/^(1|one)\s+/i, '')}` : `once ${text}` };
+    }
+
+    const milliseconds = numericValue(node, context.declarations);
+    if (milliseconds !== null) return { schedule: String(milliseconds), cadence: describeInterval(milliseconds) };
+
+    const constant = memberPath(node);
+    if (constant?.startsWith('CronExpression.')) return { schedule: constant, cadence: describeCronConstant(constant) };
+
+    // node-schedule's { hour: 9, minute: 0 } rules are written out, not computed
+    return { schedule: nodeText(node, context.content), cadence: node.type === 'ObjectExpression' ? null : 'dynamic' };
+  }
+
+  // Handler name plus the services and models its body touches
+  describeHandler(node, context) {
+    node = unwrapExpression(node);
+    const handler = handlerName(node);
+
+    let body = node;
+    if (node?.type === 'Identifier') {
+      body = context.functions.get(node.name) || unwrapExpression(context.declarations.get(node.name));
+    }
+    if (!isFunctionNode(body)) return { handler, services: [], models: [] };
+
+    const services = new Set();
+    const models = new Set();
+    walk(body.body, current => {
+      if (current.type === 'NewExpression') {
+        const className = memberPath(current.callee);
+        if (/Service$/.test(className || '')) services.add(className);
+        return;
+      }
+      if (current.type !== 'CallExpression') return;
+
+      const callee = memberPath(current.callee);
+      if (!callee) return;
+      const segments = callee.replace(/^this\./, '').split('.');
+      const method = segments.pop();
+
+      const service = segments.find(segment => /service$/i.test(segment));
+      if (service) services.add(service.charAt(0).toUpperCase() + service.slice(1));
+
+      if (MODEL_METHODS.test(method)) {
+        const model = modelName(segments);
+        if (model) models.add(model);
+      }
+    });
+
+    return { handler, services: [...services].sort(), models: [...models].sort() };
+  }
+}
+
+// User.find() -> User, prisma.order.create() -> Order, this.userRepository.save() -> User, db.User.create() -> User
+function modelName(segments) {
+  const last = segments[segments.length - 1];
+  if (!last) return null;
+
+  const repository = last.match(/^(\w+?)(Repository|Repo|Model)$/i);
+  if (repository) return capitalize(repository[1]);
+  if (/^[A-Z]/.test(last) && !/Service$/.test(last)) return last;
+  if (segments.length === 2 && /^(prisma|db|models)$/i.test(segments[0])) return capitalize(last);
+  return null;
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function handlerName(node) {
+  if (!node) return null;
+  if (isFunctionNode(node)) return node.id?.name || null;
+  if (node.type === 'CallExpression') return memberPath(node.callee);
+  return memberPath(node);
+}
+
+function functionDeclarations(ast) {
+  const functions = new Map();
+  walk(ast, node => {
+    if (node.type === 'FunctionDeclaration' && node.id) functions.set(node.id.name, node);
+  });
+  return functions;
+}
+
+// 300000, 5 * 60 * 1000 and FIVE_MINUTES resolve to a number of milliseconds
+function numericValue(node, declarations, depth = 0) {
+  node = unwrapExpression(node);
+  if (!node || depth > 10) return null;
+
+  if (node.type === 'NumericLiteral') return node.value;
+  if (node.type === 'Identifier' && declarations.has(node.name)) {
+    return numericValue(declarations.get(node.name), declarations, depth + 1);
+  }
+  if (node.type === 'BinaryExpression' && ['*', '+'].includes(node.operator)) {
+    const left = numericValue(node.left, declarations, depth + 1);
+    const right = numericValue(node.right, declarations, depth + 1);
+    if (left === null || right === null) return null;
+    return node.operator === '*' ? left * right : left + right;
+  }
+  return null;
+}
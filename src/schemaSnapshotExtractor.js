@@ -1,262 +1,284 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import {
+  SourceParser,
+  walk,
+  memberPath,
+  stringValue,
+  literalValue,
+  objectEntries,
+  getProperty,
+  propertyName,
+  nodeText,
+  decoratorsOf
+} from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
 
 export class SchemaSnapshotExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
     this.schemas = {};
   }
 
   async extract() {
-    console.log('🗂️ Extracting model schemas...');
+    this.logger.info('🗂️ Extracting model schemas...');
     
     // Find model files
-    const modelPatterns = [
-      '**/models/**/*.{js,ts}',
-      '**/model/**/*.{js,ts}',
-      '**/*Model.{js,ts}',
-      '**/*model.{js,ts}',
-      '**/schemas/**/*.{js,ts}',
-      '**/schema/**/*.{js,ts}'
-    ];
-
-    const files = await fg(modelPatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match(this.config.patterns.models);
 
-    await Promise.all(files.map(file => this.analyzeModelFile(file)));
+    const fragments = await this.cache.analyzeFiles('schemaSnapshots', files, file => this.analyzeModelFile(file));
+    fragments.forEach(fragment => Object.assign(this.schemas, fragment));
 
     return this.schemas;
   }
 
+  // Per-file result: { modelName: fields } for the models declared in one file
   async analyzeModelFile(filePath) {
+    const schemas = {};
+
     try {
-      const content = await fs.readFile(filePath, 'utf8');
+      const { content, ast } = await this.parser.parseFile(filePath);
       const filename = path.basename(filePath, path.extname(filePath));
-      
+
       // Try different ORM patterns
-      this.analyzeSequelizeModel(content, filename);
-      this.analyzeMongooseModel(content, filename);
-      this.analyzePrismaModel(content, filename);
-      this.analyzeTypeORMModel(content, filename);
-      this.analyzeGenericModel(content, filename);
-      
+      this.analyzePrismaModel(schemas, content, filename);
+      if (!ast) return schemas;
+
+      this.analyzeSequelizeModel(schemas, ast, content);
+      this.analyzeMongooseModel(schemas, ast, content, filename);
+      this.analyzeTypeORMModel(schemas, ast, content);
+      this.analyzeGenericModel(schemas, ast, content);
+
     } catch (error) {
-      console.warn(`⚠️ Error analyzing model file ${filePath}:`, error.message);
+      this.logger.warn(`⚠️ Error analyzing model file ${filePath}:`, error.message);
     }
+
+    return schemas;
   }
 
-  analyzeSequelizeModel(content, filename) {
-    // Sequelize.define() pattern
-    const defineMatches = content.matchAll(/sequelize\.define\s*\(\s*['"](.*?)['"],\s*\{([^}]+)\}/g);
-    for (const match of defineMatches) {
-      const modelName = match[1];
-      const schemaDefinition = match[2];
-      this.schemas[modelName] = this.parseSequelizeSchema(schemaDefinition);
-    }
+  analyzeSequelizeModel(schemas, ast, content) {
+    walk(ast, node => {
+      if (node.type !== 'CallExpression') return;
+      const callee = memberPath(node.callee) || '';
 
-    // Model.init() pattern
-    const initMatches = content.matchAll(/([A-Za-z0-9_]+)\.init\s*\(\s*\{([^}]+)\}/g);
-    for (const match of initMatches) {
-      const modelName = match[1];
-      const schemaDefinition = match[2];
-      this.schemas[modelName] = this.parseSequelizeSchema(schemaDefinition);
-    }
-  }
+      // Sequelize.define() pattern
+      if (callee === 'sequelize.define' && node.arguments[1]?.type === 'ObjectExpression') {
+        const modelName = stringValue(node.arguments[0]);
+        if (modelName) schemas[modelName] = this.parseSequelizeSchema(node.arguments[1], content);
+      }
 
-  analyzeMongooseModel(content, filename) {
-    // mongoose.Schema() pattern
-    const schemaMatches = content.matchAll(/new\s+mongoose\.Schema\s*\(\s*\{([^}]+)\}/g);
-    for (const match of schemaMatches) {
-      const schemaDefinition = match[1];
-      const modelName = this.extractModelNameFromFile(filename, content);
-      if (modelName) {
-        this.schemas[modelName] = this.parseMongooseSchema(schemaDefinition);
+      // Model.init() pattern
+      if (/^[A-Za-z0-9_]+\.init$/.test(callee) && node.arguments[0]?.type === 'ObjectExpression') {
+        const modelName = callee.split('.')[0];
+        schemas[modelName] = this.parseSequelizeSchema(node.arguments[0], content);
       }
-    }
+    });
+  }
+
+  analyzeMongooseModel(schemas, ast, content, filename) {
+    // new mongoose.Schema({...}) / new Schema({...}) patterns
+    walk(ast, node => {
+      if (node.type !== 'NewExpression') return;
+      if (!['Schema', 'mongoose.Schema'].includes(memberPath(node.callee))) return;
+      if (node.arguments[0]?.type !== 'ObjectExpression') return;
 
-    // Schema() constructor pattern
-    const constructorMatches = content.matchAll(/new\s+Schema\s*\(\s*\{([^}]+)\}/g);
-    for (const match of constructorMatches) {
-      const schemaDefinition = match[1];
+      // Nested sub-schemas are folded into their parent's snapshot
       const modelName = this.extractModelNameFromFile(filename, content);
-      if (modelName) {
-        this.schemas[modelName] = this.parseMongooseSchema(schemaDefinition);
+      if (modelName && !schemas[modelName]) {
+        schemas[modelName] = this.parseMongooseSchema(node.arguments[0], content);
       }
-    }
+    });
   }
 
-  analyzePrismaModel(content, filename) {
+  analyzePrismaModel(schemas, content, filename) {
     // Prisma model definitions (from generated client or schema)
     const modelMatches = content.matchAll(/model\s+([A-Za-z0-9_]+)\s*\{([^}]+)\}/g);
     for (const match of modelMatches) {
       const modelName = match[1];
       const schemaDefinition = match[2];
-      this.schemas[modelName] = this.parsePrismaSchema(schemaDefinition);
+      schemas[modelName] = this.parsePrismaSchema(schemaDefinition);
     }
   }
 
-  analyzeTypeORMModel(content, filename) {
+  analyzeTypeORMModel(schemas, ast, content) {
     // TypeORM Entity decorators
-    const entityMatch = content.match(/@Entity\s*\(\s*['"](.*?)['"]?\s*\)/);
-    const className = content.match(/class\s+([A-Za-z0-9_]+)/);
-    
-    if (entityMatch || className) {
-      const modelName = entityMatch ? entityMatch[1] : (className ? className[1] : filename);
-      this.schemas[modelName] = this.parseTypeORMSchema(content);
-    }
+    walk(ast, node => {
+      if (node.type !== 'ClassDeclaration' || !node.id) return;
+
+      const entity = decoratorsOf(node).find(d => d.name === 'Entity');
+      if (!entity) return;
+
+      const modelName = stringValue(entity.args[0]) || node.id.name;
+      schemas[modelName] = this.parseTypeORMSchema(node, content);
+    });
   }
 
-  analyzeGenericModel(content, filename) {
+  analyzeGenericModel(schemas, ast, content) {
     // Generic class-based models
-    const classMatch = content.match(/class\s+([A-Za-z0-9_]+(?:Model)?)/);
-    if (classMatch) {
-      const modelName = classMatch[1];
-      const fields = this.parseGenericClassFields(content);
+    walk(ast, node => {
+      if (node.type !== 'ClassDeclaration' || !node.id) return;
+      if (decoratorsOf(node).some(d => d.name === 'Entity')) return;
+
+      const modelName = node.id.name;
+      const fields = this.parseGenericClassFields(node, content);
       if (Object.keys(fields).length > 0) {
-        this.schemas[modelName] = fields;
+        schemas[modelName] = fields;
       }
-    }
+    });
   }
 
-  parseSequelizeSchema(schemaDefinition) {
+  parseSequelizeSchema(schemaNode, content) {
     const fields = {};
-    
-    // Parse field definitions
-    const fieldMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*\{([^}]+)\}/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const fieldDefinition = match[2];
-      fields[fieldName] = this.parseSequelizeField(fieldDefinition);
-    }
 
-    // Simple field definitions
-    const simpleMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*([A-Za-z.]+)/g);
-    for (const match of simpleMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      if (!fields[fieldName]) {
-        fields[fieldName] = this.normalizeSequelizeType(fieldType);
+    for (const [fieldName, fieldNode] of objectEntries(schemaNode)) {
+      // Parse field definitions
+      if (fieldNode.type === 'ObjectExpression') {
+        fields[fieldName] = this.parseSequelizeField(fieldNode, content);
+      }
+      // Simple field definitions
+      else {
+        fields[fieldName] = this.normalizeSequelizeType(nodeText(fieldNode, content));
       }
     }
 
     return fields;
   }
 
-  parseSequelizeField(fieldDefinition) {
-    const typeMatch = fieldDefinition.match(/type:\s*([A-Za-z.()]+)/);
-    const allowNullMatch = fieldDefinition.match(/allowNull:\s*(true|false)/);
-    const defaultValueMatch = fieldDefinition.match(/defaultValue:\s*([^,}]+)/);
+  parseSequelizeField(fieldNode, content) {
+    const typeNode = getProperty(fieldNode, 'type');
+    const allowNull = literalValue(getProperty(fieldNode, 'allowNull'));
+    const defaultValueNode = getProperty(fieldNode, 'defaultValue');
 
-    let type = typeMatch ? this.normalizeSequelizeType(typeMatch[1]) : 'Unknown';
-    
-    if (allowNullMatch && allowNullMatch[1] === 'false') {
+    let type = typeNode ? this.normalizeSequelizeType(nodeText(typeNode, content)) : 'Unknown';
+
+    if (allowNull === false) {
       type += ' (required)';
     }
-    
-    if (defaultValueMatch) {
-      type += ` (default: ${defaultValueMatch[1].trim()})`;
+
+    if (defaultValueNode) {
+      type += ` (default: ${nodeText(defaultValueNode, content)})`;
     }
 
     return type;
   }
 
-  parseMongooseSchema(schemaDefinition) {
+  parseMongooseSchema(schemaNode, content) {
     const fields = {};
-    
-    // Parse field definitions
-    const fieldMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*\{([^}]+)\}/g);
-    for (const match of fieldMatches) {
-      const fieldName = match[1];
-      const fieldDefinition = match[2];
-      fields[fieldName] = this.parseMongooseField(fieldDefinition);
+
+    for (const [fieldName, fieldNode] of objectEntries(schemaNode)) {
+      fields[fieldName] = this.parseMongooseValue(fieldNode, content);
     }
 
-    // Simple field definitions
-    const simpleMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+):\s*([A-Za-z.]+)/g);
-    for (const match of simpleMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      if (!fields[fieldName]) {
-        fields[fieldName] = this.normalizeMongooseType(fieldType);
+    return fields;
+  }
+
+  parseMongooseValue(fieldNode, content) {
+    if (fieldNode.type === 'ObjectExpression') {
+      // Parse field definitions
+      if (getProperty(fieldNode, 'type')) {
+        return this.parseMongooseField(fieldNode, content);
       }
+      // Nested sub-document
+      return this.parseMongooseSchema(fieldNode, content);
     }
 
-    return fields;
+    if (fieldNode.type === 'ArrayExpression') {
+      if (fieldNode.elements.length === 0) return 'Array';
+      const itemType = this.parseMongooseValue(fieldNode.elements[0], content);
+      return typeof itemType === 'string' ? `${itemType}[]` : [itemType];
+    }
+
+    if (fieldNode.type === 'NewExpression' && fieldNode.arguments[0]?.type === 'ObjectExpression') {
+      return this.parseMongooseSchema(fieldNode.arguments[0], content);
+    }
+
+    // Simple field definitions
+    return this.normalizeMongooseType(this.mongooseTypeName(fieldNode, content));
   }
 
-  parseMongooseField(fieldDefinition) {
-    const typeMatch = fieldDefinition.match(/type:\s*([A-Za-z.]+)/);
-    const requiredMatch = fieldDefinition.match(/required:\s*(true|false)/);
-    const defaultMatch = fieldDefinition.match(/default:\s*([^,}]+)/);
-    const enumMatch = fieldDefinition.match(/enum:\s*\[([^\]]+)\]/);
+  parseMongooseField(fieldNode, content) {
+    const typeNode = getProperty(fieldNode, 'type');
+    const required = literalValue(getProperty(fieldNode, 'required'));
+    const defaultNode = getProperty(fieldNode, 'default');
+    const enumValues = literalValue(getProperty(fieldNode, 'enum'));
 
-    let type = typeMatch ? this.normalizeMongooseType(typeMatch[1]) : 'Unknown';
-    
-    if (enumMatch) {
-      const enumValues = enumMatch[1].split(',').map(v => v.trim().replace(/['"]/g, ''));
+    let type = typeNode ? this.normalizeMongooseType(this.mongooseTypeName(typeNode, content)) : 'Unknown';
+
+    if (Array.isArray(enumValues)) {
       type = `Enum(${enumValues.join(', ')})`;
     }
-    
-    if (requiredMatch && requiredMatch[1] === 'true') {
+
+    if (required === true || (Array.isArray(required) && required[0] === true)) {
       type += ' (required)';
     }
-    
-    if (defaultMatch) {
-      type += ` (default: ${defaultMatch[1].trim()})`;
+
+    if (defaultNode) {
+      type += ` (default: ${nodeText(defaultNode, content)})`;
     }
 
     return type;
   }
 
+  mongooseTypeName(typeNode, content) {
+    if (typeNode.type === 'ArrayExpression') {
+      return `${this.mongooseTypeName(typeNode.elements[0] || { type: 'Unknown' }, content)}[]`;
+    }
+    const name = memberPath(typeNode);
+    if (name) return name.split('.').pop();
+    return nodeText(typeNode, content) || 'Unknown';
+  }
+
   parsePrismaSchema(schemaDefinition) {
     const fields = {};
-    
+
     const fieldMatches = schemaDefinition.matchAll(/([a-zA-Z0-9_]+)\s+([A-Za-z0-9_\[\]?]+)(?:\s+([^@\n]+))?/g);
     for (const match of fieldMatches) {
       const fieldName = match[1];
       const fieldType = match[2];
       const modifiers = match[3] || '';
-      
+
       let type = this.normalizePrismaType(fieldType);
-      
+
       if (modifiers.includes('@default')) {
         const defaultMatch = modifiers.match(/@default\(([^)]+)\)/);
         if (defaultMatch) {
           type += ` (default: ${defaultMatch[1]})`;
         }
       }
-      
+
       fields[fieldName] = type;
     }
 
     return fields;
   }
 
-  parseTypeORMSchema(content) {
+  parseTypeORMSchema(classNode, content) {
     const fields = {};
-    
-    // Parse column decorators
-    const columnMatches = content.matchAll(/@Column\s*\(([^)]*)\)\s*([a-zA-Z0-9_]+):\s*([^;]+)/g);
-    for (const match of columnMatches) {
-      const columnDef = match[1];
-      const fieldName = match[2];
-      const fieldType = match[3];
-      
-      fields[fieldName] = this.normalizeTypeORMType(fieldType, columnDef);
-    }
 
-    // Parse simple property declarations
-    const propertyMatches = content.matchAll(/([a-zA-Z0-9_]+):\s*([A-Za-z0-9_<>|\s]+);/g);
-    for (const match of propertyMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      
-      if (!fields[fieldName] && !fieldType.includes('()')) {
+    for (const member of classNode.body.body) {
+      if (member.type !== 'ClassProperty') continue;
+
+      const fieldName = propertyName(member);
+      if (!fieldName || !member.typeAnnotation) continue;
+
+      const fieldType = nodeText(member.typeAnnotation.typeAnnotation, content);
+      const column = decoratorsOf(member).find(d => /Column$/.test(d.name || ''));
+
+      // Parse column decorators
+      if (column) {
+        const columnDef = column.args.map(arg => nodeText(arg, content)).join(', ');
+        fields[fieldName] = this.normalizeTypeORMType(fieldType, columnDef);
+      }
+      // Parse simple property declarations
+      else if (!fieldType.includes('()')) {
         fields[fieldName] = this.normalizeTypeScriptType(fieldType);
       }
     }
@@ -264,15 +286,17 @@ export class SchemaSnapshotExtractor {
     return fields;
   }
 
-  parseGenericClassFields(content) {
+  parseGenericClassFields(classNode, content) {
     const fields = {};
-    
+
     // Parse property declarations
-    const propertyMatches = content.matchAll(/(?:public|private|protected)?\s*([a-zA-Z0-9_]+):\s*([A-Za-z0-9_<>|\s]+);/g);
-    for (const match of propertyMatches) {
-      const fieldName = match[1];
-      const fieldType = match[2];
-      fields[fieldName] = this.normalizeTypeScriptType(fieldType);
+    for (const member of classNode.body.body) {
+      if (member.type !== 'ClassProperty' || !member.typeAnnotation) continue;
+
+      const fieldName = propertyName(member);
+      if (fieldName) {
+        fields[fieldName] = this.normalizeTypeScriptType(nodeText(member.typeAnnotation.typeAnnotation, content));
+      }
     }
 
     return fields;
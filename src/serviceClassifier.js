@@ -1,33 +1,26 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser, findAll } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
 
 export class ServiceClassifier {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
     this.businessServices = new Set();
     this.utilityServices = new Set();
   }
 
   async extract() {
-    const servicePatterns = [
-      '**/*Service.{js,ts}',
-      '**/services/**/*.{js,ts}',
-      '**/*Util.{js,ts}',
-      '**/*Helper.{js,ts}',
-      '**/*utils*.{js,ts}',
-      '**/*helper*.{js,ts}',
-      '**/*util*.{js,ts}'
-    ];
-
-    const files = await fg(servicePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
-
-    await Promise.all(files.map(file => this.classifyFile(file)));
+    const files = await this.fileIndex.match(this.config.patterns.services);
+
+    const fragments = await this.cache.analyzeFiles('services', files, file => this.classifyFile(file));
+    fragments.forEach(fragment => this.mergeFragment(fragment));
 
     return {
       businessServices: [...this.businessServices].sort().slice(0, this.limit),
@@ -36,51 +29,60 @@ export class ServiceClassifier {
   }
 
   async classifyFile(file) {
+    const fragment = { businessServices: [], utilityServices: [] };
+
     try {
-      const content = await fs.readFile(file, 'utf8');
+      const { content, ast } = await this.parser.parseFile(file);
       const filename = path.basename(file);
 
       // Attempt class extraction
-      const classNames = [...content.matchAll(/class\s+([A-Za-z0-9_]+)/g)].map(m => m[1]);
+      const classNames = findAll(ast, node => node.type === 'ClassDeclaration' && node.id).map(node => node.id.name);
 
       if (classNames.length > 0) {
         for (const className of classNames) {
-          this.classifyName(className, filename, content);
+          this.classifyName(className, filename, content, fragment);
         }
       } else {
         const fileServiceName = this.inferNameFromFilename(filename);
         if (fileServiceName) {
-          this.classifyName(fileServiceName, filename, content);
+          this.classifyName(fileServiceName, filename, content, fragment);
         }
       }
     } catch {
       // Silent fail for unreadable files
     }
+
+    return fragment;
+  }
+
+  mergeFragment(fragment) {
+    if (!fragment) return;
+    fragment.businessServices.forEach(name => this.businessServices.add(name));
+    fragment.utilityServices.forEach(name => this.utilityServices.add(name));
   }
 
-  classifyName(name, filename, content) {
-    const businessHints = ['payment', 'user', 'order', 'farm', 'livestock', 'lead', 'chat', 'assessment'];
-    const utilityHints = ['util', 'helper', 'common', 'format', 'validate', 'parse', 'convert', 'crypto', 'logger', 'cache'];
+  classifyName(name, filename, content, fragment) {
+    const { businessHints, utilityHints } = this.config;
 
     const nameLower = name.toLowerCase();
     const fileLower = filename.toLowerCase();
     const contentLower = content.toLowerCase();
 
     if (utilityHints.some(hint => nameLower.includes(hint) || fileLower.includes(hint))) {
-      this.utilityServices.add(name);
+      fragment.utilityServices.push(name);
       return;
     }
 
     if (businessHints.some(hint => nameLower.includes(hint) || fileLower.includes(hint))) {
-      this.businessServices.add(name);
+      fragment.businessServices.push(name);
       return;
     }
 
     // Content-based heuristic fallback
     if (contentLower.includes('format') || contentLower.includes('validate') || contentLower.includes('parse')) {
-      this.utilityServices.add(name);
+      fragment.utilityServices.push(name);
     } else {
-      this.businessServices.add(name);
+      fragment.businessServices.push(name);
     }
   }
 
@@ -1,71 +1,74 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser, walk, findAll, memberPath, stringValue } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
+import { createLogger } from './logger.js';
 
 export class ServiceInteractionExtractor {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
+    this.logger = createLogger(options);
     this.serviceDependencies = {};
   }
 
   async extract() {
-    console.log('🔗 Analyzing service interactions...');
+    this.logger.info('🔗 Analyzing service interactions...');
     
     // Find service files
-    const servicePatterns = [
-      '**/services/**/*.{js,ts}',
-      '**/*Service.{js,ts}',
-      '**/*service.{js,ts}'
-    ];
-
-    const files = await fg(servicePatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match(this.config.patterns.services);
 
-    await Promise.all(files.map(file => this.analyzeServiceFile(file)));
+    const fragments = await this.cache.analyzeFiles('serviceDependencies', files, file => this.analyzeServiceFile(file));
+    fragments.forEach(fragment => Object.assign(this.serviceDependencies, fragment));
 
     return this.serviceDependencies;
   }
 
+  // Per-file result: { serviceName: [dependencies] }
   async analyzeServiceFile(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf8');
+      const { ast } = await this.parser.parseFile(filePath);
+      if (!ast) return null;
       const filename = path.basename(filePath, path.extname(filePath));
-      
+
       // Extract service name from filename or class definition
-      const serviceName = this.extractServiceName(filename, content);
-      if (!serviceName) return;
+      const serviceName = this.extractServiceName(filename, ast);
+      if (!serviceName) return null;
 
       const dependencies = new Set();
 
       // 1. Analyze imports for service dependencies
-      this.analyzeImports(content, dependencies);
+      this.analyzeImports(ast, dependencies);
 
       // 2. Analyze constructor injections
-      this.analyzeConstructorInjections(content, dependencies);
+      this.analyzeConstructorInjections(ast, dependencies);
 
       // 3. Analyze direct instantiations
-      this.analyzeDirectInstantiations(content, dependencies);
+      this.analyzeDirectInstantiations(ast, dependencies);
 
       // 4. Analyze method calls
-      this.analyzeMethodCalls(content, dependencies);
+      this.analyzeMethodCalls(ast, dependencies);
 
       if (dependencies.size > 0) {
-        this.serviceDependencies[serviceName] = Array.from(dependencies).sort();
+        return { [serviceName]: Array.from(dependencies).sort() };
       }
     } catch (error) {
-      console.warn(`⚠️ Error analyzing service file ${filePath}:`, error.message);
+      this.logger.warn(`⚠️ Error analyzing service file ${filePath}:`, error.message);
     }
+
+    return null;
   }
 
-  extractServiceName(filename, content) {
+  extractServiceName(filename, ast) {
     // Try to extract from class definition first
-    const classMatch = content.match(/(?:export\s+)?class\s+([A-Za-z0-9_]+(?:Service|Controller))/);
-    if (classMatch) {
-      return classMatch[1];
+    const serviceClass = findAll(ast, node => node.type === 'ClassDeclaration' && /(Service|Controller)$/.test(node.id?.name || ''))[0];
+    if (serviceClass) {
+      return serviceClass.id.name;
     }
 
     // Fall back to filename
@@ -76,77 +79,89 @@ export class ServiceInteractionExtractor {
     return null;
   }
 
-  analyzeImports(content, dependencies) {
-    // ES6 imports
-    const importMatches = content.matchAll(/import\s+.*?from\s+['"](.*?)['"]/g);
-    for (const match of importMatches) {
-      const importPath = match[1];
-      if (this.isServiceImport(importPath)) {
-        const serviceName = this.extractServiceNameFromPath(importPath);
-        if (serviceName) dependencies.add(serviceName);
+  analyzeImports(ast, dependencies) {
+    walk(ast, node => {
+      let importPath = null;
+
+      // ES6 imports
+      if (node.type === 'ImportDeclaration') {
+        importPath = node.source.value;
+      }
+      // CommonJS requires and dynamic imports
+      else if (node.type === 'CallExpression' && (memberPath(node.callee) === 'require' || node.callee.type === 'Import')) {
+        importPath = stringValue(node.arguments[0]);
       }
-    }
 
-    // CommonJS requires
-    const requireMatches = content.matchAll(/require\s*\(\s*['"](.*?)['"]\s*\)/g);
-    for (const match of requireMatches) {
-      const requirePath = match[1];
-      if (this.isServiceImport(requirePath)) {
-        const serviceName = this.extractServiceNameFromPath(requirePath);
+      if (importPath && this.isServiceImport(importPath)) {
+        const serviceName = this.extractServiceNameFromPath(importPath);
         if (serviceName) dependencies.add(serviceName);
       }
-    }
+    });
   }
 
-  analyzeConstructorInjections(content, dependencies) {
-    // TypeScript/ES6 constructor parameter injection
-    const constructorMatch = content.match(/constructor\s*\([^)]*\)\s*{([^}]+)}/);
-    if (constructorMatch) {
-      const constructorBody = constructorMatch[1];
-      
-      // Look for this.serviceProperty assignments
-      const injectionMatches = constructorBody.matchAll(/this\.(\w*[Ss]ervice\w*)\s*=/g);
-      for (const match of injectionMatches) {
-        const serviceName = this.normalizeServiceName(match[1]);
-        if (serviceName) dependencies.add(serviceName);
+  analyzeConstructorInjections(ast, dependencies) {
+    const constructors = findAll(ast, node => node.type === 'ClassMethod' && node.kind === 'constructor');
+
+    for (const constructor of constructors) {
+      // TypeScript/ES6 constructor parameter injection
+      for (const param of constructor.params) {
+        const identifier = param.type === 'TSParameterProperty' ? param.parameter : param;
+        const paramName = identifier.type === 'AssignmentPattern' ? identifier.left.name : identifier.name;
+        const typeName = identifier.typeAnnotation ? memberPath(identifier.typeAnnotation.typeAnnotation.typeName) : null;
+
+        for (const name of [typeName, paramName]) {
+          if (name && /(Service|Controller)$/i.test(name)) {
+            const serviceName = this.normalizeServiceName(name);
+            if (serviceName) dependencies.add(serviceName);
+            break;
+          }
+        }
       }
-    }
 
-    // Parameter injection patterns
-    const paramMatches = content.matchAll(/constructor\s*\([^)]*(\w+Service|\w+Controller)[^)]*\)/g);
-    for (const match of paramMatches) {
-      const fullMatch = match[0];
-      const serviceParams = fullMatch.matchAll(/(\w+Service|\w+Controller)/g);
-      for (const serviceMatch of serviceParams) {
-        const serviceName = this.normalizeServiceName(serviceMatch[1]);
-        if (serviceName) dependencies.add(serviceName);
-      }
+      // Look for this.serviceProperty assignments
+      walk(constructor.body, node => {
+        if (node.type !== 'AssignmentExpression') return;
+        const target = memberPath(node.left);
+        const match = target && target.match(/^this\.(\w*[Ss]ervice\w*)$/);
+        if (match) {
+          const serviceName = this.normalizeServiceName(match[1]);
+          if (serviceName) dependencies.add(serviceName);
+        }
+      });
     }
   }
 
-  analyzeDirectInstantiations(content, dependencies) {
+  analyzeDirectInstantiations(ast, dependencies) {
     // new ServiceClass() patterns
-    const instantiationMatches = content.matchAll(/new\s+([A-Za-z0-9_]+(?:Service|Controller))\s*\(/g);
-    for (const match of instantiationMatches) {
-      const serviceName = match[1];
-      dependencies.add(serviceName);
-    }
+    walk(ast, node => {
+      if (node.type !== 'NewExpression') return;
+      const className = memberPath(node.callee);
+      if (className && /^[A-Za-z0-9_]+(Service|Controller)$/.test(className)) {
+        dependencies.add(className);
+      }
+    });
   }
 
-  analyzeMethodCalls(content, dependencies) {
-    // this.serviceProperty.method() calls
-    const methodCallMatches = content.matchAll(/this\.(\w*[Ss]ervice\w*)\.[\w.]+\(/g);
-    for (const match of methodCallMatches) {
-      const serviceName = this.normalizeServiceName(match[1]);
-      if (serviceName) dependencies.add(serviceName);
-    }
+  analyzeMethodCalls(ast, dependencies) {
+    walk(ast, node => {
+      if (node.type !== 'CallExpression') return;
+      const callee = memberPath(node.callee);
+      if (!callee) return;
 
-    // Direct service calls like PaymentService.process()
-    const staticCallMatches = content.matchAll(/([A-Za-z0-9_]+(?:Service|Controller))\.[\w.]+\(/g);
-    for (const match of staticCallMatches) {
-      const serviceName = match[1];
-      dependencies.add(serviceName);
-    }
+      // this.serviceProperty.method() calls
+      const propertyMatch = callee.match(/^this\.(\w*[Ss]ervice\w*)\.[\w.]+$/);
+      if (propertyMatch) {
+        const serviceName = this.normalizeServiceName(propertyMatch[1]);
+        if (serviceName) dependencies.add(serviceName);
+        return;
+      }
+
+      // Direct service calls like PaymentService.process()
+      const staticMatch = callee.match(/^([A-Za-z0-9_]+(?:Service|Controller))\.[\w.]+$/);
+      if (staticMatch) {
+        dependencies.add(staticMatch[1]);
+      }
+    });
   }
 
   isServiceImport(importPath) {
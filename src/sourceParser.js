@@ -0,0 +1,487 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { parse } from '@babel/parser';
+
+const SKIPPED_KEYS = new Set(['loc', 'start', 'end', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+export class SourceParser {
+  constructor(options = {}) {
+    this.fileIndex = options.fileIndex || null;
+    this.cache = new Map();
+  }
+
+  // Each file is read and parsed at most once per run; concurrent callers share the same promise
+  parseFile(filePath) {
+    if (!this.cache.has(filePath)) {
+      this.cache.set(filePath, this.load(filePath));
+    }
+    return this.cache.get(filePath);
+  }
+
+  async load(filePath) {
+    // Prefer the contents already read by the project file index
+    const entry = this.fileIndex && this.fileIndex.get(filePath);
+    const content = entry ? entry.content : await fs.readFile(filePath, 'utf8');
+    return {
+      file: filePath,
+      content,
+      ast: this.parseSource(content, filePath)
+    };
+  }
+
+  parseSource(content, filePath = '') {
+    const ext = path.extname(filePath).toLowerCase();
+    if (!['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'].includes(ext) && filePath) {
+      return null;
+    }
+
+    const plugins = ['decorators-legacy', 'classProperties', 'dynamicImport', 'topLevelAwait'];
+    if (['.ts', '.mts', '.cts'].includes(ext)) {
+      plugins.push('typescript');
+    } else if (ext === '.tsx') {
+      plugins.push('typescript', 'jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    try {
+      return parse(content, {
+        sourceType: 'unambiguous',
+        allowImportExportEverywhere: true,
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true,
+        errorRecovery: true,
+        plugins
+      });
+    } catch {
+      // Unparseable sources are skipped by AST-based analysis
+      return null;
+    }
+  }
+
+  clear() {
+    this.cache.clear();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// AST helpers shared by the extractors
+// ---------------------------------------------------------------------------
+
+export function walk(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+
+  visit(node, ancestors);
+
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) {
+        if (item && typeof item.type === 'string') walk(item, visit, ancestors);
+      }
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+export function findAll(node, predicate) {
+  const matches = [];
+  const test = typeof predicate === 'string' ? n => n.type === predicate : predicate;
+
+  walk(node, (current, ancestors) => {
+    if (test(current, ancestors)) matches.push(current);
+  });
+
+  return matches;
+}
+
+export function memberPath(node) {
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'Identifier':
+      return node.name;
+    case 'ThisExpression':
+      return 'this';
+    case 'Super':
+      return 'super';
+    case 'MemberExpression':
+    case 'OptionalMemberExpression': {
+      const object = memberPath(node.object);
+      const property = node.computed ? stringValue(node.property) : node.property.name;
+      return object && property ? `${object}.${property}` : null;
+    }
+    case 'TSNonNullExpression':
+    case 'TSAsExpression':
+      return memberPath(node.expression);
+    default:
+      return null;
+  }
+}
+
+export function calleeName(callNode) {
+  return callNode && memberPath(callNode.callee);
+}
+
+// Joi.string().email().required() -> { root: 'Joi', calls: [string, email, required] }
+export function callChain(node) {
+  const calls = [];
+  let current = node;
+
+  while (current && (current.type === 'CallExpression' || current.type === 'OptionalCallExpression')) {
+    const callee = current.callee;
+    if (callee.type === 'MemberExpression' || callee.type === 'OptionalMemberExpression') {
+      const name = callee.computed ? stringValue(callee.property) : callee.property.name;
+      calls.unshift({ name, args: current.arguments });
+      current = callee.object;
+    } else {
+      calls.unshift({ name: memberPath(callee), args: current.arguments });
+      current = null;
+    }
+  }
+
+  return {
+    root: current ? memberPath(current) : null,
+    calls
+  };
+}
+
+export function stringValue(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis.map(q => q.value.cooked).join('');
+  }
+  return null;
+}
+
+// Like stringValue, but also folds `'/api' + VERSION` and `${PREFIX}/x` using top-level constants
+export function constantString(node, declarations = new Map(), depth = 0) {
+  const value = stringValue(node);
+  if (value !== null || !node || depth > 10) return value;
+
+  if (node.type === 'Identifier' && declarations.has(node.name)) {
+    return constantString(declarations.get(node.name), declarations, depth + 1);
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = constantString(node.left, declarations, depth + 1);
+    const right = constantString(node.right, declarations, depth + 1);
+    return left !== null && right !== null ? left + right : null;
+  }
+  if (node.type === 'TemplateLiteral') {
+    const parts = node.expressions.map(expression => constantString(expression, declarations, depth + 1));
+    if (parts.some(part => part === null)) return null;
+    return node.quasis.map((quasi, i) => quasi.value.cooked + (parts[i] ?? '')).join('');
+  }
+  return null;
+}
+
+export function literalValue(node) {
+  if (!node) return undefined;
+
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return stringValue(node) ?? undefined;
+    case 'UnaryExpression':
+      if (node.operator === '-' && node.argument.type === 'NumericLiteral') return -node.argument.value;
+      return undefined;
+    case 'ArrayExpression':
+      return node.elements.map(element => literalValue(element));
+    case 'ObjectExpression': {
+      const value = {};
+      for (const [key, child] of objectEntries(node)) {
+        value[key] = literalValue(child);
+      }
+      return value;
+    }
+    default:
+      return undefined;
+  }
+}
+
+export function propertyName(property) {
+  if (!property || !property.key) return null;
+  if (property.computed) return stringValue(property.key);
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'StringLiteral') return property.key.value;
+  if (property.key.type === 'NumericLiteral') return String(property.key.value);
+  return null;
+}
+
+export function objectEntries(objectNode) {
+  if (!objectNode || objectNode.type !== 'ObjectExpression') return [];
+
+  return objectNode.properties
+    .filter(property => property.type === 'ObjectProperty' || property.type === 'ObjectMethod')
+    .map(property => [propertyName(property), property.type === 'ObjectMethod' ? property : property.value])
+    .filter(([key]) => key !== null);
+}
+
+export function getProperty(objectNode, name) {
+  const entry = objectEntries(objectNode).find(([key]) => key === name);
+  return entry ? entry[1] : null;
+}
+
+export function nodeText(node, content) {
+  if (!node || typeof node.start !== 'number') return '';
+  return content.slice(node.start, node.end).replace(/\s+/g, ' ').trim();
+}
+
+// authenticate, requireRole('admin'), celebrate(…) - literal arguments are kept, the rest elided
+export function describeMiddleware(node, content) {
+  node = unwrapExpression(node);
+
+  if (isFunctionNode(node)) return node.id?.name || '<anonymous>';
+  if (node.type === 'CallExpression') {
+    const args = node.arguments.map(arg =>
+      stringValue(arg) !== null || arg.type === 'NumericLiteral' || arg.type === 'BooleanLiteral'
+        ? nodeText(arg, content)
+        : memberPath(arg) || '…');
+    return `${calleeName(node) || '<anonymous>'}(${args.join(', ')})`;
+  }
+  return memberPath(node) || nodeText(node, content);
+}
+
+export function decoratorsOf(node) {
+  return (node?.decorators || []).map(decorator => {
+    const expression = decorator.expression;
+    if (expression.type === 'CallExpression') {
+      return { name: memberPath(expression.callee), args: expression.arguments, node: decorator };
+    }
+    return { name: memberPath(expression), args: [], node: decorator };
+  });
+}
+
+export function isFunctionNode(node) {
+  return !!node && [
+    'FunctionDeclaration',
+    'FunctionExpression',
+    'ArrowFunctionExpression',
+    'ObjectMethod',
+    'ClassMethod',
+    'ClassPrivateMethod'
+  ].includes(node.type);
+}
+
+export function unwrapExpression(node) {
+  let current = node;
+  while (current && ['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'ParenthesizedExpression', 'AwaitExpression'].includes(current.type)) {
+    current = current.expression || current.argument;
+  }
+  return current;
+}
+
+// Maps top-level `const name = <init>` declarations so identifiers can be resolved within a file
+export function collectDeclarations(ast) {
+  const declarations = new Map();
+  if (!ast) return declarations;
+
+  walk(ast, node => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      if (!declarations.has(node.id.name)) declarations.set(node.id.name, node.init);
+    }
+  });
+
+  return declarations;
+}
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'options', 'head', 'all', 'use'];
+
+// Fastify lifecycle hooks that run before the handler, reported as route middleware
+const FASTIFY_HOOKS = ['onRequest', 'preParsing', 'preValidation', 'preHandler'];
+
+export function isRouterObject(name) {
+  if (!name) return false;
+  const last = name.split('.').pop();
+  return /^(router|app|fastify|server|instance)$/i.test(last) || /Router$/.test(last);
+}
+
+// Route registrations across Express, Koa (@koa/router, koa-router), Fastify and Hapi:
+//   router.get('/path', ...handlers) and router.route('/path').get(...).post(...)
+//   router.get('name', '/path', ...handlers)                     (Koa named routes)
+//   fastify.get('/path', { schema, preHandler }, handler)
+//   fastify.route({ method, url, schema, handler }) / server.route({ method, path, options })
+// `args` is the middleware chain followed by the handler; `options` is the route options
+// object (Fastify schema, Hapi validate/auth) when there is one.
+export function findRouteCalls(ast) {
+  const routes = [];
+  if (!ast) return routes;
+
+  walk(ast, node => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression') return;
+
+    const method = node.callee.property.name;
+    const objectName = memberPath(node.callee.object);
+
+    // Configuration objects: fastify.route({...}) and server.route([{...}, {...}])
+    if (method === 'route' && isRouterObject(objectName) && ['ObjectExpression', 'ArrayExpression'].includes(node.arguments[0]?.type)) {
+      const configs = node.arguments[0].type === 'ArrayExpression' ? node.arguments[0].elements : [node.arguments[0]];
+      for (const config of configs) {
+        routes.push(...routeConfigCalls(config, objectName));
+      }
+      return;
+    }
+
+    if (!ROUTE_METHODS.includes(method)) return;
+
+    if (isRouterObject(objectName)) {
+      // Koa named routes put the path second
+      const named = stringValue(node.arguments[0]) !== null && stringValue(node.arguments[1])?.startsWith('/');
+      const routePath = stringValue(node.arguments[named ? 1 : 0]);
+      if (routePath !== null) {
+        routes.push({
+          method: method.toUpperCase(),
+          path: routePath,
+          objectName,
+          node,
+          ...routeHandlers(node.arguments.slice(named ? 2 : 1))
+        });
+      }
+      return;
+    }
+
+    // Chained form: the callee object is itself a `.route('/path')` (or a previous verb) call
+    const chain = callChain(node);
+    const routeIndex = chain.calls.findIndex(call => call.name === 'route');
+    if (routeIndex === -1 || !isRouterObject(chain.root) || chain.calls[chain.calls.length - 1].name !== method) return;
+
+    const routePath = stringValue(chain.calls[routeIndex].args[0]);
+    if (routePath !== null && method !== 'use') {
+      routes.push({
+        method: method.toUpperCase(),
+        path: routePath,
+        args: node.arguments,
+        options: null,
+        objectName: chain.root,
+        node
+      });
+    }
+  });
+
+  return routes;
+}
+
+const NEST_HTTP_DECORATORS = ['Get', 'Post', 'Put', 'Patch', 'Delete', 'Options', 'Head', 'All'];
+
+// NestJS controller methods: @Controller('users') + @Get(':id'), @Controller({ path, version }) and
+// @Version('2'). `path` joins the controller and method paths (the global prefix and URI version
+// segment are applied by the RouteResolver); `version` is null when the app default applies and
+// '' for VERSION_NEUTRAL. Array paths and versions yield one route each.
+export function findControllerRoutes(ast) {
+  const routes = [];
+  if (!ast) return routes;
+
+  walk(ast, node => {
+    if (!['ClassDeclaration', 'ClassExpression'].includes(node.type)) return;
+
+    const classDecorators = decoratorsOf(node);
+    const controller = classDecorators.find(decorator => decorator.name === 'Controller');
+    if (!controller) return;
+
+    const options = controller.args[0]?.type === 'ObjectExpression' ? controller.args[0] : null;
+    const controllerPaths = decoratorValues(options ? getProperty(options, 'path') : controller.args[0], '');
+    const controllerVersions = decoratorValues(options && getProperty(options, 'version'), null);
+
+    for (const member of node.body.body) {
+      const decorators = decoratorsOf(member);
+      const version = decorators.find(decorator => decorator.name === 'Version');
+      const versions = version ? decoratorValues(version.args[0], null) : controllerVersions;
+
+      for (const routeDecorator of decorators.filter(decorator => NEST_HTTP_DECORATORS.includes(decorator.name))) {
+        for (const controllerPath of controllerPaths) {
+          for (const methodPath of decoratorValues(routeDecorator.args[0], '')) {
+            for (const routeVersion of versions) {
+              routes.push({
+                method: routeDecorator.name.toUpperCase(),
+                path: `/${[controllerPath, methodPath].join('/')}`.replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1'),
+                rawPath: methodPath,
+                version: routeVersion,
+                className: node.id?.name || null,
+                methodName: propertyName(member),
+                member,
+                decorators: [...classDecorators, ...decorators],
+                node: routeDecorator.node
+              });
+            }
+          }
+        }
+      }
+    }
+  });
+
+  return routes;
+}
+
+// 'users' / ['users', 'members'] / VERSION_NEUTRAL decorator arguments as a list of strings
+function decoratorValues(node, fallback) {
+  if (!node) return [fallback];
+  if (node.type === 'ArrayExpression') {
+    const values = node.elements.map(element => decoratorValues(element, null)[0]).filter(value => value !== null);
+    return values.length > 0 ? values : [fallback];
+  }
+  if (memberPath(node)?.endsWith('VERSION_NEUTRAL')) return [''];
+  return [stringValue(node) ?? fallback];
+}
+
+// Fastify `{ method, url, handler, preHandler, schema }` and Hapi `{ method, path, handler, options }`
+function routeConfigCalls(config, objectName) {
+  if (config?.type !== 'ObjectExpression') return [];
+
+  const routePath = stringValue(getProperty(config, 'url') || getProperty(config, 'path'));
+  if (routePath === null) return [];
+
+  const methodNode = getProperty(config, 'method');
+  const methods = (methodNode?.type === 'ArrayExpression' ? methodNode.elements : [methodNode])
+    .map(element => stringValue(element))
+    .filter(Boolean)
+    .map(value => (value === '*' ? 'ALL' : value.toUpperCase()));
+
+  // Hapi keeps handler, pre-handlers, validation and auth under `options` (formerly `config`)
+  const hapiOptions = getProperty(config, 'options') || getProperty(config, 'config');
+  const options = hapiOptions?.type === 'ObjectExpression' ? hapiOptions : config;
+  const handler = getProperty(config, 'handler') || getProperty(options, 'handler');
+  const pre = getProperty(options, 'pre');
+  const preHandlers = pre?.type === 'ArrayExpression'
+    ? pre.elements.flatMap(element => (element?.type === 'ObjectExpression' ? [getProperty(element, 'method')] : [element]))
+    : [];
+
+  return methods.map(method => ({
+    method,
+    path: routePath,
+    args: [...fastifyHooks(options), ...preHandlers, handler].filter(Boolean),
+    options,
+    objectName,
+    node: config
+  }));
+}
+
+// Shorthand routes: Fastify may pass an options object before (or instead of) the handler
+function routeHandlers(args) {
+  const options = args.find(arg => arg.type === 'ObjectExpression') || null;
+  if (!options) return { args, options };
+
+  const handlers = args.filter(arg => arg !== options);
+  const handler = getProperty(options, 'handler');
+  return {
+    args: [...fastifyHooks(options), ...handlers, ...(handlers.length === 0 && handler ? [handler] : [])],
+    options
+  };
+}
+
+function fastifyHooks(options) {
+  return FASTIFY_HOOKS
+    .map(hook => getProperty(options, hook))
+    .filter(Boolean)
+    .flatMap(hook => (hook.type === 'ArrayExpression' ? hook.elements.filter(Boolean) : [hook]));
+}
@@ -1,7 +1,7 @@
 import path from 'path';
 import { FrameworkDetector } from './frameworkDetector.js';
 import { ServiceClassifier } from './serviceClassifier.js';
-import { ApiRouteExtractor } from './apiRouteExtractor.js';
+import { ApiRouteExtractor, alignRouteKeys } from './apiRouteExtractor.js';
 import { DbModelExtractor } from './dbModelExtractor.js';
 import { UtilityAnalyzer } from './utilityAnalyzer.js';
 import { PatternDetector } from './patternDetector.js';
@@ -12,15 +12,37 @@ import { SchemaSnapshotExtractor } from './schemaSnapshotExtractor.js';
 import { PayloadExtractor } from './payloadExtractor.js';
 import { AuthPolicyExtractor } from './authPolicyExtractor.js';
 import { BusinessLogicFlowExtractor } from './businessLogicFlowExtractor.js';
+import { GraphQLExtractor } from './graphqlExtractor.js';
+import { RealtimeEventExtractor } from './realtimeEventExtractor.js';
+import { MessageChannelExtractor } from './messageChannelExtractor.js';
+import { ScheduledJobExtractor } from './scheduledJobExtractor.js';
+import { ApiSpecExtractor } from './apiSpecExtractor.js';
+import { mergePayload } from './payloadFields.js';
+import { SourceParser } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { AnalysisCache, DEFAULT_CACHE_FILE } from './analysisCache.js';
+import { loadProjectConfig, excludeGlobs } from './projectConfig.js';
+import { RouteResolver } from './routeResolver.js';
+import { DEFAULT_LIMIT } from '../config.js';
+import { createLogger } from './logger.js';
+
+// Extractor names accepted by `only` / `skip` (framework detection always runs)
+export const EXTRACTORS = ['services', 'routes', 'models', 'utils', 'patterns', 'interactions', 'payloads', 'auth', 'flows', 'schemas', 'graphql', 'realtime', 'messaging', 'jobs', 'specs'];
+
+// Slower, per-function extractors that only run with `deepAnalysis` (or when named in `only`)
+export const DEEP_EXTRACTORS = ['interactions', 'payloads', 'auth', 'flows'];
 
 export class Summarizer {
-  constructor(config) {
-    this.projectRoot = config.projectRoot;
+  constructor(config = {}) {
+    this.projectRoot = path.resolve(config.projectRoot || process.cwd());
     this.outputFile = config.outputFile;
-    this.limit = config.limit;
+    this.limit = config.limit || DEFAULT_LIMIT;
+    this.options = config;
+    this.logger = createLogger(config);
+    this.extractors = this.selectExtractors(config);
 
     this.summary = {
-      schemaVersion: '3.0.0',
+      schemaVersion: '6.0.0',
       generatedAt: new Date().toISOString(),
       git: {},
       modules: [],
@@ -47,68 +69,200 @@ export class Summarizer {
       schemaSnapshots: {},
       apiPayloads: {},
       authPolicies: {},
-      businessFlows: {}
+      businessFlows: {},
+      graphql: {
+        queries: [],
+        mutations: [],
+        subscriptions: []
+      },
+      realtimeEvents: [],
+      messageChannels: [],
+      backgroundJobs: [],
+      apiSpecDrift: []
     };
   }
 
   async analyze() {
-    console.log('🛠️ Starting Codebase Analysis');
+    this.logger.info('🛠️ Starting Codebase Analysis');
+
+    await this.prepare();
 
     this.summary.git = await GitMetadata.extract(this.projectRoot);
 
-    const frameworks = new FrameworkDetector(this.projectRoot);
+    await this.fileIndex.build();
+    this.logger.info(`📁 Indexed ${this.fileIndex.stats().files} source files`);
+
+    await this.cache.load();
+
+    const frameworks = new FrameworkDetector(this.projectRoot, { logger: this.logger });
     this.summary.frameworks = await frameworks.detect();
 
-    const services = new ServiceClassifier(this.projectRoot, this.limit);
-    const serviceSummary = await services.extract();
-    this.summary.services = serviceSummary;
+    if (this.extractors.has('services')) {
+      const services = new ServiceClassifier(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.services = await services.extract();
+    }
 
-    const apis = new ApiRouteExtractor(this.projectRoot, this.limit);
-    const apiSummary = await apis.extract();
-    this.summary.apiRoutes = apiSummary;
+    if (this.extractors.has('routes')) {
+      const apis = new ApiRouteExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.apiRoutes = await apis.extract();
+    }
 
-    const models = new DbModelExtractor(this.projectRoot, this.limit);
-    const modelSummary = await models.extract();
-    // Enhanced: Handle both model names and schemas
-    this.summary.dbModels = modelSummary.models || modelSummary;
-    this.summary.schemaSnapshots = modelSummary.schemas || {};
+    if (this.extractors.has('models')) {
+      const models = new DbModelExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      const modelSummary = await models.extract();
+      // Enhanced: Handle both model names and schemas
+      this.summary.dbModels = modelSummary.models;
+      this.summary.schemaSnapshots = modelSummary.schemas || {};
+    }
 
-    const utils = new UtilityAnalyzer(this.projectRoot, this.limit);
-    const utilSummary = await utils.extract();
-    this.summary.utils = utilSummary;
+    if (this.extractors.has('utils')) {
+      const utils = new UtilityAnalyzer(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.utils = await utils.extract();
+    }
 
-    const patterns = new PatternDetector(this.projectRoot, frameworks.dependencies);
-    this.summary.globalPatterns = await patterns.extract();
+    if (this.extractors.has('patterns')) {
+      const patterns = new PatternDetector(this.projectRoot, frameworks.dependencies, this.extractorOptions());
+      this.summary.globalPatterns = await patterns.extract();
+    }
 
     // 🆕 New deep metadata extraction
-    console.log('🔗 Analyzing service interactions...');
-    const serviceInteractions = new ServiceInteractionExtractor(this.projectRoot, this.limit);
-    this.summary.serviceDependencies = await serviceInteractions.extract();
+    if (this.extractors.has('interactions')) {
+      this.logger.info('🔗 Analyzing service interactions...');
+      const serviceInteractions = new ServiceInteractionExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.serviceDependencies = await serviceInteractions.extract();
+    }
+
+    if (this.extractors.has('payloads')) {
+      this.logger.info('📦 Extracting API payloads...');
+      const payloads = new PayloadExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.apiPayloads = await payloads.extract();
+    }
+
+    if (this.extractors.has('auth')) {
+      this.logger.info('🔐 Analyzing authentication policies...');
+      const authPolicies = new AuthPolicyExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.authPolicies = await authPolicies.extract();
+    }
 
-    console.log('📦 Extracting API payloads...');
-    const payloads = new PayloadExtractor(this.projectRoot, this.limit);
-    this.summary.apiPayloads = await payloads.extract();
+    // Payloads and policies of a route registered twice (/users/:id and /users/:userId) go under the kept registration
+    if (this.extractors.has('routes')) {
+      this.summary.apiPayloads = alignRouteKeys(this.summary.apiPayloads, this.summary.apiRoutes, mergePayload);
+      this.summary.authPolicies = alignRouteKeys(this.summary.authPolicies, this.summary.apiRoutes);
+    }
 
-    console.log('🔐 Analyzing authentication policies...');
-    const authPolicies = new AuthPolicyExtractor(this.projectRoot, this.limit);
-    this.summary.authPolicies = await authPolicies.extract();
+    // Spec files fill in routes and payloads the code does not show, so they run after both
+    if (this.extractors.has('specs')) {
+      const specs = new ApiSpecExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      const { apiRoutes, apiPayloads, drift } = await specs.extract({
+        apiRoutes: this.extractors.has('routes') ? this.summary.apiRoutes : null,
+        apiPayloads: this.extractors.has('payloads') ? this.summary.apiPayloads : null
+      });
+      this.summary.apiRoutes = apiRoutes;
+      this.summary.apiPayloads = apiPayloads;
+      this.summary.apiSpecDrift = drift;
+    }
 
-    console.log('🔄 Extracting business logic flows...');
-    const businessFlows = new BusinessLogicFlowExtractor(this.projectRoot, this.limit);
-    this.summary.businessFlows = await businessFlows.extract();
+    if (this.extractors.has('flows')) {
+      this.logger.info('🔄 Extracting business logic flows...');
+      const businessFlows = new BusinessLogicFlowExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.businessFlows = await businessFlows.extract();
+    }
 
     // If we don't have schema snapshots from models, try the dedicated extractor
-    if (Object.keys(this.summary.schemaSnapshots).length === 0) {
-      console.log('🗂️ Extracting additional model schemas...');
-      const schemaSnapshots = new SchemaSnapshotExtractor(this.projectRoot, this.limit);
+    if (this.extractors.has('schemas') && Object.keys(this.summary.schemaSnapshots).length === 0) {
+      this.logger.info('🗂️ Extracting additional model schemas...');
+      const schemaSnapshots = new SchemaSnapshotExtractor(this.projectRoot, this.limit, this.extractorOptions());
       this.summary.schemaSnapshots = await schemaSnapshots.extract();
     }
 
+    if (this.extractors.has('graphql')) {
+      const graphql = new GraphQLExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.graphql = await graphql.extract();
+    }
+
+    if (this.extractors.has('realtime')) {
+      const realtime = new RealtimeEventExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.realtimeEvents = await realtime.extract();
+    }
+
+    if (this.extractors.has('messaging')) {
+      const messaging = new MessageChannelExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.messageChannels = await messaging.extract();
+    }
+
+    if (this.extractors.has('jobs')) {
+      const jobs = new ScheduledJobExtractor(this.projectRoot, this.limit, this.extractorOptions());
+      this.summary.backgroundJobs = await jobs.extract();
+    }
+
     this.applyLimits();
 
+    if (this.cache.enabled) {
+      await this.cache.save();
+      const { analyzed, reused } = this.cache.stats();
+      this.logger.info(`♻️ Analyzed ${analyzed} changed files, reused cached results for ${reused}`);
+    }
+
     return this.summary;
   }
 
+  // Loads the project config, then sets up the shared file index, parser and cache it drives
+  async prepare() {
+    const { config, source } = await loadProjectConfig(this.projectRoot, this.options.configFile);
+    config.ignore = [...new Set([...config.ignore, ...excludeGlobs(this.options.exclude)])];
+    this.config = config;
+    if (source) {
+      this.logger.info(`⚙️ Using config from ${path.relative(this.projectRoot, source) || source}`);
+    }
+
+    // One file index and one parser per run: every extractor shares the same scan and AST cache
+    this.fileIndex = this.options.fileIndex || new FileIndex(this.projectRoot, { config });
+    this.parser = this.options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    // Per-file results are reused across runs when caching is on (`cache: true` or a `cacheFile`; the CLI turns
+    // it on by default), so library callers never get a cache file written into the project they analyze
+    const cached = this.options.cache === true || (!!this.options.cacheFile && this.options.cache !== false);
+    this.cache = new AnalysisCache({
+      cacheFile: cached ? path.resolve(this.projectRoot, this.options.cacheFile || DEFAULT_CACHE_FILE) : null,
+      fileIndex: this.fileIndex,
+      key: JSON.stringify({ version: this.options.version || null, schemaVersion: this.summary.schemaVersion, limit: this.limit, config }),
+      rebuild: this.options.rebuild
+    });
+    // Router mount points are resolved once and shared by every route-based extractor
+    this.routeResolver = new RouteResolver(this.projectRoot, {
+      config, fileIndex: this.fileIndex, parser: this.parser, cache: this.cache
+    });
+  }
+
+  // Names listed in `only` always run; otherwise deep extractors need `deepAnalysis`
+  // and business flows can additionally be turned off with `includeFlows: false`
+  selectExtractors({ only = [], skip = [], deepAnalysis = false, includeFlows = true }) {
+    for (const name of [...only, ...skip]) {
+      if (!EXTRACTORS.includes(name)) {
+        throw new Error(`Unknown extractor "${name}" (available: ${EXTRACTORS.join(', ')})`);
+      }
+    }
+
+    const selected = only.length > 0
+      ? EXTRACTORS.filter(name => only.includes(name))
+      : EXTRACTORS.filter(name => {
+        if (DEEP_EXTRACTORS.includes(name) && !deepAnalysis) return false;
+        return name !== 'flows' || includeFlows !== false;
+      });
+
+    return new Set(selected.filter(name => !skip.includes(name)));
+  }
+
+  extractorOptions() {
+    return {
+      config: this.config,
+      fileIndex: this.fileIndex,
+      parser: this.parser,
+      cache: this.cache,
+      routeResolver: this.routeResolver,
+      logger: this.logger
+    };
+  }
+
   applyLimits() {
     this.summary.modules = this.summary.modules.slice(0, this.limit);
     this.summary.services.businessServices = this.summary.services.businessServices.slice(0, this.limit);
@@ -0,0 +1,237 @@
+import { flattenFields } from './outputFormatter.js';
+import { bodyText } from './payloadFields.js';
+import { SummaryValidator } from './summaryValidator.js';
+
+// Compared sections, with their names in the report
+const SECTIONS = {
+  apiRoutes: 'routes',
+  authPolicies: 'auth policies',
+  serviceDependencies: 'service dependencies',
+  schemaSnapshots: 'schemas',
+  apiPayloads: 'payloads'
+};
+
+// Change impact between two summaries (e.g. a PR's base and head): routes, auth
+// policies, service dependencies, schema fields and payload fields.
+export class SummaryDiff {
+  // `labels` ({ base, head }) name the two sides in the report, e.g. the compared git refs
+  static compare(base, head, labels = {}) {
+    assertComparable(base, labels.base || 'base');
+    assertComparable(head, labels.head || 'head');
+
+    // A section only one side has (payloads and auth come from --deep-analysis runs) was most likely
+    // never extracted on the other, so it is left out instead of reported as all added or removed
+    const skipped = Object.keys(SECTIONS).filter(section => hasEntries(base[section]) !== hasEntries(head[section]));
+    const before = section => (skipped.includes(section) ? {} : base[section] || {});
+    const after = section => (skipped.includes(section) ? {} : head[section] || {});
+
+    const report = {
+      base: labels.base || revision(base),
+      head: labels.head || revision(head),
+      routes: this.compareRoutes({ apiRoutes: before('apiRoutes') }, { apiRoutes: after('apiRoutes') }),
+      authPolicies: this.compareAuthPolicies(before('authPolicies'), after('authPolicies')),
+      serviceDependencies: this.compareDependencies(before('serviceDependencies'), after('serviceDependencies')),
+      schemaSnapshots: this.compareSchemas(before('schemaSnapshots'), after('schemaSnapshots')),
+      apiPayloads: this.comparePayloads(before('apiPayloads'), after('apiPayloads')),
+      skipped: skipped.map(section => SECTIONS[section])
+    };
+
+    report.hasChanges = [
+      report.routes.added, report.routes.removed,
+      report.authPolicies.added, report.authPolicies.removed, report.authPolicies.changed,
+      report.serviceDependencies.added, report.serviceDependencies.removed,
+      report.schemaSnapshots.addedModels, report.schemaSnapshots.removedModels, report.schemaSnapshots.changedFields,
+      report.apiPayloads.added, report.apiPayloads.removed, report.apiPayloads.changed
+    ].some(list => list.length > 0);
+
+    return report;
+  }
+
+  static compareRoutes(base, head) {
+    const before = routeVisibility(base);
+    const after = routeVisibility(head);
+
+    return {
+      added: [...after].filter(([route]) => !before.has(route)).map(([route, visibility]) => ({ route, visibility })),
+      removed: [...before].filter(([route]) => !after.has(route)).map(([route, visibility]) => ({ route, visibility }))
+    };
+  }
+
+  static compareAuthPolicies(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+
+    return {
+      added: added.map(endpoint => ({ endpoint, policy: after[endpoint] })),
+      removed: removed.map(endpoint => ({ endpoint, policy: before[endpoint] })),
+      changed: common
+        .filter(endpoint => before[endpoint] !== after[endpoint])
+        .map(endpoint => ({ endpoint, before: before[endpoint], after: after[endpoint] }))
+    };
+  }
+
+  static compareDependencies(before, after) {
+    const pairs = deps => new Set(Object.entries(deps).flatMap(([service, list]) => list.map(dep => `${service}\u0000${dep}`)));
+    const toEntry = pair => {
+      const [service, dependency] = pair.split('\u0000');
+      return { service, dependency };
+    };
+    const beforePairs = pairs(before);
+    const afterPairs = pairs(after);
+
+    return {
+      added: [...afterPairs].filter(pair => !beforePairs.has(pair)).sort().map(toEntry),
+      removed: [...beforePairs].filter(pair => !afterPairs.has(pair)).sort().map(toEntry)
+    };
+  }
+
+  static compareSchemas(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+
+    return {
+      addedModels: added,
+      removedModels: removed,
+      changedFields: common.flatMap(model =>
+        compareFields(before[model], after[model]).map(change => ({ model, ...change }))
+      )
+    };
+  }
+
+  static comparePayloads(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+
+    return {
+      added,
+      removed,
+      changed: common.flatMap(endpoint => ['request', 'response', 'responses'].flatMap(part =>
+        compareFields(payloadPart(before[endpoint], part), payloadPart(after[endpoint], part))
+          .map(change => ({ endpoint, part, ...change }))
+      ))
+    };
+  }
+
+  // PR-comment friendly report
+  static toMarkdown(report) {
+    const lines = ['## 🔍 Change Impact', ''];
+    lines.push(`Comparing \`${report.base}\` → \`${report.head}\``, '');
+    if (report.skipped?.length > 0) {
+      lines.push(`_Not compared, only one summary has them: ${report.skipped.join(', ')}._`, '');
+    }
+
+    if (!report.hasChanges) {
+      lines.push('No route, auth, dependency, schema or payload changes detected.');
+      return lines.join('\n');
+    }
+
+    const { routes, authPolicies, serviceDependencies, schemaSnapshots, apiPayloads } = report;
+
+    if (routes.added.length || routes.removed.length) {
+      lines.push('### 🛣️ Routes', '');
+      routes.added.forEach(({ route, visibility }) => lines.push(`- ➕ \`${route}\` (${visibility})`));
+      routes.removed.forEach(({ route, visibility }) => lines.push(`- ➖ \`${route}\` (${visibility})`));
+      lines.push('');
+    }
+
+    if (authPolicies.added.length || authPolicies.removed.length || authPolicies.changed.length) {
+      lines.push('### 🔐 Auth Policies', '');
+      authPolicies.changed.forEach(({ endpoint, before, after }) => lines.push(`- ✏️ \`${endpoint}\`: ${before} → **${after}**`));
+      authPolicies.added.forEach(({ endpoint, policy }) => lines.push(`- ➕ \`${endpoint}\`: ${policy}`));
+      authPolicies.removed.forEach(({ endpoint, policy }) => lines.push(`- ➖ \`${endpoint}\`: ${policy}`));
+      lines.push('');
+    }
+
+    if (serviceDependencies.added.length || serviceDependencies.removed.length) {
+      lines.push('### 🔗 Service Dependencies', '');
+      serviceDependencies.added.forEach(({ service, dependency }) => lines.push(`- ➕ ${service} → ${dependency}`));
+      serviceDependencies.removed.forEach(({ service, dependency }) => lines.push(`- ➖ ${service} → ${dependency}`));
+      lines.push('');
+    }
+
+    if (schemaSnapshots.addedModels.length || schemaSnapshots.removedModels.length || schemaSnapshots.changedFields.length) {
+      lines.push('### 🗂️ Schemas', '');
+      schemaSnapshots.addedModels.forEach(model => lines.push(`- ➕ model **${model}**`));
+      schemaSnapshots.removedModels.forEach(model => lines.push(`- ➖ model **${model}**`));
+      schemaSnapshots.changedFields.forEach(change => lines.push(`- ${fieldChange(change, `${change.model}.${change.field}`)}`));
+      lines.push('');
+    }
+
+    if (apiPayloads.added.length || apiPayloads.removed.length || apiPayloads.changed.length) {
+      lines.push('### 📦 Payloads', '');
+      apiPayloads.added.forEach(endpoint => lines.push(`- ➕ \`${endpoint}\``));
+      apiPayloads.removed.forEach(endpoint => lines.push(`- ➖ \`${endpoint}\``));
+      apiPayloads.changed.forEach(change => lines.push(`- \`${change.endpoint}\` ${change.part}: ${fieldChange(change, change.field)}`));
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+}
+
+// Both sides must be summaries this release writes; older ones keep routes as plain strings
+function assertComparable(summary, label) {
+  const { valid, errors } = SummaryValidator.validate(summary);
+  if (!valid) {
+    throw new Error(`Cannot compare ${label}: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`);
+  }
+}
+
+function hasEntries(section) {
+  if (!section || typeof section !== 'object') return false;
+  return Object.values(section).some(value => (Array.isArray(value) ? value.length > 0 : true));
+}
+
+function revision(summary) {
+  const git = summary.git || {};
+  return git.sha ? `${git.branch && git.branch !== 'HEAD' ? `${git.branch}@` : ''}${git.sha.slice(0, 7)}` : summary.generatedAt || 'unknown';
+}
+
+// "METHOD /path" (prefixed with the repository on merged summaries) -> visibility
+function routeVisibility(summary) {
+  const routes = new Map();
+  const key = route => `${route.repository ? `${route.repository}:` : ''}${route.method} ${route.fullPath}`;
+  (summary.apiRoutes?.publicRoutes || []).forEach(route => routes.set(key(route), 'public'));
+  (summary.apiRoutes?.internalRoutes || []).forEach(route => routes.set(key(route), 'internal'));
+  return routes;
+}
+
+function compareKeys(before, after) {
+  const beforeKeys = Object.keys(before);
+  const afterKeys = Object.keys(after);
+
+  return {
+    added: afterKeys.filter(key => !(key in before)).sort(),
+    removed: beforeKeys.filter(key => !(key in after)).sort(),
+    common: beforeKeys.filter(key => key in after).sort()
+  };
+}
+
+// Status codes compare by their body text, so "404: no body" -> "404: message: string" is one change
+function payloadPart(payload, part) {
+  const fields = payload[part] || {};
+  return part === 'responses' ? Object.fromEntries(Object.entries(fields).map(([status, body]) => [status, bodyText(body)])) : fields;
+}
+
+// Field-level changes between two (possibly nested) field maps, by dotted path
+function compareFields(before, after) {
+  const beforeFields = new Map(flattenFields(before));
+  const afterFields = new Map(flattenFields(after));
+  const changes = [];
+
+  for (const [field, type] of afterFields) {
+    if (!beforeFields.has(field)) {
+      changes.push({ field, change: 'added', after: type });
+    } else if (beforeFields.get(field) !== type) {
+      changes.push({ field, change: 'changed', before: beforeFields.get(field), after: type });
+    }
+  }
+  for (const [field, type] of beforeFields) {
+    if (!afterFields.has(field)) changes.push({ field, change: 'removed', before: type });
+  }
+
+  return changes;
+}
+
+function fieldChange({ change, before, after }, name) {
+  if (change === 'added') return `➕ \`${name}\`: ${after}`;
+  if (change === 'removed') return `➖ \`${name}\`: ${before}`;
+  return `✏️ \`${name}\`: ${before} → **${after}**`;
+}
@@ -0,0 +1,115 @@
+import path from 'path';
+
+// Combines per-repository summaries into one summary with the same shape. Every
+// entry is tagged with its repository name ("api:/orders", "api:OrderService", ...)
+// and per-repository metadata (root, git, frameworks) moves to `repositories`.
+// Route objects, GraphQL operations, realtime events, message channels, background jobs
+// and spec drift findings keep their names and gain a `repository` field instead.
+export class SummaryMerger {
+  static merge(results) {
+    const merged = {
+      schemaVersion: results[0]?.summary.schemaVersion,
+      generatedAt: new Date().toISOString(),
+      repositories: [],
+      git: {},
+      modules: [],
+      services: {
+        businessServices: [],
+        utilityServices: []
+      },
+      apiRoutes: {
+        publicRoutes: [],
+        internalRoutes: []
+      },
+      dbModels: [],
+      utils: {
+        byDomain: {},
+        files: []
+      },
+      frameworks: {
+        frontend: '',
+        backend: '',
+        dependencies: {}
+      },
+      globalPatterns: [],
+      serviceDependencies: {},
+      schemaSnapshots: {},
+      apiPayloads: {},
+      authPolicies: {},
+      businessFlows: {},
+      graphql: {
+        queries: [],
+        mutations: [],
+        subscriptions: []
+      },
+      realtimeEvents: [],
+      messageChannels: [],
+      backgroundJobs: [],
+      apiSpecDrift: []
+    };
+
+    const backends = new Set();
+    const frontends = new Set();
+
+    for (const { repository, root, summary } of results) {
+      const tag = value => `${repository}:${value}`;
+
+      merged.repositories.push({ name: repository, root, git: summary.git, frameworks: summary.frameworks });
+
+      merged.modules.push(...(summary.modules || []).map(tag));
+      merged.services.businessServices.push(...summary.services.businessServices.map(tag));
+      merged.services.utilityServices.push(...summary.services.utilityServices.map(tag));
+      merged.apiRoutes.publicRoutes.push(...summary.apiRoutes.publicRoutes.map(route => ({ ...route, repository })));
+      merged.apiRoutes.internalRoutes.push(...summary.apiRoutes.internalRoutes.map(route => ({ ...route, repository })));
+      for (const section of Object.keys(merged.graphql)) {
+        merged.graphql[section].push(...(summary.graphql?.[section] || []).map(operation => ({ ...operation, repository })));
+      }
+      merged.realtimeEvents.push(...(summary.realtimeEvents || []).map(event => ({ ...event, repository })));
+      merged.messageChannels.push(...(summary.messageChannels || []).map(channel => ({ ...channel, repository })));
+      merged.backgroundJobs.push(...(summary.backgroundJobs || []).map(job => ({ ...job, repository })));
+      merged.apiSpecDrift.push(...(summary.apiSpecDrift || []).map(finding => ({ ...finding, repository })));
+      merged.dbModels.push(...summary.dbModels.map(tag));
+      merged.globalPatterns.push(...summary.globalPatterns.map(tag));
+
+      for (const [domain, files] of Object.entries(summary.utils.byDomain || {})) {
+        merged.utils.byDomain[domain] = [
+          ...(merged.utils.byDomain[domain] || []),
+          ...files.map(util => ({ ...util, file: tag(util.file) }))
+        ];
+      }
+      merged.utils.files.push(...(summary.utils.files || []).map(util => ({ ...util, name: tag(util.name) })));
+
+      splitList(summary.frameworks.backend).forEach(name => backends.add(name));
+      splitList(summary.frameworks.frontend).forEach(name => frontends.add(name));
+      Object.assign(merged.frameworks.dependencies, summary.frameworks.dependencies || {});
+
+      for (const key of ['serviceDependencies', 'schemaSnapshots', 'apiPayloads', 'authPolicies', 'businessFlows']) {
+        for (const [name, value] of Object.entries(summary[key] || {})) {
+          merged[key][tag(name)] = value;
+        }
+      }
+    }
+
+    merged.frameworks.backend = [...backends].join(', ') || 'Unknown';
+    merged.frameworks.frontend = [...frontends].join(', ') || 'None detected';
+
+    return merged;
+  }
+
+  // Repository names default to the directory name, made unique when two roots share one
+  static repositoryNames(roots) {
+    const counts = {};
+    return roots.map(root => {
+      const base = path.basename(path.resolve(root)) || 'root';
+      counts[base] = (counts[base] || 0) + 1;
+      return counts[base] === 1 ? base : `${base}-${counts[base]}`;
+    });
+  }
+}
+
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item && item !== 'Unknown' && item !== 'None detected');
+}
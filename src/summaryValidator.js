@@ -0,0 +1,49 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+
+const SCHEMA_FILE = new URL('../schema/codebase-summary.schema.json', import.meta.url);
+
+// Checks summaries against the published JSON Schema (schema/codebase-summary.schema.json)
+export class SummaryValidator {
+  static schema() {
+    if (!this.cachedSchema) {
+      this.cachedSchema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    }
+    return this.cachedSchema;
+  }
+
+  static validate(summary) {
+    // A summary from another release breaks the schema in many places at once; name the cause instead
+    const expected = this.schema().properties.schemaVersion.const;
+    const version = summary?.schemaVersion;
+    if (version !== expected) {
+      return {
+        valid: false,
+        errors: [`schemaVersion is ${version === undefined ? 'missing' : JSON.stringify(version)} but this release reads ${expected}; regenerate the summary`]
+      };
+    }
+
+    if (!this.compiled) {
+      const ajv = new Ajv({ allErrors: true, validateFormats: false });
+      this.compiled = ajv.compile(this.schema());
+    }
+
+    const valid = this.compiled(summary);
+    const errors = valid ? [] : this.compiled.errors.map(error => {
+      const location = error.instancePath || '(root)';
+      const detail = error.params?.additionalProperty ? ` "${error.params.additionalProperty}"` : '';
+      return `${location} ${error.message}${detail}`;
+    });
+
+    return { valid, errors };
+  }
+
+  // Throws with every schema violation listed, for callers that must not emit a bad summary
+  static assertValid(summary) {
+    const { valid, errors } = this.validate(summary);
+    if (!valid) {
+      throw new Error(`Summary does not match schema ${this.schema().$id}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return summary;
+  }
+}
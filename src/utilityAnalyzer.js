@@ -1,31 +1,26 @@
 import path from 'path';
-import fs from 'fs/promises';
-import fg from 'fast-glob';
+import { SourceParser, walk, memberPath, isFunctionNode } from './sourceParser.js';
+import { FileIndex } from './fileIndex.js';
+import { resolveConfig } from './projectConfig.js';
+import { AnalysisCache } from './analysisCache.js';
 
 export class UtilityAnalyzer {
-  constructor(projectRoot, limit = 100) {
+  constructor(projectRoot, limit = 100, options = {}) {
     this.projectRoot = projectRoot;
     this.limit = limit;
+    this.config = options.config || resolveConfig();
+    this.fileIndex = options.fileIndex || new FileIndex(projectRoot, { config: this.config });
+    this.parser = options.parser || new SourceParser({ fileIndex: this.fileIndex });
+    this.cache = options.cache || new AnalysisCache();
     this.utilsByDomain = {};
     this.utilsFiles = [];
   }
 
   async extract() {
-    const utilPatterns = [
-      '**/utils/**/*.{js,ts}',
-      '**/helpers/**/*.{js,ts}',
-      '**/lib/**/*.{js,ts}',
-      '**/*util*.{js,ts}',
-      '**/*helper*.{js,ts}'
-    ];
-
-    const files = await fg(utilPatterns, {
-      cwd: this.projectRoot,
-      ignore: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/coverage/**', '**/test*/**'],
-      absolute: true
-    });
+    const files = await this.fileIndex.match(this.config.patterns.utils);
 
-    await Promise.all(files.map(file => this.processFile(file)));
+    const fragments = await this.cache.analyzeFiles('utils', files, file => this.processFile(file));
+    fragments.forEach(fragment => this.mergeFragment(fragment));
 
     return {
       byDomain: this.utilsByDomain,
@@ -35,42 +30,51 @@ export class UtilityAnalyzer {
 
   async processFile(file) {
     try {
-      const content = await fs.readFile(file, 'utf8');
+      const { content, ast } = await this.parser.parseFile(file);
       const filename = path.basename(file);
       const domain = this.categorizeDomain(filename, content);
-      const functions = this.extractFunctions(content);
-
-      const fileSummary = { file: filename, functions };
-
-      if (!this.utilsByDomain[domain]) {
-        this.utilsByDomain[domain] = [];
-      }
-      this.utilsByDomain[domain].push(fileSummary);
+      const functions = this.extractFunctions(ast);
 
-      this.utilsFiles.push({
-        name: filename,
-        domain,
-        functions
-      });
+      return { name: filename, domain, functions };
     } catch {
       // Silent fail
+      return null;
     }
   }
 
-  extractFunctions(content) {
+  mergeFragment(fragment) {
+    if (!fragment) return;
+    const { name, domain, functions } = fragment;
+
+    if (!this.utilsByDomain[domain]) {
+      this.utilsByDomain[domain] = [];
+    }
+    this.utilsByDomain[domain].push({ file: name, functions });
+
+    this.utilsFiles.push({ name, domain, functions });
+  }
+
+  extractFunctions(ast) {
     const functions = new Set();
 
-    // Function declarations
-    const matches1 = [...content.matchAll(/function\s+([A-Za-z0-9_]+)/g)];
-    matches1.forEach(m => functions.add(m[1]));
+    walk(ast, node => {
+      // Function declarations
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        functions.add(node.id.name);
+      }
 
-    // Arrow function assignments
-    const matches2 = [...content.matchAll(/(?:const|let|var)\s+([A-Za-z0-9_]+)\s*=\s*(?:async\s+)?\(/g)];
-    matches2.forEach(m => functions.add(m[1]));
+      // Arrow function and function expression assignments
+      if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && isFunctionNode(node.init)) {
+        functions.add(node.id.name);
+      }
 
-    // Module exports
-    const matches3 = [...content.matchAll(/exports\.(\w+)/g)];
-    matches3.forEach(m => functions.add(m[1]));
+      // Module exports: exports.fn = ... / module.exports.fn = ...
+      if (node.type === 'AssignmentExpression') {
+        const target = memberPath(node.left) || '';
+        const match = target.match(/^(?:module\.)?exports\.(\w+)$/);
+        if (match) functions.add(match[1]);
+      }
+    });
 
     return [...functions].sort().slice(0, this.limit);
   }
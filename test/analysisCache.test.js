@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AnalysisCache } from '../src/index.js';
+import { analyzerVersion } from '../src/analysisCache.js';
+
+// Every file has the same content hash, so only the cache-level checks decide reuse
+const fileIndex = { get: file => ({ relativePath: file, hash: 'same-content' }) };
+
+async function cachedRun(cacheFile, key) {
+  const cache = await new AnalysisCache({ cacheFile, fileIndex, key }).load();
+  const results = await cache.analyzeFiles('routes', ['a.js'], file => ({ file }));
+  await cache.save();
+  return { results, ...cache.stats() };
+}
+
+test('reuses fragments only for the same analyzer code and key', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const cacheFile = path.join(dir, 'cache.json');
+
+  assert.deepEqual(await cachedRun(cacheFile, 'k1'), { results: [{ file: 'a.js' }], analyzed: 1, reused: 0 });
+  assert.equal((await cachedRun(cacheFile, 'k1')).reused, 1);
+  assert.equal((await cachedRun(cacheFile, 'k2')).analyzed, 1, 'a different key discards the cache');
+
+  const data = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+  assert.equal(data.analyzer, await analyzerVersion());
+  await fs.writeFile(cacheFile, JSON.stringify({ ...data, analyzer: 'older-analyzer' }));
+  assert.equal((await cachedRun(cacheFile, 'k2')).analyzed, 1, 'other analyzer sources discard the cache');
+});
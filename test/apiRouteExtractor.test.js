@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { colonPath, routeKey, routeParams, routeTemplate } from '../src/apiRouteExtractor.js';
+import { summarizeFixture } from './helpers.js';
+
+test('keeps the first registration of a route and files its payloads under it', async () => {
+  const summary = await summarizeFixture('express-duplicate-routes', { deepAnalysis: true });
+  const routes = summary.apiRoutes.publicRoutes.map(route => `${route.method} ${route.fullPath}`);
+
+  assert.deepEqual(routes, ['GET /users/:userId/orders/:orderId']);
+  assert.deepEqual(Object.keys(summary.apiPayloads), routes);
+  assert.deepEqual(Object.keys(summary.apiPayloads[routes[0]].responses).sort(), ['200', '404']);
+  assert.ok(Object.keys(summary.authPolicies).every(key => routes.includes(key)));
+});
+
+test('qualifies routes with the prefixes of the routers they are mounted on', async () => {
+  const { apiRoutes } = await summarizeFixture('mounted-routers', { only: ['routes'] });
+  const express = routes => routes.filter(route => ['src/routes/orders.js', 'src/routes/admin.js'].includes(route.file))
+    .map(route => `${route.method} ${route.fullPath}`);
+
+  assert.deepEqual(express(apiRoutes.publicRoutes), ['GET /api/v1/orders', 'GET /api/v1/orders/:orderId/items/:itemId?']);
+  assert.deepEqual(express(apiRoutes.internalRoutes), ['POST /internal/reindex']);
+  assert.equal(apiRoutes.internalRoutes.find(route => route.file === 'src/routes/admin.js').rawPath, '/reindex');
+});
+
+test('keeps payloads and auth policies of two routers in one file apart when they share a path', async () => {
+  const { apiPayloads, authPolicies } = await summarizeFixture('mounted-routers', { only: ['routes', 'payloads', 'auth'] });
+
+  assert.deepEqual(Object.keys(apiPayloads['GET /items'].responses), ['200']);
+  assert.deepEqual(Object.keys(apiPayloads['GET /admin/items'].responses), ['206']);
+  assert.equal(authPolicies['GET /admin/items'], 'Role: admin');
+  assert.equal(authPolicies['GET /items'], undefined);
+});
+
+test('reports each route parameter with its segment, constraint and optional marker', async () => {
+  const { apiRoutes } = await summarizeFixture('mounted-routers', { only: ['routes'] });
+  const route = apiRoutes.publicRoutes.find(candidate => candidate.fullPath.endsWith(':itemId?'));
+
+  assert.deepEqual(route.params, [
+    { name: 'orderId', position: 3, pattern: null, optional: false },
+    { name: 'itemId', position: 5, pattern: null, optional: true }
+  ]);
+});
+
+test('gives the same key to paths that differ only in parameter names or constraints', () => {
+  assert.equal(routeKey('/users/:userId(\\d+)/files/[...path]'), routeKey('/users/:id/files/{path*}'));
+  assert.deepEqual(routeParams('/files/:id(\\d+)'), [{ name: 'id', position: 1, pattern: '\\d+', optional: false }]);
+  assert.equal(routeTemplate('/files/:id(\\d+)/[[...rest]]'), '/files/{id}/{rest}');
+});
+
+test('writes Next.js and Hapi parameters in :param form', () => {
+  assert.equal(colonPath('/users/[id]/files/[...path]'), '/users/:id/files/:path+');
+  assert.equal(colonPath('/docs/[[...slug]]'), '/docs/:slug*');
+  assert.equal(colonPath('/stores/{storeId}/{lang?}/{path*}'), '/stores/:storeId/:lang?/:path*');
+  assert.equal(colonPath('/files/:id(\\d+)'), '/files/:id(\\d+)');
+  assert.equal(routeTemplate('/files/:path+'), '/files/{path}');
+  assert.deepEqual(routeParams('/docs/:slug*').map(param => param.optional), [true]);
+});
+
+test('reads Fastify plugin prefixes, route() method lists, Koa router prefixes and Hapi route configs', async () => {
+  const { apiRoutes } = await summarizeFixture('mounted-routers', { only: ['routes'] });
+  const files = ['src/plugins/catalog.js', 'src/routes/reviews.js', 'src/routes/stores.js'];
+  const routes = apiRoutes.publicRoutes.filter(route => files.includes(route.file)).map(route => `${route.method} ${route.fullPath}`);
+
+  assert.deepEqual(routes, [
+    'GET /catalog/products/:sku',
+    'PATCH /catalog/products/:sku',
+    'PUT /catalog/products/:sku',
+    'GET /reviews/:reviewId',
+    'GET /stores/:storeId'
+  ]);
+  assert.equal(apiRoutes.publicRoutes.find(route => route.file === 'src/routes/stores.js').rawPath, '/stores/{storeId}');
+});
+
+test('joins NestJS controller paths with the global prefix and URI versions', async () => {
+  const { apiRoutes } = await summarizeFixture('nest-app', { only: ['routes'] });
+
+  assert.deepEqual(apiRoutes.publicRoutes.map(route => `${route.method} ${route.fullPath} ${route.handler}`), [
+    'GET /api/v1/orders/:id OrdersController.findOne',
+    'POST /api/v1/users UsersController.create',
+    'POST /api/v2/orders OrdersController.create',
+    'POST /api/v2/users UsersController.create'
+  ]);
+  assert.deepEqual(apiRoutes.publicRoutes[2].middleware, ["AuthGuard('jwt')"]);
+  assert.deepEqual(apiRoutes.publicRoutes[3].middleware, ["AuthGuard('jwt')", 'RolesGuard']);
+});
+
+test('puts middleware from use() calls on the mount chain and the route\'s router before its own', async () => {
+  const { apiRoutes } = await summarizeFixture('express-mounted-auth', { only: ['routes'] });
+  const middleware = Object.fromEntries([...apiRoutes.publicRoutes, ...apiRoutes.internalRoutes]
+    .map(route => [`${route.method} ${route.fullPath}`, route.middleware]));
+
+  assert.deepEqual(middleware, {
+    'GET /api/users': ['authenticate'],
+    'GET /api/users/:id': ['authenticate', "requireRole('support')"],
+    'GET /api/admin/billing/invoices': ["requireRole('admin')", "requirePermission('billing:read')"],
+    'GET /api/admin/reports': ["requireRole('admin')"],
+    'GET /api/admin/status': []
+  });
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('adds spec-only operations as routes in :param form and matches the rest to the code', async () => {
+  const summary = await summarizeFixture('express-openapi-spec', { deepAnalysis: true });
+  const refund = summary.apiRoutes.publicRoutes.find(route => route.handler === 'refundOrder');
+
+  assert.deepEqual(summary.apiRoutes.publicRoutes.map(route => `${route.method} ${route.fullPath}`), [
+    'GET /orders/:orderId',
+    'POST /orders/:orderId/refunds'
+  ]);
+  assert.equal(refund.rawPath, '/orders/{orderId}/refunds');
+  assert.deepEqual(refund.params.map(param => param.name), ['orderId']);
+  assert.equal(summary.apiPayloads['POST /orders/:orderId/refunds'].request.amount.required, true);
+  assert.deepEqual(summary.apiSpecDrift.map(entry => `${entry.kind} ${entry.endpoint}`), ['unimplemented POST /orders/:orderId/refunds']);
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('combines NestJS controller and method guards for every controller version', async () => {
+  const { authPolicies } = await summarizeFixture('nest-app', { only: ['routes', 'auth'] });
+
+  assert.equal(authPolicies['POST /api/v2/orders'], 'Authenticated');
+  for (const key of ['POST /api/v1/users', 'POST /api/v2/users']) {
+    assert.equal(authPolicies[key], 'Authenticated + Role-based + Role: admin');
+  }
+});
+
+test('applies guards from mount-level and router-level use() calls across files', async () => {
+  const { authPolicies } = await summarizeFixture('express-mounted-auth', { only: ['routes', 'auth'] });
+
+  assert.deepEqual(authPolicies, {
+    'GET /api/users': 'Authenticated',
+    'GET /api/users/:id': 'Authenticated + Role: support',
+    'GET /api/admin/reports': 'Role: admin',
+    'GET /api/admin/billing/invoices': 'Role: admin + Permission: billing:read'
+  });
+});
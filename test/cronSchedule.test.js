@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeCron, describeInterval, isCronExpression } from '../src/cronSchedule.js';
+
+const CADENCES = [
+  ['*/5 * * * *', 'every 5 minutes'],
+  ['0 * * * *', 'every hour'],
+  ['5 * * * *', 'every hour at minute 5'],
+  ['15,45 * * * *', 'every hour at minutes 15 and 45'],
+  ['1-5 * * * *', 'every hour at minutes 1–5'],
+  ['0 */2 * * *', 'every 2 hours'],
+  ['15 10 * * *', 'daily at 10:15'],
+  ['30 9,17 * * *', 'daily at 09:30 and 17:30'],
+  ['15,45 9 * * *', 'daily at 09:15 and 09:45'],
+  ['*/10 9-17 * * *', 'every 10 minutes between 09:00 and 17:59'],
+  ['0 9 * * 1-5', 'at 09:00 on Monday–Friday'],
+  ['0 9 * * MON-FRI', 'at 09:00 on Monday–Friday'],
+  ['0 0 * * SUN', 'at 00:00 on Sunday'],
+  ['0 0 1 JAN,JUL *', 'at 00:00 on day 1 of the month in January, July'],
+  ['0 0 1 1 *', 'at 00:00 on day 1 of the month in January'],
+  ['*/30 * * * * *', 'every 30 seconds'],
+  ['@daily', 'daily at 00:00']
+];
+
+for (const [expression, cadence] of CADENCES) {
+  test(`describes '${expression}' as "${cadence}"`, () => {
+    assert.ok(isCronExpression(expression));
+    assert.equal(describeCron(expression), cadence);
+  });
+}
+
+const INVALID = [
+  '61 25 * * *',
+  '0 24 * * *',
+  '60 * * * *',
+  '0 0 0 * *',
+  '0 0 32 * *',
+  '0 0 * 13 *',
+  '0 0 * 0 *',
+  '0 0 * * 8',
+  '0 0 * FOO *',
+  '*/0 * * * *',
+  '0 9-25 * * *',
+  '? * * * *',
+  '60 * * * * *',
+  'every five minutes',
+  '* * * *'
+];
+
+for (const expression of INVALID) {
+  test(`rejects '${expression}' as a cron expression`, () => {
+    assert.equal(isCronExpression(expression), false);
+    assert.equal(describeCron(expression), null);
+  });
+}
+
+test('accepts day-of-month and weekday special forms', () => {
+  for (const expression of ['0 0 L * *', '0 0 15W * ?', '0 0 ? * 5#2', '0 0 * * 7', '0 0 * * FRI/2']) {
+    assert.ok(isCronExpression(expression), expression);
+  }
+});
+
+test('describes intervals in their largest whole unit', () => {
+  assert.equal(describeInterval(300000), 'every 5 minutes');
+  assert.equal(describeInterval(60 * 60 * 1000), 'every hour');
+  assert.equal(describeInterval(0), null);
+});
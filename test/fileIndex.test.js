@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FileIndex } from '../src/fileIndex.js';
+import { fixturePath } from './helpers.js';
+
+test('indexes the project once with languages and roles', async () => {
+  const index = new FileIndex(fixturePath('express-controllers'));
+  const build = index.build();
+
+  assert.equal(index.build(), build);
+  await build;
+  assert.deepEqual([...index.entries.values()].map(entry => [entry.relativePath, entry.roles]).sort(), [
+    ['controllers/orders.js', ['route']],
+    ['controllers/users.js', ['route']],
+    ['routes/orders.js', ['route']],
+    ['routes/users.js', ['route']],
+    ['schemas/order.js', ['model']]
+  ]);
+  assert.deepEqual(index.stats().roles, { route: 4, model: 1 });
+});
+
+test('matches indexed files by glob and by role', async () => {
+  const index = new FileIndex(fixturePath('express-controllers'));
+
+  assert.deepEqual(await index.match(['**/controllers/**'], ['**/users.js']), [fixturePath('express-controllers/controllers/orders.js')]);
+  assert.deepEqual(await index.byRole('model'), [fixturePath('express-controllers/schemas/order.js')]);
+  assert.equal(index.get(fixturePath('express-controllers/schemas/order.js')).language, 'javascript');
+});
+
+test('indexes GraphQL documents and leaves out oversized files', async () => {
+  const graphql = new FileIndex(fixturePath('graphql-api'));
+  const small = new FileIndex(fixturePath('graphql-api'), { maxFileSize: 1 });
+
+  assert.deepEqual((await graphql.build()).stats().languages, { graphql: 1, javascript: 1 });
+  assert.equal((await small.build()).stats().files, 0);
+});
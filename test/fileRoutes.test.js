@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('reads pages/api methods from req.method checks and the code that runs past them', async () => {
+  const summary = await summarizeFixture('next-pages-api', { only: ['routes'] });
+  const methods = {};
+  for (const route of summary.apiRoutes.publicRoutes) (methods[route.fullPath] ||= []).push(route.method);
+
+  assert.deepEqual(methods, {
+    '/api/files/:path+': ['ALL'],
+    '/api/health-check': ['ALL'],
+    '/api/orders': ['ALL', 'POST'],
+    '/api/session': ['POST'],
+    '/api/users': ['GET', 'POST'],
+    '/api/users/:id': ['GET']
+  });
+});
+
+test('writes [id] and [...path] segments in :param form and keeps the file name form as rawPath', async () => {
+  const summary = await summarizeFixture('next-pages-api', { only: ['routes'] });
+  const route = fullPath => summary.apiRoutes.publicRoutes.find(candidate => candidate.fullPath === fullPath);
+
+  assert.deepEqual([route('/api/users/:id').rawPath, route('/api/files/:path+').rawPath], ['/api/users/[id]', '/api/files/[...path]']);
+  assert.deepEqual(route('/api/users/:id').params, [{ name: 'id', position: 2, pattern: null, optional: false }]);
+});
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+router.get('/invoices', async (req, res) => {
+  res.json([]);
+});
+
+router.post('/ops/invoices/resend', async (req, res) => {
+  res.sendStatus(202);
+});
+
+module.exports = router;
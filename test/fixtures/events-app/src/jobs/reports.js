@@ -0,0 +1,12 @@
+const cron = require('node-cron');
+const reportService = require('../services/reportService');
+
+function sendDailyReport() {
+  return reportService.sendDaily();
+}
+
+cron.schedule('0 9 * * MON-FRI', sendDailyReport);
+
+setInterval(() => reportService.refreshCache(), 5 * 60 * 1000);
+
+cron.schedule(process.env.ARCHIVE_CRON, () => reportService.archive());
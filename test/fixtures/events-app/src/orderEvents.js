@@ -0,0 +1,25 @@
+const { Kafka } = require('kafkajs');
+const { Queue, Worker } = require('bullmq');
+
+const kafka = new Kafka({ brokers: ['localhost:9092'] });
+const producer = kafka.producer();
+const consumer = kafka.consumer({ groupId: 'billing' });
+const emailQueue = new Queue('emails');
+
+async function publishOrderCreated(order) {
+  await producer.send({ topic: 'orders.created', messages: [{ value: JSON.stringify({ orderId: order.id }) }] });
+  await emailQueue.add('order-confirmation', { orderId: order.id });
+}
+
+async function start() {
+  await consumer.subscribe({ topic: 'payments.settled' });
+  await consumer.run({ eachMessage: async ({ message }) => message });
+}
+
+new Worker('emails', async job => job.data);
+
+async function publish(topic, event) {
+  await producer.send({ topic, messages: [{ value: JSON.stringify(event) }] });
+}
+
+module.exports = { publishOrderCreated, publish, start };
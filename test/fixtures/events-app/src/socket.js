@@ -0,0 +1,11 @@
+const { Server } = require('socket.io');
+
+const io = new Server(3001);
+const chat = io.of('/chat');
+
+chat.on('connection', socket => {
+  socket.on('message:send', payload => {
+    chat.to(payload.room).emit('message:new', { text: payload.text });
+  });
+  socket.emit('welcome', { ok: true });
+});
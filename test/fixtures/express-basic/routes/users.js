@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+
+router.get('/users/:id', async (req, res) => {
+  res.json({ id: req.params.id });
+});
+
+module.exports = router;
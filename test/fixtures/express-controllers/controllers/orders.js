@@ -0,0 +1,13 @@
+import { createOrderSchema } from '../schemas/order';
+
+export async function getOrder(req, res) {
+  if (req.params.orderId === '0') {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  res.json({ id: req.params.orderId, total: 0 });
+}
+
+export const createOrder = async (req, res) => {
+  const input = createOrderSchema.parse(req.body);
+  res.status(201).json({ id: 'order-1', quantity: input.quantity });
+};
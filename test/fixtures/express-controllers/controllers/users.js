@@ -0,0 +1,3 @@
+exports.getUser = async (req, res) => {
+  res.json({ id: req.params.id, name: 'Ada' });
+};
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { getOrder, createOrder } from '../controllers/orders';
+
+const router = Router();
+const asyncHandler = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+function listOrders(req, res) {
+  res.json({ orders: [] });
+}
+
+router.get('/orders', listOrders);
+router.get('/orders/:orderId(\\d+)', getOrder);
+router.post('/orders', asyncHandler(createOrder));
+
+export default router;
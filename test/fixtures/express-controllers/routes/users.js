@@ -0,0 +1,8 @@
+const express = require('express');
+const userController = require('../controllers/users');
+
+const router = express.Router();
+
+router.get('/users/:id', userController.getUser);
+
+module.exports = router;
@@ -0,0 +1,6 @@
+import { z } from 'zod';
+
+export const createOrderSchema = z.object({
+  productId: z.string(),
+  quantity: z.number().int().min(1)
+});
@@ -0,0 +1,16 @@
+const express = require('express');
+const { celebrate, Joi } = require('celebrate');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/users/:userId/orders/:orderId', requireAuth, async (req, res) => {
+  res.json({ id: req.params.orderId, total: 0 });
+});
+
+// The same route again under other parameter names
+router.get('/users/:id/orders/:oid', celebrate({ query: Joi.object({ expand: Joi.boolean() }) }), async (req, res) => {
+  res.status(404).json({ error: 'Order not found' });
+});
+
+module.exports = router;
@@ -0,0 +1,6 @@
+export function validate(schema) {
+  return async (req, res, next) => {
+    const { error } = schema.validate(req.body);
+    return error ? res.status(400).json({ error: error.message }) : next();
+  };
+}
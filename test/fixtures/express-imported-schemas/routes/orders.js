@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { createOrderSchema, updateOrderSchema } from '../schemas/order';
+import { validate } from '../middleware/validate';
+
+const router = Router();
+
+router.post('/orders', validate(createOrderSchema), async (req, res) => {
+  res.status(201).json({ id: 'order-1' });
+});
+
+router.patch('/orders/:id', async (req, res) => {
+  const changes = updateOrderSchema.parse(req.body);
+  res.json({ id: req.params.id, status: changes.status });
+});
+
+export default router;
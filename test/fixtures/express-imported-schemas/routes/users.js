@@ -0,0 +1,11 @@
+const express = require('express');
+const { createUserSchema } = require('../schemas/user');
+
+const router = express.Router();
+
+router.post('/users', async (req, res) => {
+  await createUserSchema.validate(req.body);
+  res.status(201).json({ id: 'user-1' });
+});
+
+module.exports = router;
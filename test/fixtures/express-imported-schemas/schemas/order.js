@@ -0,0 +1,14 @@
+import Joi from 'joi';
+import { z } from 'zod';
+
+export const createOrderSchema = Joi.object({
+  productId: Joi.string().required(),
+  quantity: Joi.number().integer().min(1)
+});
+
+const address = z.object({ city: z.string() });
+
+export const updateOrderSchema = z.object({
+  status: z.enum(['paid', 'shipped']),
+  address
+});
@@ -0,0 +1,5 @@
+const yup = require('yup');
+
+exports.createUserSchema = yup.object({
+  email: yup.string().email().required()
+});
@@ -0,0 +1,13 @@
+const express = require('express');
+const { authenticate } = require('./middleware/auth');
+const usersRouter = require('./routes/users');
+const adminRouter = require('./routes/admin');
+
+const app = express();
+const api = express.Router();
+
+api.use('/users', authenticate, usersRouter);
+api.use('/admin', adminRouter);
+app.use('/api', api);
+
+module.exports = app;
@@ -0,0 +1,5 @@
+exports.authenticate = (req, res, next) => (req.user ? next() : res.sendStatus(401));
+
+exports.requireRole = role => (req, res, next) => (req.user.roles.includes(role) ? next() : res.sendStatus(403));
+
+exports.requirePermission = permission => (req, res, next) => (req.user.permissions.includes(permission) ? next() : res.sendStatus(403));
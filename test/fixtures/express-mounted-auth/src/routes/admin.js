@@ -0,0 +1,14 @@
+const express = require('express');
+const { requireRole, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/status', (req, res) => res.json({ ok: true }));
+
+router.use(requireRole('admin'));
+router.use('/billing', requirePermission('billing:read'));
+
+router.get('/reports', (req, res) => res.json([]));
+router.get('/billing/invoices', (req, res) => res.json([]));
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', async (req, res) => {
+  res.json([]);
+});
+
+router.get('/:id', requireRole('support'), async (req, res) => {
+  res.json({ id: req.params.id });
+});
+
+module.exports = router;
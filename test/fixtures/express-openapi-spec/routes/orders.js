@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+
+router.get('/orders/:orderId', async (req, res) => {
+  res.json({ id: req.params.orderId, total: 0 });
+});
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const resolvers = {
+  Query: {
+    order: (parent, { id }, ctx) => ctx.orders.findById(id),
+    orders: (parent, args, ctx) => ctx.orders.findAll()
+  },
+  Mutation: {
+    cancelOrder: async (parent, { id, reason }, ctx) => ctx.orders.cancel(id, reason)
+  }
+};
+
+module.exports = resolvers;
@@ -0,0 +1,15 @@
+const express = require('express');
+const orderRoutes = require('./routes/orders');
+const adminRoutes = require('./routes/admin');
+const { publicRouter, adminRouter } = require('./routes/items');
+
+const app = express();
+const v1 = express.Router();
+
+v1.use('/orders', orderRoutes);
+app.use('/api/v1', v1);
+app.use('/internal', adminRoutes);
+app.use('/items', publicRouter);
+app.use('/admin/items', adminRouter);
+
+module.exports = app;
@@ -0,0 +1,4 @@
+export default async function catalog(fastify) {
+  fastify.get('/products/:sku', async () => ({}));
+  fastify.route({ method: ['PUT', 'PATCH'], url: '/products/:sku', handler: async () => ({}) });
+}
@@ -0,0 +1,6 @@
+const express = require('express');
+const router = express.Router();
+
+router.post('/reindex', (req, res) => res.sendStatus(202));
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+
+const publicRouter = express.Router();
+const adminRouter = express.Router();
+
+publicRouter.get('/', async (req, res) => {
+  res.json({ items: [] });
+});
+
+adminRouter.get('/', requireRole('admin'), async (req, res) => {
+  res.status(206).json({ items: [], hidden: 0 });
+});
+
+module.exports = { publicRouter, adminRouter };
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+
+router.get('/', (req, res) => res.json([]));
+router.get('/:orderId/items/:itemId?', (req, res) => res.json({}));
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const Router = require('@koa/router');
+
+const router = new Router({ prefix: '/reviews' });
+
+router.get('/:reviewId', async ctx => { ctx.body = {}; });
+
+module.exports = router;
@@ -0,0 +1,5 @@
+const Hapi = require('@hapi/hapi');
+
+const server = Hapi.server({ port: 3000 });
+
+server.route({ method: 'GET', path: '/stores/{storeId}', handler: () => ({}) });
@@ -0,0 +1,5 @@
+import Fastify from 'fastify';
+import catalogPlugin from './plugins/catalog.js';
+
+const fastify = Fastify();
+fastify.register(catalogPlugin, { prefix: '/catalog' });
@@ -0,0 +1,10 @@
+import { IsString, IsInt, Min } from 'class-validator';
+
+export class CreateOrderDto {
+  @IsString()
+  productId: string;
+
+  @IsInt()
+  @Min(1)
+  quantity: number;
+}
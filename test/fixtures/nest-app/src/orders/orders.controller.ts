@@ -0,0 +1,18 @@
+import { Body, Controller, Get, Param, Post, UseGuards, Version } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { CreateOrderDto } from './dto/create-order.dto';
+
+@Controller('orders')
+export class OrdersController {
+  @Get(':id')
+  findOne(@Param('id') id: string) {
+    return { id };
+  }
+
+  @Post()
+  @Version('2')
+  @UseGuards(AuthGuard('jwt'))
+  create(@Body() dto: CreateOrderDto) {
+    return { id: 'order-1' };
+  }
+}
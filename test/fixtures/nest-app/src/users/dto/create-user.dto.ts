@@ -0,0 +1,6 @@
+import { IsEmail } from 'class-validator';
+
+export class CreateUserDto {
+  @IsEmail()
+  email: string;
+}
@@ -0,0 +1,16 @@
+import { Body, Controller, Post, UseGuards } from '@nestjs/common';
+import { AuthGuard } from '@nestjs/passport';
+import { Roles } from '../auth/roles.decorator';
+import { RolesGuard } from '../auth/roles.guard';
+import { CreateUserDto } from './dto/create-user.dto';
+
+@Controller({ path: 'users', version: ['1', '2'] })
+@UseGuards(AuthGuard('jwt'))
+export class UsersController {
+  @Post()
+  @UseGuards(RolesGuard)
+  @Roles('admin')
+  create(@Body() dto: CreateUserDto) {
+    return { id: 'user-1' };
+  }
+}
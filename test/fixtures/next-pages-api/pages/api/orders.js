@@ -0,0 +1,7 @@
+export default async function handler(req, res) {
+  if (req.method === 'POST') {
+    return res.status(201).json({ id: 'order-1' });
+  }
+
+  res.json({ orders: [] });
+}
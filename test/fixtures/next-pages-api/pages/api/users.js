@@ -0,0 +1,10 @@
+export default function handler(req, res) {
+  if (req.method === 'GET') {
+    res.json({ users: [] });
+  } else if (req.method === 'POST') {
+    res.status(201).json({ id: 'user-1' });
+  } else {
+    res.setHeader('Allow', ['GET', 'POST']);
+    res.status(405).end();
+  }
+}
@@ -0,0 +1,7 @@
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).end();
+  }
+
+  res.json({ id: req.query.id });
+}
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+test('reports no git metadata outside a repository without writing to stderr', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-nogit-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  // git writes "fatal: not a git repository" straight to the inherited stderr, so check a child process
+  const script = `import { GitMetadata } from ${JSON.stringify(new URL('../src/gitMetadata.js', import.meta.url).href)};
+    console.log(JSON.stringify(GitMetadata.extract(${JSON.stringify(dir)})));`;
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], { encoding: 'utf8', env: { ...process.env, GIT_CEILING_DIRECTORIES: os.tmpdir() } });
+
+  assert.equal(child.stderr, '');
+  assert.deepEqual(JSON.parse(child.stdout), { sha: null, branch: null, remote: null });
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('reads SDL operations with their arguments, auth directives and resolver locations', async () => {
+  const { graphql } = await summarizeFixture('graphql-api', { only: ['graphql'] });
+  const [order, orders] = graphql.queries;
+
+  assert.deepEqual(graphql.queries.map(query => query.name), ['order', 'orders']);
+  assert.deepEqual(order.args, { id: 'ID!' });
+  assert.equal(order.returnType, 'Order');
+  assert.deepEqual(order.resolver, { name: null, file: 'src/graphql/resolvers.js', line: 3 });
+  assert.equal(orders.auth, '@auth(requires: ADMIN)');
+  assert.deepEqual(graphql.mutations.map(mutation => `${mutation.name} ${mutation.file}:${mutation.line}`), ['cancelOrder src/graphql/schema.graphql:12']);
+  assert.deepEqual(graphql.subscriptions, []);
+});
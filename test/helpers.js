@@ -0,0 +1,15 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { summarize } from '../src/index.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// Fixture projects live in test/fixtures/<name>; the default ignore globs keep them out of the repo's own summary
+export function fixturePath(name) {
+  return path.join(FIXTURES, name);
+}
+
+// Quiet analysis of a fixture project (library calls are uncached by default)
+export function summarizeFixture(name, options = {}) {
+  return summarize(fixturePath(name), { silent: true, ...options });
+}
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('maps Kafka topics and BullMQ queues to their producers and consumers', async () => {
+  const { messageChannels } = await summarizeFixture('events-app', { only: ['messaging'] });
+  const sides = channel => [channel.producers, channel.consumers].map(list => list.map(entry => `${entry.file}:${entry.line}`));
+
+  assert.deepEqual(messageChannels.map(channel => `${channel.transport} ${channel.channel}`), [
+    'bullmq emails',
+    'kafka orders.created',
+    'kafka payments.settled',
+    'kafka null'
+  ]);
+  assert.deepEqual(sides(messageChannels[0]), [['src/orderEvents.js:7'], ['src/orderEvents.js:19']]);
+  assert.deepEqual(sides(messageChannels[1]), [['src/orderEvents.js:10'], []]);
+  assert.deepEqual(sides(messageChannels[2]), [[], ['src/orderEvents.js:15']]);
+  assert.equal(messageChannels[1].producers[0].service, 'orderEvents');
+});
+
+test('marks a channel named by a parameter as dynamic instead of naming it after the variable', async () => {
+  const { messageChannels } = await summarizeFixture('events-app', { only: ['messaging'] });
+  const named = messageChannels.find(channel => channel.channel === 'orders.created');
+  const dynamic = messageChannels.find(channel => channel.channel === null);
+
+  assert.equal(named.expression, null);
+  assert.deepEqual([dynamic.transport, dynamic.expression], ['kafka', 'topic']);
+  assert.deepEqual(dynamic.producers.map(end => `${end.file}:${end.line}`), ['src/orderEvents.js:22']);
+  assert.ok(!messageChannels.some(channel => channel.channel === 'topic'));
+});
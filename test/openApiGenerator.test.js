@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenApiGenerator, SummaryMerger } from '../src/index.js';
+import { fixturePath, summarizeFixture } from './helpers.js';
+
+test('turns routes and payloads into operations with path parameters and responses', async () => {
+  const summary = await summarizeFixture('express-duplicate-routes', { deepAnalysis: true });
+  const document = OpenApiGenerator.generate(summary);
+  const operation = document.paths['/users/{userId}/orders/{orderId}'].get;
+
+  assert.equal(document.openapi, '3.1.0');
+  assert.deepEqual(operation.parameters.map(parameter => `${parameter.in}:${parameter.name}`), ['path:userId', 'path:orderId', 'query:expand']);
+  assert.deepEqual(Object.keys(operation.responses).sort(), ['200', '401', '404']);
+  assert.equal(document['x-conflicts'], undefined);
+});
+
+test('reports a path and method defined by two repositories as a conflict', async () => {
+  const summary = await summarizeFixture('express-basic');
+  const merged = SummaryMerger.merge([
+    { repository: 'accounts', root: fixturePath('express-basic'), summary },
+    { repository: 'profiles', root: fixturePath('express-basic'), summary }
+  ]);
+  const document = OpenApiGenerator.generate(merged);
+
+  assert.deepEqual(Object.keys(document.paths['/users/{id}']), ['get']);
+  assert.deepEqual(document['x-conflicts'], [
+    { path: '/users/{id}', method: 'GET', kept: 'accounts:routes/users.js:4', dropped: 'profiles:routes/users.js:4' }
+  ]);
+});
+
+test('expands ALL routes into operations without replacing the methods a path registers itself', async () => {
+  const summary = await summarizeFixture('next-pages-api', { only: ['routes'] });
+  const routes = summary.apiRoutes.publicRoutes;
+  routes.find(route => route.fullPath === '/api/orders' && route.method === 'ALL').handler = 'fallback';
+  routes.push({ ...routes[0], method: 'LINK' });
+  const document = OpenApiGenerator.generate(summary);
+
+  assert.deepEqual(Object.keys(document.paths['/api/health-check']).sort(), ['delete', 'get', 'patch', 'post', 'put']);
+  assert.deepEqual(Object.keys(document.paths['/api/orders']).sort(), ['delete', 'get', 'patch', 'post', 'put']);
+  assert.equal(document.paths['/api/orders'].post.summary, 'handler');
+  assert.equal(document.paths['/api/orders'].get.summary, 'fallback');
+  assert.deepEqual(document['x-skipped-routes'].map(route => route.method), ['LINK']);
+});
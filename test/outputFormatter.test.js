@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import YAML from 'yaml';
+import { OutputFormatter } from '../src/index.js';
+import { summarizeFixture } from './helpers.js';
+
+const summary = await summarizeFixture('express-duplicate-routes', { deepAnalysis: true });
+
+test('renders JSON and YAML that read back to the same summary', () => {
+  assert.deepEqual(JSON.parse(OutputFormatter.format(summary, 'json')), summary);
+  assert.deepEqual(YAML.parse(OutputFormatter.format(summary, 'yml')), summary);
+});
+
+test('renders routes, endpoints and response codes in the Markdown report', () => {
+  const markdown = OutputFormatter.format(summary, 'markdown');
+
+  assert.match(markdown, /^# Codebase Summary/);
+  assert.match(markdown, /\| `GET \/users\/:userId\/orders\/:orderId` \| - \| requireAuth \| routes\/orders\.js:7 \|/);
+  assert.match(markdown, /\| `GET \/users\/:userId\/orders\/:orderId` \| 404 \| error: string \|/);
+});
+
+test('renders one compact line per route and endpoint for LLM prompts', () => {
+  const lines = OutputFormatter.format(summary, 'llm').trim().split('\n');
+
+  assert.ok(lines.includes('ROUTE GET /users/:userId/orders/:orderId mw=requireAuth src=routes/orders.js:7'));
+  assert.ok(lines.some(line => line.startsWith('API GET /users/:userId/orders/:orderId auth=Authenticated req{expand:boolean}') && line.endsWith('codes=200,404')));
+});
+
+test('accepts registered formats and rejects unknown ones', () => {
+  OutputFormatter.register('routes', { render: value => value.apiRoutes.publicRoutes.map(route => route.fullPath).join('\n') });
+
+  assert.equal(OutputFormatter.get('routes').extension, 'routes');
+  assert.equal(OutputFormatter.format(summary, 'ROUTES'), '/users/:userId/orders/:orderId\n');
+  assert.throws(() => OutputFormatter.get('xml'), /Unknown output format "xml"/);
+  assert.throws(() => OutputFormatter.register('broken', {}), /must provide a render\(summary\) function/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('reads request fields from Joi, Zod and Yup schemas imported from other files', async () => {
+  const { apiPayloads } = await summarizeFixture('express-imported-schemas', { only: ['routes', 'payloads'] });
+
+  assert.deepEqual(apiPayloads['POST /orders'].request, {
+    productId: { type: 'string', required: true },
+    quantity: { type: 'integer', required: false, min: 1 }
+  });
+  assert.deepEqual(apiPayloads['PATCH /orders/:id'].request.status, { type: 'string', required: true, enum: ['paid', 'shipped'] });
+  assert.deepEqual(Object.keys(apiPayloads['PATCH /orders/:id'].request.address.properties), ['city']);
+  assert.deepEqual(apiPayloads['POST /users'].request.email, { type: 'string', required: true, format: 'email' });
+});
+
+test('reads responses from function declarations and handlers imported from controller modules', async () => {
+  const { apiPayloads } = await summarizeFixture('express-controllers', { only: ['routes', 'payloads'] });
+  const statuses = key => Object.keys(apiPayloads[key].responses).sort();
+
+  assert.deepEqual(statuses('GET /orders'), ['200']);
+  assert.deepEqual(statuses('GET /orders/:orderId(\\d+)'), ['200', '404']);
+  assert.deepEqual(statuses('POST /orders'), ['201']);
+  assert.deepEqual(Object.keys(apiPayloads['POST /orders'].request), ['productId', 'quantity']);
+  assert.deepEqual(Object.keys(apiPayloads['GET /users/:id'].response), ['id', 'name']);
+});
+
+test('reads NestJS @Param() and @Body() DTO fields with their class-validator constraints', async () => {
+  const { apiPayloads } = await summarizeFixture('nest-app', { only: ['routes', 'payloads'] });
+
+  assert.deepEqual(apiPayloads['GET /api/v1/orders/:id'].request, { id: { type: 'string', required: true } });
+  assert.deepEqual(apiPayloads['POST /api/v2/orders'].request, {
+    productId: { type: 'string', required: true },
+    quantity: { type: 'integer', required: true, min: 1 }
+  });
+  assert.deepEqual(Object.keys(apiPayloads['POST /api/v2/orders'].responses), ['201']);
+});
+
+test('gives every version of a versioned NestJS controller its own DTO payload', async () => {
+  const { apiPayloads } = await summarizeFixture('nest-app', { only: ['routes', 'payloads'] });
+
+  for (const key of ['POST /api/v1/users', 'POST /api/v2/users']) {
+    assert.deepEqual(apiPayloads[key].request, { email: { type: 'string', required: true, format: 'email' } });
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { payloadField, mergeFields, mergeResponses, jsonSchemaField, fieldText, bodyText } from '../src/payloadFields.js';
+
+test('payloadField orders keys and drops undefined facets', () => {
+  const field = payloadField('string', { max: 200, format: 'email', required: true, pattern: undefined });
+
+  assert.deepEqual(Object.keys(field), ['type', 'required', 'format', 'max']);
+  assert.deepEqual(payloadField(), { type: 'unknown', required: false });
+});
+
+test('mergeFields keeps known types and structure over unknown ones', () => {
+  const target = {
+    email: payloadField('string', { format: 'email' }),
+    address: payloadField('object', { properties: { city: payloadField('string') } })
+  };
+  mergeFields(target, {
+    email: payloadField('unknown', { required: true }),
+    address: payloadField('object', { properties: { zip: payloadField('string', { required: true }) } }),
+    note: payloadField('string')
+  });
+
+  assert.deepEqual(target.email, payloadField('string', { required: true, format: 'email' }));
+  assert.deepEqual(Object.keys(target.address.properties), ['city', 'zip']);
+  assert.equal(target.note.type, 'string');
+});
+
+test('mergeResponses lets a body win over a bodiless response', () => {
+  const responses = mergeResponses({ 200: null, 404: null }, { 200: payloadField('Order'), 404: null });
+
+  assert.deepEqual(responses, { 200: payloadField('Order'), 404: null });
+});
+
+test('jsonSchemaField converts nested JSON Schema with bounds, nullability and unions', () => {
+  const field = jsonSchemaField({
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/OrderItem' } },
+      note: { type: ['string', 'null'], maxLength: 500 },
+      total: { oneOf: [{ type: 'number' }, { type: 'string' }] }
+    }
+  });
+
+  assert.equal(field.type, 'object');
+  assert.deepEqual(field.properties.items, payloadField('array', { required: true, min: 1, items: payloadField('OrderItem') }));
+  assert.deepEqual(field.properties.note, payloadField('string', { nullable: true, max: 500 }));
+  assert.equal(field.properties.total.type, 'union');
+  assert.deepEqual(field.properties.total.variants.map(variant => variant.type), ['number', 'string']);
+});
+
+test('fieldText and bodyText describe fields in one line', () => {
+  assert.equal(fieldText(payloadField('string', { required: true, format: 'email', max: 200 })), 'string (required, format: email, max: 200)');
+  assert.equal(fieldText(payloadField('string', { enum: ['USD', 'EUR'], nullable: true })), "'USD' | 'EUR' | null");
+  assert.equal(bodyText(payloadField('object', {
+    properties: { items: payloadField('array', { items: payloadField('object', { properties: { productId: payloadField('string') } }) }) }
+  })), 'items[].productId: string');
+  assert.equal(bodyText(null), 'no body');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadProjectConfig, resolveConfig, excludeGlobs } from '../src/projectConfig.js';
+import { ROUTE_PATTERNS } from '../config.js';
+import { fixturePath, summarizeFixture } from './helpers.js';
+
+test('loads the project config file and extends the defaults with it', async () => {
+  const { config, source } = await loadProjectConfig(fixturePath('configured-app'));
+
+  assert.equal(source, path.join(fixturePath('configured-app'), '.codebase-summary.json'));
+  assert.deepEqual(config.patterns.routes, [...ROUTE_PATTERNS, 'src/endpoints/**']);
+  assert.ok(config.ignore.includes('src/legacy/**'));
+  assert.ok(config.internalRoutes.includes('^/ops'));
+});
+
+test('replaces the defaults when extendDefaults is false', () => {
+  const config = resolveConfig({ extendDefaults: false, patterns: { routes: ['api/**/*.js'] } });
+
+  assert.deepEqual(config.patterns.routes, ['api/**/*.js']);
+});
+
+test('rejects a missing or malformed config file', async () => {
+  await assert.rejects(loadProjectConfig(fixturePath('configured-app'), 'missing.json'), /Config file not found/);
+
+  const projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'codebase-summary-'));
+  try {
+    await fs.writeFile(path.join(projectRoot, '.codebase-summary.json'), JSON.stringify({ ignore: [42] }));
+    await assert.rejects(loadProjectConfig(projectRoot), /"ignore" must be a string or an array of strings/);
+  } finally {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  }
+});
+
+test('turns --exclude names and paths into globs', () => {
+  assert.deepEqual(excludeGlobs(['docs', './src/legacy/', 'src/**/*.spec.js']), [
+    '**/docs', '**/docs/**', 'src/legacy', 'src/legacy/**', 'src/**/*.spec.js'
+  ]);
+});
+
+test('finds routes, ignores paths and marks internal routes as the project config says', async () => {
+  const { apiRoutes } = await summarizeFixture('configured-app', { only: ['routes'] });
+
+  assert.deepEqual(apiRoutes.publicRoutes.map(route => `${route.method} ${route.fullPath}`), ['GET /drafts', 'GET /invoices']);
+  assert.deepEqual(apiRoutes.internalRoutes.map(route => `${route.method} ${route.fullPath}`), ['POST /ops/invoices/resend']);
+});
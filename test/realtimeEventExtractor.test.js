@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('reads Socket.IO events with their direction, namespace, rooms and payload fields', async () => {
+  const { realtimeEvents } = await summarizeFixture('events-app', { only: ['realtime'] });
+
+  assert.deepEqual(realtimeEvents.map(event => `${event.direction} ${event.namespace} ${event.event}`), [
+    'outbound /chat message:new',
+    'inbound /chat message:send',
+    'outbound /chat welcome'
+  ]);
+  assert.deepEqual(realtimeEvents[0].rooms, ['payload.room']);
+  assert.deepEqual(realtimeEvents[1].payload, { room: 'unknown', text: 'unknown' });
+  assert.deepEqual(realtimeEvents[2].payload, { ok: 'boolean' });
+});
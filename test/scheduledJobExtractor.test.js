@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeFixture } from './helpers.js';
+
+test('inventories cron jobs and interval loops with readable cadences and the services they touch', async () => {
+  const { backgroundJobs } = await summarizeFixture('events-app', { only: ['jobs'] });
+  const [report, refresh] = backgroundJobs;
+
+  assert.equal(backgroundJobs.length, 3);
+  assert.deepEqual([report.type, report.schedule, report.cadence, report.handler], ['node-cron', '0 9 * * MON-FRI', 'at 09:00 on Monday–Friday', 'sendDailyReport']);
+  assert.deepEqual([refresh.type, refresh.schedule, refresh.cadence], ['setInterval', '300000', 'every 5 minutes']);
+  assert.deepEqual(report.services, ['ReportService']);
+  assert.deepEqual(refresh.services, ['ReportService']);
+});
+
+test('keeps jobs whose schedule is only known at runtime, with a dynamic cadence', async () => {
+  const { backgroundJobs } = await summarizeFixture('events-app', { only: ['jobs'] });
+  const archive = backgroundJobs.find(job => job.schedule === 'process.env.ARCHIVE_CRON');
+
+  assert.deepEqual([archive.type, archive.cadence, archive.services], ['node-cron', 'dynamic', ['ReportService']]);
+});
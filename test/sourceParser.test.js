@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SourceParser, callChain, collectDeclarations, constantString } from '../src/sourceParser.js';
+import { fixturePath } from './helpers.js';
+
+test('parses each file once and shares the result between callers', async () => {
+  const parser = new SourceParser();
+  const file = fixturePath('express-basic/routes/users.js');
+  const [first, second] = await Promise.all([parser.parseFile(file), parser.parseFile(file)]);
+
+  assert.equal(first, second);
+  assert.equal(first.ast.type, 'File');
+});
+
+test('parses TypeScript and JSX by extension and skips other files', () => {
+  const parser = new SourceParser();
+
+  assert.ok(parser.parseSource('const id: string = "1"; @Injectable() class A {}', 'a.ts'));
+  assert.ok(parser.parseSource('export default () => <main />;', 'page.jsx'));
+  assert.equal(parser.parseSource('type Query { id: ID }', 'schema.graphql'), null);
+});
+
+test('reads call chains and folds constant route strings', () => {
+  const ast = new SourceParser().parseSource("const VERSION = 'v1'; const BASE = `/api/${VERSION}`; Joi.string().email().required(); app.use(BASE + '/orders');", 'app.js');
+  const [, , validation, use] = ast.program.body.map(statement => statement.expression);
+  const chain = callChain(validation);
+
+  assert.equal(chain.root, 'Joi');
+  assert.deepEqual(chain.calls.map(call => call.name), ['string', 'email', 'required']);
+  assert.equal(constantString(use.arguments[0], collectDeclarations(ast)), '/api/v1/orders');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { Summarizer, SummaryValidator, DEFAULT_CACHE_FILE, DEEP_EXTRACTORS } from '../src/index.js';
+import { fixturePath, summarizeFixture } from './helpers.js';
+
+test('summarizes an Express project into a schema-valid summary', async () => {
+  const summary = await summarizeFixture('express-basic', { deepAnalysis: true });
+
+  assert.deepEqual(SummaryValidator.validate(summary).errors, []);
+  assert.match(summary.frameworks.backend, /Express/);
+  assert.deepEqual(summary.apiRoutes.publicRoutes.map(route => `${route.method} ${route.fullPath}`), ['GET /users/:id']);
+});
+
+test('leaves no cache file in the project unless caching is turned on', async () => {
+  await summarizeFixture('express-basic');
+  await assert.rejects(fs.access(path.join(fixturePath('express-basic'), DEFAULT_CACHE_FILE)));
+});
+
+test('selects extractors from only, skip, deepAnalysis and includeFlows', () => {
+  const extractors = options => [...new Summarizer(options).extractors];
+
+  assert.ok(DEEP_EXTRACTORS.every(name => !extractors({}).includes(name)));
+  assert.deepEqual(extractors({ only: ['payloads', 'routes'] }), ['routes', 'payloads']);
+  assert.deepEqual(extractors({ deepAnalysis: true, includeFlows: false, skip: ['auth'] }).filter(name => DEEP_EXTRACTORS.includes(name)), ['interactions', 'payloads']);
+  assert.throws(() => new Summarizer({ only: ['routers'] }), /Unknown extractor "routers"/);
+});
+
+test('leaves skipped sections empty and drops excluded paths', async () => {
+  const skipped = await summarizeFixture('express-basic', { skip: ['routes'] });
+  const excluded = await summarizeFixture('configured-app', { only: ['routes'], exclude: ['drafts.js'] });
+
+  assert.deepEqual(skipped.apiRoutes, { publicRoutes: [], internalRoutes: [] });
+  assert.deepEqual(excluded.apiRoutes.publicRoutes.map(route => route.fullPath), ['/invoices']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SummaryDiff } from '../src/index.js';
+import { summarizeFixture } from './helpers.js';
+
+const ROUTE = 'GET /users/:userId/orders/:orderId';
+
+test('reports route, auth and payload changes between two summaries', async () => {
+  const base = await summarizeFixture('express-duplicate-routes', { deepAnalysis: true });
+  const head = structuredClone(base);
+  head.authPolicies[ROUTE] = 'Role: admin';
+  head.apiPayloads[ROUTE].request.currency = { type: 'string', required: true };
+  delete head.apiPayloads[ROUTE].responses['404'];
+  head.apiRoutes.publicRoutes.push({ ...head.apiRoutes.publicRoutes[0], method: 'DELETE' });
+
+  const report = SummaryDiff.compare(base, head, { base: 'main', head: 'feature' });
+
+  assert.equal(report.hasChanges, true);
+  assert.deepEqual(report.routes.added, [{ route: 'DELETE /users/:userId/orders/:orderId', visibility: 'public' }]);
+  assert.deepEqual(report.authPolicies.changed, [{ endpoint: ROUTE, before: base.authPolicies[ROUTE], after: 'Role: admin' }]);
+  assert.deepEqual(report.apiPayloads.changed.map(change => `${change.part} ${change.change} ${change.field}`), [
+    'request added currency',
+    'responses removed 404'
+  ]);
+  assert.match(SummaryDiff.toMarkdown(report), /Comparing `main` → `feature`/);
+});
+
+test('finds no changes between a summary and itself', async () => {
+  const summary = await summarizeFixture('express-basic');
+  const report = SummaryDiff.compare(summary, structuredClone(summary));
+
+  assert.equal(report.hasChanges, false);
+  assert.match(SummaryDiff.toMarkdown(report), /No route, auth, dependency, schema or payload changes detected/);
+});
+
+test('refuses summaries written with another schema version', async () => {
+  const head = await summarizeFixture('express-basic');
+  const legacy = { ...structuredClone(head), schemaVersion: '3.0.0', apiRoutes: { publicRoutes: ['/users/:id'], internalRoutes: [] } };
+
+  assert.throws(() => SummaryDiff.compare(legacy, head, { base: 'old.json' }), /Cannot compare old\.json: schemaVersion is "3\.0\.0"/);
+});
+
+test('leaves out sections only one summary has instead of reporting them as removed', async () => {
+  const base = await summarizeFixture('express-duplicate-routes', { deepAnalysis: true });
+  const head = await summarizeFixture('express-duplicate-routes');
+  const report = SummaryDiff.compare(base, head);
+
+  assert.equal(report.hasChanges, false);
+  assert.deepEqual(report.skipped, ['auth policies', 'payloads']);
+  assert.match(SummaryDiff.toMarkdown(report), /Not compared, only one summary has them: auth policies, payloads/);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SummaryMerger, SummaryValidator } from '../src/index.js';
+import { fixturePath, summarizeFixture } from './helpers.js';
+
+test('merges per-repository summaries into one schema-valid summary with tagged entries', async () => {
+  const roots = [fixturePath('express-basic'), fixturePath('express-duplicate-routes')];
+  const [accounts, orders] = SummaryMerger.repositoryNames(roots);
+  const merged = SummaryMerger.merge([
+    { repository: accounts, root: roots[0], summary: await summarizeFixture('express-basic', { deepAnalysis: true }) },
+    { repository: orders, root: roots[1], summary: await summarizeFixture('express-duplicate-routes', { deepAnalysis: true }) }
+  ]);
+
+  assert.deepEqual(SummaryValidator.validate(merged).errors, []);
+  assert.deepEqual(merged.repositories.map(repository => repository.name), ['express-basic', 'express-duplicate-routes']);
+  assert.deepEqual(merged.apiRoutes.publicRoutes.map(route => `${route.repository} ${route.method} ${route.fullPath}`), [
+    'express-basic GET /users/:id',
+    'express-duplicate-routes GET /users/:userId/orders/:orderId'
+  ]);
+  assert.ok('express-duplicate-routes:GET /users/:userId/orders/:orderId' in merged.apiPayloads);
+  assert.equal(merged.frameworks.backend, 'Node.js, Express 4.18.0');
+});
+
+test('names repositories after their directories, numbering repeats', () => {
+  assert.deepEqual(SummaryMerger.repositoryNames(['/srv/api', '/work/api', '/srv/web']), ['api', 'api-2', 'web']);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SummaryValidator } from '../src/index.js';
+import { summarizeFixture } from './helpers.js';
+
+test('accepts a freshly generated summary', async () => {
+  const summary = await summarizeFixture('express-basic');
+  assert.deepEqual(SummaryValidator.validate(summary), { valid: true, errors: [] });
+});
+
+test('reports a summary from another release as a version mismatch', async () => {
+  const summary = await summarizeFixture('express-basic');
+  const current = SummaryValidator.schema().properties.schemaVersion.const;
+
+  const older = { ...summary, schemaVersion: '3.0.0', apiRoutes: { publicRoutes: ['GET /users/:id'], internalRoutes: [] } };
+  const { valid, errors } = SummaryValidator.validate(older);
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [`schemaVersion is "3.0.0" but this release reads ${current}; regenerate the summary`]);
+
+  assert.match(SummaryValidator.validate({}).errors[0], /^schemaVersion is missing/);
+});
+
+test('lists shape violations for the current version', async () => {
+  const summary = await summarizeFixture('express-basic');
+  const broken = { ...summary, apiRoutes: { publicRoutes: ['GET /users/:id'], internalRoutes: [] } };
+  assert.deepEqual(SummaryValidator.validate(broken).errors, ['/apiRoutes/publicRoutes/0 must be object']);
+});